@@ -0,0 +1,59 @@
+/**
+ * ZIP archive builder for the CertiProof X Backend tests
+ * Author: Kai Zenjiro (0xGenesis) - certiproofx@protonmail.me
+ */
+
+const zlib = require('zlib');
+
+/**
+ * Build a ZIP archive in memory
+ * @param {Array<Object>} files - { name, content, method } of each entry,
+ *   method 0 (stored, the default) or 8 (deflated), content empty by default
+ * @returns {Buffer} - Archive content
+ */
+const createZip = (files) => {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const { name, content = Buffer.alloc(0), method = 0 } of files) {
+    const nameBytes = Buffer.from(name);
+    const data = method === 8 ? zlib.deflateRawSync(content) : content;
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(content.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+    locals.push(local, nameBytes, data);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(content.length, 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, nameBytes);
+
+    offset += local.length + nameBytes.length + data.length;
+  }
+
+  const directory = Buffer.concat(centrals);
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0);
+  eocd.writeUInt16LE(files.length, 8);
+  eocd.writeUInt16LE(files.length, 10);
+  eocd.writeUInt32LE(directory.length, 12);
+  eocd.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directory, eocd]);
+};
+
+module.exports = {
+  createZip,
+};
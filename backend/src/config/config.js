@@ -5,6 +5,29 @@
 
 require('dotenv').config();
 
+const DEFAULT_GATEWAY_TIMEOUT = 10000;
+
+/**
+ * Parse a comma-separated gateway list with optional |<ms> timeouts
+ * @param {string} value - e.g. "https://ipfs.io/ipfs/|15000,https://dweb.link/ipfs/"
+ * @returns {Array} - [{ url, timeout }] without duplicates
+ */
+const parseGateways = (value) => {
+  const gateways = new Map();
+
+  for (const entry of value.split(',')) {
+    const [url, timeout] = entry.trim().split('|');
+    if (url && !gateways.has(url)) {
+      gateways.set(url, {
+        url,
+        timeout: parseInt(timeout) || DEFAULT_GATEWAY_TIMEOUT,
+      });
+    }
+  }
+
+  return [...gateways.values()];
+};
+
 const config = {
   // Server configuration
   server: {
@@ -15,7 +38,16 @@ const config = {
 
   // IPFS configuration
   ipfs: {
-    provider: process.env.IPFS_PROVIDER || 'web3storage', // 'web3storage' | 'pinata' | 'infura'
+    provider: process.env.IPFS_PROVIDER || 'web3storage', // 'web3storage' | 'pinata' | 'infura' | 'kubo' | 'local' | 'multi'
+
+    // Redundant pinning (provider: 'multi'), e.g. IPFS_REPLICATION_PROVIDERS=pinata,kubo
+    replication: {
+      providers: (process.env.IPFS_REPLICATION_PROVIDERS || '')
+        .split(',')
+        .map((provider) => provider.trim())
+        .filter(Boolean),
+      minReplicas: parseInt(process.env.IPFS_MIN_REPLICAS) || 2, // Uploads fail below this many successful providers
+    },
 
     // Web3.Storage
     web3Storage: {
@@ -37,9 +69,40 @@ const config = {
       endpoint: 'https://ipfs.infura.io:5001',
     },
 
+    // Self-hosted Kubo node (RPC API, never expose it publicly)
+    kubo: {
+      endpoint: process.env.KUBO_API_URL || 'http://127.0.0.1:5001',
+      authorization: process.env.KUBO_API_AUTHORIZATION, // e.g. "Bearer <token>"
+    },
+
+    // Filesystem block store for offline development, relative to backend/
+    local: {
+      directory: process.env.IPFS_LOCAL_DIRECTORY || './data/ipfs',
+    },
+
     // Gateway configuration
-    gateway: process.env.IPFS_GATEWAY || 'https://ipfs.io/ipfs/',
+    gateway: process.env.IPFS_GATEWAY || 'https://ipfs.io/ipfs/', // Used in links we hand out
     timeout: 30000, // 30 seconds
+
+    // Gateways retrieveFile reads from, e.g.
+    // IPFS_GATEWAYS=https://ipfs.io/ipfs/|15000,https://dweb.link/ipfs/
+    // where the optional |<ms> sets that gateway's timeout
+    gatewayPool: {
+      gateways: parseGateways(
+        process.env.IPFS_GATEWAYS ||
+          [
+            process.env.IPFS_GATEWAY,
+            'https://ipfs.io/ipfs/',
+            'https://dweb.link/ipfs/',
+            'https://trustless-gateway.link/ipfs/',
+          ]
+            .filter(Boolean)
+            .join(',')
+      ),
+      failureThreshold:
+        parseInt(process.env.IPFS_GATEWAY_FAILURE_THRESHOLD) || 3, // Consecutive failures that open the circuit
+      resetTimeout: parseInt(process.env.IPFS_GATEWAY_RESET_TIMEOUT) || 60000, // Time before an open circuit is retried
+    },
   },
 
   // File upload configuration
@@ -71,7 +134,10 @@ const config = {
       '.xls',
       '.xlsx',
     ],
-    tempDirectory: './tmp',
+    tempDirectory: './tmp', // Uploads are streamed here, relative to backend/
+    maxBodySize: process.env.MAX_BODY_SIZE || '2mb', // JSON and form bodies, files go through multipart
+    sessionTTL: parseInt(process.env.UPLOAD_SESSION_TTL) || 24 * 60 * 60 * 1000, // Unfinished resumable uploads are dropped after 24h
+    maxBundleFiles: parseInt(process.env.MAX_BUNDLE_FILES) || 20, // Files certified together by POST /api/upload/bundle
   },
 
   // Certificate generation
@@ -137,12 +203,31 @@ const config = {
     },
   },
 
-  // Database configuration (if needed in the future)
+  // Database configuration (local SQLite store, e.g. sqlite:./data/certiproof-x.db)
   database: {
-    url: process.env.DATABASE_URL,
+    url: process.env.DATABASE_URL || 'sqlite:./data/certiproof-x.db',
     ssl: process.env.NODE_ENV === 'production',
   },
 
+  // Batch issuance from a CSV and a ZIP of documents
+  batch: {
+    maxRows: parseInt(process.env.BATCH_MAX_ROWS) || 5000, // Rows per CSV
+    maxArchiveSize:
+      parseInt(process.env.BATCH_MAX_ARCHIVE_SIZE) || 4 * 1024 * 1024 * 1024, // 4GB, the ZIP limit without ZIP64
+  },
+
+  // Event indexer configuration
+  indexer: {
+    enabled: process.env.INDEXER_ENABLED === 'true',
+    network:
+      process.env.INDEXER_NETWORK || process.env.DEFAULT_NETWORK || 'mumbai',
+    confirmations: process.env.INDEXER_CONFIRMATIONS
+      ? parseInt(process.env.INDEXER_CONFIRMATIONS)
+      : 12, // Blocks to wait before an event is considered final
+    batchSize: parseInt(process.env.INDEXER_BATCH_SIZE) || 2000, // Blocks per getLogs call
+    pollInterval: parseInt(process.env.INDEXER_POLL_INTERVAL) || 15000, // 15 seconds
+  },
+
   // Blockchain configuration
   blockchain: {
     networks: {
@@ -152,6 +237,11 @@ const config = {
           `https://polygon-mumbai.g.alchemy.com/v2/${process.env.ALCHEMY_API_KEY}`,
         chainId: 80001,
         contractAddress: process.env.CERTIPROOF_NFT_MUMBAI,
+        startBlock:
+          parseInt(process.env.CERTIPROOF_NFT_MUMBAI_START_BLOCK) || 0,
+        multicallAddress:
+          process.env.MULTICALL3_MUMBAI ||
+          '0xcA11bde05977b3631167028862bE2a6B2e00Ca11',
       },
       polygon: {
         rpcUrl:
@@ -159,9 +249,25 @@ const config = {
           `https://polygon-mainnet.g.alchemy.com/v2/${process.env.ALCHEMY_API_KEY}`,
         chainId: 137,
         contractAddress: process.env.CERTIPROOF_NFT_POLYGON,
+        startBlock:
+          parseInt(process.env.CERTIPROOF_NFT_POLYGON_START_BLOCK) || 0,
+        multicallAddress:
+          process.env.MULTICALL3_POLYGON ||
+          '0xcA11bde05977b3631167028862bE2a6B2e00Ca11',
+      },
+      // Local Hardhat node (npx hardhat node)
+      localhost: {
+        rpcUrl: process.env.LOCALHOST_RPC_URL || 'http://127.0.0.1:8545',
+        chainId: 31337,
+        contractAddress: process.env.CERTIPROOF_NFT_LOCALHOST,
+        startBlock:
+          parseInt(process.env.CERTIPROOF_NFT_LOCALHOST_START_BLOCK) || 0,
+        multicallAddress: process.env.MULTICALL3_LOCALHOST,
       },
     },
     defaultNetwork: process.env.DEFAULT_NETWORK || 'mumbai',
+    // Account used to relay signed updates (must be the contract owner)
+    relayerPrivateKey: process.env.RELAYER_PRIVATE_KEY,
   },
 
   // CORS configuration
@@ -193,22 +299,24 @@ const validateConfig = () => {
   // Skip IPFS validation in development mode
   if (config.server.env === 'production') {
     // Check IPFS configuration only in production
-    if (
-      config.ipfs.provider === 'web3storage' &&
-      !config.ipfs.web3Storage.token
-    ) {
+    const providers =
+      config.ipfs.provider === 'multi'
+        ? config.ipfs.replication.providers
+        : [config.ipfs.provider];
+
+    if (providers.includes('web3storage') && !config.ipfs.web3Storage.token) {
       requiredEnvVars.push('WEB3_STORAGE_TOKEN');
     }
 
     if (
-      config.ipfs.provider === 'pinata' &&
+      providers.includes('pinata') &&
       (!config.ipfs.pinata.apiKey || !config.ipfs.pinata.secretKey)
     ) {
       requiredEnvVars.push('PINATA_API_KEY', 'PINATA_SECRET_KEY');
     }
 
     if (
-      config.ipfs.provider === 'infura' &&
+      providers.includes('infura') &&
       (!config.ipfs.infura.projectId || !config.ipfs.infura.projectSecret)
     ) {
       requiredEnvVars.push(
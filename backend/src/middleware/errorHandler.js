@@ -80,6 +80,20 @@ const errorHandler = (error, req, res, next) => {
     errorResponse.error = 'Invalid JSON';
     errorResponse.message = 'Request body contains invalid JSON';
     errorResponse.code = 'JSON_PARSE_ERROR';
+  } else if (
+    [
+      'INVALID_FILE_TYPE',
+      'INVALID_FILE_EXTENSION',
+      'FILE_TYPE_MISMATCH',
+      'EXECUTABLE_CONTENT',
+      'INVALID_FILE_STRUCTURE',
+    ].includes(error.code)
+  ) {
+    // Rejected by the upload middleware, see utils/fileType
+    statusCode = 400;
+    errorResponse.error = 'File rejected';
+    errorResponse.message = error.message;
+    errorResponse.code = error.code;
   } else if (error.code === 'ENOENT') {
     statusCode = 404;
     errorResponse.error = 'File not found';
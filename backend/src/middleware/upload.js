@@ -0,0 +1,216 @@
+/**
+ * Upload middleware for CertiProof X Backend
+ * Author: Kai Zenjiro (0xGenesis) - certiproofx@protonmail.me
+ *
+ * Multer configuration shared by the routes that accept document files.
+ * Files are streamed to config.upload.tempDirectory rather than buffered.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const multer = require('multer');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const {
+  generateSHA256FromStream,
+  generateUUID,
+  readEncryptedFileHeader,
+} = require('../utils/crypto');
+const { inspectFile } = require('../utils/fileType');
+
+const tempDirectory = path.isAbsolute(config.upload.tempDirectory)
+  ? config.upload.tempDirectory
+  : path.join(__dirname, '../..', config.upload.tempDirectory);
+
+fs.mkdirSync(tempDirectory, { recursive: true });
+
+const removeTempFile = (filePath) =>
+  fs.promises.unlink(filePath).catch((error) => {
+    if (error.code !== 'ENOENT') {
+      logger.warn(`Failed to remove temp upload ${filePath}: ${error.message}`);
+    }
+  });
+
+/**
+ * Check a file against the allowed MIME types and extensions
+ * @param {string} mimetype - Declared MIME type
+ * @param {string} filename - Original filename
+ * @returns {Error|null} - INVALID_FILE_TYPE / INVALID_FILE_EXTENSION error
+ */
+const checkFileType = (mimetype, filename) => {
+  // Check file type
+  if (!config.upload.allowedMimeTypes.includes(mimetype)) {
+    const error = new Error(`File type ${mimetype} not allowed`);
+    error.code = 'INVALID_FILE_TYPE';
+    return error;
+  }
+
+  // Check file extension
+  const ext = '.' + filename.split('.').pop().toLowerCase();
+  if (!config.upload.allowedExtensions.includes(ext)) {
+    const error = new Error(`File extension ${ext} not allowed`);
+    error.code = 'INVALID_FILE_EXTENSION';
+    return error;
+  }
+
+  return null;
+};
+
+/**
+ * Identify a received file from its content, see utils/fileType
+ *
+ * Files encrypted in the browser cannot be inspected, they are recognised
+ * from their header (encryptFile in utils/crypto) and returned with it.
+ * @param {string} filePath - File on disk
+ * @param {Object} file - { mimetype, originalname } as declared by the client
+ * @returns {Promise<Object>} - { mimetype, extension, hasMacros, warnings },
+ *   and encryption, the header, for an encrypted file
+ */
+const inspectUpload = async (filePath, file) => {
+  const encryption = await readEncryptedFileHeader(filePath);
+  if (encryption) {
+    return {
+      mimetype: 'application/octet-stream',
+      extension: '.enc',
+      hasMacros: false,
+      warnings: [],
+      encryption,
+    };
+  }
+
+  try {
+    const detected = await inspectFile(filePath, file);
+
+    if (detected.hasMacros || detected.warnings.length > 0) {
+      logger.security('Upload with active content', {
+        filename: file.originalname,
+        mimetype: detected.mimetype,
+        hasMacros: detected.hasMacros,
+        warnings: detected.warnings,
+      });
+    }
+
+    return detected;
+  } catch (error) {
+    if (error.code === 'EXECUTABLE_CONTENT') {
+      logger.security('Executable upload refused', {
+        filename: file.originalname,
+        mimetype: file.mimetype,
+        error: error.message,
+      });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Multer storage engine that streams uploads to a temp file
+ *
+ * The SHA-256 is computed while the file is written, so routes get
+ * req.file.path and req.file.hash without the file ever being held in
+ * memory. The written file is then identified from its content
+ * (req.file.detected). The temp file is removed once the response has been
+ * sent.
+ */
+const storage = {
+  _handleFile(req, file, cb) {
+    const filePath = path.join(tempDirectory, `upload-${generateUUID()}`);
+    let size = 0;
+
+    file.stream.on('data', (chunk) => {
+      size += chunk.length;
+    });
+
+    Promise.all([
+      generateSHA256FromStream(file.stream),
+      pipeline(file.stream, fs.createWriteStream(filePath)),
+    ])
+      .then(async ([hash]) => {
+        const detected = await inspectUpload(filePath, file);
+
+        if (req.res) {
+          req.res.once('close', () => removeTempFile(filePath));
+        }
+        cb(null, { path: filePath, size, hash, detected });
+      })
+      .catch((error) => {
+        removeTempFile(filePath);
+        cb(error);
+      });
+  },
+
+  _removeFile(req, file, cb) {
+    removeTempFile(file.path).then(() => cb(null));
+  },
+};
+
+const fileFilter = (req, file, cb) => {
+  const error = checkFileType(file.mimetype, file.originalname);
+  if (error) {
+    return cb(error, false);
+  }
+
+  cb(null, true);
+};
+
+const upload = multer({
+  storage: storage,
+  limits: {
+    fileSize: config.upload.maxFileSize,
+    files: 1,
+  },
+  fileFilter,
+});
+
+// Several files certified as one IPFS directory
+const bundleUpload = multer({
+  storage: storage,
+  limits: {
+    fileSize: config.upload.maxFileSize,
+    files: config.upload.maxBundleFiles,
+  },
+  fileFilter,
+});
+
+// Batch issuance: a CSV of rows and a ZIP of their documents, stored as is.
+// The documents are checked one by one when the job reads them.
+const BATCH_FILE_EXTENSIONS = { csv: '.csv', archive: '.zip' };
+
+const batchUpload = multer({
+  storage: multer.diskStorage({
+    destination: tempDirectory,
+    filename: (req, file, cb) => cb(null, `batch-${generateUUID()}`),
+  }),
+  limits: {
+    fileSize: config.batch.maxArchiveSize,
+    files: 2,
+  },
+  fileFilter: (req, file, cb) => {
+    const expected = BATCH_FILE_EXTENSIONS[file.fieldname];
+    if (
+      !expected ||
+      path.extname(file.originalname).toLowerCase() !== expected
+    ) {
+      const error = new Error(
+        `Expected ${Object.entries(BATCH_FILE_EXTENSIONS)
+          .map(([field, extension]) => `${field} (${extension})`)
+          .join(' and ')} files`
+      );
+      error.code = 'INVALID_FILE_EXTENSION';
+      return cb(error, false);
+    }
+
+    cb(null, true);
+  },
+});
+
+module.exports = {
+  upload,
+  bundleUpload,
+  batchUpload,
+  tempDirectory,
+  checkFileType,
+  inspectUpload,
+  removeTempFile,
+};
@@ -0,0 +1,70 @@
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+
+const config = require('../config/config');
+const { upload, tempDirectory } = require('./upload');
+const { generateSHA256 } = require('../utils/crypto');
+
+describe('Upload middleware', () => {
+  const CONTENT = Buffer.alloc(200000, 'CertiProof X ');
+  let app;
+  let seen;
+
+  const tempUploads = () =>
+    fs.readdirSync(tempDirectory).filter((name) => name.startsWith('upload-'));
+
+  beforeAll(() => {
+    app = express();
+    app.post('/', upload.single('file'), (req, res) => {
+      seen = {
+        ...req.file,
+        content: fs.readFileSync(req.file.path),
+      };
+      res.json({ hash: req.file.hash });
+    });
+    app.use((error, req, res, next) => {
+      res.status(413).json({ code: error.code });
+      next();
+    });
+  });
+
+  test('streams the file to disk and hashes it on the way', async () => {
+    const response = await request(app)
+      .post('/')
+      .attach('file', CONTENT, 'evidence.txt');
+
+    expect(response.status).toBe(200);
+    expect(response.body.hash).toBe(await generateSHA256(CONTENT));
+    expect(seen).toMatchObject({
+      originalname: 'evidence.txt',
+      size: CONTENT.length,
+    });
+    expect(path.dirname(seen.path)).toBe(tempDirectory);
+    expect(seen.buffer).toBeUndefined();
+    expect(seen.content.equals(CONTENT)).toBe(true);
+  });
+
+  test('removes the temp file once the response is sent', async () => {
+    await request(app).post('/').attach('file', CONTENT, 'evidence.txt');
+
+    // Cleanup runs on the response close event, after the client has its answer
+    for (let attempt = 0; attempt < 20 && fs.existsSync(seen.path); attempt++) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    expect(fs.existsSync(seen.path)).toBe(false);
+  });
+
+  test('leaves nothing behind when the size limit is exceeded', async () => {
+    const maxFileSize = config.upload.maxFileSize;
+    const before = tempUploads();
+
+    const response = await request(app)
+      .post('/')
+      .attach('file', Buffer.alloc(maxFileSize + 1), 'too-large.txt');
+
+    expect(response.body.code).toBe('LIMIT_FILE_SIZE');
+    expect(tempUploads()).toEqual(before);
+  });
+});
@@ -0,0 +1,415 @@
+/**
+ * Batch issuance routes for CertiProof X Backend
+ * Author: Kai Zenjiro (0xGenesis) - certiproofx@protonmail.me
+ *
+ * Prepares certificates in bulk from a CSV and a ZIP of documents, see
+ * services/batchIssuanceService
+ */
+
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { batchUpload, removeTempFile } = require('../middleware/upload');
+const batchIssuanceService = require('../services/batchIssuanceService');
+
+const router = express.Router();
+
+const BATCH_ERRORS = ['INVALID_CSV', 'TOO_MANY_ROWS', 'INVALID_FILE_STRUCTURE'];
+const SIGNATURE_ERRORS = {
+  SIGNATURE_EXPIRED: 401,
+  INVALID_SIGNATURE: 403,
+  SIGNATURE_ALREADY_USED: 409,
+};
+const ANCHOR_ERRORS = ['BATCH_NOT_COMPLETED', 'NO_READY_ROWS'];
+
+const jobIdValidation = param('id').isUUID();
+
+/**
+ * Send the 400 for a failed validation, if any
+ * @returns {boolean} - True when the response was sent
+ */
+function sendValidationErrors(req, res) {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) {
+    return false;
+  }
+
+  res.status(400).json({
+    success: false,
+    error: 'Validation failed',
+    details: errors.array(),
+  });
+  return true;
+}
+
+function sendJobNotFound(res, id) {
+  return res.status(404).json({
+    success: false,
+    error: 'Batch job not found',
+    code: 'BATCH_JOB_NOT_FOUND',
+    id,
+  });
+}
+
+/**
+ * Start a batch issuance job
+ * POST /api/batch
+ *
+ * Multipart body: `csv` (file, title and recipient columns, optionally
+ * description, documentType, issuedAt and any attribute columns), `archive`
+ * (ZIP holding the files the CSV names), `issuerAddress`, and `signature`
+ * and `deadline`: the issuer's EIP-191 signature of
+ * batchIssuanceService.getJobMessage. Rows are processed in the background;
+ * the response points at the job to poll.
+ */
+router.post(
+  '/',
+  batchUpload.fields([
+    { name: 'csv', maxCount: 1 },
+    { name: 'archive', maxCount: 1 },
+  ]),
+  [
+    body('issuerAddress').matches(/^0x[a-fA-F0-9]{40}$/),
+    body('signature').matches(/^0x[a-fA-F0-9]{130}$/),
+    body('deadline').isInt({ min: 1 }).toInt(),
+    body('network')
+      .optional()
+      .isIn(['mumbai', 'polygon', 'goerli', 'mainnet', 'localhost']),
+  ],
+  async (req, res) => {
+    const [csv] = req.files?.csv || [];
+    const [archive] = req.files?.archive || [];
+
+    try {
+      if (sendValidationErrors(req, res)) {
+        if (archive) await removeTempFile(archive.path);
+        return;
+      }
+
+      if (!csv || !archive) {
+        if (archive) await removeTempFile(archive.path);
+        return res.status(400).json({
+          success: false,
+          error: 'A csv and an archive file are required',
+          code: 'NO_FILE_UPLOADED',
+        });
+      }
+
+      logger.apiRequest(
+        req.method,
+        req.originalUrl,
+        req.ip,
+        req.get('User-Agent')
+      );
+
+      // The job owns the archive from here and removes it once done
+      const job = await batchIssuanceService.createJob({
+        csvPath: csv.path,
+        archivePath: archive.path,
+        issuerAddress: req.body.issuerAddress,
+        network: req.body.network || config.blockchain.defaultNetwork,
+        signature: req.body.signature,
+        deadline: req.body.deadline,
+      });
+
+      logger.apiResponse(req.method, req.originalUrl, 202, 0);
+
+      res.status(202).json({
+        success: true,
+        message: 'Batch issuance job started',
+        data: {
+          job,
+          links: {
+            status: `/api/batch/${job.id}`,
+            plan: `/api/batch/${job.id}/plan`,
+            anchor: `/api/batch/${job.id}/anchor`,
+            report: `/api/batch/${job.id}/report`,
+          },
+        },
+      });
+    } catch (error) {
+      if (archive) await removeTempFile(archive.path);
+
+      if (BATCH_ERRORS.includes(error.code)) {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+          code: error.code,
+        });
+      }
+
+      if (SIGNATURE_ERRORS[error.code]) {
+        return res.status(SIGNATURE_ERRORS[error.code]).json({
+          success: false,
+          error: error.message,
+          code: error.code,
+        });
+      }
+
+      logger.apiError(req.method, req.originalUrl, 500, error, req.ip);
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to start batch issuance',
+        message: error.message,
+        code: 'BATCH_CREATION_FAILED',
+      });
+    } finally {
+      if (csv) await removeTempFile(csv.path);
+    }
+  }
+);
+
+/**
+ * Get a job with the status of each row
+ * GET /api/batch/:id
+ */
+router.get(
+  '/:id',
+  [
+    jobIdValidation,
+    query('status').optional().isIn(['pending', 'ready', 'failed']),
+  ],
+  (req, res) => {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const job = batchIssuanceService.getJob(req.params.id);
+      if (!job) {
+        return sendJobNotFound(res, req.params.id);
+      }
+
+      const rows = batchIssuanceService
+        .getRows(req.params.id)
+        .filter((row) => !req.query.status || row.status === req.query.status);
+
+      res.status(200).json({
+        success: true,
+        data: { job, rows },
+      });
+    } catch (error) {
+      logger.apiError(req.method, req.originalUrl, 500, error, req.ip);
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve batch job',
+        message: error.message,
+        code: 'BATCH_RETRIEVAL_FAILED',
+      });
+    }
+  }
+);
+
+/**
+ * Get the mint plan of a job: the CertiProofNFT.mint arguments of every
+ * ready row
+ * GET /api/batch/:id/plan
+ */
+router.get('/:id/plan', [jobIdValidation], (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const plan = batchIssuanceService.getMintPlan(req.params.id);
+    if (!plan) {
+      return sendJobNotFound(res, req.params.id);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: plan,
+    });
+  } catch (error) {
+    logger.apiError(req.method, req.originalUrl, 500, error, req.ip);
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build mint plan',
+      message: error.message,
+      code: 'BATCH_PLAN_FAILED',
+    });
+  }
+});
+
+/**
+ * Anchor the ready rows of a job under one Merkle root, as an alternative
+ * to the mint plan
+ * POST /api/batch/:id/anchor
+ *
+ * Returns the CertiProofNFT.anchorRoot arguments. Once the issuer wallet has
+ * sent them, each document is proven by its file from
+ * GET /api/batch/:id/proofs/:row.
+ */
+router.post(
+  '/:id/anchor',
+  [
+    jobIdValidation,
+    body('title').optional().isString().trim().isLength({ min: 1, max: 200 }),
+    body('documentType')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 }),
+  ],
+  async (req, res) => {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      logger.apiRequest(
+        req.method,
+        req.originalUrl,
+        req.ip,
+        req.get('User-Agent')
+      );
+
+      const plan = await batchIssuanceService.createAnchor(req.params.id, {
+        title: req.body.title,
+        documentType: req.body.documentType,
+      });
+      if (!plan) {
+        return sendJobNotFound(res, req.params.id);
+      }
+
+      logger.apiResponse(req.method, req.originalUrl, 200, 0);
+
+      res.status(200).json({
+        success: true,
+        data: plan,
+      });
+    } catch (error) {
+      if (ANCHOR_ERRORS.includes(error.code)) {
+        return res.status(409).json({
+          success: false,
+          error: error.message,
+          code: error.code,
+        });
+      }
+
+      logger.apiError(req.method, req.originalUrl, 500, error, req.ip);
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to anchor batch',
+        message: error.message,
+        code: 'BATCH_ANCHOR_FAILED',
+      });
+    }
+  }
+);
+
+/**
+ * Get the anchor plan of a job
+ * GET /api/batch/:id/anchor
+ */
+router.get('/:id/anchor', [jobIdValidation], (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    if (!batchIssuanceService.getJob(req.params.id)) {
+      return sendJobNotFound(res, req.params.id);
+    }
+
+    const plan = batchIssuanceService.getAnchorPlan(req.params.id);
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        error: 'Batch job is not anchored',
+        code: 'ANCHOR_NOT_FOUND',
+        id: req.params.id,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: plan,
+    });
+  } catch (error) {
+    logger.apiError(req.method, req.originalUrl, 500, error, req.ip);
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve anchor plan',
+      message: error.message,
+      code: 'BATCH_ANCHOR_RETRIEVAL_FAILED',
+    });
+  }
+});
+
+/**
+ * Download the inclusion proof file of an anchored row
+ * GET /api/batch/:id/proofs/:row
+ */
+router.get(
+  '/:id/proofs/:row',
+  [jobIdValidation, param('row').isInt({ min: 1 }).toInt()],
+  (req, res) => {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      if (!batchIssuanceService.getJob(req.params.id)) {
+        return sendJobNotFound(res, req.params.id);
+      }
+
+      const proof = batchIssuanceService.getAnchorProof(
+        req.params.id,
+        req.params.row
+      );
+      if (!proof) {
+        return res.status(404).json({
+          success: false,
+          error: 'No anchor proof for this row',
+          code: 'ANCHOR_PROOF_NOT_FOUND',
+          id: req.params.id,
+          row: req.params.row,
+        });
+      }
+
+      res.set(
+        'Content-Disposition',
+        `attachment; filename="${proof.documentHash}.proof.json"`
+      );
+      res.status(200).json(proof);
+    } catch (error) {
+      logger.apiError(req.method, req.originalUrl, 500, error, req.ip);
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to build anchor proof',
+        message: error.message,
+        code: 'BATCH_PROOF_FAILED',
+      });
+    }
+  }
+);
+
+/**
+ * Download the outcome of every row as CSV
+ * GET /api/batch/:id/report
+ */
+router.get('/:id/report', [jobIdValidation], (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const report = batchIssuanceService.getReport(req.params.id);
+    if (report === null) {
+      return sendJobNotFound(res, req.params.id);
+    }
+
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="batch-${req.params.id}-report.csv"`,
+    });
+    res.status(200).send(report);
+  } catch (error) {
+    logger.apiError(req.method, req.originalUrl, 500, error, req.ip);
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build report',
+      message: error.message,
+      code: 'BATCH_REPORT_FAILED',
+    });
+  }
+});
+
+module.exports = router;
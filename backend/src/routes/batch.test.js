@@ -0,0 +1,413 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { ethers } = require('ethers');
+
+// Mock the IPFS service before requiring the server
+jest.mock('../services/ipfsService', () => {
+  let uploads = 0;
+  const upload = () => {
+    uploads += 1;
+    return Promise.resolve({ hash: `bafybatch${uploads}` });
+  };
+
+  return {
+    getStatus: jest.fn().mockResolvedValue({ provider: 'mock' }),
+    uploadFile: jest.fn(upload),
+    uploadMetadata: jest.fn(upload),
+  };
+});
+
+const config = require('../config/config');
+const ipfsService = require('../services/ipfsService');
+const anchorService = require('../services/anchorService');
+const batchIssuanceService = require('../services/batchIssuanceService');
+const { getDatabase } = require('../utils/database');
+const { generateSHA256 } = require('../utils/crypto');
+const { verifyMerkleProof } = require('../utils/merkle');
+const { createZip } = require('../__fixtures__/zip');
+const app = require('../server');
+
+config.database.url = 'sqlite::memory:';
+
+describe('Batch issuance routes', () => {
+  const issuerWallet = ethers.Wallet.createRandom();
+  const issuer = issuerWallet.address;
+  const alice = ethers.Wallet.createRandom().address;
+  const bob = ethers.Wallet.createRandom().address;
+
+  const ALICE_DIPLOMA = Buffer.from('Diploma of Alice, MSc Computer Science\n');
+  const BOB_DIPLOMA = Buffer.from('Diploma of Bob, MSc Mathematics\n');
+
+  // Fields of a job request over these files, signed by the issuer
+  const signJob = async (
+    csv,
+    archive,
+    { signer = issuerWallet, deadline } = {}
+  ) => {
+    const signedDeadline = deadline ?? Math.floor(Date.now() / 1000) + 3600;
+    const message = batchIssuanceService.getJobMessage({
+      issuerAddress: issuer,
+      network: config.blockchain.defaultNetwork,
+      csvHash: await generateSHA256(Buffer.from(csv)),
+      archiveHash: await generateSHA256(archive),
+      deadline: signedDeadline,
+    });
+
+    return {
+      issuerAddress: issuer,
+      signature: await signer.signMessage(message),
+      deadline: String(signedDeadline),
+    };
+  };
+
+  const startJob = async (csv, archive, fields) => {
+    const req = request(app).post('/api/batch');
+    Object.entries(fields || (await signJob(csv, archive))).forEach(
+      ([name, value]) => req.field(name, value)
+    );
+    return req
+      .attach('csv', Buffer.from(csv), 'graduates.csv')
+      .attach('archive', archive, 'diplomas.zip');
+  };
+
+  const waitForJob = async (id) => {
+    for (let attempt = 0; attempt < 100; attempt++) {
+      const response = await request(app).get(`/api/batch/${id}`);
+      if (response.body.data.job.status !== 'processing') {
+        return response.body.data;
+      }
+      await new Promise((resolve) => setTimeout(resolve, 50));
+    }
+    throw new Error(`Batch job ${id} did not finish`);
+  };
+
+  test('prepares every row and reports the ones that fail', async () => {
+    const csv = [
+      'file,title,recipient,Degree,Grade',
+      `diplomas/alice.txt,MSc Computer Science,${alice},MSc,17`,
+      `diplomas/bob.txt,"MSc Mathematics, with honours",${bob},MSc,`,
+      `diplomas/missing.txt,MSc Physics,${bob},MSc,12`,
+      `diplomas/copy.txt,MSc Computer Science,${bob},MSc,17`,
+      `diplomas/carol.txt,MSc Mathematics,not-an-address,MSc,15`,
+    ].join('\n');
+    const archive = createZip([
+      { name: 'diplomas/alice.txt', content: ALICE_DIPLOMA, method: 8 },
+      { name: 'diplomas/bob.txt', content: BOB_DIPLOMA, method: 8 },
+      { name: 'diplomas/copy.txt', content: ALICE_DIPLOMA, method: 8 },
+      {
+        name: 'diplomas/carol.txt',
+        content: Buffer.from('Diploma of Carol\n'),
+        method: 8,
+      },
+    ]);
+
+    const started = await startJob(csv, archive);
+    expect(started.status).toBe(202);
+    expect(started.body.data.job.rows).toMatchObject({ total: 5 });
+
+    const { job, rows } = await waitForJob(started.body.data.job.id);
+    expect(job.status).toBe('completed');
+    expect(job.rows).toEqual({ total: 5, pending: 0, ready: 2, failed: 3 });
+
+    const aliceHash = await generateSHA256(ALICE_DIPLOMA);
+    expect(rows[0]).toMatchObject({
+      row: 1,
+      status: 'ready',
+      documentHash: aliceHash,
+      tokenURI: expect.stringMatching(/^ipfs:\/\/bafybatch\d+$/),
+    });
+    expect(rows.slice(2).map((row) => row.error)).toEqual([
+      'diplomas/missing.txt is not in the archive',
+      'Same document as row 1',
+      'Invalid recipient address format',
+    ]);
+
+    // Document, certificate PDF and metadata for each ready row
+    expect(ipfsService.uploadFile).toHaveBeenCalledTimes(4);
+    expect(ipfsService.uploadMetadata).toHaveBeenCalledTimes(2);
+    const [metadata] = ipfsService.uploadMetadata.mock.calls[0];
+    expect(metadata.attributes).toEqual(
+      expect.arrayContaining([
+        { trait_type: 'Document Hash', value: `0x${aliceHash}` },
+        { trait_type: 'Degree', value: 'MSc' },
+        { trait_type: 'Grade', value: '17' },
+      ])
+    );
+
+    const plan = await request(app).get(`/api/batch/${job.id}/plan`);
+    expect(plan.status).toBe(200);
+    expect(plan.body.data.mints).toEqual([
+      {
+        row: 1,
+        recipient: alice,
+        documentHash: aliceHash,
+        tokenURI: rows[0].tokenURI,
+        documentType: 'Digital Document',
+        title: 'MSc Computer Science',
+        locked: false,
+      },
+      expect.objectContaining({
+        row: 2,
+        recipient: bob,
+        title: 'MSc Mathematics, with honours',
+      }),
+    ]);
+    expect(plan.body.data.skipped.map((row) => row.row)).toEqual([3, 4, 5]);
+
+    const report = await request(app).get(`/api/batch/${job.id}/report`);
+    expect(report.status).toBe(200);
+    expect(report.headers['content-type']).toMatch(/text\/csv/);
+    expect(report.headers['content-disposition']).toContain('attachment');
+    const lines = report.text.trim().split('\r\n');
+    expect(lines[0]).toBe(
+      'row,file,title,recipient,status,documentHash,ipfsHash,certificateIpfsHash,tokenURI,error'
+    );
+    expect(lines[2]).toContain('"MSc Mathematics, with honours"');
+    expect(lines[4]).toMatch(/,failed,,,,,Same document as row 1$/);
+  });
+
+  test('anchors the ready rows under one root with a proof per row', async () => {
+    const csv = [
+      'file,title,recipient',
+      `alice.txt,MSc Computer Science,${alice}`,
+      `missing.txt,MSc Physics,${bob}`,
+      `bob.txt,MSc Mathematics,${bob}`,
+    ].join('\n');
+    const started = await startJob(
+      csv,
+      createZip([
+        { name: 'alice.txt', content: ALICE_DIPLOMA, method: 8 },
+        { name: 'bob.txt', content: BOB_DIPLOMA, method: 8 },
+      ])
+    );
+    const { job, rows } = await waitForJob(started.body.data.job.id);
+
+    const notAnchored = await request(app).get(`/api/batch/${job.id}/anchor`);
+    expect(notAnchored.status).toBe(404);
+    expect(notAnchored.body.code).toBe('ANCHOR_NOT_FOUND');
+
+    const anchored = await request(app)
+      .post(`/api/batch/${job.id}/anchor`)
+      .send({ title: 'Class of 2026', documentType: 'diploma' });
+    expect(anchored.status).toBe(200);
+    const { anchor } = anchored.body.data;
+    expect(anchor).toEqual({
+      root: expect.stringMatching(/^0x[0-9a-f]{64}$/),
+      documentCount: 2,
+      ipfsURI: expect.stringMatching(/^ipfs:\/\/bafybatch\d+$/),
+      documentType: 'diploma',
+      title: 'Class of 2026',
+    });
+
+    // The manifest lists every leaf, so the proofs can be rebuilt from IPFS
+    const [manifest] = ipfsService.uploadMetadata.mock.calls.at(-1);
+    expect(`0x${manifest.root}`).toBe(anchor.root);
+    expect(manifest.documents.map((document) => document.documentHash)).toEqual(
+      [rows[0].documentHash, rows[2].documentHash]
+    );
+
+    const again = await request(app).post(`/api/batch/${job.id}/anchor`);
+    expect(again.body.data.anchor.root).toBe(anchor.root);
+
+    const proof = await request(app).get(`/api/batch/${job.id}/proofs/3`);
+    expect(proof.status).toBe(200);
+    expect(proof.headers['content-disposition']).toContain(
+      `${rows[2].documentHash}.proof.json`
+    );
+    expect(proof.body).toMatchObject({
+      format: 'certiproof-anchor-proof-v1',
+      network: config.blockchain.defaultNetwork,
+      root: anchor.root.slice(2),
+      documentHash: rows[2].documentHash,
+      ipfsURI: `ipfs://${rows[2].ipfsHash}`,
+      document: { title: 'MSc Mathematics', recipient: bob },
+    });
+    expect(
+      verifyMerkleProof(
+        anchorService.hashDocumentLeaf(
+          proof.body.documentHash,
+          proof.body.ipfsURI
+        ),
+        proof.body.proof,
+        proof.body.root
+      )
+    ).toBe(true);
+
+    const failedRow = await request(app).get(`/api/batch/${job.id}/proofs/2`);
+    expect(failedRow.status).toBe(404);
+    expect(failedRow.body.code).toBe('ANCHOR_PROOF_NOT_FOUND');
+  });
+
+  test('refuses a CSV without the required columns', async () => {
+    const response = await startJob(
+      'file,title\ndiplomas/alice.txt,MSc\n',
+      createZip([
+        { name: 'diplomas/alice.txt', content: ALICE_DIPLOMA, method: 8 },
+      ])
+    );
+
+    expect(response.status).toBe(400);
+    expect(response.body.code).toBe('INVALID_CSV');
+    expect(response.body.error).toBe('CSV is missing the recipient column');
+  });
+
+  test('refuses jobs the issuer did not sign', async () => {
+    const csv = `file,title,recipient\na.txt,MSc,${alice}\n`;
+    const archive = createZip([{ name: 'a.txt', content: ALICE_DIPLOMA }]);
+    ipfsService.uploadFile.mockClear();
+
+    const otherSigner = await startJob(
+      csv,
+      archive,
+      await signJob(csv, archive, { signer: ethers.Wallet.createRandom() })
+    );
+    expect(otherSigner.status).toBe(403);
+    expect(otherSigner.body.code).toBe('INVALID_SIGNATURE');
+
+    // Signed for other documents
+    const otherArchive = await startJob(
+      csv,
+      createZip([{ name: 'a.txt', content: BOB_DIPLOMA }]),
+      await signJob(csv, archive)
+    );
+    expect(otherArchive.status).toBe(403);
+    expect(otherArchive.body.code).toBe('INVALID_SIGNATURE');
+
+    const expired = await startJob(
+      csv,
+      archive,
+      await signJob(csv, archive, { deadline: 1 })
+    );
+    expect(expired.status).toBe(401);
+    expect(expired.body.code).toBe('SIGNATURE_EXPIRED');
+
+    const unsigned = await startJob(csv, archive, { issuerAddress: issuer });
+    expect(unsigned.status).toBe(400);
+
+    expect(ipfsService.uploadFile).not.toHaveBeenCalled();
+  });
+
+  test('starts one job per signature', async () => {
+    const csv = `file,title,recipient\na.txt,MSc,${alice}\n`;
+    const archive = createZip([{ name: 'a.txt', content: ALICE_DIPLOMA }]);
+    const fields = await signJob(csv, archive);
+
+    const started = await startJob(csv, archive, fields);
+    expect(started.status).toBe(202);
+    await waitForJob(started.body.data.job.id);
+
+    const replayed = await startJob(csv, archive, fields);
+    expect(replayed.status).toBe(409);
+    expect(replayed.body.code).toBe('SIGNATURE_ALREADY_USED');
+  });
+
+  test('refuses a broken archive and missing files', async () => {
+    const broken = await startJob(
+      `file,title,recipient\na.txt,MSc,${alice}\n`,
+      Buffer.from('not a zip')
+    );
+    expect(broken.status).toBe(400);
+    expect(broken.body.code).toBe('INVALID_FILE_STRUCTURE');
+
+    const noIssuer = await startJob(
+      `file,title,recipient\na.txt,MSc,${alice}\n`,
+      createZip([{ name: 'a.txt', content: ALICE_DIPLOMA, method: 8 }]),
+      {}
+    );
+    expect(noIssuer.status).toBe(400);
+
+    const { signature, deadline } = await signJob(
+      'file,title,recipient\n',
+      Buffer.alloc(0)
+    );
+    const noArchive = await request(app)
+      .post('/api/batch')
+      .field('issuerAddress', issuer)
+      .field('signature', signature)
+      .field('deadline', deadline)
+      .attach('csv', Buffer.from('file,title,recipient\n'), 'graduates.csv');
+    expect(noArchive.status).toBe(400);
+    expect(noArchive.body.code).toBe('NO_FILE_UPLOADED');
+  });
+
+  test('resumes the jobs a restart interrupted', async () => {
+    const id = '00000000-0000-4000-8000-0000000000a1';
+    const archivePath = path.join(os.tmpdir(), `certiproof-batch-${id}.zip`);
+    await fs.promises.writeFile(
+      archivePath,
+      createZip([
+        { name: 'diplomas/alice.txt', content: ALICE_DIPLOMA, method: 8 },
+        { name: 'diplomas/bob.txt', content: BOB_DIPLOMA, method: 8 },
+      ])
+    );
+
+    // The server stopped after preparing row 1
+    batchIssuanceService.initialize();
+    const db = getDatabase();
+    db.prepare(
+      `INSERT INTO batch_jobs (id, status, issuer, network, signature, archive_path, created_at)
+       VALUES (?, 'processing', ?, 'localhost', ?, ?, ?)`
+    ).run(
+      id,
+      issuer,
+      `0x${'a1'.repeat(65)}`,
+      archivePath,
+      new Date().toISOString()
+    );
+    db.prepare(
+      `INSERT INTO batch_rows (job_id, row_number, data, status, document_hash)
+       VALUES (?, 1, ?, 'ready', ?)`
+    ).run(
+      id,
+      JSON.stringify({
+        file: 'diplomas/alice.txt',
+        title: 'MSc Computer Science',
+        recipient: alice,
+      }),
+      await generateSHA256(ALICE_DIPLOMA)
+    );
+    db.prepare(
+      `INSERT INTO batch_rows (job_id, row_number, data, status)
+       VALUES (?, 2, ?, 'pending')`
+    ).run(
+      id,
+      JSON.stringify({
+        file: 'diplomas/bob.txt',
+        title: 'MSc Mathematics',
+        recipient: bob,
+      })
+    );
+    ipfsService.uploadFile.mockClear();
+
+    // What the server runs on startup
+    batchIssuanceService.db = null;
+    batchIssuanceService.initialize();
+
+    const { job, rows } = await waitForJob(id);
+    expect(job.status).toBe('completed');
+    expect(job.rows).toEqual({ total: 2, pending: 0, ready: 2, failed: 0 });
+    expect(rows[1]).toMatchObject({
+      row: 2,
+      status: 'ready',
+      documentHash: await generateSHA256(BOB_DIPLOMA),
+    });
+    // Only the pending row was prepared again: document and certificate PDF
+    expect(ipfsService.uploadFile).toHaveBeenCalledTimes(2);
+    expect(fs.existsSync(archivePath)).toBe(false);
+  });
+
+  test('returns 404 for an unknown job', async () => {
+    const id = '00000000-0000-4000-8000-000000000000';
+
+    expect((await request(app).get(`/api/batch/${id}`)).status).toBe(404);
+    expect((await request(app).get(`/api/batch/${id}/plan`)).status).toBe(404);
+    expect((await request(app).get(`/api/batch/${id}/report`)).status).toBe(
+      404
+    );
+    expect((await request(app).post(`/api/batch/${id}/anchor`)).status).toBe(
+      404
+    );
+  });
+});
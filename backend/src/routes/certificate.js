@@ -14,6 +14,29 @@ const ipfsService = require('../services/ipfsService');
 
 const router = express.Router();
 
+const metadataFormatValidation = body('metadataFormat')
+  .optional()
+  .isIn(['standard', 'selective-disclosure']);
+
+/**
+ * Generate metadata in the requested format
+ *
+ * The selective disclosure holds every salt, so it goes back to the caller
+ * for the holder and is never pinned with the metadata.
+ * @param {Object} certificateData - Certificate information
+ * @returns {Object} - { metadata, disclosure }, disclosure null by default
+ */
+function buildMetadata(certificateData) {
+  if (certificateData.metadataFormat === 'selective-disclosure') {
+    return certificateService.generateDisclosureMetadata(certificateData);
+  }
+
+  return {
+    metadata: certificateService.generateMetadata(certificateData),
+    disclosure: null,
+  };
+}
+
 /**
  * Generate certificate PDF
  * POST /api/certificate/generate
@@ -41,6 +64,7 @@ router.post(
     body('verificationUrl').optional().isURL(),
     body('metadata').optional().isObject(),
     body('attributes').optional().isArray(),
+    metadataFormatValidation,
   ],
   async (req, res) => {
     try {
@@ -81,7 +105,7 @@ router.post(
         await certificateService.generateCertificatePDF(certificateData);
 
       // Generate metadata for the certificate
-      const metadata = certificateService.generateMetadata({
+      const { metadata, disclosure } = buildMetadata({
         ...certificateData,
         generatedAt: new Date().toISOString(),
       });
@@ -106,6 +130,7 @@ router.post(
             mimeType: pdfResult.mimeType,
           },
           metadata,
+          disclosure,
           processingTime: `${processingTime}ms`,
           generatedAt: new Date().toISOString(),
         },
@@ -153,6 +178,7 @@ router.post(
     body('tokenId').optional().isNumeric(),
     body('documentType').optional().isString().isLength({ max: 100 }).trim(),
     body('uploadToIpfs').optional().isBoolean(),
+    metadataFormatValidation,
   ],
   async (req, res) => {
     try {
@@ -187,7 +213,7 @@ router.post(
         await certificateService.generateCertificatePDF(certificateData);
 
       // Generate metadata
-      const metadata = certificateService.generateMetadata(certificateData);
+      const { metadata, disclosure } = buildMetadata(certificateData);
 
       let ipfsResults = null;
 
@@ -236,6 +262,7 @@ router.post(
             mimeType: pdfResult.mimeType,
           },
           metadata,
+          disclosure,
           ipfs: ipfsResults,
           processingTime: `${processingTime}ms`,
           generatedAt: new Date().toISOString(),
@@ -391,6 +418,7 @@ router.post(
     body('documentType').optional().isString().isLength({ max: 100 }).trim(),
     body('verificationUrl').optional().isURL(),
     body('uploadToIpfs').optional().isBoolean(),
+    metadataFormatValidation,
   ],
   async (req, res) => {
     try {
@@ -436,7 +464,7 @@ router.post(
         await certificateService.generateStandaloneQR(verificationUrl);
 
       // Generate metadata
-      const metadata = certificateService.generateMetadata(certificateData);
+      const { metadata, disclosure } = buildMetadata(certificateData);
 
       let ipfsResults = null;
 
@@ -494,6 +522,7 @@ router.post(
             verificationUrl,
           },
           metadata,
+          disclosure,
           ipfs: ipfsResults,
           processingTime: `${processingTime}ms`,
           generatedAt: new Date().toISOString(),
@@ -9,6 +9,7 @@ const express = require('express');
 const config = require('../config/config');
 const logger = require('../utils/logger');
 const ipfsService = require('../services/ipfsService');
+const indexerService = require('../services/indexerService');
 
 const router = express.Router();
 
@@ -80,7 +81,7 @@ router.get('/detailed', async (req, res) => {
     let ipfsStatus;
     try {
       ipfsStatus = await ipfsService.getStatus();
-      ipfsStatus.healthy = true;
+      ipfsStatus.healthy = ipfsStatus.operational;
       ipfsStatus.responseTime = '< 100ms'; // Would measure actual response time
     } catch (error) {
       ipfsStatus = {
@@ -164,6 +165,8 @@ router.get('/detailed', async (req, res) => {
       },
       dependencies: {
         ipfs: ipfsStatus,
+        gateways: ipfsService.gatewayPool.getStatus(),
+        indexer: indexerService.getStatus(),
       },
       configuration: {
         upload: {
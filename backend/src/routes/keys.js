@@ -0,0 +1,142 @@
+/**
+ * Encryption key routes for CertiProof X Backend
+ * Author: Kai Zenjiro (0xGenesis) - certiproofx@protonmail.me
+ *
+ * Publishes the public keys encrypted documents are wrapped to
+ */
+
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const logger = require('../utils/logger');
+const encryptionKeyService = require('../services/encryptionKeyService');
+
+const router = express.Router();
+
+const addressValidation = param('address').matches(/^0x[a-fA-F0-9]{40}$/);
+
+/**
+ * Get the encryption public key of a wallet
+ * GET /api/keys/:address
+ */
+router.get('/:address', [addressValidation], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array(),
+      });
+    }
+
+    const key = encryptionKeyService.getKey(req.params.address);
+
+    if (!key) {
+      return res.status(404).json({
+        success: false,
+        error: 'No encryption key registered for this address',
+        code: 'KEY_NOT_FOUND',
+        address: req.params.address,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: key,
+    });
+  } catch (error) {
+    logger.apiError(req.method, req.originalUrl, 500, error, req.ip);
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve encryption key',
+      message: error.message,
+      code: 'KEY_RETRIEVAL_FAILED',
+    });
+  }
+});
+
+/**
+ * Register the encryption public key of a wallet
+ * PUT /api/keys/:address
+ *
+ * The body carries the public key, the date and nonce of the registration
+ * and the wallet signature of encryptionKeyService.getRegistrationMessage.
+ */
+router.put(
+  '/:address',
+  [
+    addressValidation,
+    body('publicKey').matches(/^0x(0[23][0-9a-fA-F]{64}|04[0-9a-fA-F]{128})$/),
+    body('signature').matches(/^0x[0-9a-fA-F]{130}$/),
+    body('issuedAt').isISO8601(),
+    body('nonce').matches(/^[0-9a-fA-F]{16,64}$/),
+  ],
+  (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: errors.array(),
+        });
+      }
+
+      logger.apiRequest(
+        req.method,
+        req.originalUrl,
+        req.ip,
+        req.get('User-Agent')
+      );
+
+      const { publicKey, signature, issuedAt, nonce } = req.body;
+      const key = encryptionKeyService.registerKey({
+        address: req.params.address,
+        publicKey,
+        signature,
+        issuedAt,
+        nonce,
+      });
+
+      logger.apiResponse(req.method, req.originalUrl, 200, 0);
+
+      res.status(200).json({
+        success: true,
+        message: 'Encryption key registered',
+        data: key,
+      });
+    } catch (error) {
+      if (error.code === 'STALE_REGISTRATION') {
+        return res.status(409).json({
+          success: false,
+          error: error.message,
+          code: error.code,
+        });
+      }
+
+      if (
+        error.code === 'INVALID_PUBLIC_KEY' ||
+        error.code === 'INVALID_SIGNATURE' ||
+        error.code === 'INVALID_ISSUED_AT'
+      ) {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+          code: error.code,
+        });
+      }
+
+      logger.apiError(req.method, req.originalUrl, 500, error, req.ip);
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to register encryption key',
+        message: error.message,
+        code: 'KEY_REGISTRATION_FAILED',
+      });
+    }
+  }
+);
+
+module.exports = router;
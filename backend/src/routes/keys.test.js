@@ -0,0 +1,170 @@
+const request = require('supertest');
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+
+// Mock the IPFS service before requiring the server
+jest.mock('../services/ipfsService', () => ({
+  getStatus: jest.fn().mockResolvedValue({ provider: 'mock' }),
+}));
+
+const config = require('../config/config');
+const encryptionKeyService = require('../services/encryptionKeyService');
+const { closeDatabase } = require('../utils/database');
+const app = require('../server');
+
+describe('Encryption key routes', () => {
+  const wallet = ethers.Wallet.createRandom();
+  // Stands in for the key pair the frontend derives from a signed message
+  const encryptionKey = ethers.Wallet.createRandom().signingKey;
+  const publicKey = encryptionKey.compressedPublicKey;
+
+  // Registration body signed by `signer` for `address`
+  const register = async (
+    signer,
+    address,
+    key = publicKey,
+    issuedAt = new Date().toISOString()
+  ) => {
+    const registration = {
+      address,
+      publicKey: key,
+      issuedAt,
+      nonce: crypto.randomBytes(16).toString('hex'),
+    };
+    const signature = await signer.signMessage(
+      encryptionKeyService.getRegistrationMessage(registration)
+    );
+    return { publicKey: key, issuedAt, nonce: registration.nonce, signature };
+  };
+
+  beforeAll(() => {
+    closeDatabase();
+    config.database.url = 'sqlite::memory:';
+  });
+
+  afterAll(() => {
+    closeDatabase();
+  });
+
+  test('registers a key signed by the wallet', async () => {
+    const registered = await request(app)
+      .put(`/api/keys/${wallet.address}`)
+      .send(await register(wallet, wallet.address));
+
+    expect(registered.status).toBe(200);
+    expect(registered.body.data).toMatchObject({
+      address: wallet.address,
+      publicKey,
+    });
+
+    const found = await request(app).get(
+      `/api/keys/${wallet.address.toLowerCase()}`
+    );
+    expect(found.status).toBe(200);
+    expect(found.body.data.publicKey).toBe(publicKey);
+  });
+
+  test('accepts uncompressed keys and stores them compressed', async () => {
+    const other = ethers.Wallet.createRandom();
+    const response = await request(app)
+      .put(`/api/keys/${other.address}`)
+      .send({
+        ...(await register(other, other.address)),
+        publicKey: encryptionKey.publicKey,
+      });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.publicKey).toBe(publicKey);
+  });
+
+  test('refuses a key signed by another wallet', async () => {
+    const victim = ethers.Wallet.createRandom();
+    const response = await request(app)
+      .put(`/api/keys/${victim.address}`)
+      .send(await register(wallet, victim.address));
+
+    expect(response.status).toBe(400);
+    expect(response.body.code).toBe('INVALID_SIGNATURE');
+    expect(encryptionKeyService.getKey(victim.address)).toBeNull();
+  });
+
+  test('refuses a point that is not on the curve', async () => {
+    const response = await request(app)
+      .put(`/api/keys/${wallet.address}`)
+      .send({
+        publicKey: `0x02${'f'.repeat(64)}`,
+        signature: `0x${'1'.repeat(130)}`,
+        issuedAt: new Date().toISOString(),
+        nonce: 'a'.repeat(32),
+      });
+
+    expect(response.status).toBe(400);
+    expect(response.body.code).toBe('INVALID_PUBLIC_KEY');
+  });
+
+  test('refuses an earlier registration posted again after a rotation', async () => {
+    const owner = ethers.Wallet.createRandom();
+    const rotatedKey = ethers.Wallet.createRandom().signingKey;
+    const first = await register(
+      owner,
+      owner.address,
+      publicKey,
+      new Date(Date.now() - 60000).toISOString()
+    );
+    const second = await register(
+      owner,
+      owner.address,
+      rotatedKey.compressedPublicKey
+    );
+
+    expect(
+      (await request(app).put(`/api/keys/${owner.address}`).send(first)).status
+    ).toBe(200);
+    expect(
+      (await request(app).put(`/api/keys/${owner.address}`).send(second)).status
+    ).toBe(200);
+
+    const replayed = await request(app)
+      .put(`/api/keys/${owner.address}`)
+      .send(first);
+    expect(replayed.status).toBe(409);
+    expect(replayed.body.code).toBe('STALE_REGISTRATION');
+
+    const again = await request(app)
+      .put(`/api/keys/${owner.address}`)
+      .send(second);
+    expect(again.status).toBe(409);
+
+    const found = await request(app).get(`/api/keys/${owner.address}`);
+    expect(found.body.data).toMatchObject({
+      publicKey: rotatedKey.compressedPublicKey,
+      nonce: second.nonce,
+      registeredAt: second.issuedAt,
+    });
+  });
+
+  test('refuses registrations dated in the future', async () => {
+    const response = await request(app)
+      .put(`/api/keys/${wallet.address}`)
+      .send(
+        await register(
+          wallet,
+          wallet.address,
+          publicKey,
+          new Date(Date.now() + 3600000).toISOString()
+        )
+      );
+
+    expect(response.status).toBe(400);
+    expect(response.body.code).toBe('INVALID_ISSUED_AT');
+  });
+
+  test('returns 404 for a wallet without a key', async () => {
+    const response = await request(app).get(
+      `/api/keys/${ethers.Wallet.createRandom().address}`
+    );
+
+    expect(response.status).toBe(404);
+    expect(response.body.code).toBe('KEY_NOT_FOUND');
+  });
+});
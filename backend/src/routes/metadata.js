@@ -6,25 +6,30 @@
  */
 
 const express = require('express');
-const { param, query, validationResult } = require('express-validator');
+const { param, query, body, validationResult } = require('express-validator');
 const config = require('../config/config');
 const logger = require('../utils/logger');
 const ipfsService = require('../services/ipfsService');
 const certificateService = require('../services/certificateService');
+const blockchainService = require('../services/blockchainService');
+const indexerService = require('../services/indexerService');
 
 const router = express.Router();
 
+// Largest untyped IPFS file read when looking for stored metadata JSON
+const MAX_METADATA_SIZE = 1024 * 1024;
+
 /**
  * Get NFT metadata by token ID (ERC-721 standard)
  * GET /api/metadata/:tokenId
  */
 router.get(
-  '/:tokenId',
+  '/:tokenId(\\d+)',
   [
     param('tokenId').isNumeric().toInt(),
     query('network')
       .optional()
-      .isIn(['mumbai', 'polygon', 'goerli', 'mainnet']),
+      .isIn(['mumbai', 'polygon', 'goerli', 'mainnet', 'localhost']),
   ],
   async (req, res) => {
     try {
@@ -51,47 +56,50 @@ router.get(
         ip: req.ip,
       });
 
-      // This would typically fetch data from blockchain
-      // For now, we'll generate mock metadata
-      const mockCertificateData = {
-        title: 'Computer Science Degree',
-        description:
-          'Bachelor of Science in Computer Science from XYZ University',
-        documentHash:
-          '0x1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef',
-        ipfsHash: 'QmTestHash123456789',
-        issuerAddress: '0x1234567890123456789012345678901234567890',
-        recipientAddress: '0x0987654321098765432109876543210987654321',
-        tokenId,
-        documentType: 'diploma',
-        issuedAt: '2025-08-03T00:00:00.000Z',
-        attributes: [
-          {
-            trait_type: 'Institution',
-            value: 'XYZ University',
-          },
-          {
-            trait_type: 'Graduation Year',
-            value: '2025',
-          },
-          {
-            trait_type: 'Major',
-            value: 'Computer Science',
-          },
-        ],
-      };
+      const proof = await blockchainService.getProofByTokenId(tokenId, network);
+
+      if (!proof) {
+        logger.apiResponse(req.method, req.originalUrl, 404, 0);
+
+        return res.status(404).json({
+          success: false,
+          error: 'Token not found',
+          code: 'TOKEN_NOT_FOUND',
+          tokenId,
+          network,
+        });
+      }
 
-      // Generate standard ERC-721 metadata
-      const metadata = certificateService.generateMetadata(mockCertificateData);
+      // Use the JSON stored at tokenURI, or build it from the on-chain proof
+      const storedMetadata = await fetchStoredMetadata(proof.tokenURI);
+      const source = storedMetadata ? 'ipfs' : 'generated';
+
+      const metadata = storedMetadata
+        ? certificateService.applyVerificationStatus(
+            storedMetadata,
+            proof.isActive
+          )
+        : certificateService.generateMetadata({
+            title: proof.title,
+            documentHash: proof.documentHash,
+            ipfsHash: proof.ipfsHash,
+            issuerAddress: proof.issuer,
+            recipientAddress: proof.owner,
+            tokenId,
+            documentType: proof.documentType,
+            issuedAt: proof.issuedAt,
+            isActive: proof.isActive,
+          });
 
       // Add blockchain specific information
       metadata.blockchain = {
         network,
         tokenId,
-        contractAddress:
-          config.blockchain.networks[network]?.contractAddress ||
-          'Not deployed',
+        contractAddress: config.blockchain.networks[network].contractAddress,
         standard: 'ERC-721',
+        tokenURI: proof.tokenURI,
+        isActive: proof.isActive,
+        isLocked: proof.isLocked,
       };
 
       logger.apiResponse(req.method, req.originalUrl, 200, 0);
@@ -103,10 +111,15 @@ router.get(
         'Cache-Control': 'public, max-age=300', // 5 minutes cache
         'X-Token-ID': tokenId.toString(),
         'X-Network': network,
+        'X-Metadata-Source': source,
       });
 
       res.status(200).json(metadata);
     } catch (error) {
+      if (isBlockchainConfigError(error)) {
+        return sendBlockchainUnavailable(req, res, error);
+      }
+
       logger.apiError(req.method, req.originalUrl, 500, error, req.ip);
       logger.error('Metadata retrieval failed:', error);
 
@@ -165,7 +178,7 @@ router.get(
 
       try {
         metadata = JSON.parse(metadataBuffer.toString('utf8'));
-      } catch (parseError) {
+      } catch {
         return res.status(400).json({
           success: false,
           error: 'Invalid JSON metadata',
@@ -210,14 +223,27 @@ router.get(
 );
 
 /**
- * Update metadata for a token (admin only)
+ * Update NFT metadata (issuer only)
  * PUT /api/metadata/:tokenId
+ *
+ * The body carries the new metadata and a signature from the token's issuer
+ * over { tokenId, metadataHash, deadline }, either as EIP-712 typed data or
+ * as the EIP-191 message from blockchainService.getMetadataUpdateMessage.
+ * The JSON is uploaded to IPFS and the matching updateIpfsURI transaction is
+ * returned unsigned, or sent by the relayer when relay is true.
  */
 router.put(
   '/:tokenId',
   [
     param('tokenId').isNumeric().toInt(),
-    // This would typically require authentication middleware
+    query('network')
+      .optional()
+      .isIn(['mumbai', 'polygon', 'goerli', 'mainnet', 'localhost']),
+    body('metadata').isObject(),
+    body('signature').matches(/^0x[a-fA-F0-9]{130}$/),
+    body('deadline').isInt({ min: 1 }).toInt(),
+    body('signatureType').optional().isIn(['eip712', 'eip191']),
+    body('relay').optional().isBoolean().toBoolean(),
   ],
   async (req, res) => {
     try {
@@ -231,7 +257,8 @@ router.put(
       }
 
       const { tokenId } = req.params;
-      const updateData = req.body;
+      const network = req.query.network || config.blockchain.defaultNetwork;
+      const { metadata, signature, deadline, signatureType, relay } = req.body;
 
       logger.apiRequest(
         req.method,
@@ -239,24 +266,156 @@ router.put(
         req.ip,
         req.get('User-Agent')
       );
-      logger.info(`Updating metadata for token ID: ${tokenId}`, { ip: req.ip });
+      logger.info(`Updating metadata for token ID: ${tokenId}`, {
+        network,
+        relay: Boolean(relay),
+        ip: req.ip,
+      });
 
-      // This would typically:
-      // 1. Verify ownership/permissions
-      // 2. Update metadata on-chain or IPFS
-      // 3. Return updated metadata
+      if (deadline < Math.floor(Date.now() / 1000)) {
+        return res.status(401).json({
+          success: false,
+          error: 'Signature expired',
+          message: 'The signed deadline has passed',
+          code: 'SIGNATURE_EXPIRED',
+        });
+      }
 
-      // For now, return a mock response
-      logger.apiResponse(req.method, req.originalUrl, 501, 0);
+      const proof = await blockchainService.getProofByTokenId(tokenId, network);
 
-      res.status(501).json({
-        success: false,
-        error: 'Metadata updates not yet implemented',
-        message: 'This feature will be available in a future version',
-        code: 'FEATURE_NOT_IMPLEMENTED',
+      if (!proof) {
+        return res.status(404).json({
+          success: false,
+          error: 'Token not found',
+          code: 'TOKEN_NOT_FOUND',
+          tokenId,
+          network,
+        });
+      }
+
+      // Same rule as the contract's notLocked modifier
+      if (proof.isLocked) {
+        return res.status(423).json({
+          success: false,
+          error: 'Proof is locked',
+          message: 'Locked proofs cannot be updated',
+          code: 'PROOF_LOCKED',
+          tokenId,
+        });
+      }
+
+      let signer;
+      try {
+        signer = blockchainService.recoverMetadataUpdateSigner(
+          { tokenId, metadata, deadline, signature, signatureType },
+          network
+        );
+      } catch (error) {
+        logger.warn(`Invalid metadata update signature: ${error.message}`);
+        signer = null;
+      }
+
+      if (!signer || signer.toLowerCase() !== proof.issuer.toLowerCase()) {
+        logger.security('Rejected metadata update signature', {
+          tokenId,
+          signer,
+          issuer: proof.issuer,
+          ip: req.ip,
+        });
+
+        return res.status(403).json({
+          success: false,
+          error: 'Signature verification failed',
+          message: 'Metadata updates must be signed by the token issuer',
+          code: 'NOT_TOKEN_ISSUER',
+        });
+      }
+
+      if (relay) {
+        blockchainService.getRelayer(network);
+      }
+
+      // Each signed update is accepted once, relayed or not, so an older
+      // signature can neither restore older metadata nor drain the relayer
+      const update = { tokenId, metadata, deadline };
+      if (!blockchainService.claimMetadataUpdate(update, network)) {
+        logger.security('Replayed metadata update signature', {
+          tokenId,
+          signer,
+          ip: req.ip,
+        });
+
+        return res.status(409).json({
+          success: false,
+          error: 'Signature already used',
+          message: 'This signed update has already been used',
+          code: 'SIGNATURE_ALREADY_USED',
+        });
+      }
+
+      let uploadResult;
+      let ipfsURI;
+      let transaction;
+      let relayed;
+      try {
+        uploadResult = await ipfsService.uploadMetadata(
+          metadata,
+          `metadata_${tokenId}.json`
+        );
+        ipfsURI = `ipfs://${uploadResult.hash}`;
+
+        transaction = blockchainService.buildUpdateIpfsURITransaction(
+          tokenId,
+          ipfsURI,
+          proof.issuer,
+          network
+        );
+        relayed = relay
+          ? await blockchainService.relayTransaction(transaction, network)
+          : null;
+      } catch (error) {
+        // Nothing was updated, the issuer may send the same signature again
+        blockchainService.releaseMetadataUpdate(update, network);
+        throw error;
+      }
+
+      logger.apiResponse(req.method, req.originalUrl, 200, 0);
+      logger.info(`Metadata update prepared for token ID: ${tokenId}`, {
+        ipfsHash: uploadResult.hash,
+        relayed: Boolean(relayed),
+      });
+
+      res.status(200).json({
+        success: true,
+        message: relayed
+          ? 'Metadata updated on-chain'
+          : 'Metadata uploaded, sign the transaction to update the token',
+        data: {
+          tokenId,
+          network,
+          ipfs: {
+            hash: uploadResult.hash,
+            url: uploadResult.ipfsUrl,
+            gatewayUrl: uploadResult.gatewayUrl,
+            provider: uploadResult.provider,
+          },
+          ipfsURI,
+          previousIpfsURI: proof.ipfsURI,
+          transaction: relayed ? null : transaction,
+          relayed,
+          metadata,
+        },
       });
     } catch (error) {
+      if (
+        isBlockchainConfigError(error) ||
+        error.code === 'RELAYER_NOT_CONFIGURED'
+      ) {
+        return sendBlockchainUnavailable(req, res, error);
+      }
+
       logger.apiError(req.method, req.originalUrl, 500, error, req.ip);
+      logger.error('Metadata update failed:', error);
 
       res.status(500).json({
         success: false,
@@ -277,10 +436,19 @@ router.get(
   [
     query('network')
       .optional()
-      .isIn(['mumbai', 'polygon', 'goerli', 'mainnet']),
+      .isIn(['mumbai', 'polygon', 'goerli', 'mainnet', 'localhost']),
   ],
   async (req, res) => {
     try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: errors.array(),
+        });
+      }
+
       const network = req.query.network || config.blockchain.defaultNetwork;
 
       logger.apiRequest(
@@ -291,6 +459,12 @@ router.get(
       );
       logger.info('Retrieving collection metadata', { network, ip: req.ip });
 
+      const totalSupply = await blockchainService.getTotalSupply(network);
+
+      // Holders, verifications and breakdowns need the event index
+      const indexed = indexerService.isAvailable(network);
+      const indexedStats = indexed ? indexerService.getCollectionStats() : {};
+
       const collectionMetadata = {
         name: 'CertiProof X Certificates',
         description:
@@ -301,9 +475,7 @@ router.get(
         fee_recipient: config.app.wallet,
         blockchain: {
           network,
-          contractAddress:
-            config.blockchain.networks[network]?.contractAddress ||
-            'Not deployed',
+          contractAddress: config.blockchain.networks[network].contractAddress,
           standard: 'ERC-721',
         },
         properties: {
@@ -314,7 +486,7 @@ router.get(
           license: config.app.license,
           repository: config.app.repository,
           documentation: config.app.documentation,
-          totalSupply: 'Dynamic', // Would be fetched from contract
+          totalSupply,
           maxSupply: 'Unlimited',
         },
         categories: [
@@ -326,10 +498,16 @@ router.get(
           'Web3',
         ],
         stats: {
-          // These would be real statistics in production
-          totalCertificates: 0,
-          totalHolders: 0,
-          totalVerifications: 0,
+          totalCertificates: totalSupply,
+          totalHolders: indexedStats.totalHolders ?? null,
+          totalVerifications: indexedStats.totalVerifications ?? null,
+          revokedCertificates: indexedStats.revokedCertificates ?? null,
+          lockedCertificates: indexedStats.lockedCertificates ?? null,
+          byDocumentType: indexedStats.byDocumentType ?? null,
+          byIssuer: indexedStats.byIssuer ?? null,
+          byMonth: indexedStats.byMonth ?? null,
+          indexed,
+          indexedBlock: indexedStats.indexedBlock ?? null,
           lastUpdated: new Date().toISOString(),
         },
       };
@@ -338,11 +516,15 @@ router.get(
 
       res.set({
         'Content-Type': 'application/json',
-        'Cache-Control': 'public, max-age=3600', // 1 hour cache
+        'Cache-Control': 'public, max-age=300', // 5 minutes cache
       });
 
       res.status(200).json(collectionMetadata);
     } catch (error) {
+      if (isBlockchainConfigError(error)) {
+        return sendBlockchainUnavailable(req, res, error);
+      }
+
       logger.apiError(req.method, req.originalUrl, 500, error, req.ip);
 
       res.status(500).json({
@@ -546,4 +728,59 @@ router.get(
   }
 );
 
+// Helper functions
+
+/**
+ * Fetch the metadata JSON a token URI points to
+ *
+ * Tokens minted from the Mint page point straight at the document, so
+ * anything that is not JSON is treated as missing metadata.
+ * @param {string} tokenURI - Token URI from the contract
+ * @returns {Promise<Object|null>} - Stored metadata, or null if unavailable
+ */
+async function fetchStoredMetadata(tokenURI) {
+  const hash = blockchainService.extractIpfsHash(tokenURI);
+
+  if (!hash) {
+    return null;
+  }
+
+  try {
+    const fileMetadata = await ipfsService.getFileMetadata(hash);
+    const mayBeJson = fileMetadata.contentType
+      ? /json|text\/plain/.test(fileMetadata.contentType)
+      : fileMetadata.size <= MAX_METADATA_SIZE; // Unknown type, only read small files
+
+    if (!fileMetadata.exists || !mayBeJson) {
+      return null;
+    }
+
+    const metadata = JSON.parse(
+      (await ipfsService.retrieveFile(hash)).toString('utf8')
+    );
+    return metadata && typeof metadata === 'object' ? metadata : null;
+  } catch (error) {
+    logger.warn(`Failed to load metadata from ${tokenURI}: ${error.message}`);
+    return null;
+  }
+}
+
+function isBlockchainConfigError(error) {
+  return (
+    error.code === 'NETWORK_NOT_CONFIGURED' ||
+    error.code === 'CONTRACT_NOT_DEPLOYED'
+  );
+}
+
+function sendBlockchainUnavailable(req, res, error) {
+  logger.apiError(req.method, req.originalUrl, 503, error, req.ip);
+
+  return res.status(503).json({
+    success: false,
+    error: 'Metadata unavailable',
+    message: error.message,
+    code: error.code,
+  });
+}
+
 module.exports = router;
@@ -0,0 +1,459 @@
+const path = require('path');
+const request = require('supertest');
+const { ethers } = require('ethers');
+
+// Mock the IPFS service before requiring the server
+jest.mock('../services/ipfsService', () => ({
+  getStatus: jest.fn().mockResolvedValue({ provider: 'mock' }),
+  getFileMetadata: jest.fn(),
+  retrieveFile: jest.fn(),
+  uploadMetadata: jest.fn(),
+}));
+
+const config = require('../config/config');
+const ipfsService = require('../services/ipfsService');
+const blockchainService = require('../services/blockchainService');
+const indexerService = require('../services/indexerService');
+const { closeDatabase } = require('../utils/database');
+const app = require('../server');
+
+/**
+ * Metadata routes against a local Hardhat node
+ *
+ * Run `npx hardhat compile` and `npx hardhat node` in contracts/, then
+ * HARDHAT_RPC_URL=http://127.0.0.1:8545 npm test
+ */
+const describeWithNode = process.env.HARDHAT_RPC_URL ? describe : describe.skip;
+
+const ARTIFACT_PATH = path.join(
+  __dirname,
+  '../../../contracts/artifacts/contracts/CertiProofNFT.sol/CertiProofNFT.json'
+);
+
+const DOCUMENT_HASH =
+  'a591a6d40bf420404a011733cfb7b190d62c65bf0bcda32b57b277d9ad9f146e';
+
+// First default Hardhat account, which deploys and owns the contract
+const OWNER_PRIVATE_KEY =
+  '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+
+const getStatus = (metadata) =>
+  metadata.attributes.find(
+    (attribute) => attribute.trait_type === 'Verification Status'
+  ).value;
+
+describeWithNode('Metadata routes (Hardhat node)', () => {
+  let contract;
+  let issuer;
+  let recipient;
+
+  beforeAll(async () => {
+    closeDatabase();
+    config.database.url = 'sqlite::memory:';
+
+    const { abi, bytecode } = require(ARTIFACT_PATH);
+    const provider = new ethers.JsonRpcProvider(process.env.HARDHAT_RPC_URL);
+
+    issuer = await provider.getSigner(0);
+    recipient = await provider.getSigner(1);
+
+    const factory = new ethers.ContractFactory(abi, bytecode, issuer);
+    contract = await factory.deploy(
+      'CertiProof X',
+      'CERTX',
+      await issuer.getAddress()
+    );
+    await contract.waitForDeployment();
+
+    await (
+      await contract.mint(
+        await recipient.getAddress(),
+        DOCUMENT_HASH,
+        'ipfs://bafkreitestmetadata',
+        'diploma',
+        'Computer Science Degree',
+        false
+      )
+    ).wait();
+
+    config.blockchain.networks.localhost.rpcUrl = process.env.HARDHAT_RPC_URL;
+    config.blockchain.networks.localhost.contractAddress =
+      await contract.getAddress();
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('GET /api/metadata/:tokenId', () => {
+    test('serves the JSON stored at tokenURI', async () => {
+      ipfsService.getFileMetadata.mockResolvedValueOnce({
+        exists: true,
+        contentType: 'application/json',
+      });
+      ipfsService.retrieveFile.mockResolvedValueOnce(
+        Buffer.from(
+          JSON.stringify({
+            name: 'Stored Degree',
+            image: 'ipfs://bafkreiimage',
+            attributes: [{ trait_type: 'Institution', value: 'Sorbonne' }],
+          })
+        )
+      );
+
+      const response = await request(app).get(
+        '/api/metadata/1?network=localhost'
+      );
+
+      expect(response.status).toBe(200);
+      expect(response.headers['x-metadata-source']).toBe('ipfs');
+      expect(ipfsService.retrieveFile).toHaveBeenCalledWith(
+        'bafkreitestmetadata'
+      );
+      expect(response.body).toMatchObject({
+        name: 'Stored Degree',
+        image: 'ipfs://bafkreiimage',
+      });
+      expect(response.body.attributes).toContainEqual({
+        trait_type: 'Institution',
+        value: 'Sorbonne',
+      });
+      expect(getStatus(response.body)).toBe('Verified');
+    });
+
+    test('generates metadata from the proof when tokenURI is not JSON', async () => {
+      ipfsService.getFileMetadata.mockResolvedValueOnce({
+        exists: true,
+        contentType: 'application/pdf',
+      });
+
+      const response = await request(app).get(
+        '/api/metadata/1?network=localhost'
+      );
+
+      expect(response.status).toBe(200);
+      expect(response.headers['x-metadata-source']).toBe('generated');
+      expect(ipfsService.retrieveFile).not.toHaveBeenCalled();
+      expect(response.body.name).toBe('Computer Science Degree');
+      expect(response.body.attributes).toEqual(
+        expect.arrayContaining([
+          { trait_type: 'Document Hash', value: DOCUMENT_HASH },
+          { trait_type: 'Issuer', value: await issuer.getAddress() },
+          { trait_type: 'Recipient', value: await recipient.getAddress() },
+        ])
+      );
+    });
+
+    test('marks revoked proofs in the status attribute', async () => {
+      await (await contract.revokeProof(1, 'Issued in error')).wait();
+      ipfsService.getFileMetadata.mockResolvedValueOnce({ exists: false });
+
+      const response = await request(app).get(
+        '/api/metadata/1?network=localhost'
+      );
+
+      expect(getStatus(response.body)).toBe('Revoked');
+      expect(response.body.blockchain.isActive).toBe(false);
+
+      await (await contract.restoreProof(1)).wait();
+    });
+
+    test('returns 404 for a token that was never minted', async () => {
+      const response = await request(app).get(
+        '/api/metadata/999?network=localhost'
+      );
+
+      expect(response.status).toBe(404);
+      expect(response.body.code).toBe('TOKEN_NOT_FOUND');
+    });
+  });
+
+  describe('PUT /api/metadata/:tokenId', () => {
+    const metadata = { name: 'Computer Science Degree (corrected)' };
+    const deadline = Math.floor(Date.now() / 1000) + 3600;
+
+    const signUpdate = async (signer, tokenId, signedDeadline = deadline) =>
+      signer.signTypedData(
+        {
+          name: 'CertiProof X',
+          version: '1',
+          chainId: 31337,
+          verifyingContract: await contract.getAddress(),
+        },
+        {
+          MetadataUpdate: [
+            { name: 'tokenId', type: 'uint256' },
+            { name: 'metadataHash', type: 'bytes32' },
+            { name: 'deadline', type: 'uint256' },
+          ],
+        },
+        {
+          tokenId,
+          metadataHash: ethers.keccak256(
+            ethers.toUtf8Bytes(JSON.stringify(metadata))
+          ),
+          deadline: signedDeadline,
+        }
+      );
+
+    beforeEach(() => {
+      ipfsService.uploadMetadata.mockResolvedValue({
+        hash: 'bafkreicorrected',
+        ipfsUrl: 'ipfs://bafkreicorrected',
+        gatewayUrl: 'https://ipfs.io/ipfs/bafkreicorrected',
+        provider: 'mock',
+      });
+    });
+
+    test('returns an unsigned updateIpfsURI transaction for the issuer', async () => {
+      const response = await request(app)
+        .put('/api/metadata/1?network=localhost')
+        .send({ metadata, deadline, signature: await signUpdate(issuer, 1) });
+
+      expect(response.status).toBe(200);
+      expect(ipfsService.uploadMetadata).toHaveBeenCalledWith(
+        metadata,
+        'metadata_1.json'
+      );
+      expect(response.body.data.ipfsURI).toBe('ipfs://bafkreicorrected');
+
+      const { to, data } = response.body.data.transaction;
+      await (await issuer.sendTransaction({ to, data })).wait();
+
+      expect(await contract.tokenURI(1)).toBe('ipfs://bafkreicorrected');
+    });
+
+    test('accepts EIP-191 signatures', async () => {
+      const message = blockchainService.getMetadataUpdateMessage(
+        {
+          tokenId: 1,
+          metadataHash: blockchainService.hashMetadata(metadata),
+          deadline: deadline + 1,
+        },
+        'localhost'
+      );
+
+      const response = await request(app)
+        .put('/api/metadata/1?network=localhost')
+        .send({
+          metadata,
+          deadline: deadline + 1,
+          signature: await issuer.signMessage(message),
+          signatureType: 'eip191',
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.transaction.from).toBe(
+        await issuer.getAddress()
+      );
+    });
+
+    test('rejects expired signatures', async () => {
+      const response = await request(app)
+        .put('/api/metadata/1?network=localhost')
+        .send({
+          metadata,
+          deadline: 1,
+          signature: await signUpdate(issuer, 1),
+        });
+
+      expect(response.status).toBe(401);
+      expect(response.body.code).toBe('SIGNATURE_EXPIRED');
+    });
+
+    test('rejects signatures from anyone but the issuer', async () => {
+      const response = await request(app)
+        .put('/api/metadata/1?network=localhost')
+        .send({
+          metadata,
+          deadline,
+          signature: await signUpdate(recipient, 1),
+        });
+
+      expect(response.status).toBe(403);
+      expect(response.body.code).toBe('NOT_TOKEN_ISSUER');
+      expect(ipfsService.uploadMetadata).not.toHaveBeenCalled();
+    });
+
+    test('rejects updates to locked proofs', async () => {
+      await (
+        await contract.mint(
+          await recipient.getAddress(),
+          DOCUMENT_HASH.slice(0, -1) + 'f',
+          'ipfs://bafkreilocked',
+          'diploma',
+          'Locked Degree',
+          true
+        )
+      ).wait();
+
+      const response = await request(app)
+        .put('/api/metadata/2?network=localhost')
+        .send({ metadata, deadline, signature: await signUpdate(issuer, 2) });
+
+      expect(response.status).toBe(423);
+      expect(response.body.code).toBe('PROOF_LOCKED');
+    });
+
+    test('relays the update when asked to', async () => {
+      config.blockchain.relayerPrivateKey = OWNER_PRIVATE_KEY;
+      ipfsService.uploadMetadata.mockResolvedValueOnce({
+        hash: 'bafkreirelayed',
+      });
+
+      const response = await request(app)
+        .put('/api/metadata/1?network=localhost')
+        .send({
+          metadata,
+          deadline: deadline + 2,
+          signature: await signUpdate(issuer, 1, deadline + 2),
+          relay: true,
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.transaction).toBeNull();
+      expect(response.body.data.relayed.transactionHash).toMatch(/^0x/);
+      expect(await contract.tokenURI(1)).toBe('ipfs://bafkreirelayed');
+
+      config.blockchain.relayerPrivateKey = undefined;
+    });
+
+    test('relays a signed update only once', async () => {
+      config.blockchain.relayerPrivateKey = OWNER_PRIVATE_KEY;
+      // ethers caches RPC results for 250ms, which would hand the relayer
+      // the nonce of the previous test's transaction
+      blockchainService.providers.set(
+        'localhost',
+        new ethers.JsonRpcProvider(process.env.HARDHAT_RPC_URL, 31337, {
+          staticNetwork: true,
+          cacheTimeout: -1,
+        })
+      );
+      ipfsService.uploadMetadata.mockResolvedValueOnce({
+        hash: 'bafkreirelayedonce',
+      });
+      const update = {
+        metadata,
+        deadline: deadline + 3,
+        signature: await signUpdate(issuer, 1, deadline + 3),
+        relay: true,
+      };
+
+      const first = await request(app)
+        .put('/api/metadata/1?network=localhost')
+        .send(update);
+      expect(first.status).toBe(200);
+
+      const replayed = await request(app)
+        .put('/api/metadata/1?network=localhost')
+        .send(update);
+      expect(replayed.status).toBe(409);
+      expect(replayed.body.code).toBe('SIGNATURE_ALREADY_USED');
+      expect(ipfsService.uploadMetadata).toHaveBeenCalledTimes(1);
+      expect(await contract.tokenURI(1)).toBe('ipfs://bafkreirelayedonce');
+
+      config.blockchain.relayerPrivateKey = undefined;
+    });
+
+    test('does not relay an update already handed out unsigned', async () => {
+      config.blockchain.relayerPrivateKey = OWNER_PRIVATE_KEY;
+
+      // Signed for the first test, which returned the transaction instead
+      const response = await request(app)
+        .put('/api/metadata/1?network=localhost')
+        .send({
+          metadata,
+          deadline,
+          signature: await signUpdate(issuer, 1),
+          relay: true,
+        });
+
+      expect(response.status).toBe(409);
+      expect(response.body.code).toBe('SIGNATURE_ALREADY_USED');
+      expect(await contract.tokenURI(1)).toBe('ipfs://bafkreirelayedonce');
+
+      config.blockchain.relayerPrivateKey = undefined;
+    });
+
+    test('keeps the signature usable when the update fails', async () => {
+      ipfsService.uploadMetadata.mockRejectedValueOnce(
+        new Error('IPFS upload failed')
+      );
+      const update = {
+        metadata,
+        deadline: deadline + 4,
+        signature: await signUpdate(issuer, 1, deadline + 4),
+      };
+
+      const failed = await request(app)
+        .put('/api/metadata/1?network=localhost')
+        .send(update);
+      expect(failed.status).toBe(500);
+
+      const retried = await request(app)
+        .put('/api/metadata/1?network=localhost')
+        .send(update);
+      expect(retried.status).toBe(200);
+      expect(retried.body.data.ipfsURI).toBe('ipfs://bafkreicorrected');
+    });
+  });
+
+  describe('GET /api/metadata/collection', () => {
+    afterAll(() => {
+      closeDatabase();
+    });
+
+    test('reports the on-chain supply before the index is available', async () => {
+      const response = await request(app).get(
+        '/api/metadata/collection?network=localhost'
+      );
+
+      expect(response.status).toBe(200);
+      expect(response.body.properties.totalSupply).toBe(2);
+      expect(response.body.stats).toMatchObject({
+        totalCertificates: 2,
+        totalHolders: null,
+        indexed: false,
+      });
+    });
+
+    test('computes holders, verifications and breakdowns from the index', async () => {
+      await (await contract.verifyProofByTokenId(1)).wait();
+      await (await contract.connect(recipient).verifyProofByTokenId(2)).wait();
+
+      config.database.url = 'sqlite::memory:';
+      config.indexer.network = 'localhost';
+      config.indexer.confirmations = 0;
+      // ethers caches RPC results for 250ms, which would hide the blocks
+      // mined just before the sync
+      blockchainService.providers.set(
+        'localhost',
+        new ethers.JsonRpcProvider(process.env.HARDHAT_RPC_URL, 31337, {
+          staticNetwork: true,
+          cacheTimeout: -1,
+        })
+      );
+      await indexerService.sync();
+
+      const { timestamp } = await issuer.provider.getBlock('latest');
+      const month = new Date(timestamp * 1000).toISOString().slice(0, 7);
+
+      const response = await request(app).get(
+        '/api/metadata/collection?network=localhost'
+      );
+
+      expect(response.status).toBe(200);
+      expect(response.body.stats).toMatchObject({
+        totalCertificates: 2,
+        totalHolders: 1,
+        totalVerifications: 2,
+        revokedCertificates: 0,
+        lockedCertificates: 1,
+        byDocumentType: { diploma: 2 },
+        byIssuer: { [(await issuer.getAddress()).toLowerCase()]: 2 },
+        byMonth: { [month]: 2 },
+        indexed: true,
+      });
+    });
+  });
+});
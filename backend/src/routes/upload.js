@@ -5,44 +5,393 @@
  * Handles file uploads to IPFS
  */
 
+const path = require('path');
 const express = require('express');
-const multer = require('multer');
 const { body, validationResult } = require('express-validator');
 const config = require('../config/config');
 const logger = require('../utils/logger');
 const ipfsService = require('../services/ipfsService');
+const { upload, bundleUpload, checkFileType } = require('../middleware/upload');
+const uploadSessionService = require('../services/uploadSessionService');
+const encryptionKeyService = require('../services/encryptionKeyService');
 const { generateSHA256, generateSecureFilename } = require('../utils/crypto');
 
 const router = express.Router();
 
-// Configure multer for file uploads
-const storage = multer.memoryStorage();
-
-const upload = multer({
-  storage: storage,
-  limits: {
-    fileSize: config.upload.maxFileSize,
-    files: 1,
-  },
-  fileFilter: (req, file, cb) => {
-    // Check file type
-    if (!config.upload.allowedMimeTypes.includes(file.mimetype)) {
-      const error = new Error(`File type ${file.mimetype} not allowed`);
-      error.code = 'INVALID_FILE_TYPE';
-      return cb(error, false);
+// Optional details sent along with a file
+const fileDetailsValidation = [
+  body('title').optional().isString().isLength({ min: 1, max: 200 }).trim(),
+  body('description').optional().isString().isLength({ max: 1000 }).trim(),
+  body('documentType')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 100 })
+    .trim(),
+  body('metadata').optional().isJSON(),
+  body('encrypt').optional().isBoolean().toBoolean(),
+  body('documentHash')
+    .optional()
+    .matches(/^[a-fA-F0-9]{64}$/)
+    .toLowerCase(),
+];
+
+// Algorithm of files encrypted in the browser, see utils/crypto encryptFile
+const ENCRYPTION_ALGORITHM = 'aes-256-gcm';
+
+// Files refused for their declared or detected type
+const FILE_TYPE_ERRORS = [
+  'INVALID_FILE_TYPE',
+  'INVALID_FILE_EXTENSION',
+  'FILE_TYPE_MISMATCH',
+  'EXECUTABLE_CONTENT',
+  'INVALID_FILE_STRUCTURE',
+];
+
+// HTTP status for each resumable upload error
+const SESSION_ERROR_STATUS = {
+  UPLOAD_NOT_FOUND: 404,
+  UPLOAD_LOCKED: 409,
+  OFFSET_MISMATCH: 409,
+  UPLOAD_INCOMPLETE: 409,
+  CHUNK_TOO_LARGE: 413,
+};
+
+// Lists the files of a bundle, stored next to them in the IPFS directory
+const MANIFEST_FILENAME = 'manifest.json';
+
+/**
+ * Parse the optional metadata JSON sent along with a file
+ */
+function parseMetadata(metadata) {
+  if (!metadata) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(metadata);
+  } catch {
+    const invalid = new Error('Invalid metadata JSON');
+    invalid.code = 'INVALID_METADATA';
+    throw invalid;
+  }
+}
+
+/**
+ * Check an upload against the encryption the client asked for
+ *
+ * Encrypted files come encrypted from the browser, the backend never sees
+ * their key. The plaintext hash, which gets minted, is sent along since it
+ * cannot be computed here.
+ * @param {Object} detected - Upload inspection, see middleware/upload
+ * @param {boolean} encrypt - Whether the client asked for encryption
+ * @param {string} documentHash - SHA-256 of the plaintext
+ * @returns {Error|null} - INVALID_ENCRYPTION error
+ */
+function checkEncryption(detected, encrypt, documentHash) {
+  let message = null;
+
+  if (encrypt && !detected.encryption) {
+    message = 'Encrypted uploads must be encrypted before they are sent';
+  } else if (!encrypt && detected.encryption) {
+    message = 'Encrypted content needs encrypt=true';
+  } else if (
+    encrypt &&
+    detected.encryption.algorithm !== ENCRYPTION_ALGORITHM
+  ) {
+    message = `Encryption must use ${ENCRYPTION_ALGORITHM}`;
+  } else if (encrypt && !documentHash) {
+    message = 'Encrypted uploads need the documentHash of their plaintext';
+  } else if (!encrypt && documentHash) {
+    message = 'documentHash is only sent with encrypt=true';
+  }
+
+  if (!message) {
+    return null;
+  }
+
+  const error = new Error(message);
+  error.code = 'INVALID_ENCRYPTION';
+  return error;
+}
+
+/**
+ * Check the document keys an encrypted file is wrapped to
+ *
+ * The wrapping is done in the browser and the backend only stores the
+ * result. Each entry has to name a wallet with the public key that wallet
+ * registered, so nobody is told a document is theirs under a key they do
+ * not hold.
+ * @param {Array} keys - Header entries, [{ address, publicKey,
+ *   ephemeralPublicKey, iv, wrappedKey }]
+ * @returns {Array<Object>} - Entries, addresses checksummed
+ */
+function checkWrappedKeys(keys) {
+  const invalid = (message) => {
+    const error = new Error(message);
+    error.code = 'INVALID_RECIPIENTS';
+    return error;
+  };
+
+  if (!Array.isArray(keys)) {
+    throw invalid('Wrapped keys must be a list');
+  }
+
+  const addresses = new Set();
+  return keys.map((entry) => {
+    const { address, publicKey, ephemeralPublicKey, iv, wrappedKey } =
+      entry || {};
+
+    if (
+      typeof address !== 'string' ||
+      !/^0x[0-9a-fA-F]{40}$/.test(address) ||
+      !/^0x[0-9a-fA-F]{66}$/.test(ephemeralPublicKey) ||
+      !/^[0-9a-fA-F]{24}$/.test(iv) ||
+      !/^[0-9a-fA-F]{96}$/.test(wrappedKey)
+    ) {
+      throw invalid('Invalid wrapped key entry');
     }
+    if (addresses.has(address.toLowerCase())) {
+      throw invalid(`Key wrapped twice to ${address}`);
+    }
+    addresses.add(address.toLowerCase());
 
-    // Check file extension
-    const ext = '.' + file.originalname.split('.').pop().toLowerCase();
-    if (!config.upload.allowedExtensions.includes(ext)) {
-      const error = new Error(`File extension ${ext} not allowed`);
-      error.code = 'INVALID_FILE_EXTENSION';
-      return cb(error, false);
+    const registered = encryptionKeyService.getKey(address);
+    if (!registered) {
+      const error = new Error(
+        `No encryption key registered for recipient ${address}`
+      );
+      error.code = 'RECIPIENT_KEY_NOT_FOUND';
+      throw error;
+    }
+    if (registered.publicKey !== publicKey) {
+      throw invalid(`Key for ${address} is not its registered key`);
     }
 
-    cb(null, true);
-  },
-});
+    return {
+      address: registered.address,
+      publicKey,
+      ephemeralPublicKey,
+      iv,
+      wrappedKey,
+    };
+  });
+}
+
+/**
+ * Upload a received file to IPFS
+ * @param {Object} req - Express request, carries the file details in its body
+ * @param {Object} file - { path, hash, originalname, mimetype, size }
+ * @param {number} startTime - When the request started
+ * @returns {Promise<Object>} - Response data
+ */
+async function publishFile(req, file, startTime) {
+  const {
+    path: filePath,
+    hash: fileHash,
+    originalname,
+    mimetype,
+    size,
+    detected,
+  } = file;
+  const { title, description, documentType, metadata, encrypt, documentHash } =
+    req.body;
+
+  const encryptionError = checkEncryption(detected, encrypt, documentHash);
+  if (encryptionError) {
+    throw encryptionError;
+  }
+
+  logger.info(`Processing file upload: ${originalname}`, {
+    size,
+    mimetype,
+    encrypted: Boolean(encrypt),
+    ip: req.ip,
+  });
+
+  logger.info(`File hash generated: ${fileHash}`);
+
+  const additionalMetadata = parseMetadata(metadata);
+
+  // Prepare file metadata
+  const fileMetadata = {
+    originalName: originalname,
+    title: title || originalname,
+    description: description || '',
+    documentType: documentType || 'document',
+    mimetype,
+    size,
+    uploadedBy: req.ip,
+    uploadedAt: new Date().toISOString(),
+    ...additionalMetadata,
+    // Found by the upload middleware, not for the client to override. Pin
+    // providers only take scalar values (Pinata keyvalues: strings, numbers
+    // and dates), the full results are in the response.
+    contentType: detected.mimetype,
+    hasMacros: String(detected.hasMacros),
+    contentWarnings: detected.warnings.join(','),
+    encrypted: String(Boolean(encrypt)),
+  };
+
+  // Generate secure filename
+  let secureFilename = generateSecureFilename(originalname, 'upload');
+
+  // Encrypted uploads pin the ciphertext as received. The minted hash is the
+  // plaintext hash from the client, fileHash only covers the ciphertext.
+  let encryption = null;
+
+  if (encrypt) {
+    const { algorithm, keys = [] } = detected.encryption;
+    encryption = { algorithm, keys: checkWrappedKeys(keys) };
+    secureFilename = `${secureFilename}.enc`;
+    // The wrapped keys travel in the file header, not the pin metadata
+    fileMetadata.encryptionAlgorithm = algorithm;
+  }
+
+  const uploadResult = await ipfsService.uploadFile(
+    filePath,
+    secureFilename,
+    fileMetadata,
+    { fileHash }
+  );
+
+  const processingTime = Date.now() - startTime;
+
+  logger.info(`File uploaded successfully to IPFS: ${uploadResult.hash}`, {
+    originalName: originalname,
+    secureFilename,
+    ipfsHash: uploadResult.hash,
+    encrypted: encryption !== null,
+    processingTime: `${processingTime}ms`,
+  });
+
+  return {
+    fileHash: encrypt ? documentHash : fileHash,
+    ipfs: {
+      hash: uploadResult.hash,
+      url: uploadResult.ipfsUrl,
+      gatewayUrl: uploadResult.gatewayUrl,
+      provider: uploadResult.provider,
+    },
+    file: {
+      originalName: originalname,
+      secureFilename,
+      size,
+      mimetype,
+      title: fileMetadata.title,
+      description: fileMetadata.description,
+      documentType: fileMetadata.documentType,
+      detectedType: detected.mimetype,
+      hasMacros: detected.hasMacros,
+      warnings: detected.warnings,
+    },
+    encryption,
+    metadata: uploadResult.metadata,
+    uploadedAt: new Date().toISOString(),
+    processingTime: `${processingTime}ms`,
+  };
+}
+
+/**
+ * Describe the files of a bundle
+ *
+ * Only content goes in, no dates or uploader details, so anyone holding the
+ * same files can rebuild the manifest and get the same hash.
+ * @param {Array} files - [{ name, size, mimetype, sha256 }]
+ * @returns {Object} - Manifest
+ */
+function buildManifest(files) {
+  return {
+    protocol: 'CertiProof X',
+    version: '1.0.0',
+    type: 'bundle',
+    hashAlgorithm: 'sha256',
+    files: files
+      .map(({ name, size, mimetype, sha256 }) => ({
+        name,
+        size,
+        mimetype,
+        sha256,
+      }))
+      .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0)),
+  };
+}
+
+/**
+ * Public view of a resumable upload session
+ */
+function formatSession(session) {
+  return {
+    uploadId: session.id,
+    filename: session.filename,
+    mimetype: session.mimetype,
+    offset: session.offset,
+    size: session.size,
+    expiresAt: session.expiresAt,
+  };
+}
+
+/**
+ * Send the response for a failed file upload
+ */
+function sendUploadError(req, res, error) {
+  const processingTime = Date.now() - (req.startTime || Date.now());
+
+  logger.apiError(req.method, req.originalUrl, 500, error, req.ip);
+  logger.error('File upload failed:', error);
+
+  // Handle specific error types
+  if (error.code === 'LIMIT_FILE_SIZE') {
+    return res.status(413).json({
+      success: false,
+      error: 'File too large',
+      message: `Maximum file size is ${config.upload.maxFileSize / 1024 / 1024}MB`,
+      code: 'FILE_TOO_LARGE',
+    });
+  }
+
+  if (FILE_TYPE_ERRORS.includes(error.code)) {
+    return res.status(400).json({
+      success: false,
+      error: error.message,
+      code: error.code,
+      allowedTypes: config.upload.allowedMimeTypes,
+      allowedExtensions: config.upload.allowedExtensions,
+    });
+  }
+
+  if (
+    error.code === 'INVALID_METADATA' ||
+    error.code === 'INVALID_ENCRYPTION' ||
+    error.code === 'INVALID_RECIPIENTS' ||
+    error.code === 'RECIPIENT_KEY_NOT_FOUND'
+  ) {
+    return res.status(400).json({
+      success: false,
+      error: error.message,
+      code: error.code,
+    });
+  }
+
+  if (SESSION_ERROR_STATUS[error.code]) {
+    if (error.offset !== undefined) {
+      res.set('Upload-Offset', String(error.offset));
+    }
+    return res.status(SESSION_ERROR_STATUS[error.code]).json({
+      success: false,
+      error: error.message,
+      code: error.code,
+      offset: error.offset,
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: 'Upload failed',
+    message: error.message,
+    code: 'UPLOAD_FAILED',
+    processingTime: `${processingTime}ms`,
+  });
+}
 
 /**
  * Upload single file to IPFS
@@ -51,16 +400,7 @@ const upload = multer({
 router.post(
   '/',
   upload.single('file'),
-  [
-    body('title').optional().isString().isLength({ min: 1, max: 200 }).trim(),
-    body('description').optional().isString().isLength({ max: 1000 }).trim(),
-    body('documentType')
-      .optional()
-      .isString()
-      .isLength({ min: 1, max: 100 })
-      .trim(),
-    body('metadata').optional().isJSON(),
-  ],
+  fileDetailsValidation,
   async (req, res) => {
     try {
       // Validate request
@@ -83,8 +423,6 @@ router.post(
       }
 
       const startTime = Date.now();
-      const { buffer, originalname, mimetype, size } = req.file;
-      const { title, description, documentType, metadata } = req.body;
 
       logger.apiRequest(
         req.method,
@@ -92,83 +430,189 @@ router.post(
         req.ip,
         req.get('User-Agent')
       );
-      logger.info(`Processing file upload: ${originalname}`, {
-        size,
-        mimetype,
-        ip: req.ip,
+
+      // Streamed to disk and hashed on the way by the upload middleware
+      const data = await publishFile(req, req.file, startTime);
+
+      logger.apiResponse(
+        req.method,
+        req.originalUrl,
+        200,
+        Date.now() - startTime
+      );
+
+      // Return success response
+      res.status(200).json({
+        success: true,
+        message: 'File uploaded successfully to IPFS',
+        data,
       });
+    } catch (error) {
+      sendUploadError(req, res, error);
+    }
+  }
+);
 
-      // Generate file hash
-      const fileHash = await generateSHA256(buffer);
-      logger.info(`File hash generated: ${fileHash}`);
-
-      // Parse additional metadata
-      let additionalMetadata = {};
-      if (metadata) {
-        try {
-          additionalMetadata = JSON.parse(metadata);
-        } catch (error) {
-          return res.status(400).json({
-            success: false,
-            error: 'Invalid metadata JSON',
-            code: 'INVALID_METADATA',
-          });
-        }
+/**
+ * Upload several files as one certified bundle
+ * POST /api/upload/bundle
+ *
+ * The files and a manifest of their SHA-256 hashes are stored as one IPFS
+ * directory. The hash of manifest.json is the document hash to mint and the
+ * directory CID its IPFS reference.
+ */
+router.post(
+  '/bundle',
+  bundleUpload.array('files', config.upload.maxBundleFiles),
+  fileDetailsValidation,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: errors.array(),
+        });
+      }
+
+      if (!req.files || req.files.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'No file uploaded',
+          code: 'NO_FILE_UPLOADED',
+        });
+      }
+
+      // The manifest has to stay readable, so bundles are never encrypted
+      if (
+        req.body.encrypt ||
+        req.files.some((file) => file.detected.encryption)
+      ) {
+        return res.status(400).json({
+          success: false,
+          error: 'Bundles cannot be encrypted',
+          code: 'ENCRYPTION_NOT_SUPPORTED',
+        });
       }
 
-      // Prepare file metadata
-      const fileMetadata = {
-        originalName: originalname,
-        title: title || originalname,
+      const startTime = Date.now();
+      const { title, description, documentType, metadata } = req.body;
+
+      logger.apiRequest(
+        req.method,
+        req.originalUrl,
+        req.ip,
+        req.get('User-Agent')
+      );
+
+      // Files are addressed by name inside the directory
+      const names = req.files.map((file) => path.basename(file.originalname));
+      const duplicate = names.find(
+        (name, index) =>
+          name === MANIFEST_FILENAME || names.indexOf(name) !== index
+      );
+      if (duplicate) {
+        return res.status(400).json({
+          success: false,
+          error: `Duplicate or reserved filename: ${duplicate}`,
+          code: 'DUPLICATE_FILENAME',
+        });
+      }
+
+      const additionalMetadata = parseMetadata(metadata);
+      const files = req.files.map((file, index) => ({
+        name: names[index],
+        size: file.size,
+        mimetype: file.detected.mimetype,
+        sha256: file.hash,
+        path: file.path,
+        hasMacros: file.detected.hasMacros,
+        warnings: file.detected.warnings,
+      }));
+      const manifest = buildManifest(files);
+      const manifestBuffer = Buffer.from(JSON.stringify(manifest, null, 2));
+      const manifestHash = await generateSHA256(manifestBuffer);
+
+      logger.info(`Processing bundle upload: ${files.length} files`, {
+        manifestHash,
+        ip: req.ip,
+      });
+
+      const bundleName = generateSecureFilename('', 'bundle');
+      const bundleMetadata = {
+        title: title || bundleName,
         description: description || '',
-        documentType: documentType || 'document',
-        mimetype,
-        size,
-        uploadedBy: req.ip,
-        uploadedAt: new Date().toISOString(),
+        documentType: documentType || 'bundle',
         ...additionalMetadata,
+        // Derived by the server, not for the client to override
+        manifestHash,
+        fileCount: files.length,
+        uploadedBy: req.ip,
       };
 
-      // Generate secure filename
-      const secureFilename = generateSecureFilename(originalname, 'upload');
-
-      // Upload to IPFS
-      const uploadResult = await ipfsService.uploadFile(
-        buffer,
-        secureFilename,
-        fileMetadata
+      const uploadResult = await ipfsService.uploadDirectory(
+        [
+          ...files.map((file) => ({
+            file: file.path,
+            name: file.name,
+            contentType: file.mimetype,
+          })),
+          {
+            file: manifestBuffer,
+            name: MANIFEST_FILENAME,
+            contentType: 'application/json',
+          },
+        ],
+        bundleName,
+        bundleMetadata
       );
 
       const processingTime = Date.now() - startTime;
 
       logger.apiResponse(req.method, req.originalUrl, 200, processingTime);
-      logger.info(`File uploaded successfully to IPFS: ${uploadResult.hash}`, {
-        originalName: originalname,
-        secureFilename,
-        ipfsHash: uploadResult.hash,
-        processingTime: `${processingTime}ms`,
-      });
+      logger.info(
+        `Bundle uploaded successfully to IPFS: ${uploadResult.hash}`,
+        {
+          manifestHash,
+          ipfsHash: uploadResult.hash,
+          processingTime: `${processingTime}ms`,
+        }
+      );
 
-      // Return success response
       res.status(200).json({
         success: true,
-        message: 'File uploaded successfully to IPFS',
+        message: 'Bundle uploaded successfully to IPFS',
         data: {
-          fileHash,
+          // The manifest hash stands in for the document hash when minting
+          fileHash: manifestHash,
+          manifestHash,
+          manifest,
           ipfs: {
             hash: uploadResult.hash,
             url: uploadResult.ipfsUrl,
             gatewayUrl: uploadResult.gatewayUrl,
             provider: uploadResult.provider,
           },
-          file: {
-            originalName: originalname,
-            secureFilename,
-            size,
-            mimetype,
-            title: fileMetadata.title,
-            description: fileMetadata.description,
-            documentType: fileMetadata.documentType,
+          files: uploadResult.files.map((file) => {
+            const bundled = files.find((entry) => entry.name === file.name);
+            return bundled
+              ? {
+                  ...file,
+                  mimetype: bundled.mimetype,
+                  sha256: bundled.sha256,
+                  hasMacros: bundled.hasMacros,
+                  warnings: bundled.warnings,
+                }
+              : file;
+          }),
+          bundle: {
+            name: bundleName,
+            title: bundleMetadata.title,
+            description: bundleMetadata.description,
+            documentType: bundleMetadata.documentType,
+            fileCount: files.length,
+            size: uploadResult.size,
           },
           metadata: uploadResult.metadata,
           uploadedAt: new Date().toISOString(),
@@ -176,41 +620,7 @@ router.post(
         },
       });
     } catch (error) {
-      const processingTime = Date.now() - (req.startTime || Date.now());
-
-      logger.apiError(req.method, req.originalUrl, 500, error, req.ip);
-      logger.error('File upload failed:', error);
-
-      // Handle specific error types
-      if (error.code === 'LIMIT_FILE_SIZE') {
-        return res.status(413).json({
-          success: false,
-          error: 'File too large',
-          message: `Maximum file size is ${config.upload.maxFileSize / 1024 / 1024}MB`,
-          code: 'FILE_TOO_LARGE',
-        });
-      }
-
-      if (
-        error.code === 'INVALID_FILE_TYPE' ||
-        error.code === 'INVALID_FILE_EXTENSION'
-      ) {
-        return res.status(400).json({
-          success: false,
-          error: error.message,
-          code: error.code,
-          allowedTypes: config.upload.allowedMimeTypes,
-          allowedExtensions: config.upload.allowedExtensions,
-        });
-      }
-
-      res.status(500).json({
-        success: false,
-        error: 'Upload failed',
-        message: error.message,
-        code: 'UPLOAD_FAILED',
-        processingTime: `${processingTime}ms`,
-      });
+      sendUploadError(req, res, error);
     }
   }
 );
@@ -352,6 +762,226 @@ router.get('/status', async (req, res) => {
   }
 });
 
+/**
+ * Start a resumable upload
+ * POST /api/upload/sessions
+ *
+ * Chunks are then sent with PATCH at the current offset, which GET reports
+ * after a dropped connection, and POST .../complete publishes the file.
+ */
+router.post(
+  '/sessions',
+  [
+    body('filename').isString().isLength({ min: 1, max: 255 }),
+    body('mimetype').isString().isLength({ min: 1, max: 100 }),
+    body('size').isInt({ min: 1 }).toInt(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: errors.array(),
+        });
+      }
+
+      const { filename, mimetype, size } = req.body;
+
+      logger.apiRequest(
+        req.method,
+        req.originalUrl,
+        req.ip,
+        req.get('User-Agent')
+      );
+
+      if (size > config.upload.maxFileSize) {
+        const error = new Error('File too large');
+        error.code = 'LIMIT_FILE_SIZE';
+        throw error;
+      }
+
+      const fileTypeError = checkFileType(mimetype, filename);
+      if (fileTypeError) {
+        throw fileTypeError;
+      }
+
+      const session = await uploadSessionService.createSession({
+        filename,
+        mimetype,
+        size,
+      });
+
+      logger.apiResponse(req.method, req.originalUrl, 201, 0);
+
+      res
+        .status(201)
+        .set({
+          Location: `${req.baseUrl}/sessions/${session.id}`,
+          'Upload-Offset': '0',
+          'Upload-Length': String(size),
+        })
+        .json({
+          success: true,
+          message: 'Upload session created',
+          data: formatSession(session),
+        });
+    } catch (error) {
+      sendUploadError(req, res, error);
+    }
+  }
+);
+
+/**
+ * Get the offset of a resumable upload
+ * GET|HEAD /api/upload/sessions/:id
+ */
+router.get('/sessions/:id', async (req, res) => {
+  try {
+    const session = await uploadSessionService.getSession(req.params.id);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Upload session not found',
+        code: 'UPLOAD_NOT_FOUND',
+      });
+    }
+
+    res
+      .set({
+        'Upload-Offset': String(session.offset),
+        'Upload-Length': String(session.size),
+        'Cache-Control': 'no-store',
+      })
+      .json({
+        success: true,
+        data: formatSession(session),
+      });
+  } catch (error) {
+    sendUploadError(req, res, error);
+  }
+});
+
+/**
+ * Append a chunk to a resumable upload
+ * PATCH /api/upload/sessions/:id
+ *
+ * The raw chunk is the request body, Upload-Offset must match the offset
+ * the server has.
+ */
+router.patch('/sessions/:id', async (req, res) => {
+  try {
+    if (!req.is('application/offset+octet-stream')) {
+      return res.status(415).json({
+        success: false,
+        error: 'Chunks must be sent as application/offset+octet-stream',
+        code: 'INVALID_CONTENT_TYPE',
+      });
+    }
+
+    const offset = Number(req.get('Upload-Offset'));
+    if (!Number.isSafeInteger(offset) || offset < 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Upload-Offset header is required',
+        code: 'INVALID_OFFSET',
+      });
+    }
+
+    const session = await uploadSessionService.appendChunk(
+      req.params.id,
+      offset,
+      req
+    );
+
+    res.set('Upload-Offset', String(session.offset)).json({
+      success: true,
+      data: formatSession(session),
+    });
+  } catch (error) {
+    // Stop reading a chunk that was refused
+    req.unpipe();
+    req.resume();
+    sendUploadError(req, res, error);
+  }
+});
+
+/**
+ * Publish a completed resumable upload to IPFS
+ * POST /api/upload/sessions/:id/complete
+ *
+ * Accepts the same details as POST /api/upload and responds the same way.
+ * The session is kept when publishing fails so it can be retried.
+ */
+router.post(
+  '/sessions/:id/complete',
+  fileDetailsValidation,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: errors.array(),
+        });
+      }
+
+      const startTime = Date.now();
+
+      logger.apiRequest(
+        req.method,
+        req.originalUrl,
+        req.ip,
+        req.get('User-Agent')
+      );
+
+      const file = await uploadSessionService.completeSession(req.params.id);
+      const data = await publishFile(req, file, startTime);
+      await uploadSessionService.removeSession(req.params.id);
+
+      logger.apiResponse(
+        req.method,
+        req.originalUrl,
+        200,
+        Date.now() - startTime
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'File uploaded successfully to IPFS',
+        data,
+      });
+    } catch (error) {
+      sendUploadError(req, res, error);
+    }
+  }
+);
+
+/**
+ * Abandon a resumable upload
+ * DELETE /api/upload/sessions/:id
+ */
+router.delete('/sessions/:id', async (req, res) => {
+  try {
+    const session = await uploadSessionService.getSession(req.params.id);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Upload session not found',
+        code: 'UPLOAD_NOT_FOUND',
+      });
+    }
+
+    await uploadSessionService.removeSession(session.id);
+
+    res.status(204).end();
+  } catch (error) {
+    sendUploadError(req, res, error);
+  }
+});
+
 /**
  * Retrieve file from IPFS
  * GET /api/upload/:hash
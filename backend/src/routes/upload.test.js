@@ -0,0 +1,541 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { ethers } = require('ethers');
+
+// Mock the IPFS service before requiring the server
+jest.mock('../services/ipfsService', () => ({
+  getStatus: jest.fn().mockResolvedValue({ provider: 'mock' }),
+  uploadFile: jest.fn(),
+  uploadDirectory: jest.fn(),
+}));
+
+const config = require('../config/config');
+const ipfsService = require('../services/ipfsService');
+const uploadSessionService = require('../services/uploadSessionService');
+const encryptionKeyService = require('../services/encryptionKeyService');
+const {
+  generateSHA256,
+  generateEncryptionKey,
+  encryptFile,
+  decryptContent,
+  readEncryptionHeader,
+  wrapKey,
+  unwrapKey,
+} = require('../utils/crypto');
+const app = require('../server');
+
+config.database.url = 'sqlite::memory:';
+
+describe('Resumable upload routes', () => {
+  const CONTENT = Buffer.alloc(300000, 'CertiProof X ');
+
+  const createSession = (overrides = {}) =>
+    request(app)
+      .post('/api/upload/sessions')
+      .send({
+        filename: 'evidence.txt',
+        mimetype: 'text/plain',
+        size: CONTENT.length,
+        ...overrides,
+      });
+
+  const appendChunk = (uploadId, offset, chunk) =>
+    request(app)
+      .patch(`/api/upload/sessions/${uploadId}`)
+      .set('Content-Type', 'application/offset+octet-stream')
+      .set('Upload-Offset', String(offset))
+      .send(chunk);
+
+  beforeEach(() => {
+    ipfsService.uploadFile.mockReset();
+  });
+
+  test('uploads a file in chunks and publishes it', async () => {
+    ipfsService.uploadFile.mockImplementation(async (filePath) => ({
+      hash: 'bafkreiresumable',
+      ipfsUrl: 'ipfs://bafkreiresumable',
+      gatewayUrl: 'https://ipfs.io/ipfs/bafkreiresumable',
+      provider: 'mock',
+      content: fs.readFileSync(filePath),
+    }));
+
+    const created = await createSession();
+    expect(created.status).toBe(201);
+    expect(created.headers['upload-offset']).toBe('0');
+
+    const { uploadId } = created.body.data;
+    const first = await appendChunk(uploadId, 0, CONTENT.subarray(0, 100000));
+    expect(first.status).toBe(200);
+    expect(first.headers['upload-offset']).toBe('100000');
+
+    const second = await appendChunk(
+      uploadId,
+      100000,
+      CONTENT.subarray(100000)
+    );
+    expect(second.body.data.offset).toBe(CONTENT.length);
+
+    const completed = await request(app)
+      .post(`/api/upload/sessions/${uploadId}/complete`)
+      .send({ title: 'Evidence', documentType: 'report' });
+
+    const fileHash = await generateSHA256(CONTENT);
+    expect(completed.status).toBe(200);
+    expect(completed.body.data).toMatchObject({
+      fileHash,
+      ipfs: { hash: 'bafkreiresumable' },
+      file: {
+        originalName: 'evidence.txt',
+        size: CONTENT.length,
+        detectedType: 'text/plain',
+        hasMacros: false,
+      },
+    });
+
+    const [, filename, metadata, options] =
+      ipfsService.uploadFile.mock.calls[0];
+    expect(filename).toMatch(/^upload_/);
+    expect(metadata).toMatchObject({
+      title: 'Evidence',
+      size: 300000,
+      hasMacros: 'false',
+      contentWarnings: '',
+    });
+    expect(options).toEqual({ fileHash });
+    expect(
+      (await ipfsService.uploadFile.mock.results[0].value).content.equals(
+        CONTENT
+      )
+    ).toBe(true);
+
+    // Published sessions are removed with their data
+    expect(await uploadSessionService.getSession(uploadId)).toBeNull();
+  });
+
+  test('reports the offset to resume from', async () => {
+    const { uploadId } = (await createSession()).body.data;
+    await appendChunk(uploadId, 0, CONTENT.subarray(0, 50000));
+
+    const status = await request(app).get(`/api/upload/sessions/${uploadId}`);
+    expect(status.status).toBe(200);
+    expect(status.headers['upload-offset']).toBe('50000');
+    expect(status.headers['upload-length']).toBe(String(CONTENT.length));
+
+    const head = await request(app).head(`/api/upload/sessions/${uploadId}`);
+    expect(head.headers['upload-offset']).toBe('50000');
+
+    await request(app).delete(`/api/upload/sessions/${uploadId}`).expect(204);
+  });
+
+  test('refuses chunks at the wrong offset', async () => {
+    const { uploadId } = (await createSession()).body.data;
+    await appendChunk(uploadId, 0, CONTENT.subarray(0, 1000));
+
+    const response = await appendChunk(uploadId, 0, CONTENT.subarray(0, 1000));
+    expect(response.status).toBe(409);
+    expect(response.body.code).toBe('OFFSET_MISMATCH');
+    expect(response.headers['upload-offset']).toBe('1000');
+
+    await uploadSessionService.removeSession(uploadId);
+  });
+
+  test('drops a chunk that goes past the declared size', async () => {
+    const { uploadId } = (await createSession({ size: 1000 })).body.data;
+    await appendChunk(uploadId, 0, CONTENT.subarray(0, 600));
+
+    const response = await appendChunk(uploadId, 600, CONTENT.subarray(0, 600));
+    expect(response.status).toBe(413);
+    expect(response.body.code).toBe('CHUNK_TOO_LARGE');
+
+    const session = await uploadSessionService.getSession(uploadId);
+    expect(session.offset).toBe(600);
+
+    await uploadSessionService.removeSession(uploadId);
+  });
+
+  test('will not publish an incomplete upload', async () => {
+    const { uploadId } = (await createSession()).body.data;
+
+    const response = await request(app).post(
+      `/api/upload/sessions/${uploadId}/complete`
+    );
+    expect(response.status).toBe(409);
+    expect(response.body.code).toBe('UPLOAD_INCOMPLETE');
+    expect(ipfsService.uploadFile).not.toHaveBeenCalled();
+
+    await uploadSessionService.removeSession(uploadId);
+  });
+
+  test('checks the file before creating a session', async () => {
+    const tooLarge = await createSession({
+      size: config.upload.maxFileSize + 1,
+    });
+    expect(tooLarge.status).toBe(413);
+
+    const wrongType = await createSession({
+      filename: 'script.sh',
+      mimetype: 'application/x-sh',
+    });
+    expect(wrongType.status).toBe(400);
+    expect(wrongType.body.code).toBe('INVALID_FILE_TYPE');
+
+    const unknown = await request(app).get(
+      '/api/upload/sessions/00000000-0000-4000-8000-000000000000'
+    );
+    expect(unknown.status).toBe(404);
+  });
+
+  test('drops expired sessions', async () => {
+    const sessionTTL = config.upload.sessionTTL;
+    config.upload.sessionTTL = -1;
+    let expired;
+    try {
+      expired = (await createSession()).body.data.uploadId;
+    } finally {
+      config.upload.sessionTTL = sessionTTL;
+    }
+
+    // Creating a session sweeps the expired ones
+    const { uploadId } = (await createSession()).body.data;
+
+    expect(fs.existsSync(uploadSessionService.getInfoPath(expired))).toBe(
+      false
+    );
+    expect(fs.existsSync(uploadSessionService.getDataPath(expired))).toBe(
+      false
+    );
+    expect(await uploadSessionService.getSession(uploadId)).not.toBeNull();
+
+    await uploadSessionService.removeSession(uploadId);
+  });
+});
+
+describe('Encrypted uploads', () => {
+  const CONTENT = Buffer.from('Medical record: confidential\n');
+
+  // Encrypted as the browser does, in the format of encryptFile
+  const encryptContent = async (key, header) => {
+    const plainPath = path.join(os.tmpdir(), `certiproof-${key}`);
+    const encryptedPath = `${plainPath}.enc`;
+    fs.writeFileSync(plainPath, CONTENT);
+    try {
+      await encryptFile(plainPath, encryptedPath, key, header);
+      return fs.readFileSync(encryptedPath);
+    } finally {
+      fs.rmSync(plainPath);
+      fs.rmSync(encryptedPath, { force: true });
+    }
+  };
+
+  beforeEach(() => {
+    ipfsService.uploadFile.mockReset();
+    ipfsService.uploadFile.mockImplementation(async (filePath) => ({
+      hash: 'bafkreiencrypted',
+      ipfsUrl: 'ipfs://bafkreiencrypted',
+      provider: 'mock',
+      content: fs.readFileSync(filePath),
+    }));
+  });
+
+  test('pins the ciphertext as sent and mints the plaintext hash', async () => {
+    const key = generateEncryptionKey();
+    const encrypted = await encryptContent(key);
+    const documentHash = await generateSHA256(CONTENT);
+
+    const response = await request(app)
+      .post('/api/upload')
+      .field('encrypt', 'true')
+      .field('documentHash', documentHash.toUpperCase())
+      .attach('file', encrypted, 'record.txt');
+
+    expect(response.status).toBe(200);
+
+    const { data } = response.body;
+    expect(data.fileHash).toBe(documentHash);
+    expect(data.encryption).toEqual({ algorithm: 'aes-256-gcm', keys: [] });
+
+    const [, filename, metadata, options] =
+      ipfsService.uploadFile.mock.calls[0];
+    const { content } = await ipfsService.uploadFile.mock.results[0].value;
+    expect(filename).toMatch(/\.txt\.enc$/);
+    expect(metadata).toMatchObject({
+      encrypted: 'true',
+      encryptionAlgorithm: 'aes-256-gcm',
+      contentType: 'application/octet-stream',
+    });
+    expect(options).toEqual({ fileHash: await generateSHA256(encrypted) });
+    expect(content.equals(encrypted)).toBe(true);
+    expect(decryptContent(content, key).equals(CONTENT)).toBe(true);
+  });
+
+  test('publishes in the clear by default', async () => {
+    const response = await request(app)
+      .post('/api/upload')
+      .attach('file', CONTENT, 'record.txt');
+
+    expect(response.body.data.encryption).toBeNull();
+    const { content } = await ipfsService.uploadFile.mock.results[0].value;
+    expect(content.equals(CONTENT)).toBe(true);
+  });
+
+  test('refuses content that does not match the encryption asked for', async () => {
+    const encrypted = await encryptContent(generateEncryptionKey());
+    const documentHash = await generateSHA256(CONTENT);
+
+    const plaintext = await request(app)
+      .post('/api/upload')
+      .field('encrypt', 'true')
+      .field('documentHash', documentHash)
+      .attach('file', CONTENT, 'record.txt');
+    expect(plaintext.status).toBe(400);
+    expect(plaintext.body.code).toBe('INVALID_ENCRYPTION');
+
+    const undeclared = await request(app)
+      .post('/api/upload')
+      .attach('file', encrypted, 'record.txt');
+    expect(undeclared.status).toBe(400);
+    expect(undeclared.body.code).toBe('INVALID_ENCRYPTION');
+
+    const unhashed = await request(app)
+      .post('/api/upload')
+      .field('encrypt', 'true')
+      .attach('file', encrypted, 'record.txt');
+    expect(unhashed.status).toBe(400);
+    expect(unhashed.body.code).toBe('INVALID_ENCRYPTION');
+
+    expect(ipfsService.uploadFile).not.toHaveBeenCalled();
+  });
+
+  test('stores the keys wrapped to registered recipients', async () => {
+    const recipient = ethers.Wallet.createRandom();
+    const encryptionKey = ethers.Wallet.createRandom().signingKey;
+    const publicKey = encryptionKey.compressedPublicKey;
+    const registration = {
+      address: recipient.address,
+      publicKey,
+      issuedAt: new Date().toISOString(),
+      nonce: 'ab'.repeat(16),
+    };
+    encryptionKeyService.registerKey({
+      ...registration,
+      signature: await recipient.signMessage(
+        encryptionKeyService.getRegistrationMessage(registration)
+      ),
+    });
+
+    const key = generateEncryptionKey();
+    const wrapped = {
+      address: recipient.address.toLowerCase(),
+      publicKey,
+      ...wrapKey(key, publicKey),
+    };
+
+    const response = await request(app)
+      .post('/api/upload')
+      .field('encrypt', 'true')
+      .field('documentHash', await generateSHA256(CONTENT))
+      .attach(
+        'file',
+        await encryptContent(key, { keys: [wrapped] }),
+        'record.txt'
+      );
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.encryption.keys).toEqual([
+      { ...wrapped, address: recipient.address },
+    ]);
+
+    const [, , metadata] = ipfsService.uploadFile.mock.calls[0];
+    const { content } = await ipfsService.uploadFile.mock.results[0].value;
+    expect(JSON.stringify(metadata)).not.toContain(wrapped.wrappedKey);
+
+    // The recipient opens it from the header alone
+    const [entry] = readEncryptionHeader(content).keys;
+    const unwrapped = unwrapKey(entry, encryptionKey.privateKey);
+    expect(decryptContent(content, unwrapped).equals(CONTENT)).toBe(true);
+
+    // Wrapped to another key than the one the wallet registered
+    const substituted = ethers.Wallet.createRandom().signingKey;
+    const forged = await request(app)
+      .post('/api/upload')
+      .field('encrypt', 'true')
+      .field('documentHash', await generateSHA256(CONTENT))
+      .attach(
+        'file',
+        await encryptContent(key, {
+          keys: [
+            {
+              address: recipient.address,
+              publicKey: substituted.compressedPublicKey,
+              ...wrapKey(key, substituted.compressedPublicKey),
+            },
+          ],
+        }),
+        'record.txt'
+      );
+
+    expect(forged.status).toBe(400);
+    expect(forged.body.code).toBe('INVALID_RECIPIENTS');
+  });
+
+  test('refuses keys wrapped to wallets without a registered key', async () => {
+    const key = generateEncryptionKey();
+    const stranger = ethers.Wallet.createRandom();
+
+    const response = await request(app)
+      .post('/api/upload')
+      .field('encrypt', 'true')
+      .field('documentHash', await generateSHA256(CONTENT))
+      .attach(
+        'file',
+        await encryptContent(key, {
+          keys: [
+            {
+              address: stranger.address,
+              publicKey: stranger.signingKey.compressedPublicKey,
+              ...wrapKey(key, stranger.signingKey.compressedPublicKey),
+            },
+          ],
+        }),
+        'record.txt'
+      );
+
+    expect(response.status).toBe(400);
+    expect(response.body.code).toBe('RECIPIENT_KEY_NOT_FOUND');
+    expect(ipfsService.uploadFile).not.toHaveBeenCalled();
+  });
+
+  test('refuses to encrypt bundles', async () => {
+    const response = await request(app)
+      .post('/api/upload/bundle')
+      .field('encrypt', 'true')
+      .attach('files', CONTENT, 'record.txt');
+
+    expect(response.status).toBe(400);
+    expect(response.body.code).toBe('ENCRYPTION_NOT_SUPPORTED');
+
+    const encrypted = await request(app)
+      .post('/api/upload/bundle')
+      .attach('files', await encryptContent(generateEncryptionKey()), 'a.txt');
+
+    expect(encrypted.status).toBe(400);
+    expect(encrypted.body.code).toBe('ENCRYPTION_NOT_SUPPORTED');
+  });
+});
+
+describe('Bundle upload route', () => {
+  const THESIS = Buffer.from('%PDF-1.7\nthesis\nstartxref\n9\n%%EOF\n');
+  const ANNEX = Buffer.from('annex figures');
+
+  beforeEach(() => {
+    ipfsService.uploadDirectory.mockReset();
+    ipfsService.uploadDirectory.mockImplementation(async (files) => ({
+      hash: 'bafybeibundle',
+      ipfsUrl: 'ipfs://bafybeibundle',
+      gatewayUrl: 'https://ipfs.io/ipfs/bafybeibundle',
+      provider: 'mock',
+      size: 42,
+      files: files.map(({ name }) => ({
+        name,
+        ipfsUrl: `ipfs://bafybeibundle/${name}`,
+      })),
+      contents: files.map(({ file }) =>
+        Buffer.isBuffer(file) ? file : fs.readFileSync(file)
+      ),
+    }));
+  });
+
+  test('uploads the files and their manifest as one directory', async () => {
+    const response = await request(app)
+      .post('/api/upload/bundle')
+      .field('title', 'Thesis and annexes')
+      .field(
+        'metadata',
+        JSON.stringify({ course: 'MSc', manifestHash: '00'.repeat(32) })
+      )
+      .attach('files', THESIS, 'thesis.pdf')
+      .attach('files', ANNEX, 'annex.txt');
+
+    expect(response.status).toBe(200);
+
+    const { data } = response.body;
+    expect(data.manifest.files).toEqual([
+      {
+        name: 'annex.txt',
+        size: ANNEX.length,
+        mimetype: 'text/plain',
+        sha256: await generateSHA256(ANNEX),
+      },
+      {
+        name: 'thesis.pdf',
+        size: THESIS.length,
+        mimetype: 'application/pdf',
+        sha256: await generateSHA256(THESIS),
+      },
+    ]);
+    expect(data.ipfs.hash).toBe('bafybeibundle');
+    expect(data.bundle).toMatchObject({
+      title: 'Thesis and annexes',
+      fileCount: 2,
+    });
+
+    const [files, , metadata] = ipfsService.uploadDirectory.mock.calls[0];
+    const { contents } =
+      await ipfsService.uploadDirectory.mock.results[0].value;
+    expect(files.map((file) => file.name)).toEqual([
+      'thesis.pdf',
+      'annex.txt',
+      'manifest.json',
+    ]);
+    expect(contents[0].equals(THESIS)).toBe(true);
+
+    // The minted hash is the hash of manifest.json as stored
+    expect(JSON.parse(contents[2])).toEqual(data.manifest);
+    expect(data.manifestHash).toBe(await generateSHA256(contents[2]));
+    expect(data.fileHash).toBe(data.manifestHash);
+    expect(metadata).toMatchObject({
+      course: 'MSc',
+      manifestHash: data.manifestHash,
+    });
+  });
+
+  test('gives the same manifest hash for the same files', async () => {
+    const upload = (first, second) =>
+      request(app)
+        .post('/api/upload/bundle')
+        .attach('files', ...first)
+        .attach('files', ...second);
+
+    const one = await upload([THESIS, 'thesis.pdf'], [ANNEX, 'annex.txt']);
+    const two = await upload([ANNEX, 'annex.txt'], [THESIS, 'thesis.pdf']);
+
+    expect(two.body.data.manifestHash).toBe(one.body.data.manifestHash);
+  });
+
+  test('refuses duplicate filenames and empty bundles', async () => {
+    const duplicate = await request(app)
+      .post('/api/upload/bundle')
+      .attach('files', THESIS, 'thesis.pdf')
+      .attach('files', THESIS, 'thesis.pdf');
+    expect(duplicate.status).toBe(400);
+    expect(duplicate.body.code).toBe('DUPLICATE_FILENAME');
+
+    const empty = await request(app).post('/api/upload/bundle');
+    expect(empty.status).toBe(400);
+    expect(empty.body.code).toBe('NO_FILE_UPLOADED');
+    expect(ipfsService.uploadDirectory).not.toHaveBeenCalled();
+  });
+
+  test('refuses a file whose content does not match its type', async () => {
+    const response = await request(app)
+      .post('/api/upload/bundle')
+      .attach('files', THESIS, 'thesis.pdf')
+      .attach('files', ANNEX, 'annex.pdf');
+
+    expect(response.status).toBe(400);
+    expect(response.body.code).toBe('FILE_TYPE_MISMATCH');
+    expect(ipfsService.uploadDirectory).not.toHaveBeenCalled();
+  });
+});
@@ -6,14 +6,48 @@
  */
 
 const express = require('express');
-const { param, query, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const config = require('../config/config');
 const logger = require('../utils/logger');
 const ipfsService = require('../services/ipfsService');
-const { generateSHA256 } = require('../utils/crypto');
+const blockchainService = require('../services/blockchainService');
+const certificateService = require('../services/certificateService');
+const anchorService = require('../services/anchorService');
+const { upload } = require('../middleware/upload');
+const {
+  generateSHA256,
+  isEncryptedContent,
+  readEncryptionHeader,
+  decryptContent,
+} = require('../utils/crypto');
 
 const router = express.Router();
 
+/**
+ * Find the document CID in token metadata
+ *
+ * Tokens minted from metadata JSON, such as batch-issued ones, point their
+ * URI at the metadata instead of the document. Its 'IPFS Hash' attribute,
+ * see certificateService.generateMetadata, holds the document CID.
+ * @param {Buffer} content - Content behind the token URI
+ * @returns {string|null} - Document CID, null when the content is not metadata
+ */
+const getMetadataDocumentCID = (content) => {
+  let metadata;
+  try {
+    metadata = JSON.parse(content.toString('utf8'));
+  } catch {
+    return null;
+  }
+
+  const attribute = Array.isArray(metadata?.attributes)
+    ? metadata.attributes.find((entry) => entry?.trait_type === 'IPFS Hash')
+    : null;
+  return typeof attribute?.value === 'string' && attribute.value
+    ? attribute.value
+    : null;
+};
+
 /**
  * Verify certificate by token ID
  * GET /api/verification/:tokenId
@@ -24,7 +58,7 @@ router.get(
     param('tokenId').isNumeric().toInt(),
     query('network')
       .optional()
-      .isIn(['mumbai', 'polygon', 'goerli', 'mainnet']),
+      .isIn(['mumbai', 'polygon', 'goerli', 'mainnet', 'localhost']),
   ],
   async (req, res) => {
     try {
@@ -51,33 +85,43 @@ router.get(
         ip: req.ip,
       });
 
-      // This would typically interact with the blockchain to get token data
-      // For now, we'll return a mock response structure
+      const proof = await blockchainService.getProofByTokenId(tokenId, network);
+
+      if (!proof) {
+        logger.apiResponse(req.method, req.originalUrl, 404, 0);
+
+        return res.status(404).json({
+          success: false,
+          error: 'Certificate not found',
+          code: 'TOKEN_NOT_FOUND',
+          tokenId,
+          network,
+          exists: false,
+        });
+      }
+
       const verificationResult = {
         tokenId,
         network,
-        exists: true, // This would come from blockchain query
-        isActive: true,
-        verified: true,
+        exists: true,
+        isActive: proof.isActive,
+        isLocked: proof.isLocked,
+        verified: proof.isActive,
         proof: {
-          documentHash:
-            '0x1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef', // Mock
-          ipfsHash: 'QmTestHash123456789', // Mock
-          issuer: '0x1234567890123456789012345678901234567890', // Mock
-          recipient: '0x0987654321098765432109876543210987654321', // Mock
-          issuedAt: '2025-08-03T00:00:00.000Z', // Mock
-          title: 'Sample Certificate', // Mock
-          documentType: 'diploma', // Mock
+          documentHash: proof.documentHash,
+          ipfsHash: proof.ipfsHash,
+          ipfsURI: proof.ipfsURI,
+          tokenURI: proof.tokenURI,
+          issuer: proof.issuer,
+          recipient: proof.owner,
+          issuedAt: proof.issuedAt,
+          title: proof.title,
+          documentType: proof.documentType,
         },
         blockchain: {
           network,
-          contractAddress:
-            config.blockchain.networks[network]?.contractAddress ||
-            'Not deployed',
-          blockNumber: 12345678, // Mock
-          transactionHash:
-            '0xabcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890', // Mock
-          gasUsed: '150000', // Mock
+          chainId: config.blockchain.networks[network].chainId,
+          contractAddress: config.blockchain.networks[network].contractAddress,
         },
         verifiedAt: new Date().toISOString(),
       };
@@ -95,6 +139,10 @@ router.get(
         data: verificationResult,
       });
     } catch (error) {
+      if (isBlockchainConfigError(error)) {
+        return sendBlockchainUnavailable(req, res, error);
+      }
+
       logger.apiError(req.method, req.originalUrl, 500, error, req.ip);
       logger.error('Certificate verification failed:', error);
 
@@ -115,10 +163,10 @@ router.get(
 router.get(
   '/hash/:hash',
   [
-    param('hash').matches(/^0x[a-fA-F0-9]{64}$/),
+    param('hash').matches(/^(0x)?[a-fA-F0-9]{64}$/),
     query('network')
       .optional()
-      .isIn(['mumbai', 'polygon', 'goerli', 'mainnet']),
+      .isIn(['mumbai', 'polygon', 'goerli', 'mainnet', 'localhost']),
   ],
   async (req, res) => {
     try {
@@ -145,31 +193,45 @@ router.get(
         ip: req.ip,
       });
 
-      // This would typically interact with the blockchain to find token by hash
-      // For now, we'll return a mock response
+      const proof = await blockchainService.getProofByHash(hash, network);
+
+      if (!proof) {
+        logger.apiResponse(req.method, req.originalUrl, 404, 0);
+
+        return res.status(404).json({
+          success: false,
+          error: 'Proof not found',
+          code: 'PROOF_NOT_FOUND',
+          documentHash: hash,
+          network,
+          exists: false,
+        });
+      }
+
       const verificationResult = {
         documentHash: hash,
         network,
-        exists: true, // This would come from blockchain query
-        tokenId: 1, // Mock - would be retrieved from blockchain
-        isActive: true,
-        verified: true,
+        exists: true,
+        tokenId: proof.tokenId,
+        isActive: proof.isActive,
+        isLocked: proof.isLocked,
+        verified: proof.isActive,
         proof: {
-          ipfsHash: 'QmTestHash123456789', // Mock
-          issuer: '0x1234567890123456789012345678901234567890', // Mock
-          recipient: '0x0987654321098765432109876543210987654321', // Mock
-          issuedAt: '2025-08-03T00:00:00.000Z', // Mock
-          title: 'Sample Certificate', // Mock
-          documentType: 'diploma', // Mock
+          documentHash: proof.documentHash,
+          ipfsHash: proof.ipfsHash,
+          ipfsURI: proof.ipfsURI,
+          issuer: proof.issuer,
+          recipient: proof.owner,
+          issuedAt: proof.issuedAt,
+          title: proof.title,
+          documentType: proof.documentType,
         },
         blockchain: {
           network,
-          contractAddress:
-            config.blockchain.networks[network]?.contractAddress ||
-            'Not deployed',
-          blockNumber: 12345678, // Mock
-          transactionHash:
-            '0xabcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890', // Mock
+          chainId: config.blockchain.networks[network].chainId,
+          contractAddress: config.blockchain.networks[network].contractAddress,
+          blockNumber: proof.mint?.blockNumber ?? null,
+          transactionHash: proof.mint?.transactionHash ?? null,
         },
         verifiedAt: new Date().toISOString(),
       };
@@ -187,6 +249,10 @@ router.get(
         data: verificationResult,
       });
     } catch (error) {
+      if (isBlockchainConfigError(error)) {
+        return sendBlockchainUnavailable(req, res, error);
+      }
+
       logger.apiError(req.method, req.originalUrl, 500, error, req.ip);
       logger.error('Proof verification by hash failed:', error);
 
@@ -200,6 +266,342 @@ router.get(
   }
 );
 
+/**
+ * Verify a document anchored in a batch, from its proof file
+ * POST /api/verification/anchor
+ *
+ * The body is the proof file from GET /api/batch/:id/proofs/:row. The result
+ * has the same shape as GET /api/verification/hash/:hash, with the anchor in
+ * place of the token.
+ */
+router.post(
+  '/anchor',
+  [
+    body('root').matches(/^(0x)?[a-fA-F0-9]{64}$/),
+    body('documentHash').matches(/^(0x)?[a-fA-F0-9]{64}$/),
+    body('proof').isArray({ max: 64 }),
+    body('network')
+      .optional()
+      .isIn(['mumbai', 'polygon', 'goerli', 'mainnet', 'localhost']),
+    query('network')
+      .optional()
+      .isIn(['mumbai', 'polygon', 'goerli', 'mainnet', 'localhost']),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: errors.array(),
+        });
+      }
+
+      const { documentHash, root } = req.body;
+      const network =
+        req.query.network ||
+        req.body.network ||
+        config.blockchain.defaultNetwork;
+
+      logger.apiRequest(
+        req.method,
+        req.originalUrl,
+        req.ip,
+        req.get('User-Agent')
+      );
+      logger.info(`Verifying anchored document: ${documentHash}`, {
+        root,
+        network,
+        ip: req.ip,
+      });
+
+      const proof = await anchorService.resolveProof(req.body, network);
+
+      if (!proof) {
+        logger.apiResponse(req.method, req.originalUrl, 404, 0);
+
+        return res.status(404).json({
+          success: false,
+          error: 'Proof not found',
+          code: 'PROOF_NOT_FOUND',
+          documentHash,
+          root,
+          network,
+          exists: false,
+        });
+      }
+
+      const verificationResult = {
+        documentHash,
+        network,
+        exists: true,
+        tokenId: null,
+        anchorId: proof.anchorId,
+        root: proof.root,
+        isActive: proof.isActive,
+        isLocked: proof.isLocked,
+        verified: proof.isActive,
+        proof: {
+          documentHash: proof.documentHash,
+          ipfsHash: proof.ipfsHash,
+          ipfsURI: proof.ipfsURI,
+          issuer: proof.issuer,
+          recipient: proof.owner,
+          issuedAt: proof.issuedAt,
+          title: proof.title,
+          documentType: proof.documentType,
+        },
+        blockchain: {
+          network,
+          chainId: config.blockchain.networks[network].chainId,
+          contractAddress: config.blockchain.networks[network].contractAddress,
+          blockNumber: proof.mint?.blockNumber ?? null,
+          transactionHash: proof.mint?.transactionHash ?? null,
+        },
+        verifiedAt: new Date().toISOString(),
+      };
+
+      logger.apiResponse(req.method, req.originalUrl, 200, 0);
+      logger.info(`Anchored document verification completed: ${documentHash}`, {
+        anchorId: verificationResult.anchorId,
+        verified: verificationResult.verified,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Anchored document verification completed',
+        data: verificationResult,
+      });
+    } catch (error) {
+      if (error.code === 'INVALID_ANCHOR_PROOF') {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+          code: error.code,
+        });
+      }
+
+      if (isBlockchainConfigError(error)) {
+        return sendBlockchainUnavailable(req, res, error);
+      }
+
+      logger.apiError(req.method, req.originalUrl, 500, error, req.ip);
+      logger.error('Anchored document verification failed:', error);
+
+      res.status(500).json({
+        success: false,
+        error: 'Anchor verification failed',
+        message: error.message,
+        code: 'ANCHOR_VERIFICATION_FAILED',
+      });
+    }
+  }
+);
+
+/**
+ * Verify an uploaded file against its on-chain proof and IPFS copy
+ * POST /api/verification/file
+ *
+ * An encrypted IPFS copy can only be compared when the holder sends its key
+ * in the `key` field. A document anchored in a batch is found through its
+ * proof file, sent as JSON in the `anchorProof` field. When the IPFS copy
+ * cannot be compared the verdict is inconclusive rather than verified.
+ */
+router.post(
+  '/file',
+  upload.single('file'),
+  [
+    query('network')
+      .optional()
+      .isIn(['mumbai', 'polygon', 'goerli', 'mainnet', 'localhost']),
+    body('key')
+      .optional()
+      .matches(/^[0-9a-fA-F]{64}$/),
+    body('anchorProof').optional().isJSON(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: errors.array(),
+        });
+      }
+
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          error: 'No file uploaded',
+          code: 'NO_FILE_UPLOADED',
+        });
+      }
+
+      const startTime = Date.now();
+      const { hash: documentHash, originalname, mimetype, size } = req.file;
+      const network = req.query.network || config.blockchain.defaultNetwork;
+
+      logger.apiRequest(
+        req.method,
+        req.originalUrl,
+        req.ip,
+        req.get('User-Agent')
+      );
+      logger.info(`Verifying uploaded file: ${originalname}`, {
+        size,
+        network,
+        ip: req.ip,
+      });
+
+      let proof = await blockchainService.getProofByHash(documentHash, network);
+
+      if (!proof && req.body.anchorProof) {
+        const anchorProof = JSON.parse(req.body.anchorProof);
+
+        if (
+          String(anchorProof.documentHash).toLowerCase().replace(/^0x/, '') !==
+          documentHash
+        ) {
+          return res.status(400).json({
+            success: false,
+            error: 'The anchor proof is for another document',
+            code: 'ANCHOR_PROOF_MISMATCH',
+            documentHash,
+          });
+        }
+
+        proof = await anchorService.resolveProof(anchorProof, network);
+      }
+
+      // Compare the upload with the copy stored on IPFS
+      const ipfs = {
+        hash: proof ? proof.ipfsHash : null,
+        metadataHash: null,
+        retrieved: false,
+        encrypted: false,
+        decrypted: false,
+        recipients: [],
+        matches: null,
+        error: null,
+      };
+
+      if (proof && proof.ipfsHash) {
+        try {
+          let ipfsBuffer = await ipfsService.retrieveFile(proof.ipfsHash);
+
+          // The token may point at its metadata rather than the document
+          const documentCID = getMetadataDocumentCID(ipfsBuffer);
+          if (
+            documentCID &&
+            (await generateSHA256(ipfsBuffer)) !== documentHash
+          ) {
+            ipfs.metadataHash = proof.ipfsHash;
+            ipfs.hash = documentCID;
+            ipfsBuffer = await ipfsService.retrieveFile(documentCID);
+          }
+          ipfs.retrieved = true;
+          ipfs.encrypted = isEncryptedContent(ipfsBuffer);
+
+          if (ipfs.encrypted) {
+            // Wallets that can unlock it, see routes/keys
+            const { keys = [] } = readEncryptionHeader(ipfsBuffer);
+            ipfs.recipients = keys.map((entry) => entry.address);
+
+            if (req.body.key) {
+              ipfsBuffer = decryptContent(ipfsBuffer, req.body.key);
+              ipfs.decrypted = true;
+            }
+          }
+          if (!ipfs.encrypted || ipfs.decrypted) {
+            ipfs.matches = (await generateSHA256(ipfsBuffer)) === documentHash;
+          }
+        } catch (error) {
+          ipfs.error = error.message;
+        }
+      }
+
+      const verdict = {
+        registered: proof !== null,
+        active: proof ? proof.isActive : false,
+        issuer: proof ? proof.issuer : null,
+        ipfsMatch: ipfs.matches,
+        inconclusive: proof !== null && proof.isActive && ipfs.matches === null,
+        verified: proof !== null && proof.isActive && ipfs.matches === true,
+      };
+
+      const processingTime = Date.now() - startTime;
+
+      logger.apiResponse(req.method, req.originalUrl, 200, processingTime);
+      logger.info(`File verification completed: ${documentHash}`, {
+        tokenId: proof ? proof.tokenId : null,
+        ...verdict,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'File verification completed',
+        data: {
+          verdict,
+          file: {
+            name: originalname,
+            size,
+            mimetype,
+            documentHash,
+          },
+          tokenId: proof ? proof.tokenId : null,
+          anchorId: proof?.anchorId ?? null,
+          proof: proof && {
+            documentHash: proof.documentHash,
+            ipfsHash: proof.ipfsHash,
+            ipfsURI: proof.ipfsURI,
+            issuer: proof.issuer,
+            recipient: proof.owner,
+            issuedAt: proof.issuedAt,
+            title: proof.title,
+            documentType: proof.documentType,
+            isLocked: proof.isLocked,
+          },
+          ipfs,
+          blockchain: {
+            network,
+            chainId: config.blockchain.networks[network].chainId,
+            contractAddress:
+              config.blockchain.networks[network].contractAddress,
+            blockNumber: proof?.mint?.blockNumber ?? null,
+            transactionHash: proof?.mint?.transactionHash ?? null,
+          },
+          verifiedAt: new Date().toISOString(),
+          processingTime: `${processingTime}ms`,
+        },
+      });
+    } catch (error) {
+      if (error.code === 'INVALID_ANCHOR_PROOF') {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+          code: error.code,
+        });
+      }
+
+      if (isBlockchainConfigError(error)) {
+        return sendBlockchainUnavailable(req, res, error);
+      }
+
+      logger.apiError(req.method, req.originalUrl, 500, error, req.ip);
+      logger.error('File verification failed:', error);
+
+      res.status(500).json({
+        success: false,
+        error: 'File verification failed',
+        message: error.message,
+        code: 'FILE_VERIFICATION_FAILED',
+      });
+    }
+  }
+);
+
 /**
  * Verify IPFS file integrity
  * GET /api/verification/ipfs/:hash
@@ -268,12 +670,7 @@ router.get(
         exists: fileExists,
         metadata,
         hashVerification,
-        gatewayUrls: [
-          `${config.ipfs.gateway}${hash}`,
-          `https://ipfs.io/ipfs/${hash}`,
-          `https://gateway.pinata.cloud/ipfs/${hash}`,
-          `https://cloudflare-ipfs.com/ipfs/${hash}`,
-        ],
+        gatewayUrls: ipfsService.gatewayPool.getGatewayUrls(hash),
         verifiedAt: new Date().toISOString(),
       };
 
@@ -313,7 +710,8 @@ router.get(
     param('address').matches(/^0x[a-fA-F0-9]{40}$/),
     query('network')
       .optional()
-      .isIn(['mumbai', 'polygon', 'goerli', 'mainnet']),
+      .isIn(['mumbai', 'polygon', 'goerli', 'mainnet', 'localhost']),
+    query('as').optional().isIn(['owner', 'issuer']),
     query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
     query('offset').optional().isInt({ min: 0 }).toInt(),
   ],
@@ -330,6 +728,7 @@ router.get(
 
       const { address } = req.params;
       const network = req.query.network || config.blockchain.defaultNetwork;
+      const role = req.query.as || 'owner';
       const limit = req.query.limit || 10;
       const offset = req.query.offset || 0;
 
@@ -341,37 +740,48 @@ router.get(
       );
       logger.info(`Verifying certificates for wallet: ${address}`, {
         network,
+        role,
         limit,
         offset,
         ip: req.ip,
       });
 
-      // This would typically query the blockchain for all tokens owned by the address
-      // For now, we'll return a mock response
-      const certificates = [
-        {
-          tokenId: 1,
-          documentHash:
-            '0x1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef',
-          ipfsHash: 'QmTestHash123456789',
-          title: 'Computer Science Degree',
-          documentType: 'diploma',
-          issuedAt: '2025-08-03T00:00:00.000Z',
-          issuer: '0x1234567890123456789012345678901234567890',
-          isActive: true,
-        },
-        // More mock certificates would be here
-      ];
+      const tokenIds =
+        role === 'issuer'
+          ? await blockchainService.getIssuerTokens(address, network)
+          : await blockchainService.getTokensOwnedBy(address, network);
+
+      const proofs = await Promise.all(
+        tokenIds
+          .slice(offset, offset + limit)
+          .map((tokenId) =>
+            blockchainService.getProofByTokenId(tokenId, network)
+          )
+      );
+
+      const certificates = proofs.filter(Boolean).map((proof) => ({
+        tokenId: proof.tokenId,
+        documentHash: proof.documentHash,
+        ipfsHash: proof.ipfsHash,
+        title: proof.title,
+        documentType: proof.documentType,
+        issuedAt: proof.issuedAt,
+        issuer: proof.issuer,
+        owner: proof.owner,
+        isActive: proof.isActive,
+        isLocked: proof.isLocked,
+      }));
 
       const verificationResult = {
         walletAddress: address,
         network,
-        totalCertificates: certificates.length,
+        role,
+        totalCertificates: tokenIds.length,
         certificates,
         pagination: {
           limit,
           offset,
-          hasMore: false, // Would be calculated based on actual data
+          hasMore: offset + limit < tokenIds.length,
         },
         verifiedAt: new Date().toISOString(),
       };
@@ -387,6 +797,10 @@ router.get(
         data: verificationResult,
       });
     } catch (error) {
+      if (isBlockchainConfigError(error)) {
+        return sendBlockchainUnavailable(req, res, error);
+      }
+
       logger.apiError(req.method, req.originalUrl, 500, error, req.ip);
       logger.error('Wallet verification failed:', error);
 
@@ -400,6 +814,140 @@ router.get(
   }
 );
 
+/**
+ * Verify fields revealed from a selective disclosure certificate
+ * POST /api/verification/disclosure
+ *
+ * The body names the proof (tokenId, or the root minted as its document
+ * hash) and the revealed { name, value, salt, proof } fields. Each one must
+ * hash into the on-chain root through its Merkle path.
+ */
+router.post(
+  '/disclosure',
+  [
+    body('tokenId').optional().isNumeric().toInt(),
+    body('root')
+      .optional()
+      .matches(/^(0x)?[a-fA-F0-9]{64}$/),
+    body('fields').isArray({ min: 1, max: 50 }),
+    body('fields.*.name').isString().notEmpty(),
+    body('fields.*.salt').isString().notEmpty(),
+    body('fields.*.proof').isArray({ max: 64 }),
+    query('network')
+      .optional()
+      .isIn(['mumbai', 'polygon', 'goerli', 'mainnet', 'localhost']),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: errors.array(),
+        });
+      }
+
+      const { tokenId, root, fields } = req.body;
+      const network = req.query.network || config.blockchain.defaultNetwork;
+
+      if (tokenId === undefined && !root) {
+        return res.status(400).json({
+          success: false,
+          error: 'A tokenId or a root is required',
+          code: 'MISSING_PROOF_REFERENCE',
+        });
+      }
+
+      logger.apiRequest(
+        req.method,
+        req.originalUrl,
+        req.ip,
+        req.get('User-Agent')
+      );
+      logger.info('Verifying disclosed fields', {
+        tokenId,
+        root,
+        fieldCount: fields.length,
+        network,
+        ip: req.ip,
+      });
+
+      const proof =
+        tokenId !== undefined
+          ? await blockchainService.getProofByTokenId(tokenId, network)
+          : await blockchainService.getProofByHash(root, network);
+
+      if (!proof) {
+        logger.apiResponse(req.method, req.originalUrl, 404, 0);
+
+        return res.status(404).json({
+          success: false,
+          error: 'Proof not found',
+          code: 'PROOF_NOT_FOUND',
+          tokenId,
+          root,
+          network,
+        });
+      }
+
+      // The root is whatever the proof holds, never the one sent along
+      const results = certificateService.verifyDisclosure(
+        fields,
+        proof.documentHash
+      );
+      const fieldsValid = results.every((result) => result.valid);
+
+      const verificationResult = {
+        tokenId: proof.tokenId,
+        network,
+        root: proof.documentHash,
+        isActive: proof.isActive,
+        verified: proof.isActive && fieldsValid,
+        fields: results,
+        proof: {
+          issuer: proof.issuer,
+          recipient: proof.owner,
+          issuedAt: proof.issuedAt,
+          title: proof.title,
+          documentType: proof.documentType,
+        },
+        verifiedAt: new Date().toISOString(),
+      };
+
+      if (!fieldsValid) {
+        logger.security('Disclosed fields do not match the on-chain root', {
+          tokenId: proof.tokenId,
+          invalid: results.filter((result) => !result.valid).length,
+          ip: req.ip,
+        });
+      }
+
+      logger.apiResponse(req.method, req.originalUrl, 200, 0);
+
+      res.status(200).json({
+        success: true,
+        message: 'Disclosure verification completed',
+        data: verificationResult,
+      });
+    } catch (error) {
+      if (isBlockchainConfigError(error)) {
+        return sendBlockchainUnavailable(req, res, error);
+      }
+
+      logger.apiError(req.method, req.originalUrl, 500, error, req.ip);
+      logger.error('Disclosure verification failed:', error);
+
+      res.status(500).json({
+        success: false,
+        error: 'Disclosure verification failed',
+        message: error.message,
+        code: 'DISCLOSURE_VERIFICATION_FAILED',
+      });
+    }
+  }
+);
+
 /**
  * Batch verification of multiple items
  * POST /api/verification/batch
@@ -410,7 +958,7 @@ router.post(
     query('type').isIn(['tokenId', 'hash', 'ipfs']),
     query('network')
       .optional()
-      .isIn(['mumbai', 'polygon', 'goerli', 'mainnet']),
+      .isIn(['mumbai', 'polygon', 'goerli', 'mainnet', 'localhost']),
   ],
   async (req, res) => {
     try {
@@ -455,63 +1003,39 @@ router.post(
         ip: req.ip,
       });
 
-      // Process each item based on type
-      const results = [];
-
-      for (const item of items) {
-        try {
-          let result;
+      let results;
 
-          switch (type) {
-            case 'tokenId':
-              // Mock verification result for token ID
-              result = {
-                item,
-                verified: true,
-                exists: true,
-                isActive: true,
-                error: null,
-              };
-              break;
+      switch (type) {
+        case 'tokenId':
+          results = await verifyTokenIdBatch(items, network);
+          break;
 
-            case 'hash':
-              // Mock verification result for hash
-              result = {
-                item,
-                verified: true,
-                exists: true,
-                tokenId: Math.floor(Math.random() * 1000) + 1, // Mock
-                error: null,
-              };
-              break;
+        case 'hash':
+          results = await verifyHashBatch(items, network);
+          break;
 
-            case 'ipfs':
-              // Actual IPFS verification
+        case 'ipfs':
+          results = [];
+          for (const item of items) {
+            try {
               const exists = await ipfsService.fileExists(item);
-              result = {
+              results.push({
                 item,
                 exists,
                 verified: exists,
+                reason: exists ? null : 'not_found',
                 error: null,
-              };
-              break;
-
-            default:
-              result = {
+              });
+            } catch (error) {
+              results.push({
                 item,
                 verified: false,
-                error: `Unsupported verification type: ${type}`,
-              };
+                reason: null,
+                error: error.message,
+              });
+            }
           }
-
-          results.push(result);
-        } catch (error) {
-          results.push({
-            item,
-            verified: false,
-            error: error.message,
-          });
-        }
+          break;
       }
 
       const verificationSummary = {
@@ -543,6 +1067,10 @@ router.post(
         },
       });
     } catch (error) {
+      if (isBlockchainConfigError(error)) {
+        return sendBlockchainUnavailable(req, res, error);
+      }
+
       logger.apiError(req.method, req.originalUrl, 500, error, req.ip);
       logger.error('Batch verification failed:', error);
 
@@ -556,4 +1084,158 @@ router.post(
   }
 );
 
+// Helper functions
+
+/**
+ * Read a batch item as { tokenId, hash }
+ *
+ * Items are either a bare token ID / hash or an object carrying both, in
+ * which case the other value is checked against the chain.
+ */
+function parseBatchItem(item, type) {
+  const { tokenId, hash } =
+    item !== null && typeof item === 'object' ? item : { [type]: item };
+
+  if (tokenId !== undefined && !/^[1-9]\d*$/.test(String(tokenId))) {
+    return { error: 'Invalid token ID' };
+  }
+
+  if (hash !== undefined && !/^(0x)?[a-fA-F0-9]{64}$/.test(String(hash))) {
+    return { error: 'Invalid document hash' };
+  }
+
+  if ((type === 'tokenId' ? tokenId : hash) === undefined) {
+    return { error: `Missing ${type}` };
+  }
+
+  return {
+    tokenId: tokenId === undefined ? undefined : Number(tokenId),
+    hash,
+  };
+}
+
+function normalizeHash(hash) {
+  return hash.toLowerCase().replace(/^0x/, '');
+}
+
+/**
+ * Build the result of a batch item from its on-chain proof
+ */
+function buildBatchResult(item, parsed, proof) {
+  if (parsed.error) {
+    return {
+      item,
+      exists: false,
+      verified: false,
+      reason: 'invalid_item',
+      error: parsed.error,
+    };
+  }
+
+  if (!proof) {
+    return {
+      item,
+      exists: false,
+      verified: false,
+      reason: 'not_found',
+      error: null,
+    };
+  }
+
+  let reason = null;
+  if (
+    (parsed.hash !== undefined &&
+      normalizeHash(parsed.hash) !== normalizeHash(proof.documentHash)) ||
+    (parsed.tokenId !== undefined && parsed.tokenId !== proof.tokenId)
+  ) {
+    reason = 'hash_mismatch';
+  } else if (!proof.isActive) {
+    reason = 'revoked';
+  }
+
+  return {
+    item,
+    exists: true,
+    verified: reason === null,
+    tokenId: proof.tokenId,
+    documentHash: proof.documentHash,
+    isActive: proof.isActive,
+    isLocked: proof.isLocked,
+    issuer: proof.issuer,
+    owner: proof.owner,
+    reason,
+    error: null,
+  };
+}
+
+/**
+ * Verify a batch of token IDs with a single aggregated contract read
+ */
+async function verifyTokenIdBatch(items, network) {
+  const parsed = items.map((item) => parseBatchItem(item, 'tokenId'));
+  const proofs = await blockchainService.getProofsByTokenIds(
+    parsed.filter((entry) => !entry.error).map((entry) => entry.tokenId),
+    network
+  );
+
+  let index = 0;
+  return items.map((item, i) =>
+    buildBatchResult(item, parsed[i], parsed[i].error ? null : proofs[index++])
+  );
+}
+
+/**
+ * Verify a batch of document hashes with two aggregated contract reads:
+ * hashes to token IDs, then token IDs to proofs
+ */
+async function verifyHashBatch(items, network) {
+  const parsed = items.map((item) => parseBatchItem(item, 'hash'));
+  const valid = parsed.filter((entry) => !entry.error);
+
+  const tokenIds = await blockchainService.getTokenIdsByHashes(
+    valid.map((entry) => entry.hash),
+    network
+  );
+  const proofs = await blockchainService.getProofsByTokenIds(
+    tokenIds.filter((tokenId) => tokenId !== null),
+    network
+  );
+
+  const proofsByTokenId = new Map(
+    proofs.filter(Boolean).map((proof) => [proof.tokenId, proof])
+  );
+
+  let index = 0;
+  return items.map((item, i) => {
+    if (parsed[i].error) {
+      return buildBatchResult(item, parsed[i], null);
+    }
+
+    const tokenId = tokenIds[index++];
+    return buildBatchResult(
+      item,
+      parsed[i],
+      tokenId === null ? null : proofsByTokenId.get(tokenId)
+    );
+  });
+}
+
+function isBlockchainConfigError(error) {
+  return (
+    error.code === 'NETWORK_NOT_CONFIGURED' ||
+    error.code === 'CONTRACT_NOT_DEPLOYED'
+  );
+}
+
+function sendBlockchainUnavailable(req, res, error) {
+  logger.apiError(req.method, req.originalUrl, 503, error, req.ip);
+
+  return res.status(503).json({
+    success: false,
+    error: 'Verification unavailable',
+    message: error.message,
+    code: error.code,
+  });
+}
+
 module.exports = router;
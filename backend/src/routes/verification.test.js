@@ -0,0 +1,691 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { ethers } = require('ethers');
+
+// Mock the IPFS service before requiring the server
+jest.mock('../services/ipfsService', () => ({
+  fileExists: jest.fn().mockResolvedValue(true),
+  getStatus: jest.fn().mockResolvedValue({ provider: 'mock' }),
+  retrieveFile: jest.fn(),
+}));
+
+const config = require('../config/config');
+const ipfsService = require('../services/ipfsService');
+const certificateService = require('../services/certificateService');
+const anchorService = require('../services/anchorService');
+const {
+  generateSHA256,
+  generateEncryptionKey,
+  encryptFile,
+} = require('../utils/crypto');
+const app = require('../server');
+
+/**
+ * Verification routes against a local Hardhat node
+ *
+ * Run `npx hardhat compile` and `npx hardhat node` in contracts/, then
+ * HARDHAT_RPC_URL=http://127.0.0.1:8545 npm test
+ */
+const describeWithNode = process.env.HARDHAT_RPC_URL ? describe : describe.skip;
+
+const ARTIFACT_PATH = path.join(
+  __dirname,
+  '../../../contracts/artifacts/contracts/CertiProofNFT.sol/CertiProofNFT.json'
+);
+
+const DOCUMENT_HASH =
+  '3a7bd3e2360a3d29eea436fcfb7e44c735d117c42d1c1835420b6b9942dd4f1b';
+
+describeWithNode('Verification routes (Hardhat node)', () => {
+  let contract;
+  let issuer;
+  let recipient;
+  let mintReceipt;
+
+  beforeAll(async () => {
+    const { abi, bytecode } = require(ARTIFACT_PATH);
+    const provider = new ethers.JsonRpcProvider(process.env.HARDHAT_RPC_URL);
+
+    issuer = await provider.getSigner(0);
+    recipient = await provider.getSigner(1);
+
+    const factory = new ethers.ContractFactory(abi, bytecode, issuer);
+    contract = await factory.deploy(
+      'CertiProof X',
+      'CERTX',
+      await issuer.getAddress()
+    );
+    await contract.waitForDeployment();
+
+    mintReceipt = await (
+      await contract.mint(
+        await recipient.getAddress(),
+        DOCUMENT_HASH,
+        'ipfs://bafkreitestdocument',
+        'diploma',
+        'Computer Science Degree',
+        false
+      )
+    ).wait();
+
+    config.blockchain.networks.localhost.rpcUrl = process.env.HARDHAT_RPC_URL;
+    config.blockchain.networks.localhost.contractAddress =
+      await contract.getAddress();
+  });
+
+  describe('GET /api/verification/:tokenId', () => {
+    test('returns the on-chain proof for a minted token', async () => {
+      const response = await request(app).get(
+        '/api/verification/1?network=localhost'
+      );
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({
+        tokenId: 1,
+        exists: true,
+        isActive: true,
+        isLocked: false,
+        verified: true,
+      });
+      expect(response.body.data.proof).toMatchObject({
+        documentHash: DOCUMENT_HASH,
+        ipfsHash: 'bafkreitestdocument',
+        tokenURI: 'ipfs://bafkreitestdocument',
+        issuer: await issuer.getAddress(),
+        recipient: await recipient.getAddress(),
+        title: 'Computer Science Degree',
+        documentType: 'diploma',
+      });
+    });
+
+    test('returns 404 for a token that was never minted', async () => {
+      const response = await request(app).get(
+        '/api/verification/999?network=localhost'
+      );
+
+      expect(response.status).toBe(404);
+      expect(response.body.code).toBe('TOKEN_NOT_FOUND');
+      expect(response.body.exists).toBe(false);
+    });
+
+    test('reports revoked proofs as inactive', async () => {
+      await (await contract.revokeProof(1, 'Issued in error')).wait();
+
+      const response = await request(app).get(
+        '/api/verification/1?network=localhost'
+      );
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.isActive).toBe(false);
+      expect(response.body.data.verified).toBe(false);
+
+      await (await contract.restoreProof(1)).wait();
+    });
+  });
+
+  describe('GET /api/verification/hash/:hash', () => {
+    test('resolves a minted hash with its mint transaction', async () => {
+      const response = await request(app).get(
+        `/api/verification/hash/0x${DOCUMENT_HASH}?network=localhost`
+      );
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({
+        exists: true,
+        tokenId: 1,
+        isActive: true,
+        verified: true,
+      });
+      expect(response.body.data.proof.documentHash).toBe(DOCUMENT_HASH);
+      expect(response.body.data.blockchain).toMatchObject({
+        transactionHash: mintReceipt.hash,
+        blockNumber: mintReceipt.blockNumber,
+      });
+    });
+
+    test('returns 404 with exists: false for an unknown hash', async () => {
+      const response = await request(app).get(
+        `/api/verification/hash/0x${'0'.repeat(64)}?network=localhost`
+      );
+
+      expect(response.status).toBe(404);
+      expect(response.body.code).toBe('PROOF_NOT_FOUND');
+      expect(response.body.exists).toBe(false);
+    });
+  });
+
+  describe('GET /api/verification/wallet/:address', () => {
+    test('follows transfers when listing owned certificates', async () => {
+      const holder = await recipient.getAddress();
+      const newHolder = await (await issuer.provider.getSigner(2)).getAddress();
+
+      await (
+        await contract.connect(recipient).transferFrom(holder, newHolder, 1)
+      ).wait();
+
+      const [previous, current] = await Promise.all([
+        request(app).get(
+          `/api/verification/wallet/${holder}?network=localhost`
+        ),
+        request(app).get(
+          `/api/verification/wallet/${newHolder}?network=localhost`
+        ),
+      ]);
+
+      expect(previous.body.data.totalCertificates).toBe(0);
+      expect(current.body.data.totalCertificates).toBe(1);
+      expect(current.body.data.certificates[0]).toMatchObject({
+        tokenId: 1,
+        owner: newHolder,
+      });
+    });
+
+    test('lists and paginates issued certificates with as=issuer', async () => {
+      const address = await issuer.getAddress();
+
+      for (const suffix of ['c', 'd']) {
+        await (
+          await contract.mint(
+            address,
+            DOCUMENT_HASH.slice(0, -1) + suffix,
+            `ipfs://bafkreitest${suffix}`,
+            'certificate',
+            `Certificate ${suffix}`,
+            false
+          )
+        ).wait();
+      }
+
+      const response = await request(app).get(
+        `/api/verification/wallet/${address}?network=localhost&as=issuer&limit=2&offset=1`
+      );
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.totalCertificates).toBe(3);
+      expect(response.body.data.certificates.map((c) => c.tokenId)).toEqual([
+        2, 3,
+      ]);
+      expect(response.body.data.pagination.hasMore).toBe(false);
+    });
+  });
+
+  describe('POST /api/verification/batch', () => {
+    test('verifies token IDs with a reason for each failure', async () => {
+      await (await contract.revokeProof(2, 'Superseded')).wait();
+
+      const response = await request(app)
+        .post('/api/verification/batch?type=tokenId&network=localhost')
+        .send({
+          items: [1, '2', 999, { tokenId: 3, hash: DOCUMENT_HASH }, 'abc'],
+        });
+
+      expect(response.status).toBe(200);
+      expect(
+        response.body.data.results.map(({ verified, reason }) => ({
+          verified,
+          reason,
+        }))
+      ).toEqual([
+        { verified: true, reason: null },
+        { verified: false, reason: 'revoked' },
+        { verified: false, reason: 'not_found' },
+        { verified: false, reason: 'hash_mismatch' },
+        { verified: false, reason: 'invalid_item' },
+      ]);
+      expect(response.body.data.results[0]).toMatchObject({
+        exists: true,
+        tokenId: 1,
+        documentHash: DOCUMENT_HASH,
+      });
+      expect(response.body.data.summary).toMatchObject({
+        total: 5,
+        verified: 1,
+        failed: 4,
+      });
+    });
+
+    test('resolves document hashes to their tokens', async () => {
+      const response = await request(app)
+        .post('/api/verification/batch?type=hash&network=localhost')
+        .send({
+          items: [
+            `0x${DOCUMENT_HASH}`,
+            DOCUMENT_HASH.slice(0, -1) + 'c',
+            { hash: DOCUMENT_HASH, tokenId: 3 },
+            '0'.repeat(64),
+          ],
+        });
+
+      expect(response.status).toBe(200);
+      expect(
+        response.body.data.results.map(({ tokenId, reason }) => ({
+          tokenId,
+          reason,
+        }))
+      ).toEqual([
+        { tokenId: 1, reason: null },
+        { tokenId: 2, reason: 'revoked' },
+        { tokenId: 1, reason: 'hash_mismatch' },
+        { tokenId: undefined, reason: 'not_found' },
+      ]);
+    });
+  });
+
+  describe('POST /api/verification/file', () => {
+    const FILE_CONTENT = Buffer.from('CertiProof X test certificate\n');
+
+    beforeAll(async () => {
+      await (
+        await contract.mint(
+          await recipient.getAddress(),
+          await generateSHA256(FILE_CONTENT),
+          'ipfs://bafkreitestfile',
+          'certificate',
+          'Uploaded Certificate',
+          false
+        )
+      ).wait();
+    });
+
+    test('returns a verified verdict when the IPFS copy matches', async () => {
+      ipfsService.retrieveFile.mockResolvedValueOnce(FILE_CONTENT);
+
+      const response = await request(app)
+        .post('/api/verification/file?network=localhost')
+        .attach('file', FILE_CONTENT, 'certificate.txt');
+
+      expect(response.status).toBe(200);
+      expect(ipfsService.retrieveFile).toHaveBeenCalledWith('bafkreitestfile');
+      expect(response.body.data.verdict).toEqual({
+        registered: true,
+        active: true,
+        issuer: await issuer.getAddress(),
+        ipfsMatch: true,
+        inconclusive: false,
+        verified: true,
+      });
+      expect(response.body.data.tokenId).toBe(4);
+    });
+
+    test('flags an IPFS copy that differs from the upload', async () => {
+      ipfsService.retrieveFile.mockResolvedValueOnce(Buffer.from('tampered'));
+
+      const response = await request(app)
+        .post('/api/verification/file?network=localhost')
+        .attach('file', FILE_CONTENT, 'certificate.txt');
+
+      expect(response.body.data.verdict).toMatchObject({
+        registered: true,
+        ipfsMatch: false,
+        verified: false,
+      });
+    });
+
+    test('compares an encrypted IPFS copy with the holder key', async () => {
+      const key = generateEncryptionKey();
+      const plainPath = path.join(os.tmpdir(), `certiproof-${key}.txt`);
+      const encryptedPath = `${plainPath}.enc`;
+      fs.writeFileSync(plainPath, FILE_CONTENT);
+      await encryptFile(plainPath, encryptedPath, key);
+      const encrypted = fs.readFileSync(encryptedPath);
+      fs.rmSync(plainPath);
+      fs.rmSync(encryptedPath);
+
+      ipfsService.retrieveFile.mockResolvedValue(encrypted);
+      try {
+        const locked = await request(app)
+          .post('/api/verification/file?network=localhost')
+          .attach('file', FILE_CONTENT, 'certificate.txt');
+
+        expect(locked.body.data.ipfs).toMatchObject({
+          encrypted: true,
+          decrypted: false,
+          matches: null,
+        });
+        expect(locked.body.data.verdict).toMatchObject({
+          inconclusive: true,
+          verified: false,
+        });
+
+        const unlocked = await request(app)
+          .post('/api/verification/file?network=localhost')
+          .field('key', key)
+          .attach('file', FILE_CONTENT, 'certificate.txt');
+
+        expect(unlocked.body.data.ipfs).toMatchObject({
+          encrypted: true,
+          decrypted: true,
+          matches: true,
+        });
+
+        const wrongKey = await request(app)
+          .post('/api/verification/file?network=localhost')
+          .field('key', generateEncryptionKey())
+          .attach('file', FILE_CONTENT, 'certificate.txt');
+
+        expect(wrongKey.body.data.ipfs.matches).toBeNull();
+        expect(wrongKey.body.data.ipfs.error).toMatch(/decrypt/);
+      } finally {
+        ipfsService.retrieveFile.mockReset();
+      }
+    });
+
+    test('reports an IPFS copy it could not fetch as inconclusive', async () => {
+      ipfsService.retrieveFile.mockRejectedValueOnce(
+        new Error('Gateway timeout')
+      );
+
+      const response = await request(app)
+        .post('/api/verification/file?network=localhost')
+        .attach('file', FILE_CONTENT, 'certificate.txt');
+
+      expect(response.body.data.ipfs.error).toBe('Gateway timeout');
+      expect(response.body.data.verdict).toMatchObject({
+        registered: true,
+        ipfsMatch: null,
+        inconclusive: true,
+        verified: false,
+      });
+    });
+
+    test('compares the document named in metadata the token points at', async () => {
+      const document = Buffer.from('CertiProof X batch certificate\n');
+      const metadata = certificateService.generateMetadata({
+        title: 'Batch Certificate',
+        documentHash: `0x${await generateSHA256(document)}`,
+        ipfsHash: 'bafkreibatchdocument',
+        issuerAddress: await issuer.getAddress(),
+      });
+      await (
+        await contract.mint(
+          await recipient.getAddress(),
+          await generateSHA256(document),
+          'ipfs://bafkreibatchmetadata',
+          'certificate',
+          'Batch Certificate',
+          false
+        )
+      ).wait();
+
+      ipfsService.retrieveFile.mockReset();
+      ipfsService.retrieveFile
+        .mockResolvedValueOnce(Buffer.from(JSON.stringify(metadata)))
+        .mockResolvedValueOnce(document);
+
+      const response = await request(app)
+        .post('/api/verification/file?network=localhost')
+        .attach('file', document, 'batch.txt');
+
+      expect(ipfsService.retrieveFile).toHaveBeenNthCalledWith(
+        1,
+        'bafkreibatchmetadata'
+      );
+      expect(ipfsService.retrieveFile).toHaveBeenNthCalledWith(
+        2,
+        'bafkreibatchdocument'
+      );
+      expect(response.body.data.ipfs).toMatchObject({
+        hash: 'bafkreibatchdocument',
+        metadataHash: 'bafkreibatchmetadata',
+        matches: true,
+      });
+      expect(response.body.data.verdict.verified).toBe(true);
+    });
+
+    test('reports files that were never registered', async () => {
+      const response = await request(app)
+        .post('/api/verification/file?network=localhost')
+        .attach('file', Buffer.from('unknown document'), 'unknown.txt');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.verdict).toEqual({
+        registered: false,
+        active: false,
+        issuer: null,
+        ipfsMatch: null,
+        inconclusive: false,
+        verified: false,
+      });
+    });
+  });
+  describe('POST /api/verification/disclosure', () => {
+    let tokenId;
+    let disclosure;
+
+    const reveal = (...names) =>
+      disclosure.fields.filter((field) => names.includes(field.name));
+
+    beforeAll(async () => {
+      ({ disclosure } = certificateService.generateDisclosureMetadata({
+        title: 'Master of Science',
+        documentHash: `0x${DOCUMENT_HASH}`,
+        issuerAddress: await issuer.getAddress(),
+        attributes: [
+          { trait_type: 'Degree', value: 'MSc' },
+          { trait_type: 'Grade', value: 17.5 },
+        ],
+      }));
+
+      const receipt = await (
+        await contract.mint(
+          await recipient.getAddress(),
+          disclosure.root,
+          'ipfs://bafkreitestdisclosure',
+          'diploma',
+          'Master of Science',
+          false
+        )
+      ).wait();
+      tokenId = Number(
+        receipt.logs
+          .map((log) => contract.interface.parseLog(log))
+          .find((event) => event?.name === 'ProofMinted').args.tokenId
+      );
+    });
+
+    test('keeps the attributes out of the public metadata', () => {
+      const { metadata } = certificateService.generateDisclosureMetadata({
+        title: 'Master of Science',
+        documentHash: `0x${DOCUMENT_HASH}`,
+        issuerAddress: ethers.ZeroAddress,
+        attributes: [{ trait_type: 'Grade', value: 17.5 }],
+      });
+
+      expect(metadata.disclosure).toMatchObject({ fieldCount: 2 });
+      expect(JSON.stringify(metadata)).not.toContain('17.5');
+      expect(JSON.stringify(metadata)).not.toContain(DOCUMENT_HASH);
+    });
+
+    test('verifies a field revealed without the others', async () => {
+      const response = await request(app)
+        .post('/api/verification/disclosure?network=localhost')
+        .send({ tokenId, fields: reveal('Degree') });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({
+        tokenId,
+        root: disclosure.root,
+        verified: true,
+        fields: [{ name: 'Degree', value: 'MSc', valid: true }],
+      });
+    });
+
+    test('finds the proof from its root', async () => {
+      const response = await request(app)
+        .post('/api/verification/disclosure?network=localhost')
+        .send({ root: disclosure.root, fields: reveal('Grade', 'Degree') });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.tokenId).toBe(tokenId);
+      expect(response.body.data.verified).toBe(true);
+    });
+
+    test('flags a value that was changed', async () => {
+      const [grade] = reveal('Grade');
+
+      const response = await request(app)
+        .post('/api/verification/disclosure?network=localhost')
+        .send({ tokenId, fields: [{ ...grade, value: 20 }] });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.verified).toBe(false);
+      expect(response.body.data.fields).toEqual([
+        { name: 'Grade', value: 20, valid: false },
+      ]);
+    });
+
+    test('refuses requests without a proof to check against', async () => {
+      const missing = await request(app)
+        .post('/api/verification/disclosure?network=localhost')
+        .send({ fields: reveal('Degree') });
+      expect(missing.status).toBe(400);
+      expect(missing.body.code).toBe('MISSING_PROOF_REFERENCE');
+
+      const unknown = await request(app)
+        .post('/api/verification/disclosure?network=localhost')
+        .send({ root: 'ab'.repeat(32), fields: reveal('Degree') });
+      expect(unknown.status).toBe(404);
+      expect(unknown.body.code).toBe('PROOF_NOT_FOUND');
+    });
+  });
+  describe('POST /api/verification/anchor', () => {
+    const ANCHORED_FILE = Buffer.from('CertiProof X anchored certificate\n');
+
+    let proofFiles;
+    let anchorReceipt;
+
+    beforeAll(async () => {
+      const documents = [
+        {
+          documentHash: await generateSHA256(ANCHORED_FILE),
+          ipfsURI: 'ipfs://bafkreianchoredfile',
+        },
+        ...['11', '22', '33', '44'].map((byte, index) => ({
+          documentHash: byte.repeat(32),
+          ipfsURI: `ipfs://bafkreianchored${index}`,
+        })),
+      ];
+      const { root, documentCount, proofs } =
+        anchorService.buildAnchor(documents);
+
+      anchorReceipt = await (
+        await contract.anchorRoot(
+          `0x${root}`,
+          documentCount,
+          'ipfs://bafkreianchormanifest',
+          'diploma',
+          'Class of 2026'
+        )
+      ).wait();
+
+      proofFiles = proofs.map((proof) =>
+        anchorService.createProofFile({ ...proof, root, network: 'localhost' })
+      );
+    });
+
+    test('verifies an anchored document like a minted one', async () => {
+      const response = await request(app)
+        .post('/api/verification/anchor')
+        .send(proofFiles[3]);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({
+        documentHash: '33'.repeat(32),
+        network: 'localhost',
+        exists: true,
+        tokenId: null,
+        anchorId: 1,
+        isActive: true,
+        verified: true,
+        proof: {
+          documentHash: '33'.repeat(32),
+          ipfsHash: 'bafkreianchored2',
+          issuer: await issuer.getAddress(),
+          recipient: null,
+          title: 'Class of 2026',
+          documentType: 'diploma',
+        },
+        blockchain: {
+          chainId: 31337,
+          blockNumber: anchorReceipt.blockNumber,
+          transactionHash: anchorReceipt.hash,
+        },
+      });
+    });
+
+    test('accepts the proof file with an uploaded file', async () => {
+      ipfsService.retrieveFile.mockResolvedValueOnce(ANCHORED_FILE);
+
+      const response = await request(app)
+        .post('/api/verification/file?network=localhost')
+        .field('anchorProof', JSON.stringify(proofFiles[0]))
+        .attach('file', ANCHORED_FILE, 'anchored.txt');
+
+      expect(response.status).toBe(200);
+      expect(ipfsService.retrieveFile).toHaveBeenCalledWith(
+        'bafkreianchoredfile'
+      );
+      expect(response.body.data.anchorId).toBe(1);
+      expect(response.body.data.verdict).toEqual({
+        registered: true,
+        active: true,
+        issuer: await issuer.getAddress(),
+        ipfsMatch: true,
+        inconclusive: false,
+        verified: true,
+      });
+
+      const mismatch = await request(app)
+        .post('/api/verification/file?network=localhost')
+        .field('anchorProof', JSON.stringify(proofFiles[1]))
+        .attach('file', ANCHORED_FILE, 'anchored.txt');
+      expect(mismatch.status).toBe(400);
+      expect(mismatch.body.code).toBe('ANCHOR_PROOF_MISMATCH');
+    });
+
+    test('refuses a proof that does not lead to the root', async () => {
+      const response = await request(app)
+        .post('/api/verification/anchor')
+        .send({ ...proofFiles[1], ipfsURI: 'ipfs://bafkreiforged' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe('INVALID_ANCHOR_PROOF');
+    });
+
+    test('returns 404 for a root that was never anchored', async () => {
+      const { root, proofs } = anchorService.buildAnchor([
+        { documentHash: '55'.repeat(32), ipfsURI: 'ipfs://bafkreinotanchored' },
+      ]);
+
+      const response = await request(app)
+        .post('/api/verification/anchor')
+        .send(
+          anchorService.createProofFile({
+            ...proofs[0],
+            root,
+            network: 'localhost',
+          })
+        );
+
+      expect(response.status).toBe(404);
+      expect(response.body.code).toBe('PROOF_NOT_FOUND');
+    });
+
+    test('reports the documents of a revoked anchor as unverified', async () => {
+      await (await contract.revokeAnchor(1, 'Issued in error')).wait();
+
+      const response = await request(app)
+        .post('/api/verification/anchor')
+        .send(proofFiles[2]);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({
+        exists: true,
+        isActive: false,
+        verified: false,
+      });
+    });
+  });
+});
@@ -22,6 +22,8 @@ const certificateRoutes = require('./routes/certificate');
 const verificationRoutes = require('./routes/verification');
 const metadataRoutes = require('./routes/metadata');
 const healthRoutes = require('./routes/health');
+const keyRoutes = require('./routes/keys');
+const batchRoutes = require('./routes/batch');
 
 // Import middleware
 const { errorHandler } = require('./middleware/errorHandler');
@@ -30,6 +32,8 @@ const { validateApiKey } = require('./middleware/auth');
 // Import config
 const config = require('./config/config');
 const logger = require('./utils/logger');
+const indexerService = require('./services/indexerService');
+const batchIssuanceService = require('./services/batchIssuanceService');
 
 // Create Express app
 const app = express();
@@ -65,8 +69,14 @@ const corsOptions = {
       : ['http://localhost:3000', 'http://127.0.0.1:3000'],
   credentials: true,
   optionsSuccessStatus: 200,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key'],
+  methods: ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: [
+    'Content-Type',
+    'Authorization',
+    'X-API-Key',
+    'Upload-Offset',
+  ],
+  exposedHeaders: ['Location', 'Upload-Offset', 'Upload-Length'],
 };
 
 app.use(cors(corsOptions));
@@ -88,8 +98,10 @@ const limiter = rateLimit({
 app.use(limiter);
 
 // Body parsing middleware
-app.use(express.json({ limit: '50mb' }));
-app.use(express.urlencoded({ extended: true, limit: '50mb' }));
+app.use(express.json({ limit: config.upload.maxBodySize }));
+app.use(
+  express.urlencoded({ extended: true, limit: config.upload.maxBodySize })
+);
 
 // Request logging
 if (process.env.NODE_ENV !== 'test') {
@@ -120,6 +132,8 @@ app.use('/api/upload', uploadRoutes);
 app.use('/api/certificate', certificateRoutes);
 app.use('/api/verification', verificationRoutes);
 app.use('/api/metadata', metadataRoutes);
+app.use('/api/keys', keyRoutes);
+app.use('/api/batch', batchRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -135,6 +149,8 @@ app.get('/', (req, res) => {
       certificate: '/api/certificate',
       verification: '/api/verification',
       metadata: '/api/metadata',
+      keys: '/api/keys',
+      batch: '/api/batch',
     },
     documentation:
       'https://github.com/Mickael972/CertiProofX/blob/main/docs/TECHNICAL_DOCUMENTATION.md',
@@ -182,6 +198,14 @@ if (process.env.NODE_ENV !== 'test') {
     logger.info(`📁 IPFS Provider: ${config.ipfs.provider}`);
     logger.info(`🔒 Security: Helmet enabled, CORS configured`);
 
+    if (config.indexer.enabled) {
+      logger.info(`🔎 Event indexer: ${config.indexer.network}`);
+      indexerService.start();
+    }
+
+    // Resume the batch jobs the last shutdown interrupted
+    batchIssuanceService.initialize();
+
     // Display configuration
     if (process.env.NODE_ENV === 'development') {
       logger.info('📋 Configuration:');
@@ -201,11 +225,13 @@ if (process.env.NODE_ENV !== 'test') {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('🛑 SIGTERM received, shutting down gracefully');
+  indexerService.stop();
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
   logger.info('🛑 SIGINT received, shutting down gracefully');
+  indexerService.stop();
   process.exit(0);
 });
 
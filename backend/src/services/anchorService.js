@@ -0,0 +1,207 @@
+/**
+ * Anchor Service for CertiProof X Backend
+ * Author: Kai Zenjiro (0xGenesis) - certiproofx@protonmail.me
+ *
+ * Commits many documents with a single CertiProofNFT.anchorRoot transaction
+ * instead of one mint each. The documents become the leaves of a Merkle
+ * tree, only its root goes on-chain, and every document gets a proof file
+ * holding the path from its leaf to that root.
+ */
+
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const {
+  hashLeaf,
+  getMerkleProofs,
+  verifyMerkleProof,
+} = require('../utils/merkle');
+const blockchainService = require('./blockchainService');
+
+const ANCHOR_PROOF_FORMAT = 'certiproof-anchor-proof-v1';
+const ANCHOR_MANIFEST_FORMAT = 'certiproof-anchor-manifest-v1';
+
+const HASH_PATTERN = /^(0x)?[0-9a-fA-F]{64}$/;
+
+const createAnchorError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const normalizeHash = (hash) => hash.toLowerCase().replace(/^0x/, '');
+
+class AnchorService {
+  /**
+   * Hash the leaf of a document
+   *
+   * Same as CertiProofNFT.verifyInclusion: the leaf commits to the document
+   * hash and to the IPFS URI of its copy.
+   * @param {string} documentHash - SHA-256 document hash
+   * @param {string} ipfsURI - IPFS URI of the document, may be empty
+   * @returns {string} - Hex encoded leaf hash
+   */
+  hashDocumentLeaf(documentHash, ipfsURI = '') {
+    return hashLeaf(
+      Buffer.concat([
+        Buffer.from(normalizeHash(documentHash), 'hex'),
+        Buffer.from(ipfsURI, 'utf8'),
+      ])
+    );
+  }
+
+  /**
+   * Build the tree of a batch of documents
+   * @param {Array<Object>} documents - { documentHash, ipfsURI } of each
+   *   document, in the order of the manifest
+   * @returns {Object} - { root, documentCount, manifest, proofs }, proofs in
+   *   document order
+   */
+  buildAnchor(documents) {
+    if (!Array.isArray(documents) || documents.length === 0) {
+      throw createAnchorError(
+        'An anchor needs at least one document',
+        'INVALID_ANCHOR_DOCUMENTS'
+      );
+    }
+
+    const seen = new Set();
+    for (const { documentHash } of documents) {
+      if (!HASH_PATTERN.test(documentHash || '')) {
+        throw createAnchorError(
+          `Invalid document hash ${documentHash}`,
+          'INVALID_ANCHOR_DOCUMENTS'
+        );
+      }
+      if (seen.has(normalizeHash(documentHash))) {
+        throw createAnchorError(
+          `Document ${documentHash} is listed twice`,
+          'INVALID_ANCHOR_DOCUMENTS'
+        );
+      }
+      seen.add(normalizeHash(documentHash));
+    }
+
+    const entries = documents.map(({ documentHash, ipfsURI = '' }) => ({
+      documentHash: normalizeHash(documentHash),
+      ipfsURI,
+    }));
+    const { root, proofs } = getMerkleProofs(
+      entries.map(({ documentHash, ipfsURI }) =>
+        this.hashDocumentLeaf(documentHash, ipfsURI)
+      )
+    );
+
+    return {
+      root,
+      documentCount: entries.length,
+      // Enough to rebuild every proof should the proof files be lost
+      manifest: {
+        format: ANCHOR_MANIFEST_FORMAT,
+        root,
+        documentCount: entries.length,
+        documents: entries,
+      },
+      proofs: entries.map((entry, index) => ({
+        ...entry,
+        proof: proofs[index],
+      })),
+    };
+  }
+
+  /**
+   * Build the proof file handed out with a document
+   * @param {Object} options - { root, documentHash, ipfsURI, proof, network,
+   *   document }, document holding display details that are not proven
+   * @returns {Object} - Proof file content
+   */
+  createProofFile({
+    root,
+    documentHash,
+    ipfsURI,
+    proof,
+    network = config.blockchain.defaultNetwork,
+    document = {},
+  }) {
+    const networkConfig = config.blockchain.networks[network] || {};
+
+    return {
+      format: ANCHOR_PROOF_FORMAT,
+      network,
+      chainId: networkConfig.chainId ?? null,
+      contractAddress: networkConfig.contractAddress || null,
+      root,
+      documentHash,
+      ipfsURI,
+      proof,
+      document,
+    };
+  }
+
+  /**
+   * Check a proof file and find the on-chain anchor of its root
+   * @param {Object} proofFile - Proof file from createProofFile
+   * @param {string} network - Network name
+   * @returns {Promise<Object|null>} - Proof data shaped like
+   *   blockchainService.getProofByHash, or null if the root is not anchored
+   */
+  async resolveProof(proofFile, network = config.blockchain.defaultNetwork) {
+    const { format, root, documentHash, ipfsURI = '', proof } = proofFile || {};
+
+    if (
+      format !== ANCHOR_PROOF_FORMAT ||
+      !HASH_PATTERN.test(root || '') ||
+      !HASH_PATTERN.test(documentHash || '') ||
+      typeof ipfsURI !== 'string' ||
+      !Array.isArray(proof)
+    ) {
+      throw createAnchorError(
+        'Not a CertiProof anchor proof file',
+        'INVALID_ANCHOR_PROOF'
+      );
+    }
+
+    if (
+      !verifyMerkleProof(
+        this.hashDocumentLeaf(documentHash, ipfsURI),
+        proof,
+        root
+      )
+    ) {
+      logger.security('Anchor proof does not lead to its root', {
+        documentHash,
+        root,
+      });
+      throw createAnchorError(
+        'The proof does not lead from the document to the root',
+        'INVALID_ANCHOR_PROOF'
+      );
+    }
+
+    const anchor = await blockchainService.getAnchorByRoot(root, network);
+    if (!anchor) {
+      return null;
+    }
+
+    return {
+      tokenId: null,
+      anchorId: anchor.anchorId,
+      root: anchor.root,
+      owner: null,
+      mint: anchor.anchoring,
+      documentHash: normalizeHash(documentHash),
+      ipfsURI,
+      ipfsHash: blockchainService.extractIpfsHash(ipfsURI),
+      issuer: anchor.issuer,
+      timestamp: anchor.timestamp,
+      issuedAt: anchor.issuedAt,
+      documentType: anchor.documentType,
+      title: anchor.title,
+      // Anchors can be revoked but never edited
+      isLocked: false,
+      isActive: anchor.isActive,
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new AnchorService();
@@ -0,0 +1,793 @@
+/**
+ * Batch Issuance Service for CertiProof X Backend
+ * Author: Kai Zenjiro (0xGenesis) - certiproofx@protonmail.me
+ *
+ * Prepares hundreds or thousands of certificates from a CSV of recipients
+ * and a ZIP of their documents. Each row goes through the same steps as a
+ * single upload: content checks, SHA-256, IPFS upload of the document,
+ * certificate PDF and metadata. The result is a mint plan the issuer wallet
+ * signs, or a single Merkle root to anchor with a proof file per document,
+ * and a report with the outcome of every row. Jobs and rows are kept
+ * in the SQLite store, so their results outlive the request that started
+ * them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { getDatabase } = require('../utils/database');
+const {
+  generateSHA256,
+  generateSHA256FromStream,
+  generateUUID,
+} = require('../utils/crypto');
+const { parseCsv, toCsv } = require('../utils/csv');
+const { listZipEntries, readZipEntry } = require('../utils/zip');
+const { FILE_TYPES } = require('../utils/fileType');
+const {
+  tempDirectory,
+  checkFileType,
+  inspectUpload,
+  removeTempFile,
+} = require('../middleware/upload');
+const anchorService = require('./anchorService');
+const certificateService = require('./certificateService');
+const ipfsService = require('./ipfsService');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS batch_jobs (
+    id TEXT PRIMARY KEY,
+    status TEXT NOT NULL,
+    issuer TEXT NOT NULL,
+    network TEXT NOT NULL,
+    signature TEXT NOT NULL UNIQUE,
+    archive_path TEXT NOT NULL,
+    error TEXT,
+    created_at TEXT NOT NULL,
+    completed_at TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS batch_rows (
+    job_id TEXT NOT NULL,
+    row_number INTEGER NOT NULL,
+    data TEXT NOT NULL,
+    status TEXT NOT NULL,
+    document_hash TEXT,
+    ipfs_hash TEXT,
+    certificate_ipfs_hash TEXT,
+    metadata_ipfs_hash TEXT,
+    error TEXT,
+    PRIMARY KEY (job_id, row_number)
+  );
+
+  CREATE TABLE IF NOT EXISTS batch_anchors (
+    job_id TEXT PRIMARY KEY,
+    root TEXT NOT NULL,
+    ipfs_uri TEXT NOT NULL,
+    document_count INTEGER NOT NULL,
+    document_type TEXT NOT NULL,
+    title TEXT NOT NULL,
+    created_at TEXT NOT NULL
+  );
+`;
+
+// Columns with a meaning of their own, any other column becomes an attribute
+const REQUIRED_COLUMNS = ['file', 'title', 'recipient'];
+const KNOWN_COLUMNS = [
+  ...REQUIRED_COLUMNS,
+  'description',
+  'documentType',
+  'issuedAt',
+];
+
+const REPORT_COLUMNS = [
+  'row',
+  'file',
+  'title',
+  'recipient',
+  'status',
+  'documentHash',
+  'ipfsHash',
+  'certificateIpfsHash',
+  'tokenURI',
+  'error',
+];
+
+const createBatchError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * MIME type of a supported document, from its extension
+ */
+const getDocumentMimeType = (filename) => {
+  const extension = path.extname(filename).toLowerCase();
+  const type = Object.values(FILE_TYPES).find((fileType) =>
+    fileType.extensions.includes(extension)
+  );
+  return type ? type.mimetypes[0] : 'application/octet-stream';
+};
+
+class BatchIssuanceService {
+  constructor() {
+    this.db = null;
+    // Jobs being processed by this server, by ID
+    this.running = new Map();
+  }
+
+  /**
+   * Open the store on first use and pick up jobs a restart interrupted
+   */
+  initialize() {
+    if (this.db) {
+      return;
+    }
+
+    this.db = getDatabase();
+    this.db.exec(SCHEMA);
+
+    const interrupted = this.db
+      .prepare("SELECT id FROM batch_jobs WHERE status = 'processing'")
+      .all();
+    for (const { id } of interrupted) {
+      logger.info(`Resuming batch issuance job ${id}`);
+      this.start(id);
+    }
+  }
+
+  /**
+   * Message an issuer signs to start a batch job
+   *
+   * It commits to the SHA-256 of both files, so the signature cannot start
+   * a job over other documents.
+   * @param {Object} request - { issuerAddress, network, csvHash,
+   *   archiveHash, deadline }, deadline in seconds since the epoch
+   * @returns {string} - Message to sign
+   */
+  getJobMessage({ issuerAddress, network, csvHash, archiveHash, deadline }) {
+    return [
+      'CertiProof X batch issuance',
+      `Issuer: ${ethers.getAddress(issuerAddress)}`,
+      `Network: ${network}`,
+      `CSV hash: ${csvHash}`,
+      `Archive hash: ${archiveHash}`,
+      `Deadline: ${deadline}`,
+    ].join('\n');
+  }
+
+  /**
+   * Check that the issuer signed the request for these files
+   *
+   * Every row costs IPFS uploads paid by the operator, so only the issuer
+   * may start a job in its name, and each signature starts one job.
+   * @param {Object} request - { csvPath, archivePath, issuerAddress,
+   *   network, signature, deadline }
+   */
+  async verifyJobSignature({
+    csvPath,
+    archivePath,
+    issuerAddress,
+    network,
+    signature,
+    deadline,
+  }) {
+    if (deadline < Math.floor(Date.now() / 1000)) {
+      throw createBatchError(
+        'The signed deadline has passed',
+        'SIGNATURE_EXPIRED'
+      );
+    }
+
+    const message = this.getJobMessage({
+      issuerAddress,
+      network,
+      csvHash: await generateSHA256FromStream(fs.createReadStream(csvPath)),
+      archiveHash: await generateSHA256FromStream(
+        fs.createReadStream(archivePath)
+      ),
+      deadline,
+    });
+    let signer;
+    try {
+      signer = ethers.verifyMessage(message, signature);
+    } catch {
+      signer = null;
+    }
+
+    if (!signer || signer !== ethers.getAddress(issuerAddress)) {
+      logger.security('Batch issuance request with a bad signature', {
+        issuer: issuerAddress,
+        signer,
+      });
+      throw createBatchError(
+        'Batch jobs must be signed by the issuer',
+        'INVALID_SIGNATURE'
+      );
+    }
+
+    const used = this.db
+      .prepare('SELECT id FROM batch_jobs WHERE signature = ?')
+      .get(signature.toLowerCase());
+    if (used) {
+      logger.security('Replayed batch issuance signature', {
+        issuer: issuerAddress,
+        job: used.id,
+      });
+      throw createBatchError(
+        'This signature already started a batch job',
+        'SIGNATURE_ALREADY_USED'
+      );
+    }
+  }
+
+  /**
+   * Create a job and start processing it in the background
+   * @param {Object} options - { csvPath, archivePath, issuerAddress, network,
+   *   signature, deadline }, signature over getJobMessage from the issuer
+   * @returns {Promise<Object>} - Job summary
+   */
+  async createJob({
+    csvPath,
+    archivePath,
+    issuerAddress,
+    network,
+    signature,
+    deadline,
+  }) {
+    this.initialize();
+
+    await this.verifyJobSignature({
+      csvPath,
+      archivePath,
+      issuerAddress,
+      network,
+      signature,
+      deadline,
+    });
+
+    const { columns, records } = parseCsv(
+      await fs.promises.readFile(csvPath, 'utf8')
+    );
+
+    const missing = REQUIRED_COLUMNS.filter(
+      (column) => !columns.includes(column)
+    );
+    if (missing.length > 0) {
+      throw createBatchError(
+        `CSV is missing the ${missing.join(', ')} column${missing.length > 1 ? 's' : ''}`,
+        'INVALID_CSV'
+      );
+    }
+    if (records.length === 0) {
+      throw createBatchError('CSV has no rows', 'INVALID_CSV');
+    }
+    if (records.length > config.batch.maxRows) {
+      throw createBatchError(
+        `CSV has ${records.length} rows, the maximum is ${config.batch.maxRows}`,
+        'TOO_MANY_ROWS'
+      );
+    }
+
+    // A broken archive is refused now rather than failing every row
+    await listZipEntries(archivePath);
+
+    const id = generateUUID();
+    const insertRow = this.db.prepare(
+      `INSERT INTO batch_rows (job_id, row_number, data, status)
+       VALUES (?, ?, ?, 'pending')`
+    );
+
+    this.db.transaction(() => {
+      this.db
+        .prepare(
+          `INSERT INTO batch_jobs (id, status, issuer, network, signature, archive_path, created_at)
+           VALUES (?, 'processing', ?, ?, ?, ?, ?)`
+        )
+        .run(
+          id,
+          issuerAddress,
+          network,
+          signature.toLowerCase(),
+          archivePath,
+          new Date().toISOString()
+        );
+
+      records.forEach((record, index) => {
+        insertRow.run(id, index + 1, JSON.stringify(record));
+      });
+    })();
+
+    logger.info(`Batch issuance job created: ${id}`, {
+      rows: records.length,
+      issuer: issuerAddress,
+      network,
+    });
+
+    this.start(id);
+    return this.getJob(id);
+  }
+
+  /**
+   * Process a job unless it is already running
+   * @param {string} id - Job ID
+   * @returns {Promise<void>} - Settles when the job is done
+   */
+  start(id) {
+    if (!this.running.has(id)) {
+      this.running.set(
+        id,
+        this.processJob(id)
+          .catch((error) => {
+            logger.error(`Batch issuance job ${id} failed:`, error);
+            this.db
+              .prepare(
+                "UPDATE batch_jobs SET status = 'failed', error = ?, completed_at = ? WHERE id = ?"
+              )
+              .run(error.message, new Date().toISOString(), id);
+          })
+          .finally(() => this.running.delete(id))
+      );
+    }
+
+    return this.running.get(id);
+  }
+
+  /**
+   * Run the pending rows of a job, one after the other
+   * @param {string} id - Job ID
+   */
+  async processJob(id) {
+    const job = this.db
+      .prepare('SELECT * FROM batch_jobs WHERE id = ?')
+      .get(id);
+    const entries = new Map(
+      (await listZipEntries(job.archive_path))
+        .filter((entry) => !entry.isDirectory)
+        .map((entry) => [entry.name, entry])
+    );
+
+    // Documents already prepared, to refuse the same document twice
+    const seen = new Map(
+      this.db
+        .prepare(
+          "SELECT document_hash, row_number FROM batch_rows WHERE job_id = ? AND status = 'ready'"
+        )
+        .all(id)
+        .map((row) => [row.document_hash, row.row_number])
+    );
+
+    const rows = this.db
+      .prepare(
+        "SELECT row_number, data FROM batch_rows WHERE job_id = ? AND status = 'pending' ORDER BY row_number"
+      )
+      .all(id);
+
+    const markReady = this.db.prepare(
+      `UPDATE batch_rows SET status = 'ready', document_hash = @documentHash,
+         ipfs_hash = @ipfsHash, certificate_ipfs_hash = @certificateIpfsHash,
+         metadata_ipfs_hash = @metadataIpfsHash
+       WHERE job_id = @jobId AND row_number = @rowNumber`
+    );
+    const markFailed = this.db.prepare(
+      "UPDATE batch_rows SET status = 'failed', error = ? WHERE job_id = ? AND row_number = ?"
+    );
+
+    for (const row of rows) {
+      try {
+        const result = await this.processRow(
+          job,
+          row.row_number,
+          JSON.parse(row.data),
+          entries,
+          seen
+        );
+        markReady.run({ jobId: id, rowNumber: row.row_number, ...result });
+      } catch (error) {
+        logger.warn(
+          `Batch issuance job ${id} row ${row.row_number} failed: ${error.message}`
+        );
+        markFailed.run(error.message, id, row.row_number);
+      }
+    }
+
+    this.db
+      .prepare(
+        "UPDATE batch_jobs SET status = 'completed', completed_at = ? WHERE id = ?"
+      )
+      .run(new Date().toISOString(), id);
+    await removeTempFile(job.archive_path);
+
+    logger.info(`Batch issuance job completed: ${id}`, {
+      rows: rows.length,
+    });
+  }
+
+  /**
+   * Prepare one certificate: check, hash and upload the document, then
+   * generate and upload its PDF and metadata
+   * @returns {Promise<Object>} - { documentHash, ipfsHash,
+   *   certificateIpfsHash, metadataIpfsHash }
+   */
+  async processRow(job, rowNumber, record, entries, seen) {
+    const name = record.file.replace(/^\.\//, '');
+    const entry = entries.get(name);
+    if (!entry) {
+      throw new Error(`${record.file} is not in the archive`);
+    }
+
+    const filename = path.basename(name);
+    const mimetype = getDocumentMimeType(filename);
+    const typeError = checkFileType(mimetype, filename);
+    if (typeError) {
+      throw typeError;
+    }
+
+    const content = await readZipEntry(
+      job.archive_path,
+      entry,
+      config.upload.maxFileSize
+    );
+    const filePath = path.join(tempDirectory, `batch-entry-${generateUUID()}`);
+    await fs.promises.writeFile(filePath, content);
+
+    try {
+      const detected = await inspectUpload(filePath, {
+        originalname: filename,
+        mimetype,
+      });
+      const documentHash = await generateSHA256(content);
+
+      if (seen.has(documentHash)) {
+        throw new Error(`Same document as row ${seen.get(documentHash)}`);
+      }
+
+      const attributes = Object.entries(record)
+        .filter(([column, value]) => !KNOWN_COLUMNS.includes(column) && value)
+        .map(([column, value]) => ({ trait_type: column, value }));
+
+      const certificateData = {
+        title: record.title,
+        description: record.description || undefined,
+        documentHash: `0x${documentHash}`,
+        issuerAddress: job.issuer,
+        recipientAddress: record.recipient,
+        documentType: record.documentType || 'Digital Document',
+        issuedAt: record.issuedAt ? new Date(record.issuedAt) : new Date(),
+        attributes,
+      };
+
+      if (Number.isNaN(certificateData.issuedAt.getTime())) {
+        throw new Error(`Invalid issuedAt date: ${record.issuedAt}`);
+      }
+      certificateService.validateCertificateData(certificateData);
+
+      const documentUpload = await ipfsService.uploadFile(
+        filePath,
+        filename,
+        {
+          type: 'document',
+          title: record.title,
+          contentType: detected.mimetype,
+          batchId: job.id,
+        },
+        { fileHash: documentHash }
+      );
+      certificateData.ipfsHash = documentUpload.hash;
+
+      const pdf =
+        await certificateService.generateCertificatePDF(certificateData);
+      const pdfUpload = await ipfsService.uploadFile(pdf.buffer, pdf.filename, {
+        type: 'certificate',
+        title: record.title,
+        documentHash: certificateData.documentHash,
+        batchId: job.id,
+      });
+
+      const metadata = certificateService.generateMetadata({
+        ...certificateData,
+        attributes: [
+          ...attributes,
+          { trait_type: 'Certificate PDF', value: pdfUpload.hash },
+        ],
+      });
+      const metadataUpload = await ipfsService.uploadMetadata(
+        metadata,
+        `metadata_${documentHash}.json`
+      );
+
+      seen.set(documentHash, rowNumber);
+
+      return {
+        documentHash,
+        ipfsHash: documentUpload.hash,
+        certificateIpfsHash: pdfUpload.hash,
+        metadataIpfsHash: metadataUpload.hash,
+      };
+    } finally {
+      await removeTempFile(filePath);
+    }
+  }
+
+  /**
+   * Get a job with the count of rows in each status
+   * @param {string} id - Job ID
+   * @returns {Object|null} - Job summary, null when unknown
+   */
+  getJob(id) {
+    this.initialize();
+
+    const job = this.db
+      .prepare('SELECT * FROM batch_jobs WHERE id = ?')
+      .get(id);
+    if (!job) {
+      return null;
+    }
+
+    const counts = Object.fromEntries(
+      this.db
+        .prepare(
+          'SELECT status, COUNT(*) AS count FROM batch_rows WHERE job_id = ? GROUP BY status'
+        )
+        .all(id)
+        .map(({ status, count }) => [status, count])
+    );
+
+    return {
+      id: job.id,
+      status: job.status,
+      issuer: job.issuer,
+      network: job.network,
+      error: job.error,
+      createdAt: job.created_at,
+      completedAt: job.completed_at,
+      rows: {
+        total:
+          (counts.pending || 0) + (counts.ready || 0) + (counts.failed || 0),
+        pending: counts.pending || 0,
+        ready: counts.ready || 0,
+        failed: counts.failed || 0,
+      },
+    };
+  }
+
+  /**
+   * Get the rows of a job with their status
+   * @param {string} id - Job ID
+   * @returns {Array<Object>} - Rows, in CSV order
+   */
+  getRows(id) {
+    this.initialize();
+
+    return this.db
+      .prepare('SELECT * FROM batch_rows WHERE job_id = ? ORDER BY row_number')
+      .all(id)
+      .map((row) => {
+        const record = JSON.parse(row.data);
+        return {
+          row: row.row_number,
+          file: record.file,
+          title: record.title,
+          recipient: record.recipient,
+          documentType: record.documentType || 'Digital Document',
+          status: row.status,
+          documentHash: row.document_hash,
+          ipfsHash: row.ipfs_hash,
+          certificateIpfsHash: row.certificate_ipfs_hash,
+          tokenURI: row.metadata_ipfs_hash
+            ? `ipfs://${row.metadata_ipfs_hash}`
+            : null,
+          error: row.error,
+        };
+      });
+  }
+
+  /**
+   * Get the mint calls for the rows that are ready
+   *
+   * Each entry holds the arguments of CertiProofNFT.mint in order, for the
+   * issuer wallet to sign.
+   * @param {string} id - Job ID
+   * @returns {Object|null} - Mint plan, null when the job is unknown
+   */
+  getMintPlan(id) {
+    const job = this.getJob(id);
+    if (!job) {
+      return null;
+    }
+
+    const rows = this.getRows(id);
+
+    return {
+      jobId: id,
+      status: job.status,
+      issuer: job.issuer,
+      network: job.network,
+      contractAddress:
+        config.blockchain.networks[job.network]?.contractAddress || null,
+      mints: rows
+        .filter((row) => row.status === 'ready')
+        .map((row) => ({
+          row: row.row,
+          recipient: row.recipient,
+          documentHash: row.documentHash,
+          tokenURI: row.tokenURI,
+          documentType: row.documentType,
+          title: row.title,
+          locked: false,
+        })),
+      skipped: rows
+        .filter((row) => row.status !== 'ready')
+        .map((row) => ({ row: row.row, status: row.status, error: row.error })),
+    };
+  }
+
+  /**
+   * Get the documents of the ready rows, the leaves of the job anchor
+   * @param {string} id - Job ID
+   * @returns {Array<Object>} - Ready rows with the { documentHash, ipfsURI }
+   *   of their document
+   */
+  getAnchorDocuments(id) {
+    return this.getRows(id)
+      .filter((row) => row.status === 'ready')
+      .map((row) => ({
+        ...row,
+        ipfsURI: `ipfs://${row.ipfsHash}`,
+      }));
+  }
+
+  /**
+   * Build the Merkle root of the ready rows and pin its manifest, so the
+   * whole job can be anchored with one CertiProofNFT.anchorRoot call
+   *
+   * Anchoring a job twice returns the first anchor.
+   * @param {string} id - Job ID
+   * @param {Object} options - { title, documentType } of the batch
+   * @returns {Promise<Object|null>} - Anchor plan, null when the job is
+   *   unknown
+   */
+  async createAnchor(id, { title, documentType } = {}) {
+    const job = this.getJob(id);
+    if (!job) {
+      return null;
+    }
+
+    const existing = this.getAnchorPlan(id);
+    if (existing) {
+      return existing;
+    }
+
+    if (job.status !== 'completed') {
+      throw createBatchError(
+        'Batch job is still processing',
+        'BATCH_NOT_COMPLETED'
+      );
+    }
+
+    const documents = this.getAnchorDocuments(id);
+    if (documents.length === 0) {
+      throw createBatchError('Batch job has no ready rows', 'NO_READY_ROWS');
+    }
+
+    const { root, documentCount, manifest } =
+      anchorService.buildAnchor(documents);
+    const manifestUpload = await ipfsService.uploadMetadata(
+      manifest,
+      `anchor_${root}.json`
+    );
+
+    this.db
+      .prepare(
+        `INSERT INTO batch_anchors (job_id, root, ipfs_uri, document_count,
+           document_type, title, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`
+      )
+      .run(
+        id,
+        root,
+        `ipfs://${manifestUpload.hash}`,
+        documentCount,
+        documentType || documents[0].documentType,
+        title || `Batch ${id}`,
+        new Date().toISOString()
+      );
+
+    logger.info(`Batch issuance job anchored: ${id}`, {
+      root,
+      documentCount,
+    });
+
+    return this.getAnchorPlan(id);
+  }
+
+  /**
+   * Get the anchor plan of a job: the CertiProofNFT.anchorRoot arguments
+   * @param {string} id - Job ID
+   * @returns {Object|null} - Anchor plan, null when the job is not anchored
+   */
+  getAnchorPlan(id) {
+    this.initialize();
+
+    const anchor = this.db
+      .prepare('SELECT * FROM batch_anchors WHERE job_id = ?')
+      .get(id);
+    if (!anchor) {
+      return null;
+    }
+
+    const job = this.getJob(id);
+
+    return {
+      jobId: id,
+      issuer: job.issuer,
+      network: job.network,
+      contractAddress:
+        config.blockchain.networks[job.network]?.contractAddress || null,
+      anchor: {
+        root: `0x${anchor.root}`,
+        documentCount: anchor.document_count,
+        ipfsURI: anchor.ipfs_uri,
+        documentType: anchor.document_type,
+        title: anchor.title,
+      },
+      createdAt: anchor.created_at,
+    };
+  }
+
+  /**
+   * Get the proof file of one anchored row
+   * @param {string} id - Job ID
+   * @param {number} rowNumber - CSV row number
+   * @returns {Object|null} - Proof file, null when the job is not anchored
+   *   or the row is not part of the anchor
+   */
+  getAnchorProof(id, rowNumber) {
+    const plan = this.getAnchorPlan(id);
+    if (!plan) {
+      return null;
+    }
+
+    const documents = this.getAnchorDocuments(id);
+    const index = documents.findIndex((row) => row.row === rowNumber);
+    if (index === -1) {
+      return null;
+    }
+
+    const { root, proofs } = anchorService.buildAnchor(documents);
+    if (`0x${root}` !== plan.anchor.root) {
+      throw new Error(`Rows of batch job ${id} changed since it was anchored`);
+    }
+
+    const row = documents[index];
+    return anchorService.createProofFile({
+      ...proofs[index],
+      root,
+      network: plan.network,
+      document: {
+        file: row.file,
+        title: row.title,
+        recipient: row.recipient,
+        tokenURI: row.tokenURI,
+      },
+    });
+  }
+
+  /**
+   * Get the outcome of every row as CSV
+   * @param {string} id - Job ID
+   * @returns {string|null} - CSV report, null when the job is unknown
+   */
+  getReport(id) {
+    if (!this.getJob(id)) {
+      return null;
+    }
+
+    return toCsv(REPORT_COLUMNS, this.getRows(id));
+  }
+}
+
+module.exports = new BatchIssuanceService();
@@ -0,0 +1,882 @@
+/**
+ * Blockchain Service for CertiProof X Backend
+ * Author: Kai Zenjiro (0xGenesis) - certiproofx@protonmail.me
+ *
+ * Reads proof data from the deployed CertiProofNFT contract
+ */
+
+const { ethers } = require('ethers');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { getDatabase } = require('../utils/database');
+const indexerService = require('./indexerService');
+
+// CertiProofNFT ABI (subset used by the API)
+const CERTIPROOF_ABI = [
+  'function getProofByTokenId(uint256 tokenId) view returns (tuple(string documentHash, string ipfsURI, address issuer, uint256 timestamp, string documentType, string title, bool isLocked, bool isActive))',
+  'function getProofByHash(string documentHash) view returns (bool exists, tuple(string documentHash, string ipfsURI, address issuer, uint256 timestamp, string documentType, string title, bool isLocked, bool isActive) proof)',
+  'function hashToTokenId(string documentHash) view returns (uint256)',
+  'function ownerOf(uint256 tokenId) view returns (address)',
+  'function tokenURI(uint256 tokenId) view returns (string)',
+  'function totalSupply() view returns (uint256)',
+  'function getIssuerTokens(address issuer) view returns (uint256[])',
+  'function updateIpfsURI(uint256 tokenId, string newIpfsURI)',
+  'function getAnchorByRoot(bytes32 root) view returns (bool exists, uint256 anchorId, tuple(bytes32 root, string ipfsURI, address issuer, uint256 timestamp, string documentType, string title, uint256 documentCount, bool isActive) anchor)',
+  // Events
+  'event ProofMinted(uint256 indexed tokenId, string indexed documentHash, string ipfsURI, address indexed issuer, string documentType, string title)',
+  'event ProofRevoked(uint256 indexed tokenId, address indexed revoker, string reason)',
+  'event ProofRestored(uint256 indexed tokenId, address indexed restorer)',
+  'event ProofLocked(uint256 indexed tokenId, address indexed locker)',
+  'event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)',
+  'event MetadataUpdate(uint256 _tokenId)',
+  'event ProofVerified(uint256 indexed tokenId, address indexed verifier, uint256 timestamp)',
+  'event RootAnchored(uint256 indexed anchorId, bytes32 indexed root, address indexed issuer, uint256 documentCount, string ipfsURI, string documentType, string title)',
+  'event AnchorRevoked(uint256 indexed anchorId, address indexed revoker, string reason)',
+  'event AnchorRestored(uint256 indexed anchorId, address indexed restorer)',
+  // Errors
+  'error ERC721NonexistentToken(uint256 tokenId)',
+];
+
+// Multicall3 (deployed at the same address on most EVM chains)
+const MULTICALL3_ABI = [
+  'function aggregate3(tuple(address target, bool allowFailure, bytes callData)[] calls) payable returns (tuple(bool success, bytes returnData)[] returnData)',
+];
+
+// EIP-712 types for issuer-signed metadata updates
+const METADATA_UPDATE_TYPES = {
+  MetadataUpdate: [
+    { name: 'tokenId', type: 'uint256' },
+    { name: 'metadataHash', type: 'bytes32' },
+    { name: 'deadline', type: 'uint256' },
+  ],
+};
+
+// Signed metadata updates the API has accepted, so each is used once
+const USED_UPDATES_SCHEMA = `
+  CREATE TABLE IF NOT EXISTS used_metadata_updates (
+    digest TEXT PRIMARY KEY,
+    token_id INTEGER NOT NULL,
+    deadline INTEGER NOT NULL,
+    used_at TEXT NOT NULL
+  );
+`;
+
+class BlockchainService {
+  constructor() {
+    this.providers = new Map();
+    this.contracts = new Map();
+  }
+
+  /**
+   * Get configuration for a network
+   * @param {string} network - Network name from config.blockchain.networks
+   * @returns {Object} - Network configuration
+   */
+  getNetworkConfig(network = config.blockchain.defaultNetwork) {
+    const networkConfig = config.blockchain.networks[network];
+
+    if (!networkConfig) {
+      const error = new Error(`Network ${network} is not configured`);
+      error.code = 'NETWORK_NOT_CONFIGURED';
+      throw error;
+    }
+
+    if (!networkConfig.contractAddress) {
+      const error = new Error(
+        `CertiProofNFT contract address not configured for ${network}`
+      );
+      error.code = 'CONTRACT_NOT_DEPLOYED';
+      throw error;
+    }
+
+    return networkConfig;
+  }
+
+  /**
+   * Get (cached) JSON-RPC provider for a network
+   * @param {string} network - Network name
+   * @returns {ethers.JsonRpcProvider} - Provider instance
+   */
+  getProvider(network = config.blockchain.defaultNetwork) {
+    if (!this.providers.has(network)) {
+      const { rpcUrl, chainId } = this.getNetworkConfig(network);
+
+      this.providers.set(
+        network,
+        new ethers.JsonRpcProvider(rpcUrl, chainId, { staticNetwork: true })
+      );
+
+      logger.blockchain(network, 'provider initialized', { chainId });
+    }
+
+    return this.providers.get(network);
+  }
+
+  /**
+   * Get (cached) CertiProofNFT contract instance for a network
+   * @param {string} network - Network name
+   * @returns {ethers.Contract} - Read-only contract instance
+   */
+  getContract(network = config.blockchain.defaultNetwork) {
+    if (!this.contracts.has(network)) {
+      const { contractAddress } = this.getNetworkConfig(network);
+
+      this.contracts.set(
+        network,
+        new ethers.Contract(
+          contractAddress,
+          CERTIPROOF_ABI,
+          this.getProvider(network)
+        )
+      );
+    }
+
+    return this.contracts.get(network);
+  }
+
+  /**
+   * Get proof, owner and token URI for a token ID
+   * @param {number|string} tokenId - Token ID
+   * @param {string} network - Network name
+   * @returns {Promise<Object|null>} - Proof data, or null if token does not exist
+   */
+  async getProofByTokenId(tokenId, network = config.blockchain.defaultNetwork) {
+    const contract = this.getContract(network);
+
+    try {
+      const [proof, owner, tokenURI] = await Promise.all([
+        contract.getProofByTokenId(tokenId),
+        contract.ownerOf(tokenId),
+        contract.tokenURI(tokenId),
+      ]);
+
+      logger.blockchain(network, `proof read for token ${tokenId}`, {
+        isActive: proof.isActive,
+        isLocked: proof.isLocked,
+      });
+
+      return {
+        tokenId: Number(tokenId),
+        owner,
+        tokenURI,
+        ...this.formatProof(proof),
+      };
+    } catch (error) {
+      if (this.isNonexistentTokenError(error)) {
+        return null;
+      }
+      throw new Error(`Failed to read proof ${tokenId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find a proof by document hash
+   *
+   * Hashes are stored as plain strings, so the lookup tries the hash as given
+   * as well as its lowercase form with and without the 0x prefix.
+   * @param {string} documentHash - SHA-256 document hash
+   * @param {string} network - Network name
+   * @returns {Promise<Object|null>} - Proof data, or null if no proof exists
+   */
+  async getProofByHash(
+    documentHash,
+    network = config.blockchain.defaultNetwork
+  ) {
+    const contract = this.getContract(network);
+
+    try {
+      const candidates = this.getHashCandidates(documentHash);
+      const tokenIds = await Promise.all(
+        candidates.map((candidate) => contract.hashToTokenId(candidate))
+      );
+      const index = tokenIds.findIndex((tokenId) => tokenId !== 0n);
+
+      if (index === -1) {
+        return null;
+      }
+
+      const tokenId = Number(tokenIds[index]);
+      const [[exists, proof], owner, mint] = await Promise.all([
+        contract.getProofByHash(candidates[index]),
+        contract.ownerOf(tokenId),
+        this.getMintEvent(tokenId, network),
+      ]);
+
+      if (!exists) {
+        return null;
+      }
+
+      logger.blockchain(network, `proof found for hash ${documentHash}`, {
+        tokenId,
+        isActive: proof.isActive,
+      });
+
+      return {
+        tokenId,
+        owner,
+        mint,
+        ...this.formatProof(proof),
+      };
+    } catch (error) {
+      if (this.isNonexistentTokenError(error)) {
+        return null;
+      }
+      throw new Error(
+        `Failed to read proof for hash ${documentHash}: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * First block the local index has not processed yet
+   *
+   * The indexer stays config.indexer.confirmations blocks behind the head,
+   * so events of the latest blocks are still read from the node.
+   * @param {string} network - Network name
+   * @returns {Promise<number|null>} - Block number, or null when the index
+   *   has reached the head
+   */
+  async getUnindexedFromBlock(network = config.blockchain.defaultNetwork) {
+    const fromBlock = indexerService.getState().last_block + 1;
+    const headBlock = await this.getProvider(network).getBlockNumber();
+
+    return fromBlock <= headBlock ? fromBlock : null;
+  }
+
+  /**
+   * Find the ProofMinted event of a token
+   * @param {number} tokenId - Token ID
+   * @param {string} network - Network name
+   * @returns {Promise<Object|null>} - Mint transaction info, or null if not found
+   */
+  async getMintEvent(tokenId, network = config.blockchain.defaultNetwork) {
+    const contract = this.getContract(network);
+    const { startBlock } = this.getNetworkConfig(network);
+
+    try {
+      let fromBlock = startBlock || 0;
+      if (indexerService.isAvailable(network)) {
+        const indexed = indexerService.getMintEvent(tokenId);
+        if (indexed) {
+          return indexed;
+        }
+
+        // Minted too recently to be indexed, or not minted at all
+        fromBlock = await this.getUnindexedFromBlock(network);
+        if (fromBlock === null) {
+          return null;
+        }
+      }
+
+      const [event] = await contract.queryFilter(
+        contract.filters.ProofMinted(tokenId),
+        fromBlock,
+        'latest'
+      );
+
+      if (!event) {
+        return null;
+      }
+
+      return {
+        transactionHash: event.transactionHash,
+        blockNumber: event.blockNumber,
+        blockHash: event.blockHash,
+      };
+    } catch (error) {
+      // Some RPC providers limit log ranges; the proof itself is still valid
+      logger.warn(
+        `Failed to find ProofMinted event for token ${tokenId}: ${error.message}`
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Find a batch anchor by its Merkle root
+   * @param {string} root - Hex encoded root, with or without 0x
+   * @param {string} network - Network name
+   * @returns {Promise<Object|null>} - Anchor data, or null if the root was
+   *   never anchored
+   */
+  async getAnchorByRoot(root, network = config.blockchain.defaultNetwork) {
+    const contract = this.getContract(network);
+
+    try {
+      const [exists, anchorId, anchor] = await contract.getAnchorByRoot(
+        `0x${root.toLowerCase().replace(/^0x/, '')}`
+      );
+
+      if (!exists) {
+        return null;
+      }
+
+      const timestamp = Number(anchor.timestamp);
+      const anchoring = await this.getAnchorEvent(Number(anchorId), network);
+
+      logger.blockchain(network, `anchor found for root ${root}`, {
+        anchorId: Number(anchorId),
+        isActive: anchor.isActive,
+      });
+
+      return {
+        anchorId: Number(anchorId),
+        root: anchor.root.replace(/^0x/, ''),
+        ipfsURI: anchor.ipfsURI,
+        ipfsHash: this.extractIpfsHash(anchor.ipfsURI),
+        issuer: anchor.issuer,
+        timestamp,
+        issuedAt: new Date(timestamp * 1000).toISOString(),
+        documentType: anchor.documentType,
+        title: anchor.title,
+        documentCount: Number(anchor.documentCount),
+        isActive: anchor.isActive,
+        anchoring,
+      };
+    } catch (error) {
+      throw new Error(
+        `Failed to read anchor for root ${root}: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Find the RootAnchored event of an anchor
+   * @param {number} anchorId - Anchor ID
+   * @param {string} network - Network name
+   * @returns {Promise<Object|null>} - Anchoring transaction info, or null if
+   *   not found
+   */
+  async getAnchorEvent(anchorId, network = config.blockchain.defaultNetwork) {
+    const contract = this.getContract(network);
+    const { startBlock } = this.getNetworkConfig(network);
+
+    try {
+      const [event] = await contract.queryFilter(
+        contract.filters.RootAnchored(anchorId),
+        startBlock || 0,
+        'latest'
+      );
+
+      if (!event) {
+        return null;
+      }
+
+      return {
+        transactionHash: event.transactionHash,
+        blockNumber: event.blockNumber,
+        blockHash: event.blockHash,
+      };
+    } catch (error) {
+      logger.warn(
+        `Failed to find RootAnchored event for anchor ${anchorId}: ${error.message}`
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Get token IDs currently owned by an address
+   *
+   * CertiProofNFT is not enumerable, so ownership is rebuilt from Transfer
+   * events sent to and from the address. When the local index is synced,
+   * only the blocks it has not reached yet are replayed on top of it.
+   * @param {string} address - Wallet address
+   * @param {string} network - Network name
+   * @returns {Promise<number[]>} - Owned token IDs in ascending order
+   */
+  async getTokensOwnedBy(address, network = config.blockchain.defaultNetwork) {
+    const contract = this.getContract(network);
+    const { startBlock } = this.getNetworkConfig(network);
+
+    try {
+      const owned = new Set();
+      let fromBlock = startBlock || 0;
+      if (indexerService.isAvailable(network)) {
+        indexerService
+          .getTokensOwnedBy(address)
+          .forEach((tokenId) => owned.add(tokenId));
+
+        fromBlock = await this.getUnindexedFromBlock(network);
+        if (fromBlock === null) {
+          return [...owned];
+        }
+      }
+
+      const [received, sent] = await Promise.all([
+        contract.queryFilter(
+          contract.filters.Transfer(null, address),
+          fromBlock,
+          'latest'
+        ),
+        contract.queryFilter(
+          contract.filters.Transfer(address, null),
+          fromBlock,
+          'latest'
+        ),
+      ]);
+
+      const events = [...received, ...sent].sort(
+        (a, b) => a.blockNumber - b.blockNumber || a.index - b.index
+      );
+
+      for (const event of events) {
+        const tokenId = Number(event.args.tokenId);
+
+        if (event.args.to.toLowerCase() === address.toLowerCase()) {
+          owned.add(tokenId);
+        } else {
+          owned.delete(tokenId);
+        }
+      }
+
+      return [...owned].sort((a, b) => a - b);
+    } catch (error) {
+      throw new Error(
+        `Failed to read tokens owned by ${address}: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Get the number of minted tokens
+   * @param {string} network - Network name
+   * @returns {Promise<number>} - Total supply
+   */
+  async getTotalSupply(network = config.blockchain.defaultNetwork) {
+    try {
+      return Number(await this.getContract(network).totalSupply());
+    } catch (error) {
+      throw new Error(`Failed to read total supply: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get token IDs minted by an issuer
+   * @param {string} address - Issuer address
+   * @param {string} network - Network name
+   * @returns {Promise<number[]>} - Issued token IDs in mint order
+   */
+  async getIssuerTokens(address, network = config.blockchain.defaultNetwork) {
+    const contract = this.getContract(network);
+
+    try {
+      const tokenIds = await contract.getIssuerTokens(address);
+      return tokenIds.map((tokenId) => Number(tokenId));
+    } catch (error) {
+      throw new Error(
+        `Failed to read tokens issued by ${address}: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Get proofs and owners for several token IDs in one aggregated call
+   * @param {number[]} tokenIds - Token IDs
+   * @param {string} network - Network name
+   * @returns {Promise<Array<Object|null>>} - Proof data per token ID, null if the token does not exist
+   */
+  async getProofsByTokenIds(
+    tokenIds,
+    network = config.blockchain.defaultNetwork
+  ) {
+    const results = await this.aggregate(
+      tokenIds.flatMap((tokenId) => [
+        { method: 'getProofByTokenId', args: [tokenId] },
+        { method: 'ownerOf', args: [tokenId] },
+      ]),
+      network
+    );
+
+    return tokenIds.map((tokenId, index) => {
+      const [proof, owner] = results.slice(index * 2, index * 2 + 2);
+
+      // Both calls only revert for tokens that were never minted
+      if (!proof.success || !owner.success) {
+        return null;
+      }
+
+      return {
+        tokenId: Number(tokenId),
+        owner: owner.result,
+        ...this.formatProof(proof.result),
+      };
+    });
+  }
+
+  /**
+   * Resolve several document hashes to token IDs in one aggregated call
+   * @param {string[]} documentHashes - Document hashes
+   * @param {string} network - Network name
+   * @returns {Promise<Array<number|null>>} - Token ID per hash, null if the hash was never minted
+   */
+  async getTokenIdsByHashes(
+    documentHashes,
+    network = config.blockchain.defaultNetwork
+  ) {
+    const candidates = documentHashes.map((documentHash) =>
+      this.getHashCandidates(documentHash)
+    );
+    const results = await this.aggregate(
+      candidates.flat().map((candidate) => ({
+        method: 'hashToTokenId',
+        args: [candidate],
+      })),
+      network
+    );
+
+    let offset = 0;
+    return candidates.map((hashCandidates) => {
+      const found = results
+        .slice(offset, offset + hashCandidates.length)
+        .find(({ success, result }) => success && result !== 0n);
+
+      offset += hashCandidates.length;
+      return found ? Number(found.result) : null;
+    });
+  }
+
+  /**
+   * Run several read-only CertiProofNFT calls as a single request
+   *
+   * Uses Multicall3 when the network has it configured. Otherwise the calls
+   * are sent together and ethers packs them into one JSON-RPC batch.
+   * @param {Array<{method: string, args: Array}>} calls - Contract calls
+   * @param {string} network - Network name
+   * @returns {Promise<Array<{success: boolean, result: *}>>} - Result per call, in order
+   */
+  async aggregate(calls, network = config.blockchain.defaultNetwork) {
+    const contract = this.getContract(network);
+    const { multicallAddress } = this.getNetworkConfig(network);
+
+    if (calls.length === 0) {
+      return [];
+    }
+
+    if (!multicallAddress) {
+      const settled = await Promise.allSettled(
+        calls.map(({ method, args }) => contract[method](...args))
+      );
+
+      return settled.map(({ status, value, reason }) => {
+        if (status === 'rejected' && reason.code !== 'CALL_EXCEPTION') {
+          throw reason;
+        }
+        return { success: status === 'fulfilled', result: value };
+      });
+    }
+
+    const multicall = new ethers.Contract(
+      multicallAddress,
+      MULTICALL3_ABI,
+      this.getProvider(network)
+    );
+    const target = await contract.getAddress();
+
+    const responses = await multicall.aggregate3.staticCall(
+      calls.map(({ method, args }) => ({
+        target,
+        allowFailure: true,
+        callData: contract.interface.encodeFunctionData(method, args),
+      }))
+    );
+
+    logger.blockchain(network, 'multicall aggregated', {
+      calls: calls.length,
+    });
+
+    return responses.map(({ success, returnData }, index) => ({
+      success,
+      result: success
+        ? contract.interface.decodeFunctionResult(
+            calls[index].method,
+            returnData
+          )[0]
+        : undefined,
+    }));
+  }
+
+  /**
+   * Get the EIP-712 domain for requests signed against a network's contract
+   * @param {string} network - Network name
+   * @returns {Object} - EIP-712 domain
+   */
+  getSigningDomain(network = config.blockchain.defaultNetwork) {
+    const { chainId, contractAddress } = this.getNetworkConfig(network);
+
+    return {
+      name: 'CertiProof X',
+      version: '1',
+      chainId,
+      verifyingContract: contractAddress,
+    };
+  }
+
+  /**
+   * Hash metadata JSON the way clients sign it
+   * @param {Object} metadata - Metadata object
+   * @returns {string} - keccak256 of the JSON string
+   */
+  hashMetadata(metadata) {
+    return ethers.keccak256(ethers.toUtf8Bytes(JSON.stringify(metadata)));
+  }
+
+  /**
+   * Build the EIP-191 message an issuer signs to update metadata
+   * @param {Object} update - { tokenId, metadataHash, deadline }
+   * @param {string} network - Network name
+   * @returns {string} - Message to pass to personal_sign
+   */
+  getMetadataUpdateMessage(
+    { tokenId, metadataHash, deadline },
+    network = config.blockchain.defaultNetwork
+  ) {
+    const { chainId, verifyingContract } = this.getSigningDomain(network);
+
+    return [
+      'CertiProof X metadata update',
+      `Token ID: ${tokenId}`,
+      `Metadata hash: ${metadataHash}`,
+      `Deadline: ${deadline}`,
+      `Chain ID: ${chainId}`,
+      `Contract: ${verifyingContract}`,
+    ].join('\n');
+  }
+
+  /**
+   * Recover the address that signed a metadata update
+   * @param {Object} update - { tokenId, metadata, deadline, signature, signatureType }
+   * @param {string} network - Network name
+   * @returns {string} - Signer address
+   */
+  recoverMetadataUpdateSigner(
+    { tokenId, metadata, deadline, signature, signatureType = 'eip712' },
+    network = config.blockchain.defaultNetwork
+  ) {
+    const update = {
+      tokenId,
+      metadataHash: this.hashMetadata(metadata),
+      deadline,
+    };
+
+    if (signatureType === 'eip191') {
+      return ethers.verifyMessage(
+        this.getMetadataUpdateMessage(update, network),
+        signature
+      );
+    }
+
+    return ethers.verifyTypedData(
+      this.getSigningDomain(network),
+      METADATA_UPDATE_TYPES,
+      update,
+      signature
+    );
+  }
+
+  /**
+   * Build an unsigned updateIpfsURI transaction
+   * @param {number} tokenId - Token ID
+   * @param {string} ipfsURI - New IPFS URI
+   * @param {string} from - Address expected to send the transaction
+   * @param {string} network - Network name
+   * @returns {Object} - Transaction request ready to be signed by a wallet
+   */
+  buildUpdateIpfsURITransaction(
+    tokenId,
+    ipfsURI,
+    from,
+    network = config.blockchain.defaultNetwork
+  ) {
+    const { chainId, contractAddress } = this.getNetworkConfig(network);
+    const contract = this.getContract(network);
+
+    return {
+      from,
+      to: contractAddress,
+      data: contract.interface.encodeFunctionData('updateIpfsURI', [
+        tokenId,
+        ipfsURI,
+      ]),
+      value: '0x0',
+      chainId,
+    };
+  }
+
+  /**
+   * Identify a metadata update by its EIP-712 digest (chain, contract, token,
+   * metadata and deadline), whichever way it was signed
+   * @param {Object} update - { tokenId, metadata, deadline }
+   * @param {string} network - Network name
+   * @returns {string} - Hex encoded digest
+   */
+  getMetadataUpdateDigest(
+    { tokenId, metadata, deadline },
+    network = config.blockchain.defaultNetwork
+  ) {
+    return ethers.TypedDataEncoder.hash(
+      this.getSigningDomain(network),
+      METADATA_UPDATE_TYPES,
+      { tokenId, metadataHash: this.hashMetadata(metadata), deadline }
+    );
+  }
+
+  /**
+   * Record a signed metadata update before acting on it
+   *
+   * Records past their deadline are dropped, as the route refuses those
+   * updates anyway.
+   * @param {Object} update - { tokenId, metadata, deadline }
+   * @param {string} network - Network name
+   * @returns {boolean} - False when the update was already used
+   */
+  claimMetadataUpdate(update, network = config.blockchain.defaultNetwork) {
+    const db = getDatabase();
+    db.exec(USED_UPDATES_SCHEMA);
+
+    db.prepare('DELETE FROM used_metadata_updates WHERE deadline < ?').run(
+      Math.floor(Date.now() / 1000)
+    );
+    const { changes } = db
+      .prepare(
+        `INSERT INTO used_metadata_updates (digest, token_id, deadline, used_at)
+         VALUES (?, ?, ?, ?)
+         ON CONFLICT (digest) DO NOTHING`
+      )
+      .run(
+        this.getMetadataUpdateDigest(update, network),
+        update.tokenId,
+        update.deadline,
+        new Date().toISOString()
+      );
+
+    return changes === 1;
+  }
+
+  /**
+   * Forget a claimed metadata update that could not be made, so its
+   * signature can be sent again
+   * @param {Object} update - { tokenId, metadata, deadline }
+   * @param {string} network - Network name
+   */
+  releaseMetadataUpdate(update, network = config.blockchain.defaultNetwork) {
+    const db = getDatabase();
+    db.exec(USED_UPDATES_SCHEMA);
+
+    db.prepare('DELETE FROM used_metadata_updates WHERE digest = ?').run(
+      this.getMetadataUpdateDigest(update, network)
+    );
+  }
+
+  /**
+   * Get the relayer wallet
+   * @param {string} network - Network name
+   * @returns {ethers.Wallet} - Wallet connected to the network provider
+   */
+  getRelayer(network = config.blockchain.defaultNetwork) {
+    if (!config.blockchain.relayerPrivateKey) {
+      const error = new Error('Transaction relayer is not configured');
+      error.code = 'RELAYER_NOT_CONFIGURED';
+      throw error;
+    }
+
+    return new ethers.Wallet(
+      config.blockchain.relayerPrivateKey,
+      this.getProvider(network)
+    );
+  }
+
+  /**
+   * Send a transaction from the relayer account and wait for it to be mined
+   *
+   * The contract only accepts updates from the issuer or the contract owner,
+   * so the relayer key must belong to the contract owner.
+   * @param {Object} transaction - Transaction request (to, data)
+   * @param {string} network - Network name
+   * @returns {Promise<Object>} - Mined transaction info
+   */
+  async relayTransaction(
+    transaction,
+    network = config.blockchain.defaultNetwork
+  ) {
+    const relayer = this.getRelayer(network);
+
+    const response = await relayer.sendTransaction({
+      to: transaction.to,
+      data: transaction.data,
+    });
+    const receipt = await response.wait();
+
+    logger.blockchain(network, 'transaction relayed', {
+      transactionHash: receipt.hash,
+      from: relayer.address,
+    });
+
+    return {
+      transactionHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      from: relayer.address,
+    };
+  }
+
+  /**
+   * Get the string forms a document hash may have been minted with
+   * @param {string} documentHash - Document hash
+   * @returns {string[]} - Unique candidate hashes
+   */
+  getHashCandidates(documentHash) {
+    const normalized = documentHash.toLowerCase().replace(/^0x/, '');
+
+    return [...new Set([documentHash, normalized, `0x${normalized}`])];
+  }
+
+  /**
+   * Convert a Proof struct returned by the contract to plain JSON
+   * @param {ethers.Result} proof - Proof struct
+   * @returns {Object} - Formatted proof
+   */
+  formatProof(proof) {
+    const timestamp = Number(proof.timestamp);
+
+    return {
+      documentHash: proof.documentHash,
+      ipfsURI: proof.ipfsURI,
+      ipfsHash: this.extractIpfsHash(proof.ipfsURI),
+      issuer: proof.issuer,
+      timestamp,
+      issuedAt: new Date(timestamp * 1000).toISOString(),
+      documentType: proof.documentType,
+      title: proof.title,
+      isLocked: proof.isLocked,
+      isActive: proof.isActive,
+    };
+  }
+
+  /**
+   * Extract the CID from an ipfs:// URI or gateway URL
+   * @param {string} uri - IPFS URI
+   * @returns {string} - IPFS hash
+   */
+  extractIpfsHash(uri = '') {
+    return uri.replace(/^ipfs:\/\//, '').replace(/^.*\/ipfs\//, '');
+  }
+
+  /**
+   * Check whether a call failed because the token does not exist
+   * @param {Error} error - Error thrown by ethers
+   * @returns {boolean} - True for nonexistent token reverts
+   */
+  isNonexistentTokenError(error) {
+    if (error.code !== 'CALL_EXCEPTION') {
+      return false;
+    }
+
+    return (
+      error.revert?.name === 'ERC721NonexistentToken' ||
+      /Token does not exist/.test(error.reason || '')
+    );
+  }
+}
+
+// Export singleton instance
+module.exports = new BlockchainService();
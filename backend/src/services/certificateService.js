@@ -11,7 +11,16 @@ const fs = require('fs');
 const path = require('path');
 const config = require('../config/config');
 const logger = require('../utils/logger');
+const crypto = require('crypto');
 const { generateUUID, generateSHA256 } = require('../utils/crypto');
+const {
+  hashLeaf,
+  getMerkleProofs,
+  verifyMerkleProof,
+} = require('../utils/merkle');
+
+// Metadata format whose attributes are only committed to by a Merkle root
+const DISCLOSURE_FORMAT = 'certiproof-salted-merkle-v1';
 
 class CertificateService {
   constructor() {
@@ -501,6 +510,7 @@ class CertificateService {
       tokenId,
       documentType,
       issuedAt,
+      isActive = true,
       attributes = [],
     } = certificateData;
 
@@ -536,20 +546,168 @@ class CertificateService {
         },
         {
           trait_type: 'Verification Status',
-          value: 'Verified',
+          value: isActive ? 'Verified' : 'Revoked',
         },
         ...attributes,
       ],
-      properties: {
-        protocol: 'CertiProof X',
-        version: '1.0.0',
-        author: config.app.author,
-        contact: config.app.contact,
-        license: config.app.license,
-        generated_at: new Date().toISOString(),
-        verification_url: `https://certiproof-x.com/verify/${tokenId}`,
+      properties: this.getMetadataProperties(tokenId),
+    };
+  }
+
+  /**
+   * Properties block shared by every metadata format
+   * @param {number|string} tokenId - Token ID
+   * @returns {Object} - Protocol properties
+   */
+  getMetadataProperties(tokenId) {
+    return {
+      protocol: 'CertiProof X',
+      version: '1.0.0',
+      author: config.app.author,
+      contact: config.app.contact,
+      license: config.app.license,
+      generated_at: new Date().toISOString(),
+      verification_url: `https://certiproof-x.com/verify/${tokenId}`,
+    };
+  }
+
+  /**
+   * Hash a salted field into its Merkle leaf
+   * @param {Object} field - { name, value, salt }
+   * @returns {string} - Hex encoded leaf hash
+   */
+  hashDisclosureField({ name, value, salt }) {
+    return hashLeaf(JSON.stringify([salt, name, value]));
+  }
+
+  /**
+   * Generate metadata that only commits to the certificate attributes
+   *
+   * Alternate format to generateMetadata. The description, document hash,
+   * IPFS hash and custom attributes are each salted and hashed into a Merkle
+   * tree; the public metadata keeps only what the contract already stores and
+   * the root, which is minted as the proof document hash. The holder keeps
+   * the disclosure (every field with its salt and Merkle path) and later
+   * reveals only the fields they choose.
+   * @param {Object} certificateData - Certificate information
+   * @returns {Object} - { metadata, disclosure }
+   */
+  generateDisclosureMetadata(certificateData) {
+    const {
+      title,
+      description,
+      documentHash,
+      ipfsHash,
+      issuerAddress,
+      recipientAddress,
+      tokenId,
+      documentType,
+      issuedAt,
+      isActive = true,
+      attributes = [],
+    } = certificateData;
+
+    const fields = [
+      { name: 'Description', value: description },
+      { name: 'Document Hash', value: documentHash },
+      { name: 'IPFS Hash', value: ipfsHash },
+      ...attributes.map((attribute) => ({
+        name: attribute.trait_type,
+        value: attribute.value,
+      })),
+    ]
+      .filter((field) => field.value !== undefined && field.value !== null)
+      .map((field) => ({
+        ...field,
+        salt: crypto.randomBytes(16).toString('hex'),
+      }));
+
+    const { root, proofs } = getMerkleProofs(
+      fields.map((field) => this.hashDisclosureField(field))
+    );
+
+    const metadata = {
+      name: title,
+      description: `Certificate of authenticity for ${title}`,
+      image: null,
+      external_url: `https://certiproof-x.com/certificate/${tokenId}`,
+      attributes: [
+        {
+          trait_type: 'Document Type',
+          value: documentType || 'Digital Document',
+        },
+        {
+          trait_type: 'Issuer',
+          value: issuerAddress,
+        },
+        {
+          trait_type: 'Recipient',
+          value: recipientAddress || 'Not specified',
+        },
+        {
+          trait_type: 'Issue Date',
+          value: new Date(issuedAt || new Date()).toISOString().split('T')[0],
+        },
+        {
+          trait_type: 'Verification Status',
+          value: isActive ? 'Verified' : 'Revoked',
+        },
+      ],
+      disclosure: {
+        format: DISCLOSURE_FORMAT,
+        root,
+        fieldCount: fields.length,
       },
+      properties: this.getMetadataProperties(tokenId),
     };
+
+    return {
+      metadata,
+      disclosure: {
+        format: DISCLOSURE_FORMAT,
+        root,
+        fields: fields.map((field, index) => ({
+          ...field,
+          proof: proofs[index],
+        })),
+      },
+    };
+  }
+
+  /**
+   * Check revealed fields against a disclosure root
+   * @param {Object[]} fields - Revealed { name, value, salt, proof } entries
+   * @param {string} root - Root minted as the proof document hash
+   * @returns {Object[]} - { name, value, valid } for each field
+   */
+  verifyDisclosure(fields, root) {
+    return fields.map((field) => ({
+      name: field.name,
+      value: field.value,
+      valid:
+        typeof field.salt === 'string' &&
+        verifyMerkleProof(this.hashDisclosureField(field), field.proof, root),
+    }));
+  }
+
+  /**
+   * Set the Verification Status attribute of existing metadata
+   * @param {Object} metadata - ERC-721 metadata JSON
+   * @param {boolean} isActive - Whether the proof is active on-chain
+   * @returns {Object} - Metadata with an up-to-date status attribute
+   */
+  applyVerificationStatus(metadata, isActive) {
+    const status = {
+      trait_type: 'Verification Status',
+      value: isActive ? 'Verified' : 'Revoked',
+    };
+    const attributes = Array.isArray(metadata.attributes)
+      ? metadata.attributes.filter(
+          (attribute) => attribute.trait_type !== status.trait_type
+        )
+      : [];
+
+    return { ...metadata, attributes: [...attributes, status] };
   }
 
   /**
@@ -0,0 +1,182 @@
+/**
+ * Encryption Key Service for CertiProof X Backend
+ * Author: Kai Zenjiro (0xGenesis) - certiproofx@protonmail.me
+ *
+ * Directory of the public keys encrypted documents are wrapped to. Wallets
+ * cannot decrypt, so each one derives a secp256k1 key pair from a signed
+ * message in the frontend and publishes the public half here. Only public
+ * keys are stored: nothing kept by the backend can open a document.
+ */
+
+const { ethers } = require('ethers');
+const logger = require('../utils/logger');
+const { getDatabase } = require('../utils/database');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS encryption_keys (
+    address TEXT PRIMARY KEY,
+    public_key TEXT NOT NULL,
+    signature TEXT NOT NULL,
+    nonce TEXT NOT NULL,
+    registered_at TEXT NOT NULL
+  );
+`;
+
+// How far ahead of the server clock a registration may be dated
+const MAX_CLOCK_SKEW = 5 * 60 * 1000;
+
+const createKeyError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+class EncryptionKeyService {
+  constructor() {
+    this.db = null;
+  }
+
+  /**
+   * Open the store on first use
+   */
+  initialize() {
+    if (this.db) {
+      return;
+    }
+
+    this.db = getDatabase();
+    this.db.exec(SCHEMA);
+  }
+
+  /**
+   * Message a wallet signs to publish its encryption public key
+   *
+   * The date and nonce make every registration distinct, so an old signed
+   * key cannot be posted again to roll the wallet back to it.
+   * @param {Object} registration - { address, publicKey, issuedAt, nonce },
+   *   publicKey compressed (0x hex) and issuedAt an ISO 8601 date
+   * @returns {string} - Message to sign
+   */
+  getRegistrationMessage({ address, publicKey, issuedAt, nonce }) {
+    return [
+      'CertiProof X encryption key',
+      `Address: ${ethers.getAddress(address)}`,
+      `Public key: ${publicKey.toLowerCase()}`,
+      `Issued at: ${issuedAt}`,
+      `Nonce: ${nonce}`,
+    ].join('\n');
+  }
+
+  /**
+   * Publish the encryption public key of a wallet
+   *
+   * The signature of getRegistrationMessage must come from the wallet, so
+   * nobody can have documents wrapped to a key they substituted, and it
+   * must be dated after the registration it replaces.
+   * @param {Object} registration - { address, publicKey, signature,
+   *   issuedAt, nonce }
+   * @returns {Object} - Registered key
+   */
+  registerKey({ address, publicKey, signature, issuedAt, nonce }) {
+    this.initialize();
+
+    let compressedKey;
+    try {
+      compressedKey = ethers.SigningKey.computePublicKey(publicKey, true);
+    } catch {
+      throw createKeyError('Not a secp256k1 public key', 'INVALID_PUBLIC_KEY');
+    }
+
+    const issuedTime = Date.parse(issuedAt);
+    if (Number.isNaN(issuedTime) || issuedTime > Date.now() + MAX_CLOCK_SKEW) {
+      throw createKeyError(
+        'Registration date is invalid or in the future',
+        'INVALID_ISSUED_AT'
+      );
+    }
+
+    const message = this.getRegistrationMessage({
+      address,
+      publicKey: compressedKey,
+      issuedAt,
+      nonce,
+    });
+    let signer;
+    try {
+      signer = ethers.verifyMessage(message, signature);
+    } catch {
+      signer = null;
+    }
+
+    if (!signer || signer !== ethers.getAddress(address)) {
+      logger.security('Encryption key registration with a bad signature', {
+        address,
+        signer,
+      });
+      throw createKeyError(
+        'Signature does not match the address',
+        'INVALID_SIGNATURE'
+      );
+    }
+
+    const current = this.getKey(signer);
+    if (current && issuedTime <= Date.parse(current.registeredAt)) {
+      logger.security('Encryption key registration replayed or out of date', {
+        address: signer,
+        issuedAt,
+        registeredAt: current.registeredAt,
+      });
+      throw createKeyError(
+        'A newer encryption key is already registered',
+        'STALE_REGISTRATION'
+      );
+    }
+
+    this.db
+      .prepare(
+        `INSERT INTO encryption_keys (address, public_key, signature, nonce, registered_at)
+         VALUES (?, ?, ?, ?, ?)
+         ON CONFLICT (address) DO UPDATE SET
+           public_key = excluded.public_key,
+           signature = excluded.signature,
+           nonce = excluded.nonce,
+           registered_at = excluded.registered_at`
+      )
+      .run(signer.toLowerCase(), compressedKey, signature, nonce, issuedAt);
+
+    logger.info(`Encryption key registered for ${signer}`);
+
+    return {
+      address: signer,
+      publicKey: compressedKey,
+      signature,
+      nonce,
+      registeredAt: issuedAt,
+    };
+  }
+
+  /**
+   * Get the encryption public key of a wallet
+   * @param {string} address - Wallet address
+   * @returns {Object|null} - Registered key, null when there is none
+   */
+  getKey(address) {
+    this.initialize();
+
+    const row = this.db
+      .prepare('SELECT * FROM encryption_keys WHERE address = ?')
+      .get(address.toLowerCase());
+
+    return row
+      ? {
+          address: ethers.getAddress(row.address),
+          publicKey: row.public_key,
+          signature: row.signature,
+          nonce: row.nonce,
+          registeredAt: row.registered_at,
+        }
+      : null;
+  }
+}
+
+module.exports = new EncryptionKeyService();
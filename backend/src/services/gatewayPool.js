@@ -0,0 +1,217 @@
+/**
+ * IPFS Gateway Pool for CertiProof X Backend
+ * Author: Kai Zenjiro (0xGenesis) - certiproofx@protonmail.me
+ *
+ * Tracks the health of the public gateways retrieveFile reads from: latency,
+ * recent success and a circuit breaker that stops dead gateways from
+ * costing every lookup a full timeout.
+ */
+
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+// Weight of the latest request in the success score and latency averages
+const SMOOTHING = 0.3;
+
+class GatewayPool {
+  constructor(options = config.ipfs.gatewayPool) {
+    this.failureThreshold = options.failureThreshold;
+    this.resetTimeout = options.resetTimeout;
+    this.gateways = options.gateways.map(({ url, timeout }, position) => ({
+      url,
+      timeout,
+      position,
+      score: 1, // Smoothed success rate, 1 until proven otherwise
+      latency: null,
+      successes: 0,
+      failures: 0,
+      mismatches: 0,
+      consecutiveFailures: 0,
+      circuit: 'closed',
+      openedAt: null,
+      trialStartedAt: null,
+      lastSuccessAt: null,
+      lastFailureAt: null,
+      lastError: null,
+    }));
+  }
+
+  /**
+   * Get the gateways to try, best first
+   *
+   * Open circuits are skipped until their reset timeout has passed. The
+   * gateway is then handed out as a half-open trial to one caller only;
+   * others skip it until the trial is recorded, or until it has been out
+   * for longer than the gateway timeout, as a caller that found the content
+   * elsewhere never records it.
+   * @returns {Array} - [{ url, timeout }], a copy the caller can keep
+   */
+  getGateways() {
+    const now = Date.now();
+
+    const gateways = this.gateways.filter((gateway) =>
+      this.isAvailable(gateway, now)
+    );
+
+    for (const gateway of gateways) {
+      if (gateway.circuit !== 'closed') {
+        gateway.circuit = 'half-open';
+        gateway.trialStartedAt = now;
+      }
+    }
+
+    return this.rank(gateways).map(({ url, timeout }) => ({ url, timeout }));
+  }
+
+  /**
+   * Check whether a gateway may be tried now, without changing its state
+   * @param {Object} gateway - Gateway entry
+   * @param {number} now - Current time in milliseconds
+   * @returns {boolean} - True for closed circuits and due trials
+   */
+  isAvailable(gateway, now) {
+    if (gateway.circuit === 'closed') {
+      return true;
+    }
+    if (gateway.circuit === 'open') {
+      return now - gateway.openedAt >= this.resetTimeout;
+    }
+    return now - gateway.trialStartedAt >= gateway.timeout;
+  }
+
+  /**
+   * Get links to a CID on every configured gateway, best first
+   * @param {string} hash - IPFS hash
+   * @returns {Array<string>} - Gateway URLs
+   */
+  getGatewayUrls(hash) {
+    return [
+      ...new Set([
+        config.ipfs.gateway,
+        ...this.rank(this.gateways).map((gateway) => gateway.url),
+      ]),
+    ].map((url) => `${url}${hash}`);
+  }
+
+  /**
+   * Record a request that returned verified content
+   * @param {string} url - Gateway URL
+   * @param {number} latency - Response time in milliseconds
+   */
+  recordSuccess(url, latency) {
+    const gateway = this.find(url);
+    if (!gateway) return;
+
+    gateway.successes += 1;
+    gateway.consecutiveFailures = 0;
+    gateway.score = gateway.score * (1 - SMOOTHING) + SMOOTHING;
+    gateway.latency =
+      gateway.latency === null
+        ? latency
+        : Math.round(gateway.latency * (1 - SMOOTHING) + latency * SMOOTHING);
+    gateway.lastSuccessAt = new Date().toISOString();
+    gateway.trialStartedAt = null;
+
+    if (gateway.circuit !== 'closed') {
+      logger.info(`IPFS gateway recovered: ${url}`);
+      gateway.circuit = 'closed';
+      gateway.openedAt = null;
+    }
+  }
+
+  /**
+   * Record a failed request
+   *
+   * Content that does not match its CID opens the circuit straight away,
+   * other errors once failureThreshold of them happen in a row. A failed
+   * half-open trial reopens it.
+   * @param {string} url - Gateway URL
+   * @param {Error} error - What went wrong
+   * @param {Object} options - { mismatch: boolean }
+   */
+  recordFailure(url, error, { mismatch = false } = {}) {
+    const gateway = this.find(url);
+    if (!gateway) return;
+
+    gateway.failures += 1;
+    gateway.consecutiveFailures += 1;
+    gateway.score = gateway.score * (1 - SMOOTHING);
+    gateway.lastFailureAt = new Date().toISOString();
+    gateway.lastError = error.message;
+    gateway.trialStartedAt = null;
+
+    if (mismatch) {
+      gateway.mismatches += 1;
+    }
+
+    if (
+      mismatch ||
+      gateway.circuit === 'half-open' ||
+      gateway.consecutiveFailures >= this.failureThreshold
+    ) {
+      if (gateway.circuit !== 'open') {
+        logger.warn(`IPFS gateway circuit opened: ${url}`, {
+          consecutiveFailures: gateway.consecutiveFailures,
+          mismatch,
+          error: error.message,
+        });
+      }
+      gateway.circuit = 'open';
+      gateway.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * Get the state of every gateway for health reporting
+   *
+   * Reading the status never starts a half-open trial.
+   */
+  getStatus() {
+    const now = Date.now();
+    const available = this.gateways.filter((gateway) =>
+      this.isAvailable(gateway, now)
+    ).length;
+
+    return {
+      available,
+      total: this.gateways.length,
+      healthy: available > 0,
+      gateways: this.rank(this.gateways).map((gateway) => ({
+        url: gateway.url,
+        timeout: gateway.timeout,
+        circuit: gateway.circuit,
+        score: Math.round(gateway.score * 100) / 100,
+        latency: gateway.latency,
+        successes: gateway.successes,
+        failures: gateway.failures,
+        mismatches: gateway.mismatches,
+        lastSuccessAt: gateway.lastSuccessAt,
+        lastFailureAt: gateway.lastFailureAt,
+        lastError: gateway.lastError,
+        retryAt:
+          gateway.circuit === 'open'
+            ? new Date(gateway.openedAt + this.resetTimeout).toISOString()
+            : null,
+      })),
+    };
+  }
+
+  /**
+   * Order gateways by recent success, then latency, then configuration order
+   */
+  rank(gateways) {
+    return [...gateways].sort(
+      (a, b) =>
+        b.score - a.score ||
+        (a.latency ?? Infinity) - (b.latency ?? Infinity) ||
+        a.position - b.position
+    );
+  }
+
+  find(url) {
+    return this.gateways.find((gateway) => gateway.url === url);
+  }
+}
+
+// Export singleton instance, shared by every IPFSService
+module.exports = new GatewayPool();
@@ -0,0 +1,108 @@
+const GatewayPool = require('./gatewayPool').constructor;
+
+describe('Gateway pool', () => {
+  const FIRST = 'https://first.example/ipfs/';
+  const SECOND = 'https://second.example/ipfs/';
+  const THIRD = 'https://third.example/ipfs/';
+  let pool;
+
+  const urls = () => pool.getGateways().map((gateway) => gateway.url);
+
+  beforeEach(() => {
+    pool = new GatewayPool({
+      gateways: [
+        { url: FIRST, timeout: 5000 },
+        { url: SECOND, timeout: 8000 },
+        { url: THIRD, timeout: 5000 },
+      ],
+      failureThreshold: 2,
+      resetTimeout: 60000,
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('keeps configuration order and per-gateway timeouts until it has data', () => {
+    expect(pool.getGateways()).toEqual([
+      { url: FIRST, timeout: 5000 },
+      { url: SECOND, timeout: 8000 },
+      { url: THIRD, timeout: 5000 },
+    ]);
+  });
+
+  test('orders gateways by recent success, then latency', () => {
+    pool.recordFailure(FIRST, new Error('timeout of 5000ms exceeded'));
+    pool.recordSuccess(SECOND, 900);
+    pool.recordSuccess(THIRD, 120);
+
+    expect(urls()).toEqual([THIRD, SECOND, FIRST]);
+
+    pool.recordSuccess(SECOND, 100);
+    expect(pool.getStatus().gateways[1]).toMatchObject({
+      url: SECOND,
+      latency: 660,
+      successes: 2,
+    });
+  });
+
+  test('opens the circuit after consecutive failures and retries it later', () => {
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+
+    pool.recordFailure(FIRST, new Error('ECONNREFUSED'));
+    expect(urls()).toContain(FIRST);
+
+    pool.recordFailure(FIRST, new Error('ECONNREFUSED'));
+    expect(urls()).toEqual([SECOND, THIRD]);
+    expect(pool.getStatus()).toMatchObject({ available: 2, total: 3 });
+
+    // Reading the status does not start the trial
+    Date.now.mockReturnValue(now + 60000);
+    expect(pool.getStatus()).toMatchObject({ available: 3, total: 3 });
+    expect(pool.getStatus().gateways[2].circuit).toBe('open');
+
+    expect(urls()).toEqual([SECOND, THIRD, FIRST]);
+    expect(pool.getStatus().gateways[2].circuit).toBe('half-open');
+
+    // Only one caller gets the trial, until it times out
+    expect(urls()).toEqual([SECOND, THIRD]);
+    Date.now.mockReturnValue(now + 65000);
+    expect(urls()).toEqual([SECOND, THIRD, FIRST]);
+
+    // A failed trial reopens the circuit, a successful one closes it
+    pool.recordFailure(FIRST, new Error('ECONNREFUSED'));
+    expect(urls()).toEqual([SECOND, THIRD]);
+
+    Date.now.mockReturnValue(now + 130000);
+    expect(urls()).toEqual([SECOND, THIRD, FIRST]);
+    pool.recordSuccess(FIRST, 200);
+    expect(
+      pool.getStatus().gateways.find((g) => g.url === FIRST)
+    ).toMatchObject({ circuit: 'closed', retryAt: null });
+  });
+
+  test('opens the circuit at once for content that does not match its CID', () => {
+    pool.recordFailure(SECOND, new Error('Content does not match'), {
+      mismatch: true,
+    });
+
+    expect(urls()).toEqual([FIRST, THIRD]);
+    expect(pool.getStatus().gateways[2]).toMatchObject({
+      url: SECOND,
+      circuit: 'open',
+      mismatches: 1,
+      lastError: 'Content does not match',
+    });
+  });
+
+  test('lists links on the public gateway first', () => {
+    expect(pool.getGatewayUrls('bafkreiexample')[0]).toBe(
+      'https://ipfs.io/ipfs/bafkreiexample'
+    );
+    expect(pool.getGatewayUrls('bafkreiexample')).toContain(
+      `${THIRD}bafkreiexample`
+    );
+  });
+});
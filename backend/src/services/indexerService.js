@@ -0,0 +1,642 @@
+/**
+ * Indexer Service for CertiProof X Backend
+ * Author: Kai Zenjiro (0xGenesis) - certiproofx@protonmail.me
+ *
+ * Follows CertiProofNFT events into the local SQLite store so read endpoints
+ * do not have to query the RPC node for every request
+ */
+
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { getDatabase } = require('../utils/database');
+
+// Events replayed into the tokens table
+const INDEXED_EVENTS = [
+  'Transfer',
+  'ProofMinted',
+  'ProofRevoked',
+  'ProofRestored',
+  'ProofLocked',
+  'MetadataUpdate',
+  'ProofVerified',
+];
+
+// Bump when the indexed data changes so existing stores are rebuilt
+const SCHEMA_VERSION = 1;
+
+// Maximum number of event blocks checked when looking for a reorg ancestor
+const MAX_REORG_LOOKBACK = 64;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS indexer_state (
+    network TEXT PRIMARY KEY,
+    contract_address TEXT NOT NULL,
+    last_block INTEGER NOT NULL,
+    last_block_hash TEXT,
+    updated_at TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS events (
+    network TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    block_hash TEXT NOT NULL,
+    log_index INTEGER NOT NULL,
+    transaction_hash TEXT NOT NULL,
+    name TEXT NOT NULL,
+    token_id INTEGER NOT NULL,
+    data TEXT NOT NULL,
+    timestamp INTEGER,
+    PRIMARY KEY (network, block_number, log_index)
+  );
+
+  CREATE TABLE IF NOT EXISTS tokens (
+    network TEXT NOT NULL,
+    token_id INTEGER NOT NULL,
+    owner TEXT,
+    issuer TEXT,
+    document_hash TEXT,
+    ipfs_uri TEXT,
+    document_type TEXT,
+    title TEXT,
+    is_active INTEGER NOT NULL DEFAULT 1,
+    is_locked INTEGER NOT NULL DEFAULT 0,
+    minted_block INTEGER,
+    minted_tx TEXT,
+    minted_at INTEGER,
+    PRIMARY KEY (network, token_id)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_tokens_owner ON tokens (network, owner);
+  CREATE INDEX IF NOT EXISTS idx_tokens_issuer ON tokens (network, issuer);
+  CREATE INDEX IF NOT EXISTS idx_tokens_hash ON tokens (network, document_hash);
+`;
+
+class IndexerService {
+  constructor() {
+    this.network = config.indexer.network;
+    this.db = null;
+    this.running = false;
+    this.synced = false;
+    this.syncing = false;
+    this.timer = null;
+    this.lastError = null;
+    this.headBlock = null;
+  }
+
+  /**
+   * Open the store and load the indexing state for the configured network
+   */
+  initialize() {
+    if (this.db) {
+      return;
+    }
+
+    // Required lazily: blockchainService reads from this indexer
+    this.blockchain = require('./blockchainService');
+    this.network = config.indexer.network;
+    // Throws for a network without a deployed contract, before the store
+    // is opened, so the indexer stays unavailable
+    const { contractAddress, startBlock } = this.blockchain.getNetworkConfig(
+      this.network
+    );
+
+    this.db = getDatabase();
+    this.migrate();
+
+    const state = this.getState();
+
+    if (state && state.contract_address !== contractAddress.toLowerCase()) {
+      logger.warn(
+        `Indexer contract changed for ${this.network}, re-indexing from block ${startBlock || 0}`
+      );
+      this.reset();
+    }
+
+    if (!this.getState()) {
+      this.saveState((startBlock || 0) - 1, null);
+    }
+
+    logger.blockchain(this.network, 'indexer initialized', {
+      lastBlock: this.getState().last_block,
+      confirmations: config.indexer.confirmations,
+    });
+  }
+
+  /**
+   * Create the tables, rebuilding them when they predate SCHEMA_VERSION
+   */
+  migrate() {
+    const version = this.db.pragma('user_version', { simple: true });
+
+    if (version === SCHEMA_VERSION) {
+      this.db.exec(SCHEMA);
+      return;
+    }
+
+    if (version > 0) {
+      logger.warn(
+        `Indexer store is at version ${version}, rebuilding for version ${SCHEMA_VERSION}`
+      );
+    }
+
+    this.db.transaction(() => {
+      this.db.exec(`
+        DROP TABLE IF EXISTS indexer_state;
+        DROP TABLE IF EXISTS events;
+        DROP TABLE IF EXISTS tokens;
+      `);
+      this.db.exec(SCHEMA);
+      this.db.pragma(`user_version = ${SCHEMA_VERSION}`);
+    })();
+  }
+
+  /**
+   * Start polling for new events
+   *
+   * A misconfigured indexer is logged rather than thrown, so the API keeps
+   * serving reads from the RPC node.
+   */
+  start() {
+    if (this.running) {
+      return;
+    }
+
+    try {
+      this.initialize();
+    } catch (error) {
+      this.lastError = error.message;
+      logger.error(
+        `Indexer could not start for ${this.network}, reading from the RPC node instead:`,
+        error
+      );
+      return;
+    }
+
+    this.running = true;
+    this.poll();
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Run one sync pass and schedule the next one
+   */
+  async poll() {
+    try {
+      await this.sync();
+      this.lastError = null;
+    } catch (error) {
+      this.lastError = error.message;
+      logger.error(`Indexer sync failed for ${this.network}:`, error);
+    }
+
+    if (this.running) {
+      this.timer = setTimeout(() => this.poll(), config.indexer.pollInterval);
+      this.timer.unref();
+    }
+  }
+
+  /**
+   * Index all confirmed blocks since the last processed block
+   * @returns {Promise<number>} - Last processed block
+   */
+  async sync() {
+    if (this.syncing) {
+      return this.getState().last_block;
+    }
+
+    this.initialize();
+    this.syncing = true;
+
+    try {
+      const provider = this.blockchain.getProvider(this.network);
+
+      await this.handleReorg(provider);
+
+      this.headBlock = await provider.getBlockNumber();
+      const target = this.headBlock - config.indexer.confirmations;
+      let fromBlock = this.getState().last_block + 1;
+
+      while (fromBlock <= target) {
+        const toBlock = Math.min(
+          fromBlock + config.indexer.batchSize - 1,
+          target
+        );
+
+        await this.indexRange(provider, fromBlock, toBlock);
+        fromBlock = toBlock + 1;
+      }
+
+      this.synced = true;
+      return this.getState().last_block;
+    } finally {
+      this.syncing = false;
+    }
+  }
+
+  /**
+   * Fetch, store and apply the events of a block range
+   */
+  async indexRange(provider, fromBlock, toBlock) {
+    const contract = this.blockchain.getContract(this.network);
+    const topics = INDEXED_EVENTS.map(
+      (name) => contract.interface.getEvent(name).topicHash
+    );
+
+    const [logs, block] = await Promise.all([
+      provider.getLogs({
+        address: await contract.getAddress(),
+        fromBlock,
+        toBlock,
+        topics: [topics],
+      }),
+      provider.getBlock(toBlock),
+    ]);
+
+    const events = [];
+    for (const log of logs) {
+      events.push(await this.parseLog(contract, log));
+    }
+
+    const insertEvent = this.db.prepare(`
+      INSERT OR REPLACE INTO events
+        (network, block_number, block_hash, log_index, transaction_hash, name, token_id, data, timestamp)
+      VALUES
+        (@network, @blockNumber, @blockHash, @logIndex, @transactionHash, @name, @tokenId, @data, @timestamp)
+    `);
+
+    this.db.transaction(() => {
+      for (const event of events) {
+        insertEvent.run({
+          ...event,
+          network: this.network,
+          data: JSON.stringify(event.data),
+        });
+        this.applyEvent(event);
+      }
+      this.saveState(toBlock, block.hash);
+    })();
+
+    logger.blockchain(this.network, `indexed blocks ${fromBlock}-${toBlock}`, {
+      events: events.length,
+    });
+  }
+
+  /**
+   * Decode a raw log and read the fields that are not part of the event data
+   */
+  async parseLog(contract, log) {
+    const parsed = contract.interface.parseLog(log);
+    const tokenId = Number(
+      parsed.name === 'Transfer' ? parsed.args.tokenId : parsed.args[0]
+    );
+    let data = {};
+    let timestamp = null;
+
+    switch (parsed.name) {
+      case 'Transfer':
+        data = {
+          from: parsed.args.from.toLowerCase(),
+          to: parsed.args.to.toLowerCase(),
+        };
+        break;
+
+      case 'ProofMinted': {
+        // documentHash is an indexed string, only its keccak256 is in the log
+        const proof = await contract.getProofByTokenId(tokenId);
+        data = {
+          documentHash: proof.documentHash,
+          ipfsURI: parsed.args.ipfsURI,
+          issuer: parsed.args.issuer.toLowerCase(),
+          documentType: parsed.args.documentType,
+          title: parsed.args.title,
+        };
+        timestamp = Number(proof.timestamp);
+        break;
+      }
+
+      case 'ProofRevoked':
+        data = { reason: parsed.args.reason };
+        break;
+
+      case 'MetadataUpdate':
+        data = { tokenURI: await contract.tokenURI(tokenId) };
+        break;
+
+      case 'ProofVerified':
+        data = { verifier: parsed.args.verifier.toLowerCase() };
+        timestamp = Number(parsed.args.timestamp);
+        break;
+    }
+
+    return {
+      blockNumber: log.blockNumber,
+      blockHash: log.blockHash,
+      logIndex: log.index,
+      transactionHash: log.transactionHash,
+      name: parsed.name,
+      tokenId,
+      data,
+      timestamp,
+    };
+  }
+
+  /**
+   * Apply a stored event to the tokens table
+   */
+  applyEvent(event) {
+    const params = { network: this.network, tokenId: event.tokenId };
+
+    switch (event.name) {
+      case 'Transfer':
+        this.db
+          .prepare(
+            `INSERT INTO tokens (network, token_id, owner) VALUES (@network, @tokenId, @owner)
+             ON CONFLICT (network, token_id) DO UPDATE SET owner = excluded.owner`
+          )
+          .run({ ...params, owner: event.data.to });
+        break;
+
+      case 'ProofMinted':
+        this.db
+          .prepare(
+            `INSERT INTO tokens
+               (network, token_id, issuer, document_hash, ipfs_uri, document_type, title, minted_block, minted_tx, minted_at)
+             VALUES
+               (@network, @tokenId, @issuer, @documentHash, @ipfsURI, @documentType, @title, @blockNumber, @transactionHash, @timestamp)
+             ON CONFLICT (network, token_id) DO UPDATE SET
+               issuer = excluded.issuer,
+               document_hash = excluded.document_hash,
+               ipfs_uri = excluded.ipfs_uri,
+               document_type = excluded.document_type,
+               title = excluded.title,
+               minted_block = excluded.minted_block,
+               minted_tx = excluded.minted_tx,
+               minted_at = excluded.minted_at`
+          )
+          .run({
+            ...params,
+            ...event.data,
+            blockNumber: event.blockNumber,
+            transactionHash: event.transactionHash,
+            timestamp: event.timestamp,
+          });
+        break;
+
+      case 'ProofRevoked':
+      case 'ProofRestored':
+        this.db
+          .prepare(
+            `UPDATE tokens SET is_active = @isActive WHERE network = @network AND token_id = @tokenId`
+          )
+          .run({ ...params, isActive: event.name === 'ProofRestored' ? 1 : 0 });
+        break;
+
+      case 'ProofLocked':
+        this.db
+          .prepare(
+            `UPDATE tokens SET is_locked = 1 WHERE network = @network AND token_id = @tokenId`
+          )
+          .run(params);
+        break;
+
+      case 'MetadataUpdate':
+        this.db
+          .prepare(
+            `UPDATE tokens SET ipfs_uri = @tokenURI WHERE network = @network AND token_id = @tokenId`
+          )
+          .run({ ...params, tokenURI: event.data.tokenURI });
+        break;
+    }
+  }
+
+  /**
+   * Detect a reorg of the last processed block and roll back to the most
+   * recent stored block that is still part of the canonical chain
+   */
+  async handleReorg(provider) {
+    const state = this.getState();
+
+    if (!state.last_block_hash) {
+      return;
+    }
+
+    const block = await provider.getBlock(state.last_block);
+    if (block && block.hash === state.last_block_hash) {
+      return;
+    }
+
+    const candidates = this.db
+      .prepare(
+        `SELECT DISTINCT block_number, block_hash FROM events
+         WHERE network = ? ORDER BY block_number DESC LIMIT ?`
+      )
+      .all(this.network, MAX_REORG_LOOKBACK);
+
+    let ancestor = null;
+    for (const candidate of candidates) {
+      const canonical = await provider.getBlock(candidate.block_number);
+      if (canonical && canonical.hash === candidate.block_hash) {
+        ancestor = candidate;
+        break;
+      }
+    }
+
+    const { startBlock } = this.blockchain.getNetworkConfig(this.network);
+    const rollbackTo = ancestor ? ancestor.block_number : (startBlock || 0) - 1;
+
+    logger.warn(
+      `Reorg detected on ${this.network} at block ${state.last_block}, rolling back to ${rollbackTo}`
+    );
+
+    this.db.transaction(() => {
+      this.db
+        .prepare('DELETE FROM events WHERE network = ? AND block_number > ?')
+        .run(this.network, rollbackTo);
+      this.rebuildTokens();
+      this.saveState(rollbackTo, ancestor ? ancestor.block_hash : null);
+    })();
+  }
+
+  /**
+   * Recompute the tokens table by replaying stored events
+   */
+  rebuildTokens() {
+    this.db.prepare('DELETE FROM tokens WHERE network = ?').run(this.network);
+
+    const events = this.db
+      .prepare(
+        `SELECT * FROM events WHERE network = ? ORDER BY block_number, log_index`
+      )
+      .all(this.network);
+
+    for (const row of events) {
+      this.applyEvent({
+        blockNumber: row.block_number,
+        transactionHash: row.transaction_hash,
+        name: row.name,
+        tokenId: row.token_id,
+        data: JSON.parse(row.data),
+        timestamp: row.timestamp,
+      });
+    }
+  }
+
+  /**
+   * Drop everything indexed for the configured network
+   */
+  reset() {
+    this.db.transaction(() => {
+      for (const table of ['events', 'tokens', 'indexer_state']) {
+        this.db
+          .prepare(`DELETE FROM ${table} WHERE network = ?`)
+          .run(this.network);
+      }
+    })();
+    this.synced = false;
+  }
+
+  getState() {
+    return this.db
+      .prepare('SELECT * FROM indexer_state WHERE network = ?')
+      .get(this.network);
+  }
+
+  saveState(lastBlock, lastBlockHash) {
+    const { contractAddress } = this.blockchain.getNetworkConfig(this.network);
+
+    this.db
+      .prepare(
+        `INSERT OR REPLACE INTO indexer_state
+           (network, contract_address, last_block, last_block_hash, updated_at)
+         VALUES (?, ?, ?, ?, ?)`
+      )
+      .run(
+        this.network,
+        contractAddress.toLowerCase(),
+        lastBlock,
+        lastBlockHash,
+        new Date().toISOString()
+      );
+  }
+
+  /**
+   * Whether indexed data can be used to answer queries for a network
+   * @param {string} network - Network name
+   * @returns {boolean} - True once the initial sync has completed
+   */
+  isAvailable(network) {
+    return this.synced && this.db !== null && network === this.network;
+  }
+
+  /**
+   * Get token IDs currently owned by an address
+   * @param {string} address - Wallet address
+   * @returns {number[]} - Owned token IDs in ascending order
+   */
+  getTokensOwnedBy(address) {
+    return this.db
+      .prepare(
+        'SELECT token_id FROM tokens WHERE network = ? AND owner = ? ORDER BY token_id'
+      )
+      .all(this.network, address.toLowerCase())
+      .map((row) => row.token_id);
+  }
+
+  /**
+   * Get the mint transaction of a token
+   * @param {number} tokenId - Token ID
+   * @returns {Object|null} - Mint transaction info, or null if not indexed
+   */
+  getMintEvent(tokenId) {
+    const row = this.db
+      .prepare(
+        `SELECT block_number, block_hash, transaction_hash FROM events
+         WHERE network = ? AND token_id = ? AND name = 'ProofMinted'`
+      )
+      .get(this.network, tokenId);
+
+    if (!row) {
+      return null;
+    }
+
+    return {
+      transactionHash: row.transaction_hash,
+      blockNumber: row.block_number,
+      blockHash: row.block_hash,
+    };
+  }
+
+  /**
+   * Get collection statistics from the indexed tokens and events
+   * @returns {Object} - Counts and breakdowns by document type, issuer and month
+   */
+  getCollectionStats() {
+    const totals = this.db
+      .prepare(
+        `SELECT
+           COUNT(*) AS totalCertificates,
+           COUNT(DISTINCT owner) AS totalHolders,
+           COALESCE(SUM(is_active = 0), 0) AS revokedCertificates,
+           COALESCE(SUM(is_locked = 1), 0) AS lockedCertificates
+         FROM tokens WHERE network = ? AND minted_block IS NOT NULL`
+      )
+      .get(this.network);
+
+    const { totalVerifications } = this.db
+      .prepare(
+        `SELECT COUNT(*) AS totalVerifications FROM events
+         WHERE network = ? AND name = 'ProofVerified'`
+      )
+      .get(this.network);
+
+    const breakdown = (column) =>
+      Object.fromEntries(
+        this.db
+          .prepare(
+            `SELECT ${column} AS key, COUNT(*) AS count FROM tokens
+             WHERE network = ? AND minted_block IS NOT NULL
+             GROUP BY key ORDER BY key`
+          )
+          .all(this.network)
+          .map(({ key, count }) => [key, count])
+      );
+
+    return {
+      ...totals,
+      totalVerifications,
+      byDocumentType: breakdown('document_type'),
+      byIssuer: breakdown('issuer'),
+      byMonth: breakdown(`strftime('%Y-%m', minted_at, 'unixepoch')`),
+      indexedBlock: this.getState().last_block,
+    };
+  }
+
+  /**
+   * Get indexer status
+   */
+  getStatus() {
+    const state = this.db ? this.getState() : null;
+
+    return {
+      enabled: config.indexer.enabled,
+      running: this.running,
+      synced: this.synced,
+      network: this.network,
+      lastBlock: state ? state.last_block : null,
+      headBlock: this.headBlock,
+      confirmations: config.indexer.confirmations,
+      lastError: this.lastError,
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new IndexerService();
@@ -0,0 +1,225 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+
+const config = require('../config/config');
+const { closeDatabase } = require('../utils/database');
+const indexerService = require('./indexerService');
+const blockchainService = require('./blockchainService');
+
+/**
+ * Event indexer against a local Hardhat node
+ *
+ * Run `npx hardhat compile` and `npx hardhat node` in contracts/, then
+ * HARDHAT_RPC_URL=http://127.0.0.1:8545 npm test
+ */
+const describeWithNode = process.env.HARDHAT_RPC_URL ? describe : describe.skip;
+
+const ARTIFACT_PATH = path.join(
+  __dirname,
+  '../../../contracts/artifacts/contracts/CertiProofNFT.sol/CertiProofNFT.json'
+);
+
+const DOCUMENT_HASH =
+  '9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08';
+
+describeWithNode('Indexer service (Hardhat node)', () => {
+  let contract;
+  let issuer;
+  let recipient;
+  let tempDirectory;
+
+  const mint = async (suffix) =>
+    (
+      await contract.mint(
+        await recipient.getAddress(),
+        DOCUMENT_HASH.slice(0, -1) + suffix,
+        `ipfs://bafkreiindexer${suffix}`,
+        'certificate',
+        `Indexed ${suffix}`,
+        false
+      )
+    ).wait();
+
+  const getToken = (tokenId) =>
+    indexerService.db
+      .prepare('SELECT * FROM tokens WHERE network = ? AND token_id = ?')
+      .get('localhost', tokenId);
+
+  beforeAll(async () => {
+    const { abi, bytecode } = require(ARTIFACT_PATH);
+    const provider = new ethers.JsonRpcProvider(process.env.HARDHAT_RPC_URL);
+
+    issuer = await provider.getSigner(0);
+    recipient = await provider.getSigner(1);
+
+    const factory = new ethers.ContractFactory(abi, bytecode, issuer);
+    contract = await factory.deploy(
+      'CertiProof X',
+      'CERTX',
+      await issuer.getAddress()
+    );
+    const deployment = await contract.deploymentTransaction().wait();
+
+    tempDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'certiproof-'));
+
+    config.database.url = `sqlite:${path.join(tempDirectory, 'index.db')}`;
+    config.indexer.network = 'localhost';
+    config.indexer.confirmations = 0;
+    config.blockchain.networks.localhost.rpcUrl = process.env.HARDHAT_RPC_URL;
+    config.blockchain.networks.localhost.contractAddress =
+      await contract.getAddress();
+    config.blockchain.networks.localhost.startBlock = deployment.blockNumber;
+
+    // ethers caches RPC results for 250ms, which would hide the blocks mined
+    // just before each sync
+    blockchainService.providers.set(
+      'localhost',
+      new ethers.JsonRpcProvider(process.env.HARDHAT_RPC_URL, 31337, {
+        staticNetwork: true,
+        cacheTimeout: -1,
+      })
+    );
+  });
+
+  afterAll(() => {
+    indexerService.stop();
+    closeDatabase();
+    fs.rmSync(tempDirectory, { recursive: true, force: true });
+  });
+
+  test('indexes mints, transfers and revocations', async () => {
+    const receipt = await mint('a');
+    await (await contract.revokeProof(1, 'Issued in error')).wait();
+
+    await indexerService.sync();
+
+    expect(getToken(1)).toMatchObject({
+      owner: (await recipient.getAddress()).toLowerCase(),
+      issuer: (await issuer.getAddress()).toLowerCase(),
+      document_hash: DOCUMENT_HASH.slice(0, -1) + 'a',
+      ipfs_uri: 'ipfs://bafkreiindexera',
+      is_active: 0,
+      is_locked: 0,
+      minted_tx: receipt.hash,
+    });
+    expect(indexerService.isAvailable('localhost')).toBe(true);
+    expect(indexerService.getMintEvent(1)).toMatchObject({
+      transactionHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+    });
+  });
+
+  test('serves owner lookups from the index once synced', async () => {
+    const holder = await recipient.getAddress();
+    const newHolder = await (await issuer.provider.getSigner(2)).getAddress();
+
+    await (
+      await contract.connect(recipient).transferFrom(holder, newHolder, 1)
+    ).wait();
+    await indexerService.sync();
+
+    const queryFilter = jest.spyOn(
+      blockchainService.getContract('localhost'),
+      'queryFilter'
+    );
+
+    expect(
+      await blockchainService.getTokensOwnedBy(newHolder, 'localhost')
+    ).toEqual([1]);
+    expect(
+      await blockchainService.getTokensOwnedBy(holder, 'localhost')
+    ).toEqual([]);
+    expect(queryFilter).not.toHaveBeenCalled();
+
+    queryFilter.mockRestore();
+  });
+
+  test('rolls back and re-indexes blocks that are no longer canonical', async () => {
+    const receipt = await mint('b');
+    await indexerService.sync();
+
+    // Pretend the last indexed blocks came from a fork that was dropped
+    const forkedHash = `0x${'f'.repeat(64)}`;
+    indexerService.db
+      .prepare('UPDATE events SET block_hash = ? WHERE block_number = ?')
+      .run(forkedHash, receipt.blockNumber);
+    indexerService.db
+      .prepare('UPDATE indexer_state SET last_block_hash = ?')
+      .run(forkedHash);
+    indexerService.db
+      .prepare("UPDATE tokens SET title = 'forked' WHERE token_id = 2")
+      .run();
+
+    await indexerService.sync();
+
+    const { block_hash: blockHash } = indexerService.db
+      .prepare('SELECT block_hash FROM events WHERE block_number = ?')
+      .get(receipt.blockNumber);
+
+    expect(blockHash).toBe(receipt.blockHash);
+    expect(getToken(2).title).toBe('Indexed b');
+    expect(getToken(1).is_active).toBe(0);
+  });
+
+  test('resumes from the last processed block after a restart', async () => {
+    const { last_block: lastBlock } = indexerService.getState();
+
+    indexerService.stop();
+    closeDatabase();
+    indexerService.db = null;
+    indexerService.synced = false;
+
+    await mint('c');
+
+    const indexRange = jest.spyOn(indexerService, 'indexRange');
+    await indexerService.sync();
+
+    expect(indexRange).toHaveBeenCalledTimes(1);
+    expect(indexRange.mock.calls[0][1]).toBe(lastBlock + 1);
+    expect(getToken(3).title).toBe('Indexed c');
+    expect(getToken(1).is_active).toBe(0);
+
+    indexRange.mockRestore();
+  });
+
+  test('reads the blocks it has not indexed yet from the node', async () => {
+    config.indexer.confirmations = 2;
+    const receipt = await mint('d');
+    await indexerService.sync();
+
+    expect(getToken(4)).toBeUndefined();
+    expect(await blockchainService.getMintEvent(4, 'localhost')).toMatchObject({
+      transactionHash: receipt.hash,
+    });
+    expect(
+      await blockchainService.getTokensOwnedBy(
+        await recipient.getAddress(),
+        'localhost'
+      )
+    ).toEqual([2, 3, 4]);
+
+    config.indexer.confirmations = 0;
+  });
+});
+
+describe('Indexer service startup', () => {
+  const network = config.indexer.network;
+
+  afterEach(() => {
+    config.indexer.network = network;
+  });
+
+  test('stays unavailable instead of throwing for an unknown network', () => {
+    const indexer = new indexerService.constructor();
+    config.indexer.network = 'nowhere';
+
+    expect(() => indexer.start()).not.toThrow();
+    expect(indexer.isAvailable('nowhere')).toBe(false);
+    expect(indexer.getStatus()).toMatchObject({
+      running: false,
+      lastError: 'Network nowhere is not configured',
+    });
+  });
+});
@@ -6,16 +6,34 @@
  */
 
 const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
 const axios = require('axios');
 const FormData = require('form-data');
-const { Web3Storage, File } = require('web3.storage');
+const { Web3Storage, File, getFilesFromPath } = require('web3.storage');
 const config = require('../config/config');
 const logger = require('../utils/logger');
-const { generateSHA256, generateUUID } = require('../utils/crypto');
+const gatewayPool = require('./gatewayPool');
+const {
+  generateSHA256,
+  generateSHA256FromStream,
+  generateUUID,
+  verifyContentID,
+} = require('../utils/crypto');
+const {
+  importStream,
+  createDirectory,
+  exportFile,
+  parseCID,
+  decodeCAR,
+} = require('../utils/cid');
+
+const CAR_CONTENT_TYPE = 'application/vnd.ipld.car';
 
 class IPFSService {
-  constructor() {
-    this.provider = config.ipfs.provider;
+  constructor(provider = config.ipfs.provider) {
+    this.provider = provider;
+    this.gatewayPool = gatewayPool;
     this.initializeClient();
   }
 
@@ -28,9 +46,10 @@ class IPFSService {
         if (!config.ipfs.web3Storage.token) {
           if (config.server.env === 'development') {
             logger.warn(
-              '🔧 Development mode: Web3.Storage token not configured, IPFS upload will be mocked'
+              '🔧 Development mode: Web3.Storage token not configured, using the local block store'
             );
-            this.client = null; // Mock mode
+            this.provider = 'local';
+            this.initializeClient();
             return;
           }
           throw new Error('Web3.Storage token not configured');
@@ -61,8 +80,57 @@ class IPFSService {
         ) {
           throw new Error('Infura IPFS credentials not configured');
         }
-        // Infura IPFS client setup would go here
+        // Infura exposes the Kubo RPC API behind basic auth
+        this.kuboAxios = axios.create({
+          baseURL: config.ipfs.infura.endpoint,
+          auth: {
+            username: config.ipfs.infura.projectId,
+            password: config.ipfs.infura.projectSecret,
+          },
+          timeout: config.ipfs.timeout,
+        });
+        break;
+
+      case 'kubo':
+        // Self-hosted IPFS daemon, content never leaves our infrastructure
+        this.kuboAxios = axios.create({
+          baseURL: config.ipfs.kubo.endpoint,
+          headers: config.ipfs.kubo.authorization
+            ? { Authorization: config.ipfs.kubo.authorization }
+            : {},
+          timeout: config.ipfs.timeout,
+        });
+        break;
+
+      case 'local':
+        // Blocks live on disk under their CID, nothing is published
+        this.localDirectory = path.isAbsolute(config.ipfs.local.directory)
+          ? config.ipfs.local.directory
+          : path.join(__dirname, '../..', config.ipfs.local.directory);
+        fs.mkdirSync(path.join(this.localDirectory, 'blocks'), {
+          recursive: true,
+        });
+        fs.mkdirSync(path.join(this.localDirectory, 'files'), {
+          recursive: true,
+        });
+        break;
+
+      case 'multi': {
+        // One service per provider, every upload is replicated to all of them
+        const { providers, minReplicas } = config.ipfs.replication;
+
+        if (providers.includes('multi')) {
+          throw new Error('IPFS replication providers cannot include multi');
+        }
+        if (providers.length < minReplicas) {
+          throw new Error(
+            `IPFS replication needs at least ${minReplicas} providers, got ${providers.length}`
+          );
+        }
+
+        this.replicas = providers.map((provider) => new IPFSService(provider));
         break;
+      }
 
       default:
         throw new Error(`Unsupported IPFS provider: ${this.provider}`);
@@ -73,75 +141,92 @@ class IPFSService {
 
   /**
    * Upload a single file to IPFS
-   * @param {Buffer} fileBuffer - File buffer
+   *
+   * Files on disk are streamed to the provider, never read into memory.
+   * @param {Buffer|string} file - File buffer or path to the file
    * @param {string} filename - Original filename
    * @param {Object} metadata - Additional metadata
+   * @param {Object} options - { fileHash } when the SHA-256 is already known
    * @returns {Promise<Object>} - Upload result with IPFS hash
    */
-  async uploadFile(fileBuffer, filename, metadata = {}) {
+  async uploadFile(file, filename, metadata = {}, options = {}) {
     try {
       const startTime = Date.now();
       logger.info(`Starting IPFS upload for file: ${filename}`);
 
+      const onDisk = !Buffer.isBuffer(file);
+      const size = onDisk ? (await fs.promises.stat(file)).size : file.length;
+
       // Generate file hash for verification
-      const fileHash = await generateSHA256(fileBuffer);
+      const fileHash =
+        options.fileHash ||
+        (onDisk
+          ? await generateSHA256FromStream(fs.createReadStream(file))
+          : await generateSHA256(file));
 
       let result;
 
-      // Mock mode for development when client is not configured
-      if (this.client === null && config.server.env === 'development') {
-        logger.warn('🔧 Development mode: Mocking IPFS upload');
-        result = {
-          hash: `mock_${fileHash.substring(0, 16)}`, // Mock IPFS hash
-          url: `https://ipfs.io/ipfs/mock_${fileHash.substring(0, 16)}`,
-          gateway: `${config.ipfs.gateway}mock_${fileHash.substring(0, 16)}`,
-          size: fileBuffer.length,
-          type: metadata.type || 'application/octet-stream',
-          filename: filename,
-          uploadTime: Date.now() - startTime,
-          provider: 'mock',
-          mock: true,
-        };
-      } else {
-        switch (this.provider) {
-          case 'web3storage':
-            result = await this.uploadToWeb3Storage(
-              fileBuffer,
-              filename,
-              metadata,
-              fileHash
-            );
-            break;
-
-          case 'pinata':
-            result = await this.uploadToPinata(
-              fileBuffer,
-              filename,
-              metadata,
-              fileHash
-            );
-            break;
-
-          case 'infura':
-            result = await this.uploadToInfura(
-              fileBuffer,
-              filename,
-              metadata,
-              fileHash
-            );
-            break;
+      switch (this.provider) {
+        case 'web3storage':
+          result = await this.uploadToWeb3Storage(
+            file,
+            filename,
+            metadata,
+            fileHash,
+            size
+          );
+          break;
 
-          default:
-            throw new Error(
-              `Upload method not implemented for provider: ${this.provider}`
-            );
-        }
+        case 'pinata':
+          result = await this.uploadToPinata(
+            file,
+            filename,
+            metadata,
+            fileHash,
+            size
+          );
+          break;
+
+        case 'infura':
+        case 'kubo':
+          result = await this.uploadToKubo(
+            file,
+            filename,
+            metadata,
+            fileHash,
+            size
+          );
+          break;
+
+        case 'local':
+          result = await this.uploadToLocal(
+            file,
+            filename,
+            metadata,
+            fileHash,
+            size
+          );
+          break;
+
+        case 'multi':
+          result = await this.uploadToReplicas(
+            file,
+            filename,
+            metadata,
+            fileHash
+          );
+          break;
+
+        default:
+          throw new Error(
+            `Upload method not implemented for provider: ${this.provider}`
+          );
       }
 
       const uploadTime = Date.now() - startTime;
       logger.ipfs('upload', result.hash, {
         filename,
-        size: fileBuffer.length,
+        size,
         uploadTime: `${uploadTime}ms`,
         provider: this.provider,
       });
@@ -153,16 +238,111 @@ class IPFSService {
     }
   }
 
+  /**
+   * Upload to every replication provider
+   *
+   * Fails when fewer than config.ipfs.replication.minReplicas providers
+   * stored the file. The first successful provider, in configuration order,
+   * supplies the returned hash.
+   */
+  async uploadToReplicas(file, filename, metadata, fileHash) {
+    const outcomes = await Promise.allSettled(
+      this.replicas.map((replica) =>
+        replica.uploadFile(file, filename, metadata, { fileHash })
+      )
+    );
+    const replicas = this.summarizeReplicas(outcomes);
+    this.checkReplication(replicas, 'upload');
+
+    const primary = outcomes.find(({ status }) => status === 'fulfilled').value;
+    const mismatched = replicas.filter(
+      (replica) => replica.success && replica.hash !== primary.hash
+    );
+
+    if (mismatched.length > 0) {
+      logger.warn(`Replicas returned different CIDs for ${filename}`, {
+        expected: primary.hash,
+        mismatched,
+      });
+    }
+
+    return {
+      ...primary,
+      provider: 'multi',
+      replicas,
+      replicaCount: replicas.filter((replica) => replica.success).length,
+      minReplicas: config.ipfs.replication.minReplicas,
+    };
+  }
+
+  /**
+   * Turn the settled results of a replicated operation into per-provider status
+   */
+  summarizeReplicas(outcomes) {
+    return outcomes.map((outcome, index) => {
+      const { provider } = this.replicas[index];
+
+      if (outcome.status === 'rejected') {
+        return {
+          provider,
+          success: false,
+          hash: null,
+          error: outcome.reason.message,
+        };
+      }
+
+      const { success = true, hash = null, message } = outcome.value;
+      return {
+        provider,
+        success,
+        hash,
+        error: success ? null : message || 'Operation not supported',
+      };
+    });
+  }
+
+  /**
+   * Throw when a replicated operation did not reach the replica minimum
+   */
+  checkReplication(replicas, operation) {
+    const { minReplicas } = config.ipfs.replication;
+    const succeeded = replicas.filter((replica) => replica.success).length;
+
+    logger.ipfs(`replicated-${operation}`, replicas.find((r) => r.hash)?.hash, {
+      succeeded,
+      minReplicas,
+      replicas,
+    });
+
+    if (succeeded < minReplicas) {
+      const failures = replicas
+        .filter((replica) => !replica.success)
+        .map((replica) => `${replica.provider}: ${replica.error}`)
+        .join('; ');
+
+      const error = new Error(
+        `Only ${succeeded} of ${replicas.length} replicas succeeded, ${minReplicas} required (${failures})`
+      );
+      error.code = 'INSUFFICIENT_REPLICAS';
+      error.replicas = replicas;
+      throw error;
+    }
+  }
+
   /**
    * Upload to Web3.Storage
    */
-  async uploadToWeb3Storage(fileBuffer, filename, metadata, fileHash) {
+  async uploadToWeb3Storage(file, filename, metadata, fileHash, size) {
     try {
-      const file = new File([fileBuffer], filename, {
-        type: this.getMimeType(filename),
-      });
+      const [web3File] = Buffer.isBuffer(file)
+        ? [
+            new File([file], filename, {
+              type: metadata.contentType || this.getMimeType(filename),
+            }),
+          ]
+        : await getFilesFromPath(file);
 
-      const cid = await this.client.put([file], {
+      const cid = await this.client.put([web3File], {
         name: filename,
         maxRetries: 3,
         wrapWithDirectory: false,
@@ -175,7 +355,7 @@ class IPFSService {
         provider: 'web3storage',
         fileHash,
         filename,
-        size: fileBuffer.length,
+        size,
         metadata: {
           ...metadata,
           uploadedAt: new Date().toISOString(),
@@ -190,12 +370,13 @@ class IPFSService {
   /**
    * Upload to Pinata
    */
-  async uploadToPinata(fileBuffer, filename, metadata, fileHash) {
+  async uploadToPinata(file, filename, metadata, fileHash, size) {
     try {
       const formData = new FormData();
-      formData.append('file', fileBuffer, {
+      formData.append('file', this.openFile(file), {
         filename,
-        contentType: this.getMimeType(filename),
+        contentType: metadata.contentType || this.getMimeType(filename),
+        knownLength: size,
       });
 
       // Add metadata
@@ -260,11 +441,393 @@ class IPFSService {
   }
 
   /**
-   * Upload to Infura IPFS
+   * Upload through the Kubo RPC API (Infura or a self-hosted node)
+   */
+  async uploadToKubo(file, filename, metadata, fileHash, size) {
+    try {
+      const formData = new FormData();
+      formData.append('file', this.openFile(file), {
+        filename,
+        contentType: metadata.contentType || this.getMimeType(filename),
+        knownLength: size,
+      });
+
+      const response = await this.kuboAxios.post('/api/v0/add', formData, {
+        params: { 'cid-version': 1, pin: true },
+        headers: {
+          ...formData.getHeaders(),
+          'Content-Length': formData.getLengthSync(),
+        },
+        maxContentLength: config.upload.maxFileSize,
+        maxBodyLength: config.upload.maxFileSize,
+      });
+
+      const { Hash, Size } = response.data;
+
+      return {
+        hash: Hash,
+        ipfsUrl: `ipfs://${Hash}`,
+        gatewayUrl: `${config.ipfs.gateway}${Hash}`,
+        provider: this.provider,
+        fileHash,
+        filename,
+        size: parseInt(Size) || size,
+        metadata: {
+          ...metadata,
+          uploadedAt: new Date().toISOString(),
+          uploadId: generateUUID(),
+        },
+      };
+    } catch (error) {
+      throw new Error(
+        `${this.getProviderName()} upload failed: ${this.getKuboErrorMessage(error)}`
+      );
+    }
+  }
+
+  /**
+   * Store a file in the local block store
+   *
+   * The DAG is built exactly like `ipfs add --cid-version=1`, so the CID is
+   * the one a real node would assign to the same bytes.
+   */
+  async uploadToLocal(file, filename, metadata, fileHash, size) {
+    try {
+      const { cid } = await importStream(this.openFile(file), {}, (block) =>
+        fs.promises.writeFile(this.getLocalBlockPath(block.cid), block.bytes)
+      );
+
+      const record = {
+        filename,
+        contentType: metadata.contentType || this.getMimeType(filename),
+        size,
+        fileHash,
+        uploadedAt: new Date().toISOString(),
+      };
+      await fs.promises.writeFile(
+        path.join(this.localDirectory, 'files', `${cid}.json`),
+        JSON.stringify(record, null, 2)
+      );
+
+      return {
+        hash: cid,
+        ipfsUrl: `ipfs://${cid}`,
+        gatewayUrl: `${config.ipfs.gateway}${cid}`,
+        provider: 'local',
+        fileHash,
+        filename,
+        size,
+        metadata: {
+          ...metadata,
+          uploadedAt: record.uploadedAt,
+          uploadId: generateUUID(),
+        },
+      };
+    } catch (error) {
+      throw new Error(`Local block store upload failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Upload several files as one IPFS directory
+   *
+   * Each file keeps its name inside the directory, so it stays reachable at
+   * ipfs://<directory CID>/<name>.
+   * @param {Array} files - [{ file: Buffer|string, name, contentType }], file as
+   *   for uploadFile
+   * @param {string} dirname - Name of the upload, for providers that label pins
+   * @param {Object} metadata - Additional metadata
+   * @returns {Promise<Object>} - Upload result with the directory CID
+   */
+  async uploadDirectory(files, dirname, metadata = {}) {
+    try {
+      const startTime = Date.now();
+      logger.info(`Starting IPFS directory upload: ${dirname}`, {
+        files: files.length,
+      });
+
+      const entries = await Promise.all(
+        files.map(async ({ file, name, contentType }) => ({
+          file,
+          name,
+          contentType: contentType || this.getMimeType(name),
+          size: Buffer.isBuffer(file)
+            ? file.length
+            : (await fs.promises.stat(file)).size,
+        }))
+      );
+
+      let result;
+
+      switch (this.provider) {
+        case 'web3storage':
+          result = await this.uploadDirectoryToWeb3Storage(entries, dirname);
+          break;
+
+        case 'pinata':
+          result = await this.uploadDirectoryToPinata(
+            entries,
+            dirname,
+            metadata
+          );
+          break;
+
+        case 'infura':
+        case 'kubo':
+          result = await this.uploadDirectoryToKubo(entries);
+          break;
+
+        case 'local':
+          result = await this.uploadDirectoryToLocal(entries, dirname);
+          break;
+
+        case 'multi':
+          result = await this.uploadDirectoryToReplicas(
+            files,
+            dirname,
+            metadata
+          );
+          break;
+
+        default:
+          throw new Error(
+            `Directory upload not implemented for provider: ${this.provider}`
+          );
+      }
+
+      const { hash } = result;
+      const uploadTime = Date.now() - startTime;
+      logger.ipfs('upload-directory', hash, {
+        dirname,
+        files: entries.length,
+        uploadTime: `${uploadTime}ms`,
+        provider: this.provider,
+      });
+
+      return {
+        hash,
+        ipfsUrl: `ipfs://${hash}`,
+        gatewayUrl: `${config.ipfs.gateway}${hash}`,
+        provider: this.provider,
+        dirname,
+        size: entries.reduce((total, entry) => total + entry.size, 0),
+        files: entries.map(({ name, size }) => ({
+          name,
+          size,
+          ipfsUrl: `ipfs://${hash}/${encodeURIComponent(name)}`,
+          gatewayUrl: `${config.ipfs.gateway}${hash}/${encodeURIComponent(name)}`,
+        })),
+        metadata: {
+          ...metadata,
+          uploadedAt: new Date().toISOString(),
+          uploadId: generateUUID(),
+        },
+        ...result,
+      };
+    } catch (error) {
+      logger.error(`IPFS directory upload failed for ${dirname}:`, error);
+      throw new Error(`Failed to upload directory to IPFS: ${error.message}`);
+    }
+  }
+
+  /**
+   * Upload a directory to every replication provider
+   */
+  async uploadDirectoryToReplicas(files, dirname, metadata) {
+    const outcomes = await Promise.allSettled(
+      this.replicas.map((replica) =>
+        replica.uploadDirectory(files, dirname, metadata)
+      )
+    );
+    const replicas = this.summarizeReplicas(outcomes);
+    this.checkReplication(replicas, 'upload-directory');
+
+    const primary = outcomes.find(({ status }) => status === 'fulfilled').value;
+    const mismatched = replicas.filter(
+      (replica) => replica.success && replica.hash !== primary.hash
+    );
+
+    if (mismatched.length > 0) {
+      logger.warn(`Replicas returned different CIDs for ${dirname}`, {
+        expected: primary.hash,
+        mismatched,
+      });
+    }
+
+    return {
+      hash: primary.hash,
+      replicas,
+      replicaCount: replicas.filter((replica) => replica.success).length,
+      minReplicas: config.ipfs.replication.minReplicas,
+    };
+  }
+
+  /**
+   * Upload a directory to Web3.Storage
+   */
+  async uploadDirectoryToWeb3Storage(entries, dirname) {
+    try {
+      const web3Files = await Promise.all(
+        entries.map(async ({ file, name, contentType }) => {
+          if (Buffer.isBuffer(file)) {
+            return new File([file], name, { type: contentType });
+          }
+          // Temp files have generated names, keep the original one
+          const [fromPath] = await getFilesFromPath(file);
+          return { name, stream: () => fromPath.stream() };
+        })
+      );
+
+      const cid = await this.client.put(web3Files, {
+        name: dirname,
+        maxRetries: 3,
+        wrapWithDirectory: true,
+      });
+
+      return { hash: cid };
+    } catch (error) {
+      throw new Error(`Web3.Storage upload failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Upload a directory to Pinata
+   *
+   * Pinata builds the directory from the filepath of each part.
+   */
+  async uploadDirectoryToPinata(entries, dirname, metadata) {
+    try {
+      const formData = new FormData();
+      for (const { file, name, contentType, size } of entries) {
+        formData.append('file', this.openFile(file), {
+          filepath: `${dirname}/${name}`,
+          contentType,
+          knownLength: size,
+        });
+      }
+
+      formData.append(
+        'pinataMetadata',
+        JSON.stringify({
+          name: dirname,
+          keyvalues: {
+            ...metadata,
+            uploadedAt: new Date().toISOString(),
+            uploadId: generateUUID(),
+          },
+        })
+      );
+      formData.append('pinataOptions', JSON.stringify({ cidVersion: 1 }));
+
+      const maxSize = config.upload.maxFileSize * entries.length;
+      const response = await this.pinataAxios.post(
+        '/pinning/pinFileToIPFS',
+        formData,
+        {
+          headers: {
+            ...formData.getHeaders(),
+            'Content-Length': formData.getLengthSync(),
+          },
+          maxContentLength: maxSize,
+          maxBodyLength: maxSize,
+        }
+      );
+
+      return { hash: response.data.IpfsHash };
+    } catch (error) {
+      if (error.response) {
+        throw new Error(
+          `Pinata upload failed: ${error.response.data.error || error.response.statusText}`
+        );
+      }
+      throw new Error(`Pinata upload failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Upload a directory through the Kubo RPC API
+   *
+   * /api/v0/add answers with one JSON line per file, then one with an empty
+   * name for the wrapping directory.
    */
-  async uploadToInfura(fileBuffer, filename, metadata, fileHash) {
-    // Implementation for Infura IPFS would go here
-    throw new Error('Infura IPFS upload not yet implemented');
+  async uploadDirectoryToKubo(entries) {
+    try {
+      const formData = new FormData();
+      for (const { file, name, contentType, size } of entries) {
+        formData.append('file', this.openFile(file), {
+          filename: name,
+          contentType,
+          knownLength: size,
+        });
+      }
+
+      const maxSize = config.upload.maxFileSize * entries.length;
+      const response = await this.kuboAxios.post('/api/v0/add', formData, {
+        params: { 'cid-version': 1, pin: true, 'wrap-with-directory': true },
+        headers: {
+          ...formData.getHeaders(),
+          'Content-Length': formData.getLengthSync(),
+        },
+        responseType: 'text',
+        maxContentLength: maxSize,
+        maxBodyLength: maxSize,
+      });
+
+      const added = response.data
+        .split('\n')
+        .filter((line) => line.trim())
+        .map((line) => JSON.parse(line));
+      const directory = added.find((entry) => entry.Name === '');
+
+      if (!directory) {
+        throw new Error('Node did not return the directory CID');
+      }
+
+      return { hash: directory.Hash };
+    } catch (error) {
+      throw new Error(
+        `${this.getProviderName()} upload failed: ${this.getKuboErrorMessage(error)}`
+      );
+    }
+  }
+
+  /**
+   * Store a directory in the local block store
+   */
+  async uploadDirectoryToLocal(entries, dirname) {
+    try {
+      const putBlock = (block) =>
+        fs.promises.writeFile(this.getLocalBlockPath(block.cid), block.bytes);
+
+      const imported = [];
+      for (const { file, name } of entries) {
+        const { cid, tsize } = await importStream(
+          this.openFile(file),
+          {},
+          putBlock
+        );
+        imported.push({ name, cid, tsize });
+      }
+
+      const directory = createDirectory(imported);
+      await putBlock(directory);
+
+      const record = {
+        filename: dirname,
+        contentType: 'inode/directory',
+        size: entries.reduce((total, entry) => total + entry.size, 0),
+        entries: imported.map(({ name, cid }) => ({ name, cid })),
+        uploadedAt: new Date().toISOString(),
+      };
+      await fs.promises.writeFile(
+        path.join(this.localDirectory, 'files', `${directory.cid}.json`),
+        JSON.stringify(record, null, 2)
+      );
+
+      return { hash: directory.cid };
+    } catch (error) {
+      throw new Error(`Local block store upload failed: ${error.message}`);
+    }
   }
 
   /**
@@ -292,38 +855,75 @@ class IPFSService {
 
   /**
    * Retrieve file from IPFS
-   * @param {string} hash - IPFS hash
+   * @param {string} hash - IPFS hash, or `<hash>/<path>` of a file inside a
+   *   directory such as a bundle's manifest.json
    * @returns {Promise<Buffer>} - File buffer
    */
   async retrieveFile(hash) {
     try {
       logger.info(`Retrieving file from IPFS: ${hash}`);
 
-      // Try multiple gateways for redundancy
-      const gateways = [
-        config.ipfs.gateway,
-        'https://ipfs.io/ipfs/',
-        'https://gateway.pinata.cloud/ipfs/',
-        'https://cloudflare-ipfs.com/ipfs/',
-      ];
-
-      for (const gateway of gateways) {
-        try {
-          const response = await axios.get(`${gateway}${hash}`, {
-            responseType: 'arraybuffer',
-            timeout: config.ipfs.timeout,
+      for (const store of this.getLocalStores()) {
+        if (await store.statFromLocal(hash)) {
+          const fileBuffer = await store.readFromLocal(hash);
+          logger.ipfs('retrieve', hash, {
+            store: store.localDirectory,
+            size: fileBuffer.length,
           });
+          return fileBuffer;
+        }
+      }
 
+      // Prefer our own node over the public gateways
+      for (const node of this.getKuboNodes()) {
+        try {
+          const fileBuffer = await node.catFromKubo(hash);
           logger.ipfs('retrieve', hash, {
-            gateway,
-            size: response.data.length,
+            node: config.ipfs.kubo.endpoint,
+            size: fileBuffer.length,
           });
-          return Buffer.from(response.data);
+          return fileBuffer;
         } catch (error) {
           logger.warn(
-            `Failed to retrieve from gateway ${gateway}: ${error.message}`
+            `Failed to retrieve from Kubo node: ${this.getKuboErrorMessage(error)}`
           );
-          continue;
+        }
+      }
+
+      // Public gateways are untrusted, so only content matching the CID is kept
+      parseCID(hash.split('/')[0]);
+
+      for (const gateway of this.gatewayPool.getGateways()) {
+        const requestStart = Date.now();
+        try {
+          const fileBuffer = await this.retrieveFromGateway(gateway, hash);
+          const latency = Date.now() - requestStart;
+
+          this.gatewayPool.recordSuccess(gateway.url, latency);
+          logger.ipfs('retrieve', hash, {
+            gateway: gateway.url,
+            size: fileBuffer.length,
+            latency: `${latency}ms`,
+          });
+          return fileBuffer;
+        } catch (error) {
+          const mismatch = error.code === 'CONTENT_MISMATCH';
+
+          this.gatewayPool.recordFailure(gateway.url, error, { mismatch });
+          if (mismatch) {
+            logger.security(
+              'IPFS gateway served content not matching the CID',
+              {
+                gateway: gateway.url,
+                hash,
+                error: error.message,
+              }
+            );
+          } else {
+            logger.warn(
+              `Failed to retrieve from gateway ${gateway.url}: ${error.message}`
+            );
+          }
         }
       }
 
@@ -334,18 +934,75 @@ class IPFSService {
     }
   }
 
+  /**
+   * Fetch a file from a public gateway and verify it against its CID
+   *
+   * Asks for a CAR (trustless gateway response) so every block can be
+   * checked whatever chunking produced the CID. Gateways that ignore the
+   * format and send the file itself are checked with verifyContentID, which
+   * cannot be done for a path inside a directory: those need a CAR.
+   * @param {Object} gateway - { url, timeout } from the gateway pool
+   * @param {string} hash - IPFS hash, optionally followed by a path
+   * @throws {Error} - code CONTENT_MISMATCH when the content does not match
+   */
+  async retrieveFromGateway(gateway, hash) {
+    const response = await axios.get(`${gateway.url}${hash}`, {
+      params: { format: 'car' },
+      headers: { Accept: CAR_CONTENT_TYPE },
+      responseType: 'arraybuffer',
+      timeout: gateway.timeout,
+      maxContentLength: config.upload.maxFileSize * 2,
+    });
+    const body = Buffer.from(response.data);
+
+    if ((response.headers['content-type'] || '').includes(CAR_CONTENT_TYPE)) {
+      try {
+        const blocks = decodeCAR(body);
+        return await exportFile(hash, async (cid) => {
+          if (!blocks.has(cid)) {
+            throw new Error(`CAR is missing block ${cid}`);
+          }
+          return blocks.get(cid);
+        });
+      } catch (error) {
+        error.code = 'CONTENT_MISMATCH';
+        throw error;
+      }
+    }
+
+    if (hash.includes('/')) {
+      throw new Error(
+        `${gateway.url} did not send a CAR for ${hash}, which cannot be verified otherwise`
+      );
+    }
+
+    if (!(await verifyContentID(body, hash))) {
+      const error = new Error(
+        `Content from ${gateway.url} does not match ${hash}`
+      );
+      error.code = 'CONTENT_MISMATCH';
+      throw error;
+    }
+
+    return body;
+  }
+
   /**
    * Check if file exists on IPFS
    * @param {string} hash - IPFS hash
    * @returns {Promise<boolean>} - True if file exists
    */
   async fileExists(hash) {
+    if (this.provider === 'kubo' || this.provider === 'local') {
+      return (await this.getFileMetadata(hash)).exists;
+    }
+
     try {
       const response = await axios.head(`${config.ipfs.gateway}${hash}`, {
         timeout: 10000,
       });
       return response.status === 200;
-    } catch (error) {
+    } catch {
       return false;
     }
   }
@@ -356,6 +1013,29 @@ class IPFSService {
    * @returns {Promise<Object>} - File metadata
    */
   async getFileMetadata(hash) {
+    if (this.provider === 'kubo') {
+      try {
+        const { size } = await this.statFromKubo(hash);
+        // The node does not record content types
+        return { exists: true, size, contentType: null };
+      } catch (error) {
+        return { exists: false, error: this.getKuboErrorMessage(error) };
+      }
+    }
+
+    if (this.provider === 'local') {
+      const record = await this.statFromLocal(hash);
+      return record
+        ? {
+            exists: true,
+            size: record.size,
+            contentType: record.contentType,
+            lastModified: new Date(record.uploadedAt).toUTCString(),
+            etag: `"${hash}"`,
+          }
+        : { exists: false, error: 'Not in the local block store' };
+    }
+
     try {
       const response = await axios.head(`${config.ipfs.gateway}${hash}`, {
         timeout: 10000,
@@ -387,6 +1067,23 @@ class IPFSService {
       switch (this.provider) {
         case 'pinata':
           return await this.pinToPinata(hash);
+        case 'infura':
+        case 'kubo':
+          return await this.pinToKubo(hash);
+        case 'local':
+          // Stored blocks are never collected, so pinning only checks presence
+          return (await this.statFromLocal(hash))
+            ? { success: true, hash, provider: 'local' }
+            : { success: false, message: 'Not in the local block store' };
+        case 'multi': {
+          const replicas = this.summarizeReplicas(
+            await Promise.allSettled(
+              this.replicas.map((replica) => replica.pinFile(hash))
+            )
+          );
+          this.checkReplication(replicas, 'pin');
+          return { success: true, hash, provider: 'multi', replicas };
+        }
         default:
           logger.warn(`Pinning not implemented for provider: ${this.provider}`);
           return { success: false, message: 'Pinning not supported' };
@@ -425,6 +1122,205 @@ class IPFSService {
     }
   }
 
+  /**
+   * Unpin file so the node may garbage-collect it
+   * @param {string} hash - IPFS hash
+   * @returns {Promise<Object>} - Unpin result
+   */
+  async unpinFile(hash) {
+    try {
+      switch (this.provider) {
+        case 'infura':
+        case 'kubo': {
+          const response = await this.kuboAxios.post('/api/v0/pin/rm', null, {
+            params: { arg: hash },
+          });
+
+          return {
+            success: true,
+            hash: response.data.Pins[0],
+            provider: this.provider,
+          };
+        }
+        case 'multi': {
+          const replicas = this.summarizeReplicas(
+            await Promise.allSettled(
+              this.replicas.map((replica) => replica.unpinFile(hash))
+            )
+          );
+          return {
+            success: replicas.some((replica) => replica.success),
+            hash,
+            provider: 'multi',
+            replicas,
+          };
+        }
+        default:
+          logger.warn(
+            `Unpinning not implemented for provider: ${this.provider}`
+          );
+          return { success: false, message: 'Unpinning not supported' };
+      }
+    } catch (error) {
+      logger.error(`Failed to unpin file ${hash}:`, error);
+      throw new Error(
+        `Failed to unpin file: ${this.getKuboErrorMessage(error)}`
+      );
+    }
+  }
+
+  /**
+   * Pin through the Kubo RPC API by hash
+   */
+  async pinToKubo(hash) {
+    try {
+      const response = await this.kuboAxios.post('/api/v0/pin/add', null, {
+        params: { arg: hash },
+      });
+
+      return {
+        success: true,
+        hash: response.data.Pins[0],
+        provider: this.provider,
+      };
+    } catch (error) {
+      throw new Error(
+        `${this.getProviderName()} pin failed: ${this.getKuboErrorMessage(error)}`
+      );
+    }
+  }
+
+  /**
+   * Read file content from the Kubo node
+   */
+  async catFromKubo(hash) {
+    const response = await this.kuboAxios.post('/api/v0/cat', null, {
+      params: { arg: hash },
+      responseType: 'arraybuffer',
+      maxContentLength: config.upload.maxFileSize,
+    });
+
+    return Buffer.from(response.data);
+  }
+
+  /**
+   * Stat a CID on the Kubo node
+   *
+   * The node-side timeout stops it from searching the network for content
+   * it does not have.
+   */
+  async statFromKubo(hash) {
+    const response = await this.kuboAxios.post('/api/v0/files/stat', null, {
+      params: { arg: `/ipfs/${hash}`, timeout: '10s' },
+      timeout: 15000,
+    });
+
+    return {
+      size: response.data.Size || response.data.CumulativeSize,
+      type: response.data.Type,
+    };
+  }
+
+  /**
+   * Check that the Kubo RPC endpoint is reachable with the configured credentials
+   */
+  async getKuboStatus() {
+    try {
+      const response = await this.kuboAxios.post('/api/v0/version', null, {
+        timeout: 10000,
+      });
+
+      return { reachable: true, version: response.data.Version };
+    } catch (error) {
+      return { reachable: false, error: this.getKuboErrorMessage(error) };
+    }
+  }
+
+  /**
+   * Read a file back from the local block store, verifying every block
+   */
+  async readFromLocal(hash) {
+    return exportFile(hash, (cid) =>
+      fs.promises.readFile(this.getLocalBlockPath(cid))
+    );
+  }
+
+  /**
+   * Get the upload record of a file in the local block store
+   * @returns {Promise<Object|null>} - Record, or null when the CID is unknown
+   */
+  async statFromLocal(hash) {
+    let cid;
+    try {
+      cid = parseCID(hash).string;
+    } catch (error) {
+      logger.debug(`Not a CID, skipping the local block store: ${hash}`, {
+        error: error.message,
+      });
+      return null;
+    }
+
+    try {
+      const record = await fs.promises.readFile(
+        path.join(this.localDirectory, 'files', `${cid}.json`),
+        'utf8'
+      );
+      return JSON.parse(record);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  getLocalBlockPath(cid) {
+    return path.join(this.localDirectory, 'blocks', cid);
+  }
+
+  /**
+   * Get the local block stores this service can read from
+   */
+  getLocalStores() {
+    if (this.provider === 'multi') {
+      return this.replicas.filter((replica) => replica.provider === 'local');
+    }
+    return this.provider === 'local' ? [this] : [];
+  }
+
+  /**
+   * Get the self-hosted Kubo nodes this service can read from
+   */
+  getKuboNodes() {
+    if (this.provider === 'multi') {
+      return this.replicas.filter((replica) => replica.provider === 'kubo');
+    }
+    return this.provider === 'kubo' ? [this] : [];
+  }
+
+  getProviderName() {
+    return this.provider === 'infura' ? 'Infura' : 'Kubo';
+  }
+
+  /**
+   * Extract the error message from a failed Kubo RPC call
+   */
+  getKuboErrorMessage(error) {
+    if (error.response) {
+      return error.response.data?.Message || error.response.statusText;
+    }
+    return error.message;
+  }
+
+  /**
+   * Get a readable stream of a file given as a buffer or a path
+   */
+  openFile(file) {
+    return Buffer.isBuffer(file)
+      ? Readable.from([file])
+      : fs.createReadStream(file);
+  }
+
   /**
    * Get MIME type from filename
    */
@@ -452,13 +1348,39 @@ class IPFSService {
    * Get service status
    */
   async getStatus() {
-    return {
+    const status = {
       provider: this.provider,
       gateway: config.ipfs.gateway,
       maxFileSize: config.upload.maxFileSize,
       supportedTypes: config.upload.allowedMimeTypes,
       operational: true,
     };
+
+    if (this.kuboAxios) {
+      status.endpoint = this.kuboAxios.defaults.baseURL;
+      status.node = await this.getKuboStatus();
+      status.operational = status.node.reachable;
+    }
+
+    if (this.provider === 'local') {
+      status.directory = this.localDirectory;
+    }
+
+    if (this.provider === 'multi') {
+      status.minReplicas = config.ipfs.replication.minReplicas;
+      status.replicas = await Promise.all(
+        this.replicas.map(async (replica) => {
+          const { provider, operational, endpoint, node } =
+            await replica.getStatus();
+          return { provider, operational, endpoint, node };
+        })
+      );
+      status.operational =
+        status.replicas.filter((replica) => replica.operational).length >=
+        status.minReplicas;
+    }
+
+    return status;
   }
 }
 
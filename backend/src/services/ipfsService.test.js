@@ -0,0 +1,706 @@
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const config = require('../config/config');
+const {
+  importFile,
+  createDirectory,
+  encodeVarint,
+  parseCID,
+} = require('../utils/cid');
+const GatewayPool = require('./gatewayPool').constructor;
+
+const PROJECT_ID = 'test-project';
+const PROJECT_SECRET = 'test-secret';
+const ADDED_CID = 'bafkreihdwdcefgh4dqkjv67uzcmw7ojee6xedzdetojuzjevtenxquvyku';
+const DIRECTORY_CID =
+  'bafybeif3zp4btt3hrwpiz46tpocatilc2ye5gobyazfqmc5sualsbq73fe';
+
+/**
+ * Minimal stand-in for the Kubo RPC API (self-hosted or served by Infura)
+ * @param {string} authorization - Required Authorization header, if any
+ */
+const createKuboStandIn = (authorization) => {
+  const requests = [];
+  const files = new Map();
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+
+    const send = (status, body) => {
+      if (Buffer.isBuffer(body)) {
+        res.writeHead(status, { 'Content-Type': 'application/octet-stream' });
+        return res.end(body);
+      }
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify(body));
+    };
+
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const arg = url.searchParams.get('arg');
+      requests.push({
+        method: req.method,
+        path: url.pathname,
+        params: Object.fromEntries(url.searchParams),
+        authorization: req.headers.authorization,
+        body: Buffer.concat(chunks).toString('utf8'),
+      });
+
+      if (authorization && req.headers.authorization !== authorization) {
+        return send(401, { Message: 'invalid project id or project secret' });
+      }
+
+      switch (url.pathname) {
+        case '/api/v0/add': {
+          if (url.searchParams.get('wrap-with-directory') !== 'true') {
+            return send(200, {
+              Name: 'certificate.txt',
+              Hash: ADDED_CID,
+              Size: '42',
+            });
+          }
+
+          // One JSON line per file, then the wrapping directory
+          const names = [
+            ...requests.at(-1).body.matchAll(/filename="([^"]+)"/g),
+          ].map((match) => match[1]);
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          return res.end(
+            [...names, '']
+              .map((name) =>
+                JSON.stringify({
+                  Name: name,
+                  Hash: name ? ADDED_CID : DIRECTORY_CID,
+                  Size: '42',
+                })
+              )
+              .join('\n') + '\n'
+          );
+        }
+        case '/api/v0/pin/add':
+        case '/api/v0/pin/rm':
+          return send(200, { Pins: [arg] });
+        case '/api/v0/cat':
+          return files.has(arg)
+            ? send(200, files.get(arg))
+            : send(500, { Message: 'block was not found locally (offline)' });
+        case '/api/v0/files/stat': {
+          const cid = arg.replace(/^\/ipfs\//, '');
+          return files.has(cid)
+            ? send(200, {
+                Hash: cid,
+                Size: files.get(cid).length,
+                CumulativeSize: files.get(cid).length + 11,
+                Type: 'file',
+              })
+            : send(500, { Message: 'context deadline exceeded' });
+        }
+        case '/api/v0/version':
+          return send(200, { Version: '0.29.0' });
+        default:
+          return send(404, { Message: 'not found' });
+      }
+    });
+  });
+
+  return { server, requests, files };
+};
+
+const listen = async (server) => {
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return `http://127.0.0.1:${server.address().port}`;
+};
+
+describe('IPFS service (Infura provider)', () => {
+  let standIn;
+  let ipfsService;
+
+  beforeAll(async () => {
+    standIn = createKuboStandIn(
+      `Basic ${Buffer.from(`${PROJECT_ID}:${PROJECT_SECRET}`).toString('base64')}`
+    );
+
+    config.ipfs.provider = 'infura';
+    config.ipfs.infura = {
+      projectId: PROJECT_ID,
+      projectSecret: PROJECT_SECRET,
+      endpoint: await listen(standIn.server),
+    };
+
+    // The service is a singleton configured when first required
+    ipfsService = require('./ipfsService');
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => standIn.server.close(resolve));
+  });
+
+  beforeEach(() => {
+    standIn.requests.length = 0;
+  });
+
+  test('uploads files through /api/v0/add with project credentials', async () => {
+    const result = await ipfsService.uploadFile(
+      Buffer.from('CertiProof X test certificate\n'),
+      'certificate.txt'
+    );
+
+    expect(result).toMatchObject({
+      hash: ADDED_CID,
+      ipfsUrl: `ipfs://${ADDED_CID}`,
+      provider: 'infura',
+      filename: 'certificate.txt',
+      size: 42,
+    });
+
+    const [request] = standIn.requests;
+    expect(request).toMatchObject({
+      method: 'POST',
+      path: '/api/v0/add',
+      params: { 'cid-version': '1', pin: 'true' },
+    });
+    expect(request.body).toContain('filename="certificate.txt"');
+    expect(request.body).toContain('CertiProof X test certificate');
+  });
+
+  test('pins existing content by CID', async () => {
+    const result = await ipfsService.pinFile(ADDED_CID);
+
+    expect(result).toEqual({
+      success: true,
+      hash: ADDED_CID,
+      provider: 'infura',
+    });
+    expect(standIn.requests[0]).toMatchObject({
+      path: '/api/v0/pin/add',
+      params: { arg: ADDED_CID },
+    });
+  });
+
+  test('reports the node version in the service status', async () => {
+    const status = await ipfsService.getStatus();
+
+    expect(status).toMatchObject({
+      provider: 'infura',
+      operational: true,
+      node: { reachable: true, version: '0.29.0' },
+    });
+  });
+
+  test('surfaces Kubo error messages when credentials are rejected', async () => {
+    config.ipfs.infura.projectSecret = 'wrong-secret';
+
+    const service = new ipfsService.constructor();
+
+    await expect(
+      service.uploadFile(Buffer.from('data'), 'certificate.txt')
+    ).rejects.toThrow('invalid project id or project secret');
+    expect((await service.getStatus()).operational).toBe(false);
+
+    config.ipfs.infura.projectSecret = PROJECT_SECRET;
+  });
+});
+
+describe('IPFS service (Kubo provider)', () => {
+  const CONTENT = Buffer.from('CertiProof X test certificate\n');
+  let standIn;
+  let ipfsService;
+
+  beforeAll(async () => {
+    standIn = createKuboStandIn();
+    standIn.files.set(ADDED_CID, CONTENT);
+
+    config.ipfs.provider = 'kubo';
+    config.ipfs.kubo = { endpoint: await listen(standIn.server) };
+
+    ipfsService = new (require('./ipfsService').constructor)();
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => standIn.server.close(resolve));
+  });
+
+  beforeEach(() => {
+    standIn.requests.length = 0;
+  });
+
+  test('adds files to the local node', async () => {
+    const result = await ipfsService.uploadFile(CONTENT, 'certificate.txt');
+
+    expect(result).toMatchObject({ hash: ADDED_CID, provider: 'kubo' });
+    expect(standIn.requests[0]).toMatchObject({
+      path: '/api/v0/add',
+      authorization: undefined,
+    });
+  });
+
+  test('streams files from disk without reading them first', async () => {
+    const filePath = path.join(os.tmpdir(), `certiproof-${process.pid}.txt`);
+    fs.writeFileSync(filePath, CONTENT);
+
+    const result = await ipfsService.uploadFile(
+      filePath,
+      'certificate.txt',
+      {},
+      {
+        fileHash: 'precomputed',
+      }
+    );
+    fs.rmSync(filePath);
+
+    expect(result).toMatchObject({ hash: ADDED_CID, fileHash: 'precomputed' });
+    expect(standIn.requests[0].body).toContain(CONTENT.toString());
+  });
+
+  test('adds bundles as one wrapped directory', async () => {
+    const result = await ipfsService.uploadDirectory(
+      [
+        { file: CONTENT, name: 'thesis.pdf' },
+        { file: Buffer.from('{}'), name: 'manifest.json' },
+      ],
+      'bundle_1'
+    );
+
+    expect(result).toMatchObject({
+      hash: DIRECTORY_CID,
+      provider: 'kubo',
+      size: CONTENT.length + 2,
+      files: [
+        {
+          name: 'thesis.pdf',
+          ipfsUrl: `ipfs://${DIRECTORY_CID}/thesis.pdf`,
+        },
+        { name: 'manifest.json' },
+      ],
+    });
+    expect(standIn.requests[0].params).toMatchObject({
+      'wrap-with-directory': 'true',
+      'cid-version': '1',
+    });
+  });
+
+  test('retrieves files from the node before trying public gateways', async () => {
+    const fileBuffer = await ipfsService.retrieveFile(ADDED_CID);
+
+    expect(fileBuffer.equals(CONTENT)).toBe(true);
+    expect(standIn.requests.map((request) => request.path)).toEqual([
+      '/api/v0/cat',
+    ]);
+  });
+
+  test('stats content held by the node', async () => {
+    expect(await ipfsService.getFileMetadata(ADDED_CID)).toEqual({
+      exists: true,
+      size: CONTENT.length,
+      contentType: null,
+    });
+    expect(await ipfsService.fileExists('bafkreimissing')).toBe(false);
+    expect(standIn.requests[0].params).toMatchObject({
+      arg: `/ipfs/${ADDED_CID}`,
+      timeout: '10s',
+    });
+  });
+
+  test('pins and unpins content', async () => {
+    expect(await ipfsService.pinFile(ADDED_CID)).toMatchObject({
+      success: true,
+      provider: 'kubo',
+    });
+    expect(await ipfsService.unpinFile(ADDED_CID)).toMatchObject({
+      success: true,
+      hash: ADDED_CID,
+    });
+    expect(standIn.requests.map((request) => request.path)).toEqual([
+      '/api/v0/pin/add',
+      '/api/v0/pin/rm',
+    ]);
+  });
+
+  test('reports the node in the service status', async () => {
+    expect(await ipfsService.getStatus()).toMatchObject({
+      provider: 'kubo',
+      endpoint: config.ipfs.kubo.endpoint,
+      operational: true,
+    });
+  });
+});
+
+describe('IPFS service (multi-provider replication)', () => {
+  const CONTENT = Buffer.from('CertiProof X test certificate\n');
+  let IPFSService;
+  let infura;
+  let kubo;
+
+  beforeAll(async () => {
+    infura = createKuboStandIn(
+      `Basic ${Buffer.from(`${PROJECT_ID}:${PROJECT_SECRET}`).toString('base64')}`
+    );
+    kubo = createKuboStandIn();
+    kubo.files.set(ADDED_CID, CONTENT);
+
+    config.ipfs.provider = 'multi';
+    config.ipfs.infura = {
+      projectId: PROJECT_ID,
+      projectSecret: PROJECT_SECRET,
+      endpoint: await listen(infura.server),
+    };
+    config.ipfs.kubo = { endpoint: await listen(kubo.server) };
+    config.ipfs.replication = { providers: ['infura', 'kubo'], minReplicas: 2 };
+
+    IPFSService = require('./ipfsService').constructor;
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => infura.server.close(resolve));
+    await new Promise((resolve) => kubo.server.close(resolve));
+  });
+
+  afterEach(() => {
+    config.ipfs.infura.projectSecret = PROJECT_SECRET;
+    config.ipfs.replication.minReplicas = 2;
+  });
+
+  test('uploads to every provider and reports each replica', async () => {
+    const result = await new IPFSService().uploadFile(
+      CONTENT,
+      'certificate.txt'
+    );
+
+    expect(result).toMatchObject({
+      hash: ADDED_CID,
+      provider: 'multi',
+      replicaCount: 2,
+      minReplicas: 2,
+    });
+    expect(result.replicas).toEqual([
+      { provider: 'infura', success: true, hash: ADDED_CID, error: null },
+      { provider: 'kubo', success: true, hash: ADDED_CID, error: null },
+    ]);
+  });
+
+  test('fails when fewer providers than the minimum store the file', async () => {
+    config.ipfs.infura.projectSecret = 'wrong-secret';
+
+    await expect(
+      new IPFSService().uploadFile(CONTENT, 'certificate.txt')
+    ).rejects.toThrow('Only 1 of 2 replicas succeeded, 2 required');
+  });
+
+  test('accepts partial replication above the minimum', async () => {
+    config.ipfs.infura.projectSecret = 'wrong-secret';
+    config.ipfs.replication.minReplicas = 1;
+
+    const result = await new IPFSService().uploadFile(
+      CONTENT,
+      'certificate.txt'
+    );
+
+    expect(result.replicaCount).toBe(1);
+    expect(result.replicas[0]).toMatchObject({
+      provider: 'infura',
+      success: false,
+      error: expect.stringContaining('invalid project id or project secret'),
+    });
+  });
+
+  test('pins on every provider', async () => {
+    const result = await new IPFSService().pinFile(ADDED_CID);
+
+    expect(result).toMatchObject({ success: true, provider: 'multi' });
+    expect(result.replicas.map((replica) => replica.success)).toEqual([
+      true,
+      true,
+    ]);
+  });
+
+  test('reads from the self-hosted replica first', async () => {
+    kubo.requests.length = 0;
+
+    const fileBuffer = await new IPFSService().retrieveFile(ADDED_CID);
+
+    expect(fileBuffer.equals(CONTENT)).toBe(true);
+    expect(kubo.requests.map((request) => request.path)).toEqual([
+      '/api/v0/cat',
+    ]);
+  });
+
+  test('rejects a replication minimum it cannot meet', () => {
+    config.ipfs.replication.minReplicas = 3;
+
+    expect(() => new IPFSService()).toThrow(
+      'IPFS replication needs at least 3 providers, got 2'
+    );
+  });
+});
+
+describe('IPFS service (local block store)', () => {
+  // Three 256 KiB chunks, so the file is stored as a DAG rather than one block
+  const CONTENT = Buffer.alloc(600000, 'x');
+  let ipfsService;
+  let tempDirectory;
+
+  beforeAll(() => {
+    tempDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'certiproof-'));
+
+    config.ipfs.provider = 'local';
+    config.ipfs.local = { directory: tempDirectory };
+
+    ipfsService = new (require('./ipfsService').constructor)();
+  });
+
+  afterAll(() => {
+    fs.rmSync(tempDirectory, { recursive: true, force: true });
+  });
+
+  test('stores files under the CID Kubo would assign', async () => {
+    const result = await ipfsService.uploadFile(
+      Buffer.from('hello world'),
+      'hello.txt'
+    );
+
+    expect(result).toMatchObject({
+      hash: 'bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e',
+      ipfsUrl:
+        'ipfs://bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e',
+      provider: 'local',
+      size: 11,
+    });
+  });
+
+  test('serves chunked files back through the same API', async () => {
+    const { hash } = await ipfsService.uploadFile(CONTENT, 'certificate.pdf');
+
+    expect(hash).toMatch(/^bafybei/);
+    expect(fs.readdirSync(path.join(tempDirectory, 'blocks'))).toHaveLength(
+      // hello.txt, two distinct chunks (the first two are identical) and the root
+      4
+    );
+    expect((await ipfsService.retrieveFile(hash)).equals(CONTENT)).toBe(true);
+    expect(await ipfsService.fileExists(hash)).toBe(true);
+    expect(await ipfsService.getFileMetadata(hash)).toMatchObject({
+      exists: true,
+      size: CONTENT.length,
+      contentType: 'application/pdf',
+    });
+    expect(await ipfsService.pinFile(hash)).toMatchObject({ success: true });
+  });
+
+  test('stores bundles as a directory Kubo would build', async () => {
+    const result = await ipfsService.uploadDirectory(
+      [
+        { file: Buffer.from('hello world'), name: 'hello.txt' },
+        { file: CONTENT, name: 'annex.txt' },
+      ],
+      'bundle_1'
+    );
+
+    expect(result.hash).toBe(DIRECTORY_CID);
+    expect(await ipfsService.getFileMetadata(DIRECTORY_CID)).toMatchObject({
+      exists: true,
+      size: CONTENT.length + 11,
+      contentType: 'inode/directory',
+    });
+  });
+
+  test('reports unknown and malformed CIDs as missing', async () => {
+    expect(
+      await ipfsService.fileExists(
+        'bafkreihdwdcefgh4dqkjv67uzcmw7ojee6xedzdetojuzjevtenxquvyku'
+      )
+    ).toBe(false);
+    expect(await ipfsService.getFileMetadata('mock_0123456789abcdef')).toEqual({
+      exists: false,
+      error: 'Not in the local block store',
+    });
+  });
+
+  test('refuses blocks that no longer match their CID', async () => {
+    const { hash } = await ipfsService.uploadFile(
+      Buffer.from('tampered'),
+      'tampered.txt'
+    );
+    fs.writeFileSync(path.join(tempDirectory, 'blocks', hash), 'tampered!');
+
+    await expect(ipfsService.readFromLocal(hash)).rejects.toThrow(
+      'does not match its CID'
+    );
+  });
+});
+
+/**
+ * Encode blocks as a CARv1 archive, as a trustless gateway would send them
+ */
+const encodeCAR = (root, blocks) => {
+  const rootBytes = Buffer.concat([Buffer.from([0]), parseCID(root).bytes]);
+  // dag-cbor { roots: [CID], version: 1 }
+  const header = Buffer.concat([
+    Buffer.from([0xa2, 0x65]),
+    Buffer.from('roots'),
+    Buffer.from([0x81, 0xd8, 0x2a, 0x58, rootBytes.length]),
+    rootBytes,
+    Buffer.from([0x67]),
+    Buffer.from('version'),
+    Buffer.from([0x01]),
+  ]);
+
+  return Buffer.concat([
+    encodeVarint(header.length),
+    header,
+    ...blocks.map(({ cid, bytes }) => {
+      const section = Buffer.concat([parseCID(cid).bytes, bytes]);
+      return Buffer.concat([encodeVarint(section.length), section]);
+    }),
+  ]);
+};
+
+/**
+ * Public gateway stand-in that serves a fixed response for every path
+ */
+const createGatewayStandIn = (contentType, body) => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push({ url: req.url, accept: req.headers.accept });
+    res.writeHead(200, { 'Content-Type': contentType });
+    res.end(body);
+  });
+
+  return { server, requests };
+};
+
+describe('IPFS service (gateway retrieval)', () => {
+  // Two chunks, so the CAR holds a dag-pb root and two raw leaves
+  const CONTENT = Buffer.alloc(300000, 'genuine diploma ');
+  const FORGED = Buffer.alloc(300000, 'forged diploma ');
+  const { cid: CID, blocks } = importFile(CONTENT);
+  const MANIFEST = Buffer.from('{"files":["diploma.pdf"]}');
+  const bundleFiles = [
+    { name: 'diploma.pdf', ...importFile(CONTENT) },
+    { name: 'manifest.json', ...importFile(MANIFEST) },
+  ];
+  const BUNDLE = createDirectory(bundleFiles);
+  let ipfsService;
+  let gateways;
+
+  beforeAll(async () => {
+    config.ipfs.provider = 'pinata';
+    config.ipfs.pinata = {
+      apiKey: 'key',
+      secretKey: 'secret',
+      endpoint: 'http://127.0.0.1:1',
+    };
+
+    const tamperedBlocks = blocks.map((block, index) =>
+      index === 0 ? { ...block, bytes: FORGED.subarray(0, 262144) } : block
+    );
+
+    gateways = {
+      forged: createGatewayStandIn('text/plain', FORGED),
+      forgedCar: createGatewayStandIn(
+        'application/vnd.ipld.car',
+        encodeCAR(CID, tamperedBlocks)
+      ),
+      car: createGatewayStandIn(
+        'application/vnd.ipld.car',
+        encodeCAR(CID, blocks)
+      ),
+      file: createGatewayStandIn('text/plain', CONTENT),
+      // Path resolution: the directory block and the manifest
+      bundleCar: createGatewayStandIn(
+        'application/vnd.ipld.car',
+        encodeCAR(BUNDLE.cid, [
+          { cid: BUNDLE.cid, bytes: BUNDLE.bytes },
+          ...bundleFiles[1].blocks,
+        ])
+      ),
+    };
+    for (const gateway of Object.values(gateways)) {
+      gateway.url = `${await listen(gateway.server)}/ipfs/`;
+    }
+
+    ipfsService = new (require('./ipfsService').constructor)();
+  });
+
+  afterAll(async () => {
+    await Promise.all(
+      Object.values(gateways).map(
+        ({ server }) => new Promise((resolve) => server.close(resolve))
+      )
+    );
+  });
+
+  const useGateways = (...names) => {
+    ipfsService.gatewayPool = new GatewayPool({
+      gateways: names.map((name) => ({
+        url: gateways[name].url,
+        timeout: 5000,
+      })),
+      failureThreshold: 3,
+      resetTimeout: 60000,
+    });
+  };
+
+  test('requests CARs and verifies every block', async () => {
+    useGateways('car');
+
+    expect((await ipfsService.retrieveFile(CID)).equals(CONTENT)).toBe(true);
+    expect(gateways.car.requests[0]).toEqual({
+      url: `/ipfs/${CID}?format=car`,
+      accept: 'application/vnd.ipld.car',
+    });
+  });
+
+  test('reads a file inside a directory through its verified path', async () => {
+    useGateways('file', 'bundleCar');
+
+    expect(
+      (await ipfsService.retrieveFile(`${BUNDLE.cid}/manifest.json`)).equals(
+        MANIFEST
+      )
+    ).toBe(true);
+    expect(gateways.bundleCar.requests[0].url).toBe(
+      `/ipfs/${BUNDLE.cid}/manifest.json?format=car`
+    );
+    // A plain file cannot be checked against the directory CID
+    expect(
+      ipfsService.gatewayPool
+        .getStatus()
+        .gateways.find((gateway) => gateway.url === gateways.file.url)
+    ).toMatchObject({ failures: 1, mismatches: 0 });
+  });
+
+  test('hashes files from gateways that ignore the CAR format', async () => {
+    useGateways('file');
+
+    expect((await ipfsService.retrieveFile(CID)).equals(CONTENT)).toBe(true);
+  });
+
+  test('rejects forged content and stops asking that gateway', async () => {
+    useGateways('forged', 'forgedCar', 'file');
+
+    expect((await ipfsService.retrieveFile(CID)).equals(CONTENT)).toBe(true);
+    expect(
+      ipfsService.gatewayPool.getGateways().map((gateway) => gateway.url)
+    ).toEqual([gateways.file.url]);
+    expect(ipfsService.gatewayPool.getStatus().gateways[1]).toMatchObject({
+      circuit: 'open',
+      mismatches: 1,
+    });
+  });
+
+  test('fails rather than return unverified content', async () => {
+    useGateways('forged', 'forgedCar');
+    gateways.forged.requests.length = 0;
+
+    await expect(ipfsService.retrieveFile(CID)).rejects.toThrow(
+      'Failed to retrieve file from all gateways'
+    );
+    await expect(
+      ipfsService.retrieveFile('mock_0123456789abcdef')
+    ).rejects.toThrow('Unsupported CID');
+    expect(gateways.forged.requests).toHaveLength(1);
+  });
+});
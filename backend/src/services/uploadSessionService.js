@@ -0,0 +1,257 @@
+/**
+ * Upload Session Service for CertiProof X Backend
+ * Author: Kai Zenjiro (0xGenesis) - certiproofx@protonmail.me
+ *
+ * Resumable uploads: a session is created with the final size, chunks are
+ * appended at the current offset and the file is handed to the regular
+ * upload flow once complete. Partial data lives in config.upload.tempDirectory
+ * so sessions survive a server restart.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Transform, finished } = require('stream');
+const { pipeline } = require('stream/promises');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const {
+  tempDirectory,
+  inspectUpload,
+  removeTempFile,
+} = require('../middleware/upload');
+const { generateSHA256FromStream, generateUUID } = require('../utils/crypto');
+
+const SESSION_ID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+const createSessionError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+class UploadSessionService {
+  constructor() {
+    // Sessions with a chunk being written, a second writer would corrupt it
+    this.writing = new Set();
+  }
+
+  getDataPath(id) {
+    return path.join(tempDirectory, `session-${id}.part`);
+  }
+
+  getInfoPath(id) {
+    return path.join(tempDirectory, `session-${id}.json`);
+  }
+
+  /**
+   * Start a resumable upload
+   * @param {Object} file - { filename, mimetype, size }
+   * @returns {Promise<Object>} - Session
+   */
+  async createSession({ filename, mimetype, size }) {
+    await this.removeExpiredSessions();
+
+    const now = Date.now();
+    const session = {
+      id: generateUUID(),
+      filename,
+      mimetype,
+      size,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + config.upload.sessionTTL).toISOString(),
+    };
+
+    await fs.promises.writeFile(this.getDataPath(session.id), '');
+    await fs.promises.writeFile(
+      this.getInfoPath(session.id),
+      JSON.stringify(session, null, 2)
+    );
+
+    logger.info(`Upload session created: ${session.id}`, {
+      filename,
+      size,
+    });
+
+    return { ...session, offset: 0 };
+  }
+
+  /**
+   * Get a session with its current offset
+   *
+   * The offset is the size of the partial file, so bytes that reached the
+   * disk before a connection dropped are never sent twice.
+   * @param {string} id - Session ID
+   * @returns {Promise<Object|null>} - Session, or null if unknown or expired
+   */
+  async getSession(id) {
+    if (!SESSION_ID_PATTERN.test(id)) {
+      return null;
+    }
+
+    let session;
+    try {
+      session = JSON.parse(
+        await fs.promises.readFile(this.getInfoPath(id), 'utf8')
+      );
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+
+    if (Date.parse(session.expiresAt) <= Date.now()) {
+      await this.removeSession(id);
+      return null;
+    }
+
+    const { size: offset } = await fs.promises.stat(this.getDataPath(id));
+    return { ...session, offset };
+  }
+
+  /**
+   * Append a chunk at the given offset
+   * @param {string} id - Session ID
+   * @param {number} offset - Offset the client believes it is at
+   * @param {Readable} stream - Chunk bytes
+   * @returns {Promise<Object>} - Session with the new offset
+   */
+  async appendChunk(id, offset, stream) {
+    const session = await this.getSession(id);
+    if (!session) {
+      throw createSessionError('Upload session not found', 'UPLOAD_NOT_FOUND');
+    }
+    if (this.writing.has(id)) {
+      throw createSessionError(
+        'Another chunk is being written to this upload',
+        'UPLOAD_LOCKED'
+      );
+    }
+    if (offset !== session.offset) {
+      const error = createSessionError(
+        `Upload is at offset ${session.offset}, not ${offset}`,
+        'OFFSET_MISMATCH'
+      );
+      error.offset = session.offset;
+      throw error;
+    }
+
+    const dataPath = this.getDataPath(id);
+    const remaining = session.size - session.offset;
+    let received = 0;
+
+    const limit = new Transform({
+      transform(chunk, encoding, callback) {
+        received += chunk.length;
+        if (received > remaining) {
+          return callback(
+            createSessionError(
+              `Chunk exceeds the ${session.size} bytes declared for this upload`,
+              'CHUNK_TOO_LARGE'
+            )
+          );
+        }
+        callback(null, chunk);
+      },
+    });
+
+    // The source is piped rather than part of the pipeline so a refused
+    // chunk leaves the request open for the error response
+    stream.pipe(limit);
+    finished(stream, (error) => {
+      if (error) limit.destroy(error);
+    });
+
+    this.writing.add(id);
+    try {
+      await pipeline(limit, fs.createWriteStream(dataPath, { flags: 'a' }));
+    } catch (error) {
+      // Bytes written before a dropped connection are kept and the client
+      // resumes after them, an oversized chunk is dropped as a whole
+      if (error.code === 'CHUNK_TOO_LARGE') {
+        await fs.promises.truncate(dataPath, session.offset);
+      }
+      throw error;
+    } finally {
+      this.writing.delete(id);
+    }
+
+    return this.getSession(id);
+  }
+
+  /**
+   * Check and hash a fully received upload and hand its file over
+   *
+   * The content is inspected like a multipart upload, a session whose file
+   * is refused is removed. The caller owns the returned file and removes the session when done.
+   * @param {string} id - Session ID
+   * @returns {Promise<Object>} - { path, hash, originalname, mimetype, size, detected }
+   */
+  async completeSession(id) {
+    const session = await this.getSession(id);
+    if (!session) {
+      throw createSessionError('Upload session not found', 'UPLOAD_NOT_FOUND');
+    }
+    if (this.writing.has(id) || session.offset !== session.size) {
+      const error = createSessionError(
+        `Upload has ${session.offset} of ${session.size} bytes`,
+        'UPLOAD_INCOMPLETE'
+      );
+      error.offset = session.offset;
+      throw error;
+    }
+
+    const dataPath = this.getDataPath(id);
+    const file = {
+      originalname: session.filename,
+      mimetype: session.mimetype,
+    };
+
+    let detected;
+    try {
+      detected = await inspectUpload(dataPath, file);
+    } catch (error) {
+      // Resending the same bytes cannot fix the content
+      await this.removeSession(id);
+      throw error;
+    }
+
+    return {
+      ...file,
+      path: dataPath,
+      hash: await generateSHA256FromStream(fs.createReadStream(dataPath)),
+      size: session.size,
+      detected,
+    };
+  }
+
+  /**
+   * Delete a session and its partial data
+   * @param {string} id - Session ID
+   */
+  async removeSession(id) {
+    await Promise.all([
+      removeTempFile(this.getDataPath(id)),
+      removeTempFile(this.getInfoPath(id)),
+    ]);
+  }
+
+  /**
+   * Delete sessions past their expiry date
+   */
+  async removeExpiredSessions() {
+    const names = await fs.promises.readdir(tempDirectory);
+
+    for (const name of names) {
+      const match = name.match(/^session-(.+)\.json$/);
+      if (match && !this.writing.has(match[1])) {
+        // getSession removes the session when it has expired
+        await this.getSession(match[1]);
+      }
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new UploadSessionService();
@@ -0,0 +1,735 @@
+/**
+ * CID utilities for CertiProof X Backend
+ * Author: Kai Zenjiro (0xGenesis) - certiproofx@protonmail.me
+ *
+ * Builds UnixFS DAGs and content identifiers the way Kubo's `ipfs add`
+ * does: 256 KiB fixed-size chunks, balanced layout with up to 174 links
+ * per node, raw leaves for CIDv1 and dag-pb leaves for CIDv0.
+ */
+
+const crypto = require('crypto');
+
+const CID_VERSION_0 = 0;
+const CID_VERSION_1 = 1;
+
+const CODEC_RAW = 0x55;
+const CODEC_DAG_PB = 0x70;
+const MULTIHASH_SHA2_256 = 0x12;
+const SHA2_256_LENGTH = 32;
+
+const DEFAULT_CHUNK_SIZE = 262144;
+const DEFAULT_MAX_LINKS = 174;
+
+const UNIXFS_DIRECTORY = 1;
+const UNIXFS_FILE = 2;
+
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+const BASE58_ALPHABET =
+  '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+/**
+ * Encode an unsigned integer as a protobuf / multiformats varint
+ * @param {number} value - Non-negative integer
+ * @returns {Buffer} - Varint bytes
+ */
+const encodeVarint = (value) => {
+  const bytes = [];
+  let remaining = value;
+
+  while (remaining >= 0x80) {
+    bytes.push((remaining % 0x80) | 0x80);
+    remaining = Math.floor(remaining / 0x80);
+  }
+  bytes.push(remaining);
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Decode a varint
+ * @param {Buffer} buffer - Source bytes
+ * @param {number} offset - Position of the first varint byte
+ * @returns {Array} - [value, offset after the varint]
+ */
+const decodeVarint = (buffer, offset = 0) => {
+  let value = 0;
+  let multiplier = 1;
+  let position = offset;
+
+  for (;;) {
+    if (position >= buffer.length) {
+      throw new Error('Truncated varint');
+    }
+
+    const byte = buffer[position++];
+    value += (byte & 0x7f) * multiplier;
+
+    if (byte < 0x80) {
+      return [value, position];
+    }
+    multiplier *= 0x80;
+  }
+};
+
+/**
+ * Encode bytes as RFC 4648 base32, lowercase and unpadded
+ */
+const encodeBase32 = (buffer) => {
+  let output = '';
+  let bits = 0;
+  let value = 0;
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode lowercase unpadded base32
+ */
+const decodeBase32 = (string) => {
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const character of string) {
+    const index = BASE32_ALPHABET.indexOf(character);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character: ${character}`);
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Encode bytes as base58btc
+ */
+const encodeBase58 = (buffer) => {
+  let number = BigInt(`0x${buffer.toString('hex') || '0'}`);
+  let output = '';
+
+  while (number > 0n) {
+    output = BASE58_ALPHABET[Number(number % 58n)] + output;
+    number /= 58n;
+  }
+
+  for (const byte of buffer) {
+    if (byte !== 0) break;
+    output = '1' + output;
+  }
+
+  return output;
+};
+
+/**
+ * Decode base58btc
+ */
+const decodeBase58 = (string) => {
+  let number = 0n;
+
+  for (const character of string) {
+    const index = BASE58_ALPHABET.indexOf(character);
+    if (index === -1) {
+      throw new Error(`Invalid base58 character: ${character}`);
+    }
+    number = number * 58n + BigInt(index);
+  }
+
+  let hex = number > 0n ? number.toString(16) : '';
+  if (hex.length % 2) hex = `0${hex}`;
+
+  const leadingZeros = string.match(/^1*/)[0].length;
+  return Buffer.concat([Buffer.alloc(leadingZeros), Buffer.from(hex, 'hex')]);
+};
+
+/**
+ * Hash bytes into a sha2-256 multihash
+ */
+const sha256Multihash = (bytes) =>
+  Buffer.concat([
+    Buffer.from([MULTIHASH_SHA2_256, SHA2_256_LENGTH]),
+    crypto.createHash('sha256').update(bytes).digest(),
+  ]);
+
+/**
+ * Build the binary form of a CID
+ * @param {number} version - 0 or 1
+ * @param {number} codec - Multicodec of the block
+ * @param {Buffer} multihash - Multihash of the block
+ * @returns {Buffer} - CID bytes
+ */
+const encodeCIDBytes = (version, codec, multihash) => {
+  if (version === CID_VERSION_0) {
+    if (codec !== CODEC_DAG_PB) {
+      throw new Error('CIDv0 only supports the dag-pb codec');
+    }
+    return multihash;
+  }
+
+  return Buffer.concat([encodeVarint(version), encodeVarint(codec), multihash]);
+};
+
+/**
+ * Render CID bytes in their canonical string form
+ * (base58btc for CIDv0, multibase base32 for CIDv1)
+ */
+const formatCID = (cidBytes) =>
+  cidBytes[0] === MULTIHASH_SHA2_256 && cidBytes[1] === SHA2_256_LENGTH
+    ? encodeBase58(cidBytes)
+    : `b${encodeBase32(cidBytes)}`;
+
+/**
+ * Parse a CID string or its binary form
+ * @param {string|Buffer} cid - CID to parse
+ * @returns {Object} - { version, codec, multihash, digest, bytes, string }
+ */
+const parseCID = (cid) => {
+  let bytes;
+
+  if (Buffer.isBuffer(cid)) {
+    bytes = cid;
+  } else if (/^Qm[1-9A-HJ-NP-Za-km-z]{44}$/.test(cid)) {
+    bytes = decodeBase58(cid);
+  } else if (/^b[a-z2-7]+$/.test(cid)) {
+    bytes = decodeBase32(cid.slice(1));
+  } else {
+    throw new Error(`Unsupported CID: ${cid}`);
+  }
+
+  let version;
+  let codec;
+  let offset;
+
+  if (bytes[0] === MULTIHASH_SHA2_256 && bytes[1] === SHA2_256_LENGTH) {
+    version = CID_VERSION_0;
+    codec = CODEC_DAG_PB;
+    offset = 0;
+  } else {
+    [version, offset] = decodeVarint(bytes, 0);
+    [codec, offset] = decodeVarint(bytes, offset);
+
+    if (version !== CID_VERSION_1) {
+      throw new Error(`Unsupported CID version: ${version}`);
+    }
+  }
+
+  const multihash = bytes.subarray(offset);
+  const [hashCode, digestOffset] = decodeVarint(multihash, 0);
+  const [digestLength, digestStart] = decodeVarint(multihash, digestOffset);
+  const digest = multihash.subarray(digestStart);
+
+  if (digest.length !== digestLength) {
+    throw new Error('CID multihash length does not match its digest');
+  }
+  if (hashCode !== MULTIHASH_SHA2_256) {
+    throw new Error(
+      `Unsupported multihash function: 0x${hashCode.toString(16)}`
+    );
+  }
+
+  return {
+    version,
+    codec,
+    multihash,
+    digest,
+    bytes,
+    string: formatCID(bytes),
+  };
+};
+
+/**
+ * Check that block bytes hash to the digest carried by their CID
+ */
+const verifyBlock = (cid, bytes) => {
+  const { multihash } = typeof cid === 'string' ? parseCID(cid) : cid;
+  return sha256Multihash(bytes).equals(multihash);
+};
+
+// Protobuf helpers (proto2, as used by dag-pb and UnixFS)
+
+const encodeKey = (fieldNumber, wireType) =>
+  encodeVarint(fieldNumber * 8 + wireType);
+
+const encodeVarintField = (fieldNumber, value) =>
+  Buffer.concat([encodeKey(fieldNumber, 0), encodeVarint(value)]);
+
+const encodeBytesField = (fieldNumber, bytes) =>
+  Buffer.concat([encodeKey(fieldNumber, 2), encodeVarint(bytes.length), bytes]);
+
+/**
+ * Split a protobuf message into its fields
+ * @returns {Array} - [{ fieldNumber, value }] with Buffer values for
+ *   length-delimited fields and numbers for varints
+ */
+const decodeFields = (buffer) => {
+  const fields = [];
+  let offset = 0;
+
+  while (offset < buffer.length) {
+    let key;
+    [key, offset] = decodeVarint(buffer, offset);
+
+    const fieldNumber = Math.floor(key / 8);
+    const wireType = key % 8;
+
+    if (wireType === 0) {
+      let value;
+      [value, offset] = decodeVarint(buffer, offset);
+      fields.push({ fieldNumber, value });
+    } else if (wireType === 2) {
+      let length;
+      [length, offset] = decodeVarint(buffer, offset);
+
+      if (offset + length > buffer.length) {
+        throw new Error('Truncated protobuf field');
+      }
+      fields.push({
+        fieldNumber,
+        value: buffer.subarray(offset, offset + length),
+      });
+      offset += length;
+    } else {
+      throw new Error(`Unsupported protobuf wire type: ${wireType}`);
+    }
+  }
+
+  return fields;
+};
+
+/**
+ * Encode a dag-pb node. Links come before Data, as the dag-pb spec requires.
+ * @param {Array} links - [{ cid: Buffer, name: string, tsize: number }]
+ * @param {Buffer} data - UnixFS payload
+ * @returns {Buffer} - Block bytes
+ */
+const encodePBNode = (links, data) => {
+  const parts = links.map((link) =>
+    encodeBytesField(
+      2,
+      Buffer.concat([
+        encodeBytesField(1, link.cid),
+        encodeBytesField(2, Buffer.from(link.name || '', 'utf8')),
+        encodeVarintField(3, link.tsize),
+      ])
+    )
+  );
+
+  if (data) {
+    parts.push(encodeBytesField(1, data));
+  }
+
+  return Buffer.concat(parts);
+};
+
+/**
+ * Decode a dag-pb node
+ * @returns {Object} - { links: [{ cid, name, tsize }], data }
+ */
+const decodePBNode = (bytes) => {
+  const node = { links: [], data: null };
+
+  for (const { fieldNumber, value } of decodeFields(bytes)) {
+    if (fieldNumber === 1) {
+      node.data = value;
+    } else if (fieldNumber === 2) {
+      const link = { cid: null, name: '', tsize: 0 };
+
+      for (const field of decodeFields(value)) {
+        if (field.fieldNumber === 1) link.cid = field.value;
+        if (field.fieldNumber === 2) link.name = field.value.toString('utf8');
+        if (field.fieldNumber === 3) link.tsize = field.value;
+      }
+      node.links.push(link);
+    }
+  }
+
+  return node;
+};
+
+/**
+ * Encode a UnixFS Data message for a file node
+ */
+const encodeUnixFSFile = ({ data, filesize, blocksizes = [] }) =>
+  Buffer.concat([
+    encodeVarintField(1, UNIXFS_FILE),
+    ...(data && data.length > 0 ? [encodeBytesField(2, data)] : []),
+    encodeVarintField(3, filesize),
+    ...blocksizes.map((size) => encodeVarintField(4, size)),
+  ]);
+
+/**
+ * Decode a UnixFS Data message
+ * @returns {Object} - { type, data, filesize, blocksizes }
+ */
+const decodeUnixFS = (bytes) => {
+  const unixfs = { type: null, data: null, filesize: null, blocksizes: [] };
+
+  for (const { fieldNumber, value } of decodeFields(bytes)) {
+    if (fieldNumber === 1) unixfs.type = value;
+    if (fieldNumber === 2) unixfs.data = value;
+    if (fieldNumber === 3) unixfs.filesize = value;
+    if (fieldNumber === 4) unixfs.blocksizes.push(value);
+  }
+
+  return unixfs;
+};
+
+/**
+ * Create an incremental UnixFS file importer
+ *
+ * Leaves are added one chunk at a time and only their CIDs are kept, so
+ * files of any size can be imported without holding them in memory.
+ * @param {Object} options - Import options
+ * @param {number} options.cidVersion - 0 or 1 (default 1)
+ * @param {boolean} options.rawLeaves - Store chunks as raw blocks (default: CIDv1)
+ * @param {number} options.maxLinks - Links per node (default 174)
+ * @param {Function} onBlock - Called with every { cid, bytes } as it is built
+ * @returns {Object} - { addLeaf(chunk), finish() => { cid, size, tsize } }
+ */
+const createImporter = (options, onBlock) => {
+  const {
+    cidVersion = CID_VERSION_1,
+    rawLeaves = cidVersion === CID_VERSION_1,
+    maxLinks = DEFAULT_MAX_LINKS,
+  } = options;
+
+  if (rawLeaves && cidVersion === CID_VERSION_0) {
+    throw new Error('Raw leaves require CIDv1');
+  }
+
+  const leaves = [];
+
+  const addBlock = (codec, bytes, size, tsize) => {
+    const cid = encodeCIDBytes(cidVersion, codec, sha256Multihash(bytes));
+    onBlock({ cid: formatCID(cid), bytes });
+    return { cid, size, tsize };
+  };
+
+  const addLeaf = (chunk) => {
+    if (rawLeaves) {
+      leaves.push(addBlock(CODEC_RAW, chunk, chunk.length, chunk.length));
+      return;
+    }
+
+    const bytes = encodePBNode(
+      [],
+      encodeUnixFSFile({ data: chunk, filesize: chunk.length })
+    );
+    leaves.push(addBlock(CODEC_DAG_PB, bytes, chunk.length, bytes.length));
+  };
+
+  const finish = () => {
+    if (leaves.length === 0) {
+      addLeaf(Buffer.alloc(0));
+    }
+
+    let nodes = leaves;
+
+    // Balanced layout: every leaf sits at the same depth, nodes fill left to right
+    while (nodes.length > 1) {
+      const parents = [];
+
+      for (let index = 0; index < nodes.length; index += maxLinks) {
+        const children = nodes.slice(index, index + maxLinks);
+        const filesize = children.reduce(
+          (total, child) => total + child.size,
+          0
+        );
+
+        const bytes = encodePBNode(
+          children.map((child) => ({
+            cid: child.cid,
+            name: '',
+            tsize: child.tsize,
+          })),
+          encodeUnixFSFile({
+            filesize,
+            blocksizes: children.map((child) => child.size),
+          })
+        );
+        const tsize = children.reduce(
+          (total, child) => total + child.tsize,
+          bytes.length
+        );
+
+        parents.push(addBlock(CODEC_DAG_PB, bytes, filesize, tsize));
+      }
+
+      nodes = parents;
+    }
+
+    return {
+      cid: formatCID(nodes[0].cid),
+      size: nodes[0].size,
+      tsize: nodes[0].tsize,
+    };
+  };
+
+  return { addLeaf, finish };
+};
+
+/**
+ * Import a file into a UnixFS DAG
+ * @param {Buffer} content - File content
+ * @param {Object} options - Import options, see createImporter
+ * @param {number} options.chunkSize - Chunk size in bytes (default 262144)
+ * @returns {Object} - { cid, size, tsize, blocks: [{ cid, bytes }] } with the root last
+ */
+const importFile = (content, options = {}) => {
+  const { chunkSize = DEFAULT_CHUNK_SIZE } = options;
+  const blocks = [];
+  const importer = createImporter(options, (block) => blocks.push(block));
+
+  for (let offset = 0; offset < content.length; offset += chunkSize) {
+    importer.addLeaf(content.subarray(offset, offset + chunkSize));
+  }
+
+  return { ...importer.finish(), blocks };
+};
+
+/**
+ * Import a file from a readable stream
+ * @param {Readable} stream - File content
+ * @param {Object} options - Import options, as for importFile
+ * @param {Function} putBlock - async ({ cid, bytes }) => void, awaited per block
+ * @returns {Promise<Object>} - { cid, size, tsize }
+ */
+const importStream = async (stream, options, putBlock) => {
+  const { chunkSize = DEFAULT_CHUNK_SIZE } = options;
+  const blocks = [];
+  const importer = createImporter(options, (block) => blocks.push(block));
+
+  const flush = async () => {
+    for (const block of blocks.splice(0)) {
+      await putBlock(block);
+    }
+  };
+
+  let buffered = Buffer.alloc(0);
+  for await (const data of stream) {
+    buffered = Buffer.concat([buffered, data]);
+
+    while (buffered.length >= chunkSize) {
+      importer.addLeaf(buffered.subarray(0, chunkSize));
+      buffered = buffered.subarray(chunkSize);
+      await flush();
+    }
+  }
+
+  if (buffered.length > 0) {
+    importer.addLeaf(buffered);
+  }
+
+  const result = importer.finish();
+  await flush();
+
+  return result;
+};
+
+/**
+ * Build a UnixFS directory node over imported entries
+ *
+ * Links are sorted by name as dag-pb requires, giving the same CID as
+ * `ipfs add -r --wrap-with-directory` for directories too small to shard.
+ * @param {Array} entries - [{ name, cid, tsize }] as returned by importFile
+ * @param {Object} options - { cidVersion } (default 1)
+ * @returns {Object} - { cid, tsize, bytes }
+ */
+const createDirectory = (entries, options = {}) => {
+  const { cidVersion = CID_VERSION_1 } = options;
+
+  const links = entries
+    .map((entry) => ({
+      cid: parseCID(entry.cid).bytes,
+      name: entry.name,
+      tsize: entry.tsize,
+    }))
+    .sort((a, b) => Buffer.compare(Buffer.from(a.name), Buffer.from(b.name)));
+
+  const bytes = encodePBNode(links, encodeVarintField(1, UNIXFS_DIRECTORY));
+  const cid = encodeCIDBytes(cidVersion, CODEC_DAG_PB, sha256Multihash(bytes));
+
+  return {
+    cid: formatCID(cid),
+    tsize: links.reduce((total, link) => total + link.tsize, bytes.length),
+    bytes,
+  };
+};
+
+/**
+ * Reassemble the file at a node of a UnixFS DAG, verifying every block
+ * @param {string|Buffer} cid - CID of the node
+ * @param {Array<string>} names - Path left to follow from the node
+ * @param {Function} getBlock - async (cid) => Buffer
+ * @returns {Promise<Buffer>} - File content
+ */
+const exportNode = async (cid, names, getBlock) => {
+  const parsed = parseCID(cid);
+  const bytes = await getBlock(parsed.string);
+
+  if (!verifyBlock(parsed, bytes)) {
+    throw new Error(`Block ${parsed.string} does not match its CID`);
+  }
+
+  if (parsed.codec === CODEC_RAW) {
+    if (names.length > 0) {
+      throw new Error(`${parsed.string} is not a directory`);
+    }
+    return bytes;
+  }
+  if (parsed.codec !== CODEC_DAG_PB) {
+    throw new Error(`Unsupported codec: 0x${parsed.codec.toString(16)}`);
+  }
+
+  const node = decodePBNode(bytes);
+  const unixfs = decodeUnixFS(node.data || Buffer.alloc(0));
+
+  if (unixfs.type === UNIXFS_DIRECTORY) {
+    if (names.length === 0) {
+      throw new Error(`${parsed.string} is a directory`);
+    }
+
+    const [name, ...rest] = names;
+    const link = node.links.find((entry) => entry.name === name);
+    if (!link) {
+      throw new Error(`${name} is not in directory ${parsed.string}`);
+    }
+    return exportNode(link.cid, rest, getBlock);
+  }
+
+  if (unixfs.type !== UNIXFS_FILE && unixfs.type !== 0) {
+    throw new Error(`${parsed.string} is not a UnixFS file`);
+  }
+  if (names.length > 0) {
+    throw new Error(`${parsed.string} is not a directory`);
+  }
+
+  const parts = [unixfs.data || Buffer.alloc(0)];
+  for (const link of node.links) {
+    parts.push(await exportNode(link.cid, [], getBlock));
+  }
+
+  return Buffer.concat(parts);
+};
+
+/**
+ * Reassemble a file from its UnixFS DAG, verifying every block
+ *
+ * Files inside a directory are addressed by path, as `<cid>/manifest.json`:
+ * every directory on the way is verified too, so the file is the one the
+ * directory CID commits to.
+ * @param {string} cidPath - Root CID, optionally followed by a path
+ * @param {Function} getBlock - async (cid) => Buffer
+ * @returns {Promise<Buffer>} - File content
+ */
+const exportFile = (cidPath, getBlock) => {
+  const [cid, ...names] = cidPath.split('/');
+
+  return exportNode(
+    cid,
+    names.filter((name) => name !== ''),
+    getBlock
+  );
+};
+
+/**
+ * Get the length of the binary CID at the start of a buffer
+ */
+const readCIDLength = (buffer, offset) => {
+  if (
+    buffer[offset] === MULTIHASH_SHA2_256 &&
+    buffer[offset + 1] === SHA2_256_LENGTH
+  ) {
+    return 2 + SHA2_256_LENGTH;
+  }
+
+  let position = offset;
+  [, position] = decodeVarint(buffer, position); // version
+  [, position] = decodeVarint(buffer, position); // codec
+  [, position] = decodeVarint(buffer, position); // multihash function
+
+  let digestLength;
+  [digestLength, position] = decodeVarint(buffer, position);
+
+  return position + digestLength - offset;
+};
+
+/**
+ * Split a CARv1 archive into its blocks
+ *
+ * Blocks are returned as received; exportFile checks each one against its
+ * CID. The header only lists the roots and is skipped.
+ * @param {Buffer} car - CAR bytes
+ * @returns {Map} - Block bytes by CID string
+ */
+const decodeCAR = (car) => {
+  const blocks = new Map();
+  let [headerLength, offset] = decodeVarint(car, 0);
+  offset += headerLength;
+
+  while (offset < car.length) {
+    let sectionLength;
+    [sectionLength, offset] = decodeVarint(car, offset);
+
+    const end = offset + sectionLength;
+    if (end > car.length) {
+      throw new Error('Truncated CAR section');
+    }
+
+    const cidLength = readCIDLength(car, offset);
+    blocks.set(
+      formatCID(car.subarray(offset, offset + cidLength)),
+      car.subarray(offset + cidLength, end)
+    );
+    offset = end;
+  }
+
+  return blocks;
+};
+
+module.exports = {
+  CID_VERSION_0,
+  CID_VERSION_1,
+  CODEC_RAW,
+  CODEC_DAG_PB,
+  DEFAULT_CHUNK_SIZE,
+  DEFAULT_MAX_LINKS,
+  encodeVarint,
+  decodeVarint,
+  encodeBase32,
+  decodeBase32,
+  encodeBase58,
+  decodeBase58,
+  parseCID,
+  formatCID,
+  verifyBlock,
+  encodePBNode,
+  decodePBNode,
+  decodeUnixFS,
+  importFile,
+  importStream,
+  createDirectory,
+  exportFile,
+  decodeCAR,
+};
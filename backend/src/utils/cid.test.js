@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const {
+  importFile,
+  importStream,
+  createDirectory,
+  exportFile,
+  parseCID,
+  encodeBase58,
+  decodeBase58,
+} = require('./cid');
+
+/**
+ * Reference CIDs come from `ipfs add` (Kubo defaults) and
+ * `ipfs add --cid-version=1`
+ */
+describe('CID utilities', () => {
+  const HELLO = Buffer.from('hello world');
+
+  test('matches Kubo for single-block files', () => {
+    expect(importFile(HELLO, { cidVersion: 0 }).cid).toBe(
+      'Qmf412jQZiuVUtdgnB36FXFX7xg5V6KEbSJ4dpQuhkLyfD'
+    );
+    expect(importFile(HELLO).cid).toBe(
+      'bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e'
+    );
+    expect(importFile(Buffer.alloc(0), { cidVersion: 0 }).cid).toBe(
+      'QmbFMke1KXqnYyBBWxB74N4c5SBnJMVAiMNRcGu6x1AwQH'
+    );
+  });
+
+  test('builds a balanced DAG that round-trips', async () => {
+    const content = crypto.randomBytes(1024 * 1024 + 1);
+    const { cid, blocks } = importFile(content, {
+      chunkSize: 1024,
+      maxLinks: 174,
+    });
+    const store = new Map(blocks.map((block) => [block.cid, block.bytes]));
+
+    // 1025 leaves need two levels of 174-link nodes under the root
+    expect(blocks).toHaveLength(1025 + 6 + 1);
+    expect(blocks[blocks.length - 1].cid).toBe(cid);
+    expect(
+      (await exportFile(cid, async (blockCid) => store.get(blockCid))).equals(
+        content
+      )
+    ).toBe(true);
+  });
+
+  test('imports streams in arbitrary pieces like buffers', async () => {
+    const content = crypto.randomBytes(700000);
+    const pieces = [];
+    for (let offset = 0; offset < content.length; offset += 65531) {
+      pieces.push(content.subarray(offset, offset + 65531));
+    }
+    const blocks = [];
+
+    const result = await importStream(
+      Readable.from(pieces),
+      {},
+      async (block) => blocks.push(block)
+    );
+    const expected = importFile(content);
+
+    expect(result).toEqual({
+      cid: expected.cid,
+      size: content.length,
+      tsize: expected.tsize,
+    });
+    expect(blocks.map((block) => block.cid)).toEqual(
+      expected.blocks.map((block) => block.cid)
+    );
+  });
+
+  test('wraps files in a directory like ipfs add -w', () => {
+    const files = [
+      // Out of order on purpose, links are sorted by name
+      { name: 'hello.txt', content: HELLO },
+      { name: 'annex.txt', content: Buffer.alloc(600000, 'x') },
+    ];
+
+    const wrap = (cidVersion) =>
+      createDirectory(
+        files.map(({ name, content }) => ({
+          name,
+          ...importFile(content, { cidVersion }),
+        })),
+        { cidVersion }
+      );
+
+    expect(wrap(1)).toMatchObject({
+      cid: 'bafybeif3zp4btt3hrwpiz46tpocatilc2ye5gobyazfqmc5sualsbq73fe',
+      tsize: 600281,
+    });
+    expect(wrap(0)).toMatchObject({
+      cid: 'QmfP2JyBcBZtJ4seR7JHGt1Gk4vLGYhmXHxJhwHXwcaco6',
+      tsize: 600321,
+    });
+  });
+
+  test('reads files inside a directory by path', async () => {
+    const manifest = Buffer.from('{"files":[]}');
+    const files = [
+      { name: 'manifest.json', ...importFile(manifest) },
+      { name: 'annex.txt', ...importFile(Buffer.alloc(600000, 'x')) },
+    ];
+    const directory = createDirectory(files);
+    const store = new Map([
+      ...files.flatMap((file) =>
+        file.blocks.map((block) => [block.cid, block.bytes])
+      ),
+      [directory.cid, directory.bytes],
+    ]);
+    const getBlock = async (blockCid) => store.get(blockCid);
+
+    expect(
+      (await exportFile(`${directory.cid}/manifest.json`, getBlock)).equals(
+        manifest
+      )
+    ).toBe(true);
+    await expect(exportFile(directory.cid, getBlock)).rejects.toThrow(
+      'is a directory'
+    );
+    await expect(
+      exportFile(`${directory.cid}/missing.txt`, getBlock)
+    ).rejects.toThrow('missing.txt is not in directory');
+    await expect(
+      exportFile(`${files[0].cid}/manifest.json`, getBlock)
+    ).rejects.toThrow('is not a directory');
+
+    // A forged directory cannot point the path at other content
+    store.set(
+      directory.cid,
+      Buffer.concat([directory.bytes.subarray(0, -1), Buffer.from([0])])
+    );
+    await expect(
+      exportFile(`${directory.cid}/manifest.json`, getBlock)
+    ).rejects.toThrow('does not match its CID');
+  });
+
+  test('parses CIDv0 and CIDv1 strings', () => {
+    const v0 = parseCID('Qmf412jQZiuVUtdgnB36FXFX7xg5V6KEbSJ4dpQuhkLyfD');
+    const v1 = parseCID(
+      'bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e'
+    );
+
+    expect(v0).toMatchObject({ version: 0, codec: 0x70 });
+    expect(v1).toMatchObject({ version: 1, codec: 0x55 });
+    expect(v1.digest.toString('hex')).toBe(
+      crypto.createHash('sha256').update(HELLO).digest('hex')
+    );
+    expect(() => parseCID('mock_0123456789abcdef')).toThrow('Unsupported CID');
+  });
+
+  test('keeps leading zero bytes in base58', () => {
+    const bytes = Buffer.from([0, 0, 1, 2, 3]);
+    expect(decodeBase58(encodeBase58(bytes)).equals(bytes)).toBe(true);
+  });
+});
@@ -6,6 +6,15 @@
 const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const { pipeline } = require('stream/promises');
+const { SigningKey, getBytes } = require('ethers');
+const {
+  CODEC_RAW,
+  CODEC_DAG_PB,
+  importFile,
+  parseCID,
+  verifyBlock,
+} = require('./cid');
 
 /**
  * Generate SHA-256 hash of a file or buffer
@@ -193,39 +202,128 @@ const verifyHMAC = (data, signature, secret, algorithm = 'sha256') => {
       Buffer.from(signature, 'hex'),
       Buffer.from(expectedSignature, 'hex')
     );
-  } catch (error) {
+  } catch {
     return false;
   }
 };
 
 /**
- * Generate a content identifier (CID) like hash
- * @param {Buffer|string} content - Content to hash
- * @returns {Promise<string>} - Base58 encoded hash
+ * Importer settings of the services we publish through. A dag-pb CID depends
+ * on how the file was chunked, so verifyContentID tries each of them.
+ */
+const CONTENT_ID_PROFILES = [
+  { cidVersion: 1, rawLeaves: true }, // Kubo `ipfs add --cid-version=1`
+  { cidVersion: 1, rawLeaves: false },
+  { cidVersion: 1, rawLeaves: true, chunkSize: 1048576, maxLinks: 1024 }, // web3.storage
+  { cidVersion: 0 }, // Kubo `ipfs add`
+];
+
+/**
+ * Read content given as a buffer or as { path } of a file
+ *
+ * Strings are refused rather than guessed at: whether one names a file
+ * would otherwise decide what gets hashed.
+ */
+const toContentBuffer = (content) => {
+  if (Buffer.isBuffer(content)) {
+    return content;
+  }
+  if (content && typeof content.path === 'string') {
+    return fs.readFileSync(content.path);
+  }
+  throw new Error('Content must be a Buffer or { path } of a file');
+};
+
+/**
+ * Generate the IPFS content identifier (CID) of a file
+ *
+ * Defaults match `ipfs add --cid-version=1`, which is how uploads are added.
+ * @param {Buffer|Object} content - Content to hash, or { path } of a file
+ * @param {Object} options - CID options
+ * @param {number} options.cidVersion - 0 or 1 (default 1)
+ * @param {boolean} options.rawLeaves - Raw leaf blocks (default: CIDv1 only)
+ * @param {number} options.chunkSize - Chunk size in bytes (default 262144)
+ * @param {number} options.maxLinks - Links per DAG node (default 174)
+ * @returns {Promise<string>} - CID string
  */
-const generateContentID = async (content) => {
+const generateContentID = async (content, options = {}) => {
   try {
-    const hash = await generateSHA256(content);
-    // Simple base58 encoding (for demonstration)
-    // In production, you might want to use a proper CID library
-    return `Qm${hash.substring(0, 44)}`;
+    return importFile(toContentBuffer(content), options).cid;
   } catch (error) {
     throw new Error(`Failed to generate content ID: ${error.message}`);
   }
 };
 
+/**
+ * Verify that content is what a CID refers to
+ *
+ * Raw CIDs are checked against the content hash directly. dag-pb CIDs are
+ * rebuilt with each known importer profile of the same CID version.
+ * @param {Buffer|Object} content - Content to check, or { path } of a file
+ * @param {string} cid - Expected CID
+ * @returns {Promise<boolean>} - True if the content matches the CID
+ */
+const verifyContentID = async (content, cid) => {
+  let parsed;
+  try {
+    parsed = parseCID(cid);
+  } catch {
+    return false;
+  }
+
+  const buffer = toContentBuffer(content);
+
+  if (parsed.codec === CODEC_RAW) {
+    return verifyBlock(parsed, buffer);
+  }
+  if (parsed.codec !== CODEC_DAG_PB) {
+    return false;
+  }
+
+  return CONTENT_ID_PROFILES.filter(
+    (profile) => profile.cidVersion === parsed.version
+  ).some((profile) => importFile(buffer, profile).cid === parsed.string);
+};
+
+// AES-256-GCM with the 96-bit IV recommended by NIST SP 800-38D
+const ENCRYPTION_ALGORITHM = 'aes-256-gcm';
+const ENCRYPTION_IV_LENGTH = 12;
+const ENCRYPTION_TAG_LENGTH = 16;
+
+// Start of files written by encryptFile, followed by the header
+const ENCRYPTED_FILE_MAGIC = Buffer.from('CPXENC01', 'latin1');
+
+// HKDF context of keys wrapped to a recipient public key
+const KEY_WRAPPING_INFO = Buffer.from('CertiProof X key wrapping');
+
+/**
+ * Derive an encryption key from a password
+ */
+const deriveKey = (password, salt) =>
+  crypto.pbkdf2Sync(password, salt, 100000, 32, 'sha256');
+
+/**
+ * Read a hex encoded 256-bit key
+ */
+const parseEncryptionKey = (key) => {
+  if (typeof key !== 'string' || !/^[0-9a-fA-F]{64}$/.test(key)) {
+    throw new Error('Encryption key must be 64 hex characters');
+  }
+  return Buffer.from(key, 'hex');
+};
+
 /**
  * Encrypt data using AES-256-GCM
- * @param {string} plaintext - Data to encrypt
+ * @param {string|Buffer} plaintext - Data to encrypt
  * @param {string} password - Password for encryption
  * @returns {Object} - Encrypted data with metadata
  */
 const encryptData = (plaintext, password) => {
   try {
     const salt = crypto.randomBytes(32);
-    const key = crypto.pbkdf2Sync(password, salt, 100000, 32, 'sha256');
-    const iv = crypto.randomBytes(16);
-    const cipher = crypto.createCipherGCM('aes-256-gcm', key, iv);
+    const key = deriveKey(password, salt);
+    const iv = crypto.randomBytes(ENCRYPTION_IV_LENGTH);
+    const cipher = crypto.createCipheriv(ENCRYPTION_ALGORITHM, key, iv);
 
     let encrypted = cipher.update(plaintext, 'utf8', 'hex');
     encrypted += cipher.final('hex');
@@ -237,7 +335,7 @@ const encryptData = (plaintext, password) => {
       salt: salt.toString('hex'),
       iv: iv.toString('hex'),
       authTag: authTag.toString('hex'),
-      algorithm: 'aes-256-gcm',
+      algorithm: ENCRYPTION_ALGORITHM,
     };
   } catch (error) {
     throw new Error(`Failed to encrypt data: ${error.message}`);
@@ -254,15 +352,9 @@ const decryptData = (encryptedData, password) => {
   try {
     const { encrypted, salt, iv, authTag } = encryptedData;
 
-    const key = crypto.pbkdf2Sync(
-      password,
-      Buffer.from(salt, 'hex'),
-      100000,
-      32,
-      'sha256'
-    );
-    const decipher = crypto.createDecipherGCM(
-      'aes-256-gcm',
+    const key = deriveKey(password, Buffer.from(salt, 'hex'));
+    const decipher = crypto.createDecipheriv(
+      ENCRYPTION_ALGORITHM,
       key,
       Buffer.from(iv, 'hex')
     );
@@ -277,6 +369,287 @@ const decryptData = (encryptedData, password) => {
   }
 };
 
+/**
+ * Generate a random key for encryptFile
+ * @returns {string} - Hex encoded 256-bit key
+ */
+const generateEncryptionKey = () => {
+  return generateRandomToken(32);
+};
+
+/**
+ * Encrypt a file using AES-256-GCM
+ *
+ * The output is ENCRYPTED_FILE_MAGIC, the header length (uint32 BE), the
+ * header JSON, the IV, the ciphertext and the auth tag. The header is
+ * authenticated as additional data, so the wrapped keys it carries cannot be
+ * swapped. The key is used as is: it is random, there is no password to
+ * stretch.
+ * @param {string} inputPath - File to encrypt
+ * @param {string} outputPath - Where to write the encrypted file
+ * @param {string} key - Hex encoded 256-bit key
+ * @param {Object} header - Public details stored with the file, e.g. { keys }
+ * @returns {Promise<Object>} - { algorithm, iv, authTag }
+ */
+const encryptFile = async (inputPath, outputPath, key, header = {}) => {
+  try {
+    const headerBytes = Buffer.from(
+      JSON.stringify({ algorithm: ENCRYPTION_ALGORITHM, ...header })
+    );
+    const headerLength = Buffer.alloc(4);
+    headerLength.writeUInt32BE(headerBytes.length);
+
+    const iv = crypto.randomBytes(ENCRYPTION_IV_LENGTH);
+    const cipher = crypto.createCipheriv(
+      ENCRYPTION_ALGORITHM,
+      parseEncryptionKey(key),
+      iv
+    );
+    cipher.setAAD(headerBytes);
+
+    await pipeline(
+      fs.createReadStream(inputPath),
+      async function* (source) {
+        yield Buffer.concat([
+          ENCRYPTED_FILE_MAGIC,
+          headerLength,
+          headerBytes,
+          iv,
+        ]);
+        for await (const chunk of source) {
+          yield cipher.update(chunk);
+        }
+        yield cipher.final();
+        yield cipher.getAuthTag();
+      },
+      fs.createWriteStream(outputPath)
+    );
+
+    return {
+      algorithm: ENCRYPTION_ALGORITHM,
+      iv: iv.toString('hex'),
+      authTag: cipher.getAuthTag().toString('hex'),
+    };
+  } catch (error) {
+    throw new Error(`Failed to encrypt file: ${error.message}`);
+  }
+};
+
+/**
+ * Split content written by encryptFile into its parts
+ * @returns {Object|null} - { headerBytes, iv, ciphertext, authTag }, null
+ * when the content is not encrypted
+ */
+const splitEncryptedContent = (content) => {
+  const headerStart = ENCRYPTED_FILE_MAGIC.length + 4;
+
+  if (
+    content.length < headerStart ||
+    !content
+      .subarray(0, ENCRYPTED_FILE_MAGIC.length)
+      .equals(ENCRYPTED_FILE_MAGIC)
+  ) {
+    return null;
+  }
+
+  const ivStart =
+    headerStart + content.readUInt32BE(ENCRYPTED_FILE_MAGIC.length);
+  const tagStart = content.length - ENCRYPTION_TAG_LENGTH;
+
+  if (ivStart + ENCRYPTION_IV_LENGTH > tagStart) {
+    return null;
+  }
+
+  return {
+    headerBytes: content.subarray(headerStart, ivStart),
+    iv: content.subarray(ivStart, ivStart + ENCRYPTION_IV_LENGTH),
+    ciphertext: content.subarray(ivStart + ENCRYPTION_IV_LENGTH, tagStart),
+    authTag: content.subarray(tagStart),
+  };
+};
+
+/**
+ * Check whether content was written by encryptFile
+ * @param {Buffer} content - Content to check
+ * @returns {boolean} - True if the content is encrypted
+ */
+const isEncryptedContent = (content) => {
+  return splitEncryptedContent(content) !== null;
+};
+
+/**
+ * Read the public header of a file written by encryptFile
+ *
+ * Only the start of the file is read, so large uploads encrypted in the
+ * browser can be recognised without loading them.
+ * @param {string} filePath - File to read
+ * @returns {Promise<Object|null>} - Header, null when the file is not
+ * encrypted
+ */
+const readEncryptedFileHeader = async (filePath) => {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { size } = await handle.stat();
+    const prefix = Buffer.alloc(ENCRYPTED_FILE_MAGIC.length + 4);
+    const { bytesRead } = await handle.read(prefix, 0, prefix.length, 0);
+
+    if (
+      bytesRead < prefix.length ||
+      !prefix
+        .subarray(0, ENCRYPTED_FILE_MAGIC.length)
+        .equals(ENCRYPTED_FILE_MAGIC)
+    ) {
+      return null;
+    }
+
+    const headerLength = prefix.readUInt32BE(ENCRYPTED_FILE_MAGIC.length);
+    if (
+      prefix.length +
+        headerLength +
+        ENCRYPTION_IV_LENGTH +
+        ENCRYPTION_TAG_LENGTH >
+      size
+    ) {
+      return null;
+    }
+
+    const headerBytes = Buffer.alloc(headerLength);
+    await handle.read(headerBytes, 0, headerLength, prefix.length);
+
+    try {
+      return JSON.parse(headerBytes.toString('utf8'));
+    } catch {
+      return null;
+    }
+  } finally {
+    await handle.close();
+  }
+};
+
+/**
+ * Read the public header of content written by encryptFile
+ * @param {Buffer} content - Encrypted content
+ * @returns {Object} - Header, with the wrapped keys if any
+ */
+const readEncryptionHeader = (content) => {
+  const parts = splitEncryptedContent(content);
+  if (!parts) {
+    throw new Error('Content is not encrypted');
+  }
+  return JSON.parse(parts.headerBytes.toString('utf8'));
+};
+
+/**
+ * Decrypt content written by encryptFile
+ * @param {Buffer} content - Encrypted content
+ * @param {string} key - Hex encoded 256-bit key
+ * @returns {Buffer} - Decrypted content
+ */
+const decryptContent = (content, key) => {
+  try {
+    const parts = splitEncryptedContent(content);
+    if (!parts) {
+      throw new Error('Content is not encrypted');
+    }
+
+    const decipher = crypto.createDecipheriv(
+      ENCRYPTION_ALGORITHM,
+      parseEncryptionKey(key),
+      parts.iv
+    );
+    decipher.setAAD(parts.headerBytes);
+    decipher.setAuthTag(parts.authTag);
+
+    return Buffer.concat([decipher.update(parts.ciphertext), decipher.final()]);
+  } catch (error) {
+    throw new Error(`Failed to decrypt content: ${error.message}`);
+  }
+};
+
+/**
+ * AES key for a wrapped key, from the x coordinate of the ECDH shared point
+ */
+const deriveWrappingKey = (sharedPoint, ephemeralPublicKey) =>
+  Buffer.from(
+    crypto.hkdfSync(
+      'sha256',
+      getBytes(sharedPoint).subarray(1, 33),
+      getBytes(ephemeralPublicKey),
+      KEY_WRAPPING_INFO,
+      32
+    )
+  );
+
+/**
+ * Encrypt a document key to a secp256k1 public key (ECIES)
+ *
+ * An ephemeral key pair is agreed with the recipient key by ECDH, HKDF-SHA256
+ * turns the shared secret into an AES-256-GCM key and that key encrypts the
+ * document key. Only the holder of the recipient private key can unwrap it.
+ * @param {string} key - Hex encoded document key
+ * @param {string} publicKey - Recipient secp256k1 public key (0x hex)
+ * @returns {Object} - { ephemeralPublicKey, iv, wrappedKey }, hex encoded
+ */
+const wrapKey = (key, publicKey) => {
+  try {
+    const ephemeral = new SigningKey(crypto.randomBytes(32));
+    const iv = crypto.randomBytes(ENCRYPTION_IV_LENGTH);
+    const cipher = crypto.createCipheriv(
+      ENCRYPTION_ALGORITHM,
+      deriveWrappingKey(
+        ephemeral.computeSharedSecret(publicKey),
+        ephemeral.compressedPublicKey
+      ),
+      iv
+    );
+
+    const wrappedKey = Buffer.concat([
+      cipher.update(parseEncryptionKey(key)),
+      cipher.final(),
+      cipher.getAuthTag(),
+    ]);
+
+    return {
+      ephemeralPublicKey: ephemeral.compressedPublicKey,
+      iv: iv.toString('hex'),
+      wrappedKey: wrappedKey.toString('hex'),
+    };
+  } catch (error) {
+    throw new Error(`Failed to wrap key: ${error.message}`);
+  }
+};
+
+/**
+ * Decrypt a document key wrapped by wrapKey
+ * @param {Object} wrapped - { ephemeralPublicKey, iv, wrappedKey }
+ * @param {string} privateKey - Recipient secp256k1 private key (0x hex)
+ * @returns {string} - Hex encoded document key
+ */
+const unwrapKey = (wrapped, privateKey) => {
+  try {
+    const { ephemeralPublicKey, iv, wrappedKey } = wrapped;
+    const bytes = Buffer.from(wrappedKey, 'hex');
+    const tagStart = bytes.length - ENCRYPTION_TAG_LENGTH;
+
+    const decipher = crypto.createDecipheriv(
+      ENCRYPTION_ALGORITHM,
+      deriveWrappingKey(
+        new SigningKey(privateKey).computeSharedSecret(ephemeralPublicKey),
+        ephemeralPublicKey
+      ),
+      Buffer.from(iv, 'hex')
+    );
+    decipher.setAuthTag(bytes.subarray(tagStart));
+
+    return Buffer.concat([
+      decipher.update(bytes.subarray(0, tagStart)),
+      decipher.final(),
+    ]).toString('hex');
+  } catch (error) {
+    throw new Error(`Failed to unwrap key: ${error.message}`);
+  }
+};
+
 module.exports = {
   generateSHA256,
   generateSHA256FromStream,
@@ -289,6 +662,15 @@ module.exports = {
   generateHMAC,
   verifyHMAC,
   generateContentID,
+  verifyContentID,
   encryptData,
   decryptData,
+  generateEncryptionKey,
+  encryptFile,
+  isEncryptedContent,
+  readEncryptionHeader,
+  readEncryptedFileHeader,
+  decryptContent,
+  wrapKey,
+  unwrapKey,
 };
@@ -0,0 +1,203 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const {
+  generateContentID,
+  verifyContentID,
+  encryptData,
+  decryptData,
+  generateEncryptionKey,
+  encryptFile,
+  isEncryptedContent,
+  readEncryptionHeader,
+  readEncryptedFileHeader,
+  decryptContent,
+  wrapKey,
+  unwrapKey,
+} = require('./crypto');
+const { importFile } = require('./cid');
+
+describe('Content IDs', () => {
+  const CONTENT = Buffer.from('hello world');
+  // Three chunks, so dag-pb CIDs depend on the importer settings
+  const LARGE_CONTENT = Buffer.alloc(600000, 'CertiProof X ');
+
+  test('generates the CIDs Kubo assigns', async () => {
+    expect(await generateContentID(CONTENT)).toBe(
+      'bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e'
+    );
+    expect(await generateContentID(CONTENT, { cidVersion: 0 })).toBe(
+      'Qmf412jQZiuVUtdgnB36FXFX7xg5V6KEbSJ4dpQuhkLyfD'
+    );
+  });
+
+  test('reads files only when given their path explicitly', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'certiproof-cid-'));
+    const filePath = path.join(directory, 'hello.txt');
+    fs.writeFileSync(filePath, CONTENT);
+
+    try {
+      expect(await generateContentID({ path: filePath })).toBe(
+        await generateContentID(CONTENT)
+      );
+      await expect(generateContentID(filePath)).rejects.toThrow(
+        /must be a Buffer/
+      );
+      await expect(generateContentID('hello world')).rejects.toThrow(
+        /must be a Buffer/
+      );
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  test('verifies content against CIDv0 and CIDv1', async () => {
+    for (const options of [
+      {},
+      { cidVersion: 0 },
+      { rawLeaves: false },
+      { chunkSize: 1048576, maxLinks: 1024 },
+    ]) {
+      const cid = await generateContentID(LARGE_CONTENT, options);
+      expect(await verifyContentID(LARGE_CONTENT, cid)).toBe(true);
+    }
+  });
+
+  test('accepts a raw CID of the whole file', async () => {
+    const cid = importFile(LARGE_CONTENT, {
+      chunkSize: LARGE_CONTENT.length,
+    }).cid;
+
+    expect(cid).toMatch(/^bafkrei/);
+    expect(await verifyContentID(LARGE_CONTENT, cid)).toBe(true);
+  });
+
+  test('rejects other content and malformed CIDs', async () => {
+    const cid = await generateContentID(LARGE_CONTENT);
+    const tampered = Buffer.from(LARGE_CONTENT);
+    tampered[300000] ^= 1;
+
+    expect(await verifyContentID(tampered, cid)).toBe(false);
+    expect(await verifyContentID(CONTENT, 'mock_0123456789abcdef')).toBe(false);
+    expect(
+      await verifyContentID(
+        CONTENT,
+        'QmSrPmbaUKA3ZodhzPWZnpFgcPMFWF4QsxXbkWfEptTBJd'
+      )
+    ).toBe(false);
+  });
+});
+
+describe('Encryption', () => {
+  const CONTENT = Buffer.alloc(200000, 'CertiProof X ');
+  let directory;
+
+  beforeAll(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'certiproof-crypto-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const encrypt = async (key, header) => {
+    const plainPath = path.join(directory, 'plain');
+    const encryptedPath = path.join(directory, 'encrypted');
+    fs.writeFileSync(plainPath, CONTENT);
+    const result = await encryptFile(plainPath, encryptedPath, key, header);
+    return { result, encrypted: fs.readFileSync(encryptedPath) };
+  };
+
+  test('round-trips data with a password', () => {
+    const encrypted = encryptData('grade: A+', 'correct horse');
+
+    expect(encrypted.algorithm).toBe('aes-256-gcm');
+    expect(decryptData(encrypted, 'correct horse')).toBe('grade: A+');
+    expect(() => decryptData(encrypted, 'wrong horse')).toThrow(
+      /Failed to decrypt data/
+    );
+  });
+
+  test('encrypts files so only the key opens them', async () => {
+    const key = generateEncryptionKey();
+    const { result, encrypted } = await encrypt(key);
+
+    expect(key).toMatch(/^[0-9a-f]{64}$/);
+    expect(result).toMatchObject({ algorithm: 'aes-256-gcm' });
+    expect(isEncryptedContent(encrypted)).toBe(true);
+    expect(isEncryptedContent(CONTENT)).toBe(false);
+    expect(encrypted.includes(CONTENT.subarray(0, 64))).toBe(false);
+
+    expect(decryptContent(encrypted, key).equals(CONTENT)).toBe(true);
+    expect(() => decryptContent(encrypted, generateEncryptionKey())).toThrow(
+      /Failed to decrypt content/
+    );
+  });
+
+  test('detects tampered ciphertext', async () => {
+    const key = generateEncryptionKey();
+    const { encrypted } = await encrypt(key);
+    encrypted[100] ^= 1;
+
+    expect(() => decryptContent(encrypted, key)).toThrow(
+      /Failed to decrypt content/
+    );
+    expect(() => decryptContent(CONTENT, key)).toThrow(/not encrypted/);
+  });
+
+  test('wraps the document key to a recipient public key', async () => {
+    const recipient = ethers.Wallet.createRandom();
+    const stranger = ethers.Wallet.createRandom();
+    const key = generateEncryptionKey();
+
+    const wrapped = wrapKey(key, recipient.signingKey.compressedPublicKey);
+    const { encrypted } = await encrypt(key, {
+      keys: [{ address: recipient.address, ...wrapped }],
+    });
+
+    const [entry] = readEncryptionHeader(encrypted).keys;
+    expect(entry.address).toBe(recipient.address);
+    expect(entry.wrappedKey).not.toContain(key);
+
+    const unwrapped = unwrapKey(entry, recipient.privateKey);
+    expect(unwrapped).toBe(key);
+    expect(decryptContent(encrypted, unwrapped).equals(CONTENT)).toBe(true);
+    expect(() => unwrapKey(entry, stranger.privateKey)).toThrow(
+      /Failed to unwrap key/
+    );
+  });
+
+  test('reads the header of an encrypted file without the content', async () => {
+    const { encrypted } = await encrypt(generateEncryptionKey(), { keys: [] });
+    const encryptedPath = path.join(directory, 'header');
+    const plainPath = path.join(directory, 'plain');
+
+    fs.writeFileSync(encryptedPath, encrypted);
+    expect(await readEncryptedFileHeader(encryptedPath)).toEqual({
+      algorithm: 'aes-256-gcm',
+      keys: [],
+    });
+    expect(await readEncryptedFileHeader(plainPath)).toBeNull();
+
+    // Cut before its IV and tag
+    fs.writeFileSync(encryptedPath, encrypted.subarray(0, 40));
+    expect(await readEncryptedFileHeader(encryptedPath)).toBeNull();
+  });
+
+  test('authenticates the header with the content', async () => {
+    const key = generateEncryptionKey();
+    const { encrypted } = await encrypt(key, { keys: [] });
+
+    // Same length header naming another recipient list
+    const swapped = Buffer.from(
+      encrypted.toString('latin1').replace('"keys":[]', '"keys":{}'),
+      'latin1'
+    );
+
+    expect(readEncryptionHeader(swapped).keys).toEqual({});
+    expect(() => decryptContent(swapped, key)).toThrow(
+      /Failed to decrypt content/
+    );
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * CSV utilities for CertiProof X Backend
+ * Author: Kai Zenjiro (0xGenesis) - certiproofx@protonmail.me
+ *
+ * RFC 4180 parsing for the spreadsheets institutions export, and CSV output
+ * for reports that are opened in the same spreadsheets.
+ */
+
+const createCsvError = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_CSV';
+  return error;
+};
+
+/**
+ * Split CSV text into rows of cells
+ *
+ * Quoted cells can hold commas, line breaks and doubled quotes. A byte order
+ * mark, as written by Excel, is ignored.
+ * @param {string} text - CSV content
+ * @returns {Array<Array<string>>} - Rows, blank lines dropped
+ */
+const parseCsvRows = (text) => {
+  const input = text.replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  let index = 0;
+
+  const endCell = () => {
+    row.push(cell);
+    cell = '';
+  };
+
+  const endRow = () => {
+    endCell();
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row);
+    }
+    row = [];
+  };
+
+  while (index < input.length) {
+    const char = input[index];
+
+    if (quoted) {
+      if (char === '"' && input[index + 1] === '"') {
+        cell += '"';
+        index += 2;
+        continue;
+      }
+      if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      endCell();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[index + 1] === '\n') {
+        index++;
+      }
+      endRow();
+    } else {
+      cell += char;
+    }
+    index++;
+  }
+
+  if (quoted) {
+    throw createCsvError('CSV has an unterminated quoted cell');
+  }
+  if (cell !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+};
+
+/**
+ * Parse CSV text with a header row into records
+ * @param {string} text - CSV content
+ * @returns {Object} - { columns, records }, records keyed by column name
+ */
+const parseCsv = (text) => {
+  const [header, ...rows] = parseCsvRows(text);
+
+  if (!header) {
+    throw createCsvError('CSV is empty');
+  }
+
+  const columns = header.map((column) => column.trim());
+  const duplicate = columns.find(
+    (column, index) => columns.indexOf(column) !== index
+  );
+  if (duplicate !== undefined) {
+    throw createCsvError(`CSV column ${duplicate || '(empty)'} is repeated`);
+  }
+
+  const records = rows.map((cells, index) => {
+    if (cells.length !== columns.length) {
+      // Line 1 is the header
+      throw createCsvError(
+        `CSV line ${index + 2} has ${cells.length} cells, expected ${columns.length}`
+      );
+    }
+
+    return Object.fromEntries(
+      columns.map((column, cellIndex) => [column, cells[cellIndex].trim()])
+    );
+  });
+
+  return { columns, records };
+};
+
+/**
+ * Quote a value for CSV output
+ *
+ * Cells a spreadsheet would run as a formula get a leading quote.
+ * @param {*} value - Cell value
+ * @returns {string} - CSV cell
+ */
+const formatCsvCell = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Write records as CSV
+ * @param {Array<string>} columns - Column names, in order
+ * @param {Array<Object>} records - Records keyed by column name
+ * @returns {string} - CSV content with a header row
+ */
+const toCsv = (columns, records) =>
+  [columns, ...records.map((record) => columns.map((column) => record[column]))]
+    .map((cells) => cells.map(formatCsvCell).join(','))
+    .join('\r\n') + '\r\n';
+
+module.exports = {
+  parseCsv,
+  toCsv,
+};
@@ -0,0 +1,49 @@
+const { parseCsv, toCsv } = require('./csv');
+
+describe('CSV utilities', () => {
+  test('parses quoted cells, line breaks and a byte order mark', () => {
+    const text =
+      '\uFEFFfile,title,notes\r\n' +
+      'a.pdf,"Master, Computer Science","Said ""excellent""\nwith honours"\r\n' +
+      '\r\n' +
+      'b.pdf, Bachelor ,\n';
+
+    expect(parseCsv(text)).toEqual({
+      columns: ['file', 'title', 'notes'],
+      records: [
+        {
+          file: 'a.pdf',
+          title: 'Master, Computer Science',
+          notes: 'Said "excellent"\nwith honours',
+        },
+        { file: 'b.pdf', title: 'Bachelor', notes: '' },
+      ],
+    });
+  });
+
+  test('refuses malformed CSV', () => {
+    expect(() => parseCsv('')).toThrow(/empty/);
+    expect(() => parseCsv('file,title\na.pdf\n')).toThrow(
+      /line 2 has 1 cells, expected 2/
+    );
+    expect(() => parseCsv('file,file\n')).toThrow(/file is repeated/);
+    expect(() => parseCsv('file\n"a.pdf\n')).toThrow(/unterminated/);
+  });
+
+  test('writes CSV a spreadsheet reads back safely', () => {
+    const csv = toCsv(
+      ['row', 'title', 'error'],
+      [
+        { row: 1, title: 'Master, CS', error: null },
+        { row: 2, title: '=HYPERLINK("x")', error: 'Line\nbreak' },
+      ]
+    );
+
+    expect(csv).toBe(
+      'row,title,error\r\n' +
+        '1,"Master, CS",\r\n' +
+        '2,"\'=HYPERLINK(""x"")","Line\nbreak"\r\n'
+    );
+    expect(parseCsv(csv).records[1].title).toBe('\'=HYPERLINK("x")');
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * Database utility for CertiProof X Backend
+ * Author: Kai Zenjiro (0xGenesis) - certiproofx@protonmail.me
+ *
+ * Opens the local SQLite store configured by config.database.url
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const config = require('../config/config');
+const logger = require('./logger');
+
+let database = null;
+
+/**
+ * Resolve the SQLite file path from a database URL
+ * @param {string} url - Database URL (sqlite:./file.db, sqlite:///abs/file.db or :memory:)
+ * @returns {string} - File path or :memory:
+ */
+const resolveDatabasePath = (url) => {
+  if (url === ':memory:' || url === 'sqlite::memory:') {
+    return ':memory:';
+  }
+
+  if (!/^sqlite:/.test(url)) {
+    throw new Error(`Unsupported database URL: ${url}`);
+  }
+
+  const filePath = url.replace(/^sqlite:(\/\/)?/, '');
+  return path.isAbsolute(filePath)
+    ? filePath
+    : path.join(__dirname, '../..', filePath);
+};
+
+/**
+ * Get the shared database connection, opening it on first use
+ * @returns {Database} - better-sqlite3 database instance
+ */
+const getDatabase = () => {
+  if (!database) {
+    const filePath = resolveDatabasePath(config.database.url);
+
+    if (filePath !== ':memory:') {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    }
+
+    database = new Database(filePath);
+    database.pragma('journal_mode = WAL');
+
+    logger.info(`Database opened: ${filePath}`);
+  }
+
+  return database;
+};
+
+/**
+ * Close the shared database connection
+ */
+const closeDatabase = () => {
+  if (database) {
+    database.close();
+    database = null;
+  }
+};
+
+module.exports = {
+  getDatabase,
+  closeDatabase,
+  resolveDatabasePath,
+};
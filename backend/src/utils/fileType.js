@@ -0,0 +1,328 @@
+/**
+ * File type detection for CertiProof X Backend
+ * Author: Kai Zenjiro (0xGenesis) - certiproofx@protonmail.me
+ *
+ * Identifies uploads from their content instead of the MIME type and
+ * extension the client claims, and checks that PDF and Office containers
+ * are well formed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { listZipEntries } = require('./zip');
+
+// Bytes read from the start of a file to identify it
+const HEAD_SIZE = 8192;
+
+// PDF trailers (startxref, %%EOF) sit in the last bytes of the file
+const PDF_TAIL_SIZE = 1024;
+
+/**
+ * Supported types, keyed by their canonical extension
+ */
+const FILE_TYPES = {
+  pdf: { mimetypes: ['application/pdf'], extensions: ['.pdf'] },
+  png: { mimetypes: ['image/png'], extensions: ['.png'] },
+  jpeg: {
+    mimetypes: ['image/jpeg', 'image/jpg'],
+    extensions: ['.jpg', '.jpeg'],
+  },
+  gif: { mimetypes: ['image/gif'], extensions: ['.gif'] },
+  webp: { mimetypes: ['image/webp'], extensions: ['.webp'] },
+  txt: { mimetypes: ['text/plain'], extensions: ['.txt'] },
+  doc: { mimetypes: ['application/msword'], extensions: ['.doc'] },
+  xls: { mimetypes: ['application/vnd.ms-excel'], extensions: ['.xls'] },
+  docx: {
+    mimetypes: [
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    ],
+    extensions: ['.docx'],
+  },
+  xlsx: {
+    mimetypes: [
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    ],
+    extensions: ['.xlsx'],
+  },
+};
+
+const startsWith = (head, bytes, offset = 0) =>
+  head.length >= offset + bytes.length &&
+  head.subarray(offset, offset + bytes.length).equals(Buffer.from(bytes));
+
+const createFileError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Name the kind of executable a file starts with, if any
+ * @param {Buffer} head - First bytes of the file
+ * @returns {string|null} - Executable format
+ */
+const detectExecutable = (head) => {
+  if (startsWith(head, [0x4d, 0x5a]) && head.length >= 0x40) {
+    // DOS stub, the PE header offset is at 0x3c
+    const peOffset = head.readUInt32LE(0x3c);
+    if (startsWith(head, [0x50, 0x45, 0, 0], peOffset)) {
+      return 'Windows executable';
+    }
+  }
+  if (startsWith(head, [0x7f, 0x45, 0x4c, 0x46])) return 'ELF executable';
+  if (
+    [
+      [0xfe, 0xed, 0xfa, 0xce],
+      [0xfe, 0xed, 0xfa, 0xcf],
+      [0xce, 0xfa, 0xed, 0xfe],
+      [0xcf, 0xfa, 0xed, 0xfe],
+      [0xca, 0xfe, 0xba, 0xbe],
+    ].some((magic) => startsWith(head, magic))
+  ) {
+    return 'Mach-O executable';
+  }
+  if (startsWith(head, [0x00, 0x61, 0x73, 0x6d])) return 'WebAssembly module';
+  if (startsWith(head, [0x23, 0x21])) return 'script';
+
+  return null;
+};
+
+/**
+ * Identify a file from its first bytes
+ * @param {Buffer} head - First bytes of the file
+ * @returns {string|null} - FILE_TYPES key, 'zip' or 'ole' for containers
+ * that need a closer look, or null when unknown
+ */
+const detectFileType = (head) => {
+  if (startsWith(head, Buffer.from('%PDF-'))) return 'pdf';
+  if (startsWith(head, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) {
+    return 'png';
+  }
+  if (startsWith(head, [0xff, 0xd8, 0xff])) return 'jpeg';
+  if (
+    startsWith(head, Buffer.from('GIF87a')) ||
+    startsWith(head, Buffer.from('GIF89a'))
+  ) {
+    return 'gif';
+  }
+  if (
+    startsWith(head, Buffer.from('RIFF')) &&
+    startsWith(head, Buffer.from('WEBP'), 8)
+  ) {
+    return 'webp';
+  }
+  if (startsWith(head, [0x50, 0x4b, 0x03, 0x04])) return 'zip';
+  if (startsWith(head, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])) {
+    return 'ole';
+  }
+
+  // Plain text: UTF-8 without NUL bytes. A multi-byte character cut at the
+  // end of the head is fine, stream mode leaves it pending.
+  if (!head.includes(0)) {
+    try {
+      new TextDecoder('utf-8', { fatal: true }).decode(head, { stream: true });
+      return 'txt';
+    } catch {
+      return null;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Look for byte patterns anywhere in a file, reading it once
+ * @param {string} filePath - File to scan
+ * @param {Object} patterns - Buffers by name
+ * @returns {Promise<Set<string>>} - Names of the patterns found
+ */
+const scanFile = async (filePath, patterns) => {
+  const found = new Set();
+  const overlap =
+    Math.max(...Object.values(patterns).map((pattern) => pattern.length)) - 1;
+  let carry = Buffer.alloc(0);
+
+  for await (const chunk of fs.createReadStream(filePath)) {
+    const window = Buffer.concat([carry, chunk]);
+
+    for (const [name, pattern] of Object.entries(patterns)) {
+      if (!found.has(name) && window.includes(pattern)) {
+        found.add(name);
+      }
+    }
+    carry = window.subarray(Math.max(0, window.length - overlap));
+  }
+
+  return found;
+};
+
+/**
+ * Read bytes at a position of an open file
+ */
+const readAt = async (handle, position, length) => {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+};
+
+/**
+ * Check the PDF header and trailer, and flag active content
+ * @returns {Promise<Array<string>>} - Warnings
+ */
+const inspectPDF = async (filePath, head, size) => {
+  if (!/^%PDF-\d\.\d/.test(head.toString('latin1', 0, 8))) {
+    throw createFileError('Invalid PDF header', 'INVALID_FILE_STRUCTURE');
+  }
+
+  const handle = await fs.promises.open(filePath, 'r');
+  let tail;
+  try {
+    const length = Math.min(size, PDF_TAIL_SIZE);
+    tail = (await readAt(handle, size - length, length)).toString('latin1');
+  } finally {
+    await handle.close();
+  }
+
+  if (!tail.includes('startxref') || !tail.includes('%%EOF')) {
+    throw createFileError(
+      'PDF is truncated or has no trailer',
+      'INVALID_FILE_STRUCTURE'
+    );
+  }
+
+  // Only uncompressed objects can be seen, so this is a hint, not a guarantee
+  const found = await scanFile(filePath, {
+    javascript: Buffer.from('/JavaScript'),
+    'launch-action': Buffer.from('/Launch'),
+    'embedded-file': Buffer.from('/EmbeddedFile'),
+  });
+
+  return [...found];
+};
+
+/**
+ * Identify a DOCX or XLSX package and look for a VBA project
+ * @returns {Promise<Object>} - { type, hasMacros }
+ */
+const inspectOfficeOpenXML = async (filePath) => {
+  const names = (await listZipEntries(filePath)).map((entry) => entry.name);
+
+  let type = null;
+  if (names.includes('word/document.xml')) type = 'docx';
+  if (names.includes('xl/workbook.xml')) type = 'xlsx';
+
+  if (type && !names.includes('[Content_Types].xml')) {
+    throw createFileError(
+      'Office document has no [Content_Types].xml',
+      'INVALID_FILE_STRUCTURE'
+    );
+  }
+
+  return {
+    type,
+    hasMacros: names.some((name) => /(^|\/)vbaProject\.bin$/i.test(name)),
+  };
+};
+
+/**
+ * Identify a legacy Word or Excel file and look for a VBA project
+ *
+ * Stream names are stored as UTF-16 in the compound file directory, which
+ * can sit anywhere in the file.
+ * @returns {Promise<Object>} - { type, hasMacros }
+ */
+const inspectCompoundFile = async (filePath, head) => {
+  // Byte order mark of the compound file header
+  if (head.length < 512 || head.readUInt16LE(28) !== 0xfffe) {
+    throw createFileError(
+      'Invalid compound file header',
+      'INVALID_FILE_STRUCTURE'
+    );
+  }
+
+  const found = await scanFile(filePath, {
+    doc: Buffer.from('WordDocument', 'utf16le'),
+    xls: Buffer.from('Workbook', 'utf16le'),
+    macros: Buffer.from('_VBA_PROJECT', 'utf16le'),
+  });
+
+  let type = null;
+  if (found.has('doc')) type = 'doc';
+  else if (found.has('xls')) type = 'xls';
+
+  return { type, hasMacros: found.has('macros') };
+};
+
+/**
+ * Check that a file really is what its MIME type and extension claim
+ *
+ * Executables are refused whatever they are named, as is content that does
+ * not match the declared type or a container that is not well formed.
+ * Macros are reported, not refused.
+ * @param {string} filePath - File to inspect
+ * @param {Object} declared - { mimetype, originalname } as sent by the client
+ * @returns {Promise<Object>} - { mimetype, extension, hasMacros, warnings }
+ */
+const inspectFile = async (filePath, { mimetype, originalname }) => {
+  const { size } = await fs.promises.stat(filePath);
+  const handle = await fs.promises.open(filePath, 'r');
+  let head;
+  try {
+    head = await readAt(handle, 0, HEAD_SIZE);
+  } finally {
+    await handle.close();
+  }
+
+  const executable = detectExecutable(head);
+  if (executable) {
+    throw createFileError(
+      `${originalname} is a ${executable}`,
+      'EXECUTABLE_CONTENT'
+    );
+  }
+
+  let type = detectFileType(head);
+  let hasMacros = false;
+  let warnings = [];
+
+  if (type === 'pdf') {
+    warnings = await inspectPDF(filePath, head, size);
+  } else if (type === 'zip') {
+    ({ type, hasMacros } = await inspectOfficeOpenXML(filePath));
+  } else if (type === 'ole') {
+    ({ type, hasMacros } = await inspectCompoundFile(filePath, head));
+  }
+
+  const detected = FILE_TYPES[type];
+  const extension = path.extname(originalname).toLowerCase();
+
+  if (!detected) {
+    throw createFileError(
+      `Content of ${originalname} is not a supported file type`,
+      'FILE_TYPE_MISMATCH'
+    );
+  }
+  if (
+    !detected.mimetypes.includes(mimetype) ||
+    !detected.extensions.includes(extension)
+  ) {
+    throw createFileError(
+      `${originalname} is declared as ${mimetype} but contains ${detected.mimetypes[0]}`,
+      'FILE_TYPE_MISMATCH'
+    );
+  }
+
+  return {
+    mimetype: detected.mimetypes[0],
+    extension: detected.extensions[0],
+    hasMacros,
+    warnings,
+  };
+};
+
+module.exports = {
+  FILE_TYPES,
+  detectExecutable,
+  detectFileType,
+  inspectFile,
+};
@@ -0,0 +1,152 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { detectExecutable, detectFileType, inspectFile } = require('./fileType');
+const { createZip } = require('../__fixtures__/zip');
+
+const DOCX =
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+const XLSX =
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+const PDF = Buffer.from(
+  '%PDF-1.7\n1 0 obj\n<< /Type /Catalog >>\nendobj\nstartxref\n9\n%%EOF\n'
+);
+
+// DOS stub pointing at a PE header
+const createExecutable = () => {
+  const exe = Buffer.alloc(256);
+  exe.write('MZ', 0, 'latin1');
+  exe.writeUInt32LE(0x80, 0x3c);
+  exe.write('PE\0\0', 0x80, 'latin1');
+  return exe;
+};
+
+describe('File type detection', () => {
+  let directory;
+
+  const inspect = (content, originalname, mimetype) => {
+    const filePath = path.join(directory, originalname);
+    fs.writeFileSync(filePath, content);
+    return inspectFile(filePath, { originalname, mimetype });
+  };
+
+  beforeAll(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'certiproof-type-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('identifies files from their first bytes', () => {
+    expect(detectFileType(PDF)).toBe('pdf');
+    expect(
+      detectFileType(
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])
+      )
+    ).toBe('png');
+    expect(detectFileType(Buffer.from([0xff, 0xd8, 0xff, 0xe0]))).toBe('jpeg');
+    expect(detectFileType(Buffer.from('RIFF\0\0\0\0WEBPVP8 '))).toBe('webp');
+    expect(detectFileType(Buffer.from('Grüße aus Köln'))).toBe('txt');
+    expect(detectFileType(Buffer.from([0x80, 0x81, 0x82]))).toBeNull();
+    expect(detectExecutable(createExecutable())).toBe('Windows executable');
+    expect(detectExecutable(Buffer.from('#!/bin/sh\n'))).toBe('script');
+    expect(detectExecutable(PDF)).toBeNull();
+  });
+
+  test('accepts a well formed PDF', async () => {
+    await expect(
+      inspect(PDF, 'diploma.pdf', 'application/pdf')
+    ).resolves.toEqual({
+      mimetype: 'application/pdf',
+      extension: '.pdf',
+      hasMacros: false,
+      warnings: [],
+    });
+  });
+
+  test('flags active content in a PDF', async () => {
+    const pdf = Buffer.concat([
+      Buffer.from('%PDF-1.4\n<< /OpenAction << /S /JavaScript >> >>\n'),
+      Buffer.from('startxref\n9\n%%EOF\n'),
+    ]);
+
+    const detected = await inspect(pdf, 'form.pdf', 'application/pdf');
+    expect(detected.warnings).toEqual(['javascript']);
+  });
+
+  test('refuses a truncated PDF', async () => {
+    await expect(
+      inspect(PDF.subarray(0, 40), 'diploma.pdf', 'application/pdf')
+    ).rejects.toMatchObject({ code: 'INVALID_FILE_STRUCTURE' });
+  });
+
+  test('refuses an executable whatever it is called', async () => {
+    await expect(
+      inspect(createExecutable(), 'diploma.pdf', 'application/pdf')
+    ).rejects.toMatchObject({ code: 'EXECUTABLE_CONTENT' });
+    await expect(
+      inspect(Buffer.from('#!/bin/sh\nrm -rf ~\n'), 'notes.txt', 'text/plain')
+    ).rejects.toMatchObject({ code: 'EXECUTABLE_CONTENT' });
+  });
+
+  test('refuses content that does not match the declared type', async () => {
+    await expect(
+      inspect(Buffer.from('plain words'), 'diploma.pdf', 'application/pdf')
+    ).rejects.toMatchObject({ code: 'FILE_TYPE_MISMATCH' });
+    await expect(
+      inspect(PDF, 'diploma.txt', 'text/plain')
+    ).rejects.toMatchObject({ code: 'FILE_TYPE_MISMATCH' });
+    await expect(
+      inspect(createZip([{ name: 'notes.txt' }]), 'archive.docx', DOCX)
+    ).rejects.toMatchObject({ code: 'FILE_TYPE_MISMATCH' });
+  });
+
+  test('tells DOCX and XLSX packages apart', async () => {
+    const docx = createZip([
+      { name: '[Content_Types].xml' },
+      { name: 'word/document.xml' },
+    ]);
+    const xlsx = createZip([
+      { name: '[Content_Types].xml' },
+      { name: 'xl/workbook.xml' },
+    ]);
+
+    await expect(inspect(docx, 'thesis.docx', DOCX)).resolves.toMatchObject({
+      mimetype: DOCX,
+      hasMacros: false,
+    });
+    await expect(inspect(xlsx, 'grades.xlsx', XLSX)).resolves.toMatchObject({
+      mimetype: XLSX,
+    });
+    await expect(inspect(xlsx, 'grades.docx', DOCX)).rejects.toMatchObject({
+      code: 'FILE_TYPE_MISMATCH',
+    });
+  });
+
+  test('reports macros in Office documents', async () => {
+    const docm = createZip([
+      { name: '[Content_Types].xml' },
+      { name: 'word/document.xml' },
+      { name: 'word/vbaProject.bin' },
+    ]);
+
+    const detected = await inspect(docm, 'thesis.docx', DOCX);
+    expect(detected.hasMacros).toBe(true);
+  });
+
+  test('refuses malformed Office packages', async () => {
+    await expect(
+      inspect(createZip([{ name: 'word/document.xml' }]), 'thesis.docx', DOCX)
+    ).rejects.toMatchObject({ code: 'INVALID_FILE_STRUCTURE' });
+
+    const truncated = createZip([
+      { name: '[Content_Types].xml' },
+      { name: 'word/document.xml' },
+    ]);
+    await expect(
+      inspect(truncated.subarray(0, 60), 'thesis.docx', DOCX)
+    ).rejects.toMatchObject({ code: 'INVALID_FILE_STRUCTURE' });
+  });
+});
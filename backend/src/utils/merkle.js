@@ -0,0 +1,133 @@
+/**
+ * Merkle tree utilities for CertiProof X Backend
+ * Author: Kai Zenjiro (0xGenesis) - certiproofx@protonmail.me
+ *
+ * SHA-256 trees with sorted pairs, so a proof is just the list of sibling
+ * hashes. Leaves and inner nodes are hashed with different prefixes (0x00 and
+ * 0x01), which keeps an inner node from passing as a leaf. Hashes are hex
+ * strings without 0x, like the document hashes minted on-chain.
+ */
+
+const crypto = require('crypto');
+
+const LEAF_PREFIX = Buffer.from([0x00]);
+const NODE_PREFIX = Buffer.from([0x01]);
+
+const normalizeHash = (hash) => String(hash).replace(/^0x/, '').toLowerCase();
+
+const isHash = (hash) =>
+  typeof hash === 'string' && /^(0x)?[0-9a-fA-F]{64}$/.test(hash);
+
+const sha256 = (...parts) =>
+  crypto.createHash('sha256').update(Buffer.concat(parts)).digest('hex');
+
+/**
+ * Hash leaf data
+ * @param {Buffer|string} data - Leaf data, strings are UTF-8 encoded
+ * @returns {string} - Hex encoded leaf hash
+ */
+const hashLeaf = (data) =>
+  sha256(LEAF_PREFIX, Buffer.isBuffer(data) ? data : Buffer.from(data, 'utf8'));
+
+/**
+ * Hash two nodes into their parent, whatever their order
+ * @param {string} a - Hex encoded node hash
+ * @param {string} b - Hex encoded node hash
+ * @returns {string} - Hex encoded parent hash
+ */
+const hashPair = (a, b) => {
+  const [left, right] = [normalizeHash(a), normalizeHash(b)].sort();
+  return sha256(
+    NODE_PREFIX,
+    Buffer.from(left, 'hex'),
+    Buffer.from(right, 'hex')
+  );
+};
+
+/**
+ * Build every level of the tree, from the leaves up to the root
+ *
+ * A node without a sibling moves up unchanged.
+ * @param {string[]} leaves - Hex encoded leaf hashes
+ * @returns {string[][]} - Levels, the last one holding the root
+ */
+const buildLevels = (leaves) => {
+  if (!Array.isArray(leaves) || leaves.length === 0) {
+    throw new Error('A Merkle tree needs at least one leaf');
+  }
+
+  const levels = [leaves.map(normalizeHash)];
+  while (levels[levels.length - 1].length > 1) {
+    const level = levels[levels.length - 1];
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(
+        i + 1 < level.length ? hashPair(level[i], level[i + 1]) : level[i]
+      );
+    }
+    levels.push(next);
+  }
+
+  return levels;
+};
+
+/**
+ * Compute the root of a list of leaves
+ * @param {string[]} leaves - Hex encoded leaf hashes
+ * @returns {string} - Hex encoded root
+ */
+const computeMerkleRoot = (leaves) => {
+  const levels = buildLevels(leaves);
+  return levels[levels.length - 1][0];
+};
+
+/**
+ * Get the proofs of every leaf, in leaf order
+ * @param {string[]} leaves - Hex encoded leaf hashes
+ * @returns {Object} - { root, proofs }, each proof a list of sibling hashes
+ */
+const getMerkleProofs = (leaves) => {
+  const levels = buildLevels(leaves);
+
+  const proofs = leaves.map((leaf, leafIndex) => {
+    const proof = [];
+    let index = leafIndex;
+    for (const level of levels.slice(0, -1)) {
+      const sibling = index % 2 === 0 ? index + 1 : index - 1;
+      if (sibling < level.length) {
+        proof.push(level[sibling]);
+      }
+      index = Math.floor(index / 2);
+    }
+    return proof;
+  });
+
+  return { root: levels[levels.length - 1][0], proofs };
+};
+
+/**
+ * Check that a leaf belongs to the tree of a root
+ * @param {string} leaf - Hex encoded leaf hash
+ * @param {string[]} proof - Sibling hashes from getMerkleProofs
+ * @param {string} root - Hex encoded root, with or without 0x
+ * @returns {boolean} - True if the proof leads to the root
+ */
+const verifyMerkleProof = (leaf, proof, root) => {
+  if (!Array.isArray(proof) || ![leaf, root, ...proof].every(isHash)) {
+    return false;
+  }
+
+  const computed = proof.reduce(
+    (node, sibling) => hashPair(node, sibling),
+    normalizeHash(leaf)
+  );
+  return computed === normalizeHash(root);
+};
+
+module.exports = {
+  hashLeaf,
+  hashPair,
+  computeMerkleRoot,
+  getMerkleProofs,
+  verifyMerkleProof,
+};
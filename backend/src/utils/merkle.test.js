@@ -0,0 +1,49 @@
+const {
+  hashLeaf,
+  hashPair,
+  computeMerkleRoot,
+  getMerkleProofs,
+  verifyMerkleProof,
+} = require('./merkle');
+
+describe('Merkle utilities', () => {
+  const leaves = ['a', 'b', 'c', 'd', 'e'].map((data) => hashLeaf(data));
+
+  test('hashes pairs the same way whatever their order', () => {
+    expect(hashPair(leaves[0], leaves[1])).toBe(hashPair(leaves[1], leaves[0]));
+    expect(hashPair(leaves[0], leaves[1])).toMatch(/^[0-9a-f]{64}$/);
+    expect(hashLeaf('a')).not.toBe(hashPair(leaves[0], leaves[0]));
+  });
+
+  test('proves every leaf of an uneven tree', () => {
+    const { root, proofs } = getMerkleProofs(leaves);
+
+    expect(root).toBe(computeMerkleRoot(leaves));
+    expect(computeMerkleRoot([leaves[0]])).toBe(leaves[0]);
+    leaves.forEach((leaf, index) => {
+      expect(verifyMerkleProof(leaf, proofs[index], root)).toBe(true);
+      expect(verifyMerkleProof(leaf, proofs[index], `0x${root}`)).toBe(true);
+    });
+    // The odd leaf moves up without a sibling at the first levels
+    expect(proofs[4]).toHaveLength(1);
+  });
+
+  test('rejects proofs that do not lead to the root', () => {
+    const { root, proofs } = getMerkleProofs(leaves);
+
+    expect(verifyMerkleProof(leaves[0], proofs[1], root)).toBe(false);
+    expect(verifyMerkleProof(hashLeaf('z'), proofs[0], root)).toBe(false);
+    expect(verifyMerkleProof(leaves[0], proofs[0].slice(1), root)).toBe(false);
+    expect(verifyMerkleProof(leaves[0], ['not a hash'], root)).toBe(false);
+    expect(verifyMerkleProof(leaves[0], null, root)).toBe(false);
+    // An inner node is not accepted as a leaf
+    expect(
+      verifyMerkleProof(
+        hashPair(leaves[0], leaves[1]),
+        proofs[2].slice(1),
+        root
+      )
+    ).toBe(false);
+    expect(() => computeMerkleRoot([])).toThrow(/at least one leaf/);
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * ZIP archive reader for CertiProof X Backend
+ * Author: Kai Zenjiro (0xGenesis) - certiproofx@protonmail.me
+ *
+ * Reads archives from their central directory, one entry at a time, so an
+ * archive of thousands of documents is never held in memory. Stored and
+ * deflated entries are supported; ZIP64 and encrypted entries are not.
+ */
+
+const fs = require('fs');
+const zlib = require('zlib');
+
+// End of central directory record, at most 64 KiB of comment after it
+const EOCD_SIGNATURE = Buffer.from([0x50, 0x4b, 0x05, 0x06]);
+const EOCD_MAX_SIZE = 22 + 0xffff;
+const CENTRAL_FILE_SIGNATURE = 0x02014b50;
+const LOCAL_FILE_SIGNATURE = 0x04034b50;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+
+const createZipError = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_FILE_STRUCTURE';
+  return error;
+};
+
+const readAt = async (handle, position, length) => {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+};
+
+/**
+ * List the entries of a ZIP archive from its central directory
+ * @param {string} filePath - Archive on disk
+ * @returns {Promise<Array<Object>>} - { name, method, flags, compressedSize,
+ *   size, offset, isDirectory } for each entry
+ */
+const listZipEntries = async (filePath) => {
+  const handle = await fs.promises.open(filePath, 'r');
+
+  try {
+    const { size } = await handle.stat();
+    const tailLength = Math.min(size, EOCD_MAX_SIZE);
+    const tail = await readAt(handle, size - tailLength, tailLength);
+    const eocd = tail.lastIndexOf(EOCD_SIGNATURE);
+
+    if (eocd === -1 || eocd + 22 > tail.length) {
+      throw createZipError(
+        'ZIP archive is truncated or has no central directory'
+      );
+    }
+
+    const entryCount = tail.readUInt16LE(eocd + 10);
+    const directorySize = tail.readUInt32LE(eocd + 12);
+    const directoryOffset = tail.readUInt32LE(eocd + 16);
+
+    if (directoryOffset + directorySize > size) {
+      throw createZipError('ZIP central directory lies outside the file');
+    }
+
+    const directory = await readAt(handle, directoryOffset, directorySize);
+    const entries = [];
+    let offset = 0;
+
+    for (let index = 0; index < entryCount; index++) {
+      if (
+        offset + 46 > directory.length ||
+        directory.readUInt32LE(offset) !== CENTRAL_FILE_SIGNATURE
+      ) {
+        throw createZipError('Malformed ZIP central directory');
+      }
+
+      const nameLength = directory.readUInt16LE(offset + 28);
+      const extraLength = directory.readUInt16LE(offset + 30);
+      const commentLength = directory.readUInt16LE(offset + 32);
+      const name = directory.toString(
+        'utf8',
+        offset + 46,
+        offset + 46 + nameLength
+      );
+
+      entries.push({
+        name,
+        flags: directory.readUInt16LE(offset + 8),
+        method: directory.readUInt16LE(offset + 10),
+        compressedSize: directory.readUInt32LE(offset + 20),
+        size: directory.readUInt32LE(offset + 24),
+        offset: directory.readUInt32LE(offset + 42),
+        isDirectory: name.endsWith('/'),
+      });
+      offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return entries;
+  } finally {
+    await handle.close();
+  }
+};
+
+/**
+ * Read the content of one entry
+ * @param {string} filePath - Archive on disk
+ * @param {Object} entry - Entry from listZipEntries
+ * @param {number} maxSize - Largest uncompressed size accepted
+ * @returns {Promise<Buffer>} - Uncompressed content
+ */
+const readZipEntry = async (filePath, entry, maxSize) => {
+  if (entry.flags & 0x1) {
+    throw createZipError(`ZIP entry ${entry.name} is encrypted`);
+  }
+  if (entry.size === 0xffffffff || entry.compressedSize === 0xffffffff) {
+    throw createZipError('ZIP64 archives are not supported');
+  }
+  if (entry.size > maxSize) {
+    throw createZipError(`ZIP entry ${entry.name} is too large`);
+  }
+
+  const handle = await fs.promises.open(filePath, 'r');
+
+  let data;
+  try {
+    const header = await readAt(handle, entry.offset, 30);
+    if (header.length < 30 || header.readUInt32LE(0) !== LOCAL_FILE_SIGNATURE) {
+      throw createZipError(`Malformed ZIP entry ${entry.name}`);
+    }
+
+    // Local name and extra field lengths can differ from the central ones
+    const dataOffset =
+      entry.offset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+    data = await readAt(handle, dataOffset, entry.compressedSize);
+  } finally {
+    await handle.close();
+  }
+
+  if (data.length !== entry.compressedSize) {
+    throw createZipError(`ZIP entry ${entry.name} is truncated`);
+  }
+
+  let content;
+  if (entry.method === METHOD_STORED) {
+    content = data;
+  } else if (entry.method === METHOD_DEFLATED) {
+    try {
+      // The declared size is not trusted to bound the output
+      content = zlib.inflateRawSync(data, { maxOutputLength: maxSize });
+    } catch {
+      throw createZipError(`ZIP entry ${entry.name} cannot be inflated`);
+    }
+  } else {
+    throw createZipError(
+      `ZIP entry ${entry.name} uses unsupported compression ${entry.method}`
+    );
+  }
+
+  if (content.length !== entry.size) {
+    throw createZipError(`ZIP entry ${entry.name} has the wrong size`);
+  }
+
+  return content;
+};
+
+module.exports = {
+  listZipEntries,
+  readZipEntry,
+};
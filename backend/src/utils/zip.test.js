@@ -0,0 +1,73 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { listZipEntries, readZipEntry } = require('./zip');
+const { createZip } = require('../__fixtures__/zip');
+
+describe('ZIP reader', () => {
+  const TEXT = Buffer.from('CertiProof X diploma\n'.repeat(50));
+  let directory;
+
+  const write = (content) => {
+    const filePath = path.join(directory, 'archive.zip');
+    fs.writeFileSync(filePath, content);
+    return filePath;
+  };
+
+  beforeAll(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'certiproof-zip-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('reads stored and deflated entries', async () => {
+    const archive = write(
+      createZip([
+        { name: 'diplomas/' },
+        { name: 'diplomas/alice.txt', content: TEXT },
+        { name: 'diplomas/bob.txt', content: TEXT, method: 8 },
+      ])
+    );
+
+    const entries = await listZipEntries(archive);
+    expect(entries.map(({ name, isDirectory }) => [name, isDirectory])).toEqual(
+      [
+        ['diplomas/', true],
+        ['diplomas/alice.txt', false],
+        ['diplomas/bob.txt', false],
+      ]
+    );
+    expect(entries[2].compressedSize).toBeLessThan(TEXT.length);
+
+    for (const entry of entries.slice(1)) {
+      const content = await readZipEntry(archive, entry, 1024 * 1024);
+      expect(content.equals(TEXT)).toBe(true);
+    }
+  });
+
+  test('refuses entries larger than the limit', async () => {
+    const archive = write(
+      createZip([{ name: 'bomb.txt', content: TEXT, method: 8 }])
+    );
+    const [entry] = await listZipEntries(archive);
+
+    await expect(readZipEntry(archive, entry, 100)).rejects.toThrow(
+      /too large/
+    );
+    // A lying central directory does not get past the inflate limit
+    await expect(
+      readZipEntry(archive, { ...entry, size: 100 }, 100)
+    ).rejects.toThrow(/cannot be inflated/);
+  });
+
+  test('refuses archives without a central directory', async () => {
+    const archive = write(createZip([{ name: 'a.txt', content: TEXT }]));
+    fs.truncateSync(archive, 200);
+
+    await expect(listZipEntries(archive)).rejects.toMatchObject({
+      code: 'INVALID_FILE_STRUCTURE',
+    });
+  });
+});
@@ -19,6 +19,7 @@ import "@openzeppelin/contracts/utils/Strings.sol";
  * - Store document hashes and IPFS URIs on-chain
  * - Verify proofs by hash or token ID
  * - Optional proof locking for immutability
+ * - Batch anchoring of many document hashes under one Merkle root
  * - GDPR compliance with metadata management
  * - Governance controls for protocol management
  */
@@ -46,11 +47,27 @@ contract CertiProofNFT is ERC721, ERC721URIStorage, Ownable, ReentrancyGuard {
         bool isActive;         // If false, proof is considered revoked
     }
     
+    // Anchor structure, one per batch of documents
+    struct Anchor {
+        bytes32 root;           // Merkle root of the batch document leaves
+        string ipfsURI;         // IPFS URI for the batch manifest
+        address issuer;         // Address that anchored the batch
+        uint256 timestamp;      // Block timestamp when anchored
+        string documentType;    // Type of the documents in the batch
+        string title;           // Human-readable title of the batch
+        uint256 documentCount;  // Number of leaves under the root
+        bool isActive;          // If false, every document of the batch is revoked
+    }
+    
+    uint256 private _nextAnchorId;
+    
     // Mappings
     mapping(uint256 => Proof) public proofs;
     mapping(string => uint256) public hashToTokenId;
     mapping(address => uint256[]) public issuerTokens;
     mapping(string => bool) public usedHashes;
+    mapping(uint256 => Anchor) public anchors;
+    mapping(bytes32 => uint256) public rootToAnchorId;
     
     // Events
     event ProofMinted(
@@ -84,6 +101,27 @@ contract CertiProofNFT is ERC721, ERC721URIStorage, Ownable, ReentrancyGuard {
         address indexed restorer
     );
     
+    event RootAnchored(
+        uint256 indexed anchorId,
+        bytes32 indexed root,
+        address indexed issuer,
+        uint256 documentCount,
+        string ipfsURI,
+        string documentType,
+        string title
+    );
+    
+    event AnchorRevoked(
+        uint256 indexed anchorId,
+        address indexed revoker,
+        string reason
+    );
+    
+    event AnchorRestored(
+        uint256 indexed anchorId,
+        address indexed restorer
+    );
+    
     // Helper function to check if token exists
     function _exists(uint256 tokenId) internal view returns (bool) {
         return _ownerOf(tokenId) != address(0);
@@ -108,6 +146,22 @@ contract CertiProofNFT is ERC721, ERC721URIStorage, Ownable, ReentrancyGuard {
         _;
     }
     
+    modifier validAnchorId(uint256 anchorId) {
+        require(
+            anchorId != 0 && anchorId < _nextAnchorId,
+            "CertiProofNFT: Anchor does not exist"
+        );
+        _;
+    }
+    
+    modifier onlyAnchorIssuerOrOwner(uint256 anchorId) {
+        require(
+            msg.sender == anchors[anchorId].issuer || msg.sender == owner(),
+            "CertiProofNFT: Not authorized"
+        );
+        _;
+    }
+    
     /**
      * @notice Contract constructor
      * @param _name Token name
@@ -119,8 +173,9 @@ contract CertiProofNFT is ERC721, ERC721URIStorage, Ownable, ReentrancyGuard {
         string memory _symbol,
         address _initialOwner
     ) ERC721(_name, _symbol) Ownable(_initialOwner) {
-        // Start token IDs from 1
+        // Start token and anchor IDs from 1
         _nextTokenId = 1;
+        _nextAnchorId = 1;
     }
     
     /**
@@ -365,6 +420,141 @@ contract CertiProofNFT is ERC721, ERC721URIStorage, Ownable, ReentrancyGuard {
         return proofs[tokenId].isActive;
     }
     
+    /**
+     * @notice Anchor a batch of documents with a single Merkle root
+     * @dev Leaves are sha256(0x00 || documentHash || ipfsURI) and inner nodes
+     * sha256(0x01 || min(a, b) || max(a, b)), as built by the backend. Each
+     * document is then proven with its inclusion proof instead of a token.
+     * @param root Merkle root of the batch
+     * @param documentCount Number of documents under the root
+     * @param ipfsURI IPFS URI of the batch manifest
+     * @param documentType Type of the documents in the batch
+     * @param title Human-readable title for the batch
+     * @return anchorId The ID of the new anchor
+     */
+    function anchorRoot(
+        bytes32 root,
+        uint256 documentCount,
+        string memory ipfsURI,
+        string memory documentType,
+        string memory title
+    ) public nonReentrant returns (uint256) {
+        require(root != bytes32(0), "CertiProofNFT: Merkle root required");
+        require(documentCount > 0, "CertiProofNFT: Document count required");
+        require(bytes(ipfsURI).length > 0, "CertiProofNFT: IPFS URI required");
+        require(bytes(title).length > 0, "CertiProofNFT: Title required");
+        require(rootToAnchorId[root] == 0, "CertiProofNFT: Merkle root already anchored");
+        
+        uint256 anchorId = _nextAnchorId;
+        _nextAnchorId++;
+        
+        anchors[anchorId] = Anchor({
+            root: root,
+            ipfsURI: ipfsURI,
+            issuer: msg.sender,
+            timestamp: block.timestamp,
+            documentType: documentType,
+            title: title,
+            documentCount: documentCount,
+            isActive: true
+        });
+        rootToAnchorId[root] = anchorId;
+        
+        emit RootAnchored(anchorId, root, msg.sender, documentCount, ipfsURI, documentType, title);
+        
+        return anchorId;
+    }
+    
+    /**
+     * @notice Check that a document belongs to an anchored batch
+     * @param anchorId The anchor to check against
+     * @param documentHash SHA-256 hash of the document
+     * @param ipfsURI IPFS URI committed with the document
+     * @param proof Sibling hashes from the leaf up to the root
+     * @return included Whether the proof leads to the anchored root
+     * @return isActive Whether the anchor is currently active
+     */
+    function verifyInclusion(
+        uint256 anchorId,
+        bytes32 documentHash,
+        string memory ipfsURI,
+        bytes32[] memory proof
+    ) public view validAnchorId(anchorId) returns (bool included, bool isActive) {
+        bytes32 node = sha256(abi.encodePacked(bytes1(0x00), documentHash, ipfsURI));
+        
+        for (uint256 i = 0; i < proof.length; i++) {
+            node = node < proof[i]
+                ? sha256(abi.encodePacked(bytes1(0x01), node, proof[i]))
+                : sha256(abi.encodePacked(bytes1(0x01), proof[i], node));
+        }
+        
+        included = node == anchors[anchorId].root;
+        isActive = anchors[anchorId].isActive;
+        
+        return (included, isActive);
+    }
+    
+    /**
+     * @notice Get anchor information by its Merkle root
+     * @param root The Merkle root to query
+     * @return exists Whether the root was anchored
+     * @return anchorId The ID of the anchor (0 if not found)
+     * @return anchor The anchor struct (empty if not found)
+     */
+    function getAnchorByRoot(bytes32 root) 
+        public 
+        view 
+        returns (bool exists, uint256 anchorId, Anchor memory anchor) 
+    {
+        anchorId = rootToAnchorId[root];
+        exists = anchorId != 0;
+        
+        if (exists) {
+            anchor = anchors[anchorId];
+        }
+        
+        return (exists, anchorId, anchor);
+    }
+    
+    /**
+     * @notice Revoke an anchor, and with it every document of the batch
+     * @param anchorId The anchor ID to revoke
+     * @param reason Reason for revocation
+     */
+    function revokeAnchor(uint256 anchorId, string memory reason) 
+        public 
+        validAnchorId(anchorId) 
+        onlyAnchorIssuerOrOwner(anchorId) 
+    {
+        require(anchors[anchorId].isActive, "CertiProofNFT: Anchor already revoked");
+        
+        anchors[anchorId].isActive = false;
+        emit AnchorRevoked(anchorId, msg.sender, reason);
+    }
+    
+    /**
+     * @notice Restore a revoked anchor
+     * @param anchorId The anchor ID to restore
+     */
+    function restoreAnchor(uint256 anchorId) 
+        public 
+        validAnchorId(anchorId) 
+        onlyAnchorIssuerOrOwner(anchorId) 
+    {
+        require(!anchors[anchorId].isActive, "CertiProofNFT: Anchor already active");
+        
+        anchors[anchorId].isActive = true;
+        emit AnchorRestored(anchorId, msg.sender);
+    }
+    
+    /**
+     * @notice Get total number of anchored batches
+     * @return count Total anchors
+     */
+    function totalAnchors() public view returns (uint256) {
+        return _nextAnchorId - 1;
+    }
+    
     /**
      * @notice Emergency pause for governance (only owner)
      */
@@ -23,8 +23,8 @@ describe("CertiProofNFT", function () {
     const [owner, issuer1, issuer2, user1, user2] = await ethers.getSigners();
     
     const CertiProofNFT = await ethers.getContractFactory("CertiProofNFT");
-    const contract = await CertiProofNFT.deploy(TOKEN_NAME, TOKEN_SYMBOL);
-    await contract.deployed();
+    const contract = await CertiProofNFT.deploy(TOKEN_NAME, TOKEN_SYMBOL, owner.address);
+    await contract.waitForDeployment();
     
     return { contract, owner, issuer1, issuer2, user1, user2 };
   }
@@ -471,6 +471,236 @@ describe("CertiProofNFT", function () {
     });
   });
   
+  describe("Batch Anchoring", function () {
+    const MANIFEST_URI = "ipfs://QmBatchManifest123456789";
+    const DOCUMENTS = [
+      { documentHash: "0x" + "11".repeat(32), ipfsURI: "ipfs://QmDocument1" },
+      { documentHash: "0x" + "22".repeat(32), ipfsURI: "ipfs://QmDocument2" },
+      { documentHash: "0x" + "33".repeat(32), ipfsURI: "ipfs://QmDocument3" },
+    ];
+    
+    // Same tree as the backend (utils/merkle): prefixed SHA-256, sorted pairs
+    const hashLeaf = ({ documentHash, ipfsURI }) =>
+      ethers.sha256(ethers.solidityPacked(["bytes1", "bytes32", "string"], ["0x00", documentHash, ipfsURI]));
+    
+    const hashPair = (a, b) =>
+      ethers.sha256(ethers.concat(["0x01", ...(BigInt(a) < BigInt(b) ? [a, b] : [b, a])]));
+    
+    function buildTree(documents) {
+      const levels = [documents.map(hashLeaf)];
+      while (levels[levels.length - 1].length > 1) {
+        const level = levels[levels.length - 1];
+        const next = [];
+        for (let i = 0; i < level.length; i += 2) {
+          next.push(i + 1 < level.length ? hashPair(level[i], level[i + 1]) : level[i]);
+        }
+        levels.push(next);
+      }
+      
+      const proofs = documents.map((document, leafIndex) => {
+        const proof = [];
+        let index = leafIndex;
+        for (const level of levels.slice(0, -1)) {
+          const sibling = index % 2 === 0 ? index + 1 : index - 1;
+          if (sibling < level.length) {
+            proof.push(level[sibling]);
+          }
+          index = Math.floor(index / 2);
+        }
+        return proof;
+      });
+      
+      return { root: levels[levels.length - 1][0], proofs };
+    }
+    
+    async function anchorFixture() {
+      const fixture = await deployContractFixture();
+      const { root, proofs } = buildTree(DOCUMENTS);
+      
+      await fixture.contract.connect(fixture.issuer1).anchorRoot(
+        root,
+        DOCUMENTS.length,
+        MANIFEST_URI,
+        DOCUMENT_TYPE,
+        TITLE
+      );
+      
+      return { ...fixture, root, proofs };
+    }
+    
+    it("Should anchor a Merkle root", async function () {
+      const { contract, issuer1 } = await loadFixture(deployContractFixture);
+      const { root } = buildTree(DOCUMENTS);
+      
+      await expect(
+        contract.connect(issuer1).anchorRoot(root, DOCUMENTS.length, MANIFEST_URI, DOCUMENT_TYPE, TITLE)
+      ).to.emit(contract, "RootAnchored")
+        .withArgs(1, root, issuer1.address, DOCUMENTS.length, MANIFEST_URI, DOCUMENT_TYPE, TITLE);
+      
+      expect(await contract.totalAnchors()).to.equal(1);
+      expect(await contract.rootToAnchorId(root)).to.equal(1);
+      expect(await contract.totalSupply()).to.equal(0);
+    });
+    
+    it("Should return anchor information by root", async function () {
+      const { contract, issuer1, root } = await loadFixture(anchorFixture);
+      
+      const [exists, anchorId, anchor] = await contract.getAnchorByRoot(root);
+      
+      expect(exists).to.be.true;
+      expect(anchorId).to.equal(1);
+      expect(anchor.root).to.equal(root);
+      expect(anchor.ipfsURI).to.equal(MANIFEST_URI);
+      expect(anchor.issuer).to.equal(issuer1.address);
+      expect(anchor.documentType).to.equal(DOCUMENT_TYPE);
+      expect(anchor.title).to.equal(TITLE);
+      expect(anchor.documentCount).to.equal(DOCUMENTS.length);
+      expect(anchor.isActive).to.be.true;
+    });
+    
+    it("Should return false for a root that was not anchored", async function () {
+      const { contract } = await loadFixture(anchorFixture);
+      
+      const [exists, anchorId] = await contract.getAnchorByRoot("0x" + "ff".repeat(32));
+      
+      expect(exists).to.be.false;
+      expect(anchorId).to.equal(0);
+    });
+    
+    it("Should verify the inclusion proof of every document", async function () {
+      const { contract, proofs } = await loadFixture(anchorFixture);
+      
+      for (const [index, { documentHash, ipfsURI }] of DOCUMENTS.entries()) {
+        const [included, isActive] = await contract.verifyInclusion(1, documentHash, ipfsURI, proofs[index]);
+        
+        expect(included).to.be.true;
+        expect(isActive).to.be.true;
+      }
+    });
+    
+    it("Should reject a proof for another document or IPFS URI", async function () {
+      const { contract, proofs } = await loadFixture(anchorFixture);
+      const [first] = DOCUMENTS;
+      
+      const [otherHash] = await contract.verifyInclusion(1, "0x" + "44".repeat(32), first.ipfsURI, proofs[0]);
+      const [otherURI] = await contract.verifyInclusion(1, first.documentHash, "ipfs://QmOther", proofs[0]);
+      const [otherProof] = await contract.verifyInclusion(1, first.documentHash, first.ipfsURI, proofs[1]);
+      
+      expect(otherHash).to.be.false;
+      expect(otherURI).to.be.false;
+      expect(otherProof).to.be.false;
+    });
+    
+    it("Should not accept an inner node as a document", async function () {
+      const { contract, proofs } = await loadFixture(anchorFixture);
+      const node = hashPair(hashLeaf(DOCUMENTS[0]), hashLeaf(DOCUMENTS[1]));
+      
+      const [included] = await contract.verifyInclusion(1, node, "", proofs[2]);
+      
+      expect(included).to.be.false;
+    });
+    
+    it("Should verify a batch of a single document with an empty proof", async function () {
+      const { contract, issuer1 } = await loadFixture(deployContractFixture);
+      const { root } = buildTree([DOCUMENTS[0]]);
+      
+      await contract.connect(issuer1).anchorRoot(root, 1, MANIFEST_URI, DOCUMENT_TYPE, TITLE);
+      const [included] = await contract.verifyInclusion(1, DOCUMENTS[0].documentHash, DOCUMENTS[0].ipfsURI, []);
+      
+      expect(included).to.be.true;
+    });
+    
+    it("Should not anchor the same root twice", async function () {
+      const { contract, issuer2, root } = await loadFixture(anchorFixture);
+      
+      await expect(
+        contract.connect(issuer2).anchorRoot(root, DOCUMENTS.length, MANIFEST_URI, DOCUMENT_TYPE, TITLE)
+      ).to.be.revertedWith("CertiProofNFT: Merkle root already anchored");
+    });
+    
+    it("Should require a root, a document count, an IPFS URI and a title", async function () {
+      const { contract, issuer1 } = await loadFixture(deployContractFixture);
+      const { root } = buildTree(DOCUMENTS);
+      
+      await expect(
+        contract.connect(issuer1).anchorRoot(ethers.ZeroHash, 3, MANIFEST_URI, DOCUMENT_TYPE, TITLE)
+      ).to.be.revertedWith("CertiProofNFT: Merkle root required");
+      await expect(
+        contract.connect(issuer1).anchorRoot(root, 0, MANIFEST_URI, DOCUMENT_TYPE, TITLE)
+      ).to.be.revertedWith("CertiProofNFT: Document count required");
+      await expect(
+        contract.connect(issuer1).anchorRoot(root, 3, "", DOCUMENT_TYPE, TITLE)
+      ).to.be.revertedWith("CertiProofNFT: IPFS URI required");
+      await expect(
+        contract.connect(issuer1).anchorRoot(root, 3, MANIFEST_URI, DOCUMENT_TYPE, "")
+      ).to.be.revertedWith("CertiProofNFT: Title required");
+    });
+    
+    it("Should revoke and restore an anchor", async function () {
+      const { contract, issuer1, proofs } = await loadFixture(anchorFixture);
+      const [first] = DOCUMENTS;
+      
+      await expect(
+        contract.connect(issuer1).revokeAnchor(1, "Issued in error")
+      ).to.emit(contract, "AnchorRevoked")
+        .withArgs(1, issuer1.address, "Issued in error");
+      
+      const [included, isActive] = await contract.verifyInclusion(1, first.documentHash, first.ipfsURI, proofs[0]);
+      expect(included).to.be.true;
+      expect(isActive).to.be.false;
+      
+      await expect(
+        contract.connect(issuer1).restoreAnchor(1)
+      ).to.emit(contract, "AnchorRestored")
+        .withArgs(1, issuer1.address);
+      
+      expect((await contract.anchors(1)).isActive).to.be.true;
+    });
+    
+    it("Should let the contract owner revoke an anchor", async function () {
+      const { contract, owner } = await loadFixture(anchorFixture);
+      
+      await contract.connect(owner).revokeAnchor(1, "Governance decision");
+      
+      expect((await contract.anchors(1)).isActive).to.be.false;
+    });
+    
+    it("Should not let other accounts revoke an anchor", async function () {
+      const { contract, user1 } = await loadFixture(anchorFixture);
+      
+      await expect(
+        contract.connect(user1).revokeAnchor(1, "Unauthorized")
+      ).to.be.revertedWith("CertiProofNFT: Not authorized");
+    });
+    
+    it("Should handle revocation of already revoked anchor", async function () {
+      const { contract, issuer1 } = await loadFixture(anchorFixture);
+      
+      await contract.connect(issuer1).revokeAnchor(1, "First revocation");
+      
+      await expect(
+        contract.connect(issuer1).revokeAnchor(1, "Second revocation")
+      ).to.be.revertedWith("CertiProofNFT: Anchor already revoked");
+      
+      await contract.connect(issuer1).restoreAnchor(1);
+      
+      await expect(
+        contract.connect(issuer1).restoreAnchor(1)
+      ).to.be.revertedWith("CertiProofNFT: Anchor already active");
+    });
+    
+    it("Should revert for a nonexistent anchor", async function () {
+      const { contract, issuer1, proofs } = await loadFixture(anchorFixture);
+      
+      await expect(
+        contract.verifyInclusion(2, DOCUMENTS[0].documentHash, DOCUMENTS[0].ipfsURI, proofs[0])
+      ).to.be.revertedWith("CertiProofNFT: Anchor does not exist");
+      await expect(
+        contract.connect(issuer1).revokeAnchor(0, "Missing")
+      ).to.be.revertedWith("CertiProofNFT: Anchor does not exist");
+    });
+  });
+  
   describe("Edge Cases", function () {
     it("Should handle multiple proofs with same IPFS URI", async function () {
       const { contract, issuer1, user1, user2 } = await loadFixture(deployContractFixture);
@@ -15,18 +15,31 @@ import {
   User,
   Hash,
   Sparkles,
+  Lock,
+  Download,
+  Wallet,
 } from 'lucide-react';
 import toast from 'react-hot-toast';
 import { useT } from '../contexts/I18nContext';
+import { useWeb3 } from '../contexts/Web3Context';
+import {
+  deriveEncryptionKey,
+  isValidKey,
+  unlockDocument,
+} from '../utils/documentEncryption';
 import CertificateCard from './CertificateCard';
 
 const VerifyCertificate = ({ initialHash = '', onVerificationComplete }) => {
   const t = useT();
+  const { account, signer } = useWeb3();
   const [inputValue, setInputValue] = useState(initialHash);
   const [inputType, setInputType] = useState('hash');
   const [isVerifying, setIsVerifying] = useState(false);
   const [result, setResult] = useState(null);
   const [showQRScanner, setShowQRScanner] = useState(false);
+  const [unlockKey, setUnlockKey] = useState('');
+  const [isUnlocking, setIsUnlocking] = useState(false);
+  const [unlockedUrl, setUnlockedUrl] = useState(null);
 
   useEffect(() => {
     if (initialHash) {
@@ -34,6 +47,15 @@ const VerifyCertificate = ({ initialHash = '', onVerificationComplete }) => {
     }
   }, [initialHash, handleVerification]);
 
+  // Libérer le document déchiffré
+  useEffect(() => {
+    return () => {
+      if (unlockedUrl) {
+        URL.revokeObjectURL(unlockedUrl);
+      }
+    };
+  }, [unlockedUrl]);
+
   // Détecter automatiquement le type d'input
   const detectInputType = (value) => {
     if (value.startsWith('0x') && value.length === 66) {
@@ -55,6 +77,7 @@ const VerifyCertificate = ({ initialHash = '', onVerificationComplete }) => {
       }
 
       setIsVerifying(true);
+      setUnlockedUrl(null);
       const detectedType = detectInputType(value);
       setInputType(detectedType);
 
@@ -199,6 +222,50 @@ const VerifyCertificate = ({ initialHash = '', onVerificationComplete }) => {
     [inputValue, t, onVerificationComplete]
   );
 
+  // Déchiffrer le document dans le navigateur, avec la clé du détenteur
+  // ou la clé de son wallet
+  const openDocument = async (key) => {
+    const { ipfsHash, fileHash, hash } = result.certificate;
+    setIsUnlocking(true);
+
+    try {
+      const { content, documentHash } = await unlockDocument(
+        ipfsHash,
+        typeof key === 'function' ? await key() : key
+      );
+
+      // Le document déchiffré doit être celui dont le hash est sur la blockchain
+      const expectedHash = (fileHash || hash).replace(/^0x/, '').toLowerCase();
+      if (documentHash !== expectedHash) {
+        toast.error(t('verify.unlockHashMismatch'));
+        return;
+      }
+
+      setUnlockedUrl(URL.createObjectURL(new Blob([content])));
+      toast.success(t('verify.documentUnlocked'));
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setIsUnlocking(false);
+    }
+  };
+
+  const handleUnlock = () => {
+    if (!isValidKey(unlockKey)) {
+      toast.error(t('verify.invalidKey'));
+      return;
+    }
+
+    openDocument(unlockKey);
+  };
+
+  // La clé du document est chiffrée pour le wallet : une signature suffit
+  const handleWalletUnlock = () =>
+    openDocument(async () => ({
+      address: account,
+      encryptionKey: await deriveEncryptionKey(signer),
+    }));
+
   // Copier dans le presse-papier
   // eslint-disable-next-line no-unused-vars
   const copyToClipboard = async (text, label) => {
@@ -458,6 +525,75 @@ const VerifyCertificate = ({ initialHash = '', onVerificationComplete }) => {
                   }}
                   className="max-w-4xl mx-auto"
                 />
+
+                {/* Document chiffré : la clé du détenteur l'ouvre */}
+                {result.certificate.encrypted && (
+                  <div className="max-w-4xl mx-auto mt-6 bg-dark-800 border border-gray-600 rounded-xl p-6 space-y-4">
+                    <div className="flex items-center gap-3">
+                      <Lock className="w-5 h-5 text-primary-500" />
+                      <div>
+                        <h4 className="text-white font-medium">
+                          {t('verify.encryptedDocument')}
+                        </h4>
+                        <p className="text-sm text-gray-400">
+                          {t('verify.encryptedDocumentDesc')}
+                        </p>
+                      </div>
+                    </div>
+
+                    {unlockedUrl ? (
+                      <a
+                        href={unlockedUrl}
+                        download={result.certificate.name || 'document'}
+                        className="w-full flex items-center justify-center gap-2 px-6 py-3 rounded-xl font-medium bg-success-600 hover:bg-success-700 text-white transition-all"
+                      >
+                        <Download className="w-5 h-5" />
+                        {t('verify.downloadDocument')}
+                      </a>
+                    ) : (
+                      <div className="space-y-3">
+                        {signer && (
+                          <button
+                            onClick={handleWalletUnlock}
+                            disabled={isUnlocking}
+                            className="w-full flex items-center justify-center gap-2 px-6 py-3 rounded-xl font-medium bg-primary-500 hover:bg-primary-600 disabled:bg-gray-600 disabled:text-gray-400 text-white transition-all"
+                          >
+                            {isUnlocking ? (
+                              <Loader2 className="w-5 h-5 animate-spin" />
+                            ) : (
+                              <Wallet className="w-5 h-5" />
+                            )}
+                            {t('verify.unlockWithWallet')}
+                          </button>
+                        )}
+                        <div className="flex gap-3">
+                          <input
+                            type="password"
+                            value={unlockKey}
+                            onChange={(e) => setUnlockKey(e.target.value)}
+                            placeholder={t('verify.keyPlaceholder')}
+                            className="flex-1 px-4 py-3 bg-dark-900 border border-gray-600 rounded-xl text-white font-mono text-sm placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-primary-500 transition-all"
+                            onKeyDown={(e) =>
+                              e.key === 'Enter' && handleUnlock()
+                            }
+                          />
+                          <button
+                            onClick={handleUnlock}
+                            disabled={isUnlocking || !unlockKey.trim()}
+                            className="flex items-center gap-2 px-6 py-3 rounded-xl font-medium bg-primary-500 hover:bg-primary-600 disabled:bg-gray-600 disabled:text-gray-400 text-white transition-all"
+                          >
+                            {isUnlocking ? (
+                              <Loader2 className="w-5 h-5 animate-spin" />
+                            ) : (
+                              <Lock className="w-5 h-5" />
+                            )}
+                            {t('verify.unlockButton')}
+                          </button>
+                        </div>
+                      </div>
+                    )}
+                  </div>
+                )}
               </motion.div>
             )}
           </motion.div>
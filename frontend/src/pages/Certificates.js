@@ -6,11 +6,31 @@
 import React, { useState, useEffect } from 'react';
 import { Helmet } from 'react-helmet-async';
 import { motion } from 'framer-motion';
+import toast from 'react-hot-toast';
 import { useT } from '../contexts/I18nContext';
+import { useWeb3 } from '../contexts/Web3Context';
+import {
+  deriveEncryptionKey,
+  registerEncryptionKey,
+} from '../utils/documentEncryption';
 import CertificateCard from '../components/CertificateCard';
 
 const Certificates = () => {
   const t = useT();
+  const { signer } = useWeb3();
+  const [isPublishing, setIsPublishing] = useState(false);
+
+  // Publier la clé de chiffrement du wallet pour recevoir des documents chiffrés
+  const handlePublishKey = async () => {
+    setIsPublishing(true);
+    try {
+      await registerEncryptionKey(signer, await deriveEncryptionKey(signer));
+      toast.success(t('certificates.encryptionKeyPublished'));
+    } catch (error) {
+      toast.error(error.message);
+    }
+    setIsPublishing(false);
+  };
 
   // Charger les certificats du localStorage + données d'exemple
   const [userCertificates, setUserCertificates] = useState([]);
@@ -75,6 +95,26 @@ const Certificates = () => {
               </p>
             </motion.div>
 
+            {signer && (
+              <div className="mb-8 bg-dark-800 border border-gray-600 rounded-xl p-6 flex flex-col sm:flex-row sm:items-center gap-4">
+                <div className="flex-1">
+                  <h4 className="text-white font-medium">
+                    {t('certificates.encryptionKeyTitle')}
+                  </h4>
+                  <p className="text-sm text-gray-400">
+                    {t('certificates.encryptionKeyDesc')}
+                  </p>
+                </div>
+                <button
+                  onClick={handlePublishKey}
+                  disabled={isPublishing}
+                  className="px-6 py-3 bg-primary-500 hover:bg-primary-600 disabled:bg-gray-600 text-white font-medium rounded-xl transition-all"
+                >
+                  {t('certificates.publishEncryptionKey')}
+                </button>
+              </div>
+            )}
+
             {/* Grille de certificats */}
             <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
               {/* Certificats utilisateur en premier */}
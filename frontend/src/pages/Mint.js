@@ -9,10 +9,21 @@ import { useT } from '../contexts/I18nContext';
 import { useWeb3 } from '../contexts/Web3Context';
 // import { ethers } from 'ethers';
 import toast from 'react-hot-toast';
+import { uploadResumable, RESUMABLE_THRESHOLD } from '../utils/resumableUpload';
+import {
+  deriveEncryptionKey,
+  encryptDocument,
+  generateDocumentKey,
+  getEncryptionKey,
+  registerEncryptionKey,
+  unlockDocument,
+  wrapDocumentKey,
+} from '../utils/documentEncryption';
 
 const Mint = () => {
   const t = useT();
-  const { isConnected, account, contract, connectWallet, network } = useWeb3();
+  const { isConnected, account, signer, contract, connectWallet, network } =
+    useWeb3();
 
   // Form state
   const [formData, setFormData] = useState({
@@ -20,6 +31,7 @@ const Mint = () => {
     description: '',
     documentType: 'certificate',
     recipient: '',
+    encrypt: false,
   });
 
   // File state
@@ -37,9 +49,15 @@ const Mint = () => {
     { key: 'mint', status: 'pending' },
     { key: 'success', status: 'pending' },
   ]);
+  const [uploadProgress, setUploadProgress] = useState(null);
 
   // Result state
   const [mintResult, setMintResult] = useState(null);
+  // Only shown once, it never leaves the browser
+  const [encryptionKey, setEncryptionKey] = useState(null);
+  // Wallet encryption key pair, derived from a signature when encrypting
+  const [walletEncryptionKey, setWalletEncryptionKey] = useState(null);
+  const [isOpening, setIsOpening] = useState(false);
 
   // Handle file selection
   const handleFileSelect = useCallback(
@@ -136,17 +154,73 @@ const Mint = () => {
 
   // Handle form input changes
   const handleInputChange = useCallback((e) => {
-    const { name, value } = e.target;
-    setFormData((prev) => ({ ...prev, [name]: value }));
+    const { name, value, type, checked } = e.target;
+    setFormData((prev) => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : value,
+    }));
   }, []);
 
-  // Upload file to backend
-  const uploadFile = async () => {
+  // Wrap the document key to the issuer and recipient wallets, so either can
+  // open the document with a signature. Done here, the backend only stores
+  // the wrapped keys.
+  const wrapForRecipients = async (documentKey) => {
+    let issuerKey = walletEncryptionKey;
+    if (!issuerKey) {
+      issuerKey = await deriveEncryptionKey(signer);
+      setWalletEncryptionKey(issuerKey);
+    }
+
+    let registered = await getEncryptionKey(account);
+    if (!registered || registered.publicKey !== issuerKey.compressedPublicKey) {
+      registered = await registerEncryptionKey(signer, issuerKey);
+    }
+    const recipientKeys = [registered];
+
+    const recipient = formData.recipient || account;
+    if (recipient.toLowerCase() !== account.toLowerCase()) {
+      const recipientKey = await getEncryptionKey(recipient);
+      if (!recipientKey) {
+        throw new Error(t('mint.recipientKeyMissing'));
+      }
+      recipientKeys.push(recipientKey);
+    }
+
+    return Promise.all(
+      recipientKeys.map(async ({ address, publicKey }) => ({
+        address,
+        publicKey,
+        ...(await wrapDocumentKey(documentKey, publicKey)),
+      }))
+    );
+  };
+
+  // Upload file to backend, with the plaintext hash when it is encrypted
+  const uploadFile = async (file, documentHash) => {
+    // Large files go in chunks that survive a dropped connection
+    if (file.size > RESUMABLE_THRESHOLD) {
+      return uploadResumable(
+        file,
+        {
+          title: formData.title,
+          description: formData.description,
+          documentType: formData.documentType,
+          encrypt: formData.encrypt,
+          ...(documentHash && { documentHash }),
+        },
+        setUploadProgress
+      );
+    }
+
     const formDataObj = new FormData();
-    formDataObj.append('file', selectedFile);
+    formDataObj.append('file', file);
     formDataObj.append('title', formData.title);
     formDataObj.append('description', formData.description);
     formDataObj.append('documentType', formData.documentType);
+    formDataObj.append('encrypt', String(formData.encrypt));
+    if (documentHash) {
+      formDataObj.append('documentHash', documentHash);
+    }
 
     const response = await fetch('/api/upload', {
       method: 'POST',
@@ -203,14 +277,28 @@ const Mint = () => {
 
     setIsProcessing(true);
     setMintResult(null);
+    setEncryptionKey(null);
+    setUploadProgress(null);
 
     try {
-      // Step 1: Upload file
+      // Step 1: Upload file, encrypted here first when asked for
       updateStep(0, 'processing');
-      const uploadResult = await uploadFile();
+      let file = selectedFile;
+      let documentKey = null;
+      let documentHash = null;
+      if (formData.encrypt) {
+        documentKey = generateDocumentKey();
+        const keys = await wrapForRecipients(documentKey);
+        ({ content: file, documentHash } = await encryptDocument(
+          selectedFile,
+          documentKey,
+          { keys }
+        ));
+      }
+      const uploadResult = await uploadFile(file, documentHash);
       updateStep(0, 'completed');
 
-      // Step 2: File hash (already done by backend)
+      // Step 2: File hash (done by the backend, or here when encrypted)
       updateStep(1, 'processing');
       const fileHash = uploadResult.data.fileHash;
       updateStep(1, 'completed');
@@ -218,6 +306,8 @@ const Mint = () => {
       // Step 3: IPFS upload (already done by backend)
       updateStep(2, 'processing');
       const ipfsHash = uploadResult.data.ipfs.hash;
+      const { encryption } = uploadResult.data;
+      setEncryptionKey(documentKey);
       updateStep(2, 'completed');
 
       // Step 4: Mint NFT
@@ -260,6 +350,7 @@ const Mint = () => {
         fileHash,
         ipfsHash,
         ipfsUrl: `ipfs://${ipfsHash}`,
+        encrypted: Boolean(encryption),
 
         // Certificate Metadata (compatible avec CertificateCard)
         id: `cert_${Date.now()}`,
@@ -299,6 +390,21 @@ const Mint = () => {
     setIsProcessing(false);
   };
 
+  // Decrypt the minted document with the wallet key it was wrapped to
+  const handleOpenDocument = async () => {
+    setIsOpening(true);
+    try {
+      const { content } = await unlockDocument(mintResult.ipfsHash, {
+        address: account,
+        encryptionKey: walletEncryptionKey,
+      });
+      window.open(URL.createObjectURL(new Blob([content])), '_blank');
+    } catch (error) {
+      toast.error(error.message);
+    }
+    setIsOpening(false);
+  };
+
   // Reset form
   const resetForm = () => {
     setFormData({
@@ -306,10 +412,12 @@ const Mint = () => {
       description: '',
       documentType: 'certificate',
       recipient: '',
+      encrypt: false,
     });
     setSelectedFile(null);
     setFilePreview(null);
     setMintResult(null);
+    setEncryptionKey(null);
     setProcessSteps((prev) =>
       prev.map((step) => ({ ...step, status: 'pending' }))
     );
@@ -319,6 +427,10 @@ const Mint = () => {
     }
   };
 
+  const uploadPercent = uploadProgress
+    ? Math.round((uploadProgress.uploaded / uploadProgress.total) * 100)
+    : 0;
+
   return (
     <>
       <Helmet>
@@ -552,6 +664,22 @@ const Mint = () => {
                           {t('mint.recipientHint')}
                         </p>
                       </div>
+
+                      <div className="mt-4">
+                        <label className="flex items-center space-x-2 text-sm font-medium text-gray-300">
+                          <input
+                            type="checkbox"
+                            name="encrypt"
+                            checked={formData.encrypt}
+                            onChange={handleInputChange}
+                            className="rounded border-gray-600 bg-dark-800 text-primary-500 focus:ring-primary-500"
+                          />
+                          <span>{t('mint.encrypt')}</span>
+                        </label>
+                        <p className="text-xs text-gray-500 mt-1">
+                          {t('mint.encryptHint')}
+                        </p>
+                      </div>
                     </div>
 
                     {/* Submit Button */}
@@ -626,33 +754,52 @@ const Mint = () => {
                       </h3>
                       <div className="space-y-3">
                         {processSteps.map((step, index) => (
-                          <div
-                            key={step.key}
-                            className="flex items-center space-x-3"
-                          >
-                            <div
-                              className={`w-6 h-6 rounded-full flex items-center justify-center text-xs font-medium ${
-                                step.status === 'completed'
-                                  ? 'bg-success-500/20 text-success-500'
-                                  : step.status === 'processing'
-                                    ? 'bg-primary-500/20 text-primary-500 animate-pulse'
-                                    : 'bg-gray-700 text-gray-400'
-                              }`}
-                            >
-                              {step.status === 'completed' ? '✓' : index + 1}
+                          <React.Fragment key={step.key}>
+                            <div className="flex items-center space-x-3">
+                              <div
+                                className={`w-6 h-6 rounded-full flex items-center justify-center text-xs font-medium ${
+                                  step.status === 'completed'
+                                    ? 'bg-success-500/20 text-success-500'
+                                    : step.status === 'processing'
+                                      ? 'bg-primary-500/20 text-primary-500 animate-pulse'
+                                      : 'bg-gray-700 text-gray-400'
+                                }`}
+                              >
+                                {step.status === 'completed' ? '✓' : index + 1}
+                              </div>
+                              <span
+                                className={`text-sm ${
+                                  step.status === 'completed'
+                                    ? 'text-success-500'
+                                    : step.status === 'processing'
+                                      ? 'text-primary-500 font-medium'
+                                      : 'text-gray-400'
+                                }`}
+                              >
+                                {t(`mint.steps.${step.key}`)}
+                              </span>
                             </div>
-                            <span
-                              className={`text-sm ${
-                                step.status === 'completed'
-                                  ? 'text-success-500'
-                                  : step.status === 'processing'
-                                    ? 'text-primary-500 font-medium'
-                                    : 'text-gray-400'
-                              }`}
-                            >
-                              {t(`mint.steps.${step.key}`)}
-                            </span>
-                          </div>
+                            {step.key === 'upload' &&
+                              step.status === 'processing' &&
+                              uploadProgress && (
+                                <div className="pl-9 space-y-1">
+                                  <div className="w-full h-2 bg-gray-700 rounded-full overflow-hidden">
+                                    <div
+                                      className="h-full bg-primary-500 transition-all"
+                                      style={{ width: `${uploadPercent}%` }}
+                                    />
+                                  </div>
+                                  <div className="flex justify-between text-xs text-gray-400">
+                                    <span>
+                                      {uploadProgress.resumedFrom > 0
+                                        ? t('mint.uploadResumed')
+                                        : t('mint.uploadingChunks')}
+                                    </span>
+                                    <span>{uploadPercent}%</span>
+                                  </div>
+                                </div>
+                              )}
+                          </React.Fragment>
                         ))}
                       </div>
                     </div>
@@ -696,7 +843,46 @@ const Mint = () => {
                           </span>
                         </div>
                       </div>
+                      {encryptionKey && (
+                        <div className="mt-4 p-3 rounded-md border border-warning-500/30 bg-warning-500/10">
+                          <p className="text-sm font-medium text-warning-400 mb-2">
+                            {t('mint.encryptionKey')}
+                          </p>
+                          <p className="font-mono text-xs text-white break-all select-all">
+                            {encryptionKey}
+                          </p>
+                          <p className="text-xs text-gray-400 mt-2">
+                            {t('mint.encryptionKeyWarning')}
+                          </p>
+                          <button
+                            type="button"
+                            onClick={async () => {
+                              try {
+                                await navigator.clipboard.writeText(
+                                  encryptionKey
+                                );
+                                toast.success(t('mint.encryptionKeyCopied'));
+                              } catch (error) {
+                                toast.error(t('verify.copyError'));
+                              }
+                            }}
+                            className="mt-2 text-xs text-primary-400 hover:text-primary-300"
+                          >
+                            {t('mint.copyEncryptionKey')}
+                          </button>
+                        </div>
+                      )}
                       <div className="mt-4 space-y-2">
+                        {mintResult.encrypted && walletEncryptionKey && (
+                          <button
+                            type="button"
+                            onClick={handleOpenDocument}
+                            disabled={isOpening}
+                            className="w-full px-4 py-2 bg-dark-700 text-white rounded-md hover:bg-dark-600 transition-colors text-sm disabled:opacity-50"
+                          >
+                            {t('mint.openDocument')}
+                          </button>
+                        )}
                         <button
                           onClick={() => {
                             const verifyUrl = `/verify?hash=${mintResult.fileHash}`;
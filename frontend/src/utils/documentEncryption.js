@@ -0,0 +1,335 @@
+/**
+ * Encrypted documents for CertiProof X Frontend
+ * Author: Kai Zenjiro (0xGenesis) - certiproofx@protonmail.me
+ *
+ * Encrypts documents before they are uploaded and opens them again, in the
+ * format of encryptFile in backend/src/utils/crypto.js. Both run in the
+ * browser, the key is never sent anywhere.
+ */
+
+import { ethers } from 'ethers';
+
+// Layout shared with the backend: magic, header length, JSON header, 12-byte
+// IV, then the ciphertext and its auth tag
+const MAGIC = 'CPXENC01';
+const HEADER_LENGTH_SIZE = 4;
+const IV_LENGTH = 12;
+const ALGORITHM = 'aes-256-gcm';
+
+// Signed to derive the wallet encryption key pair, so it must never change
+export const ENCRYPTION_KEY_MESSAGE = [
+  'CertiProof X encryption key',
+  'Signing this message unlocks documents encrypted to your wallet.',
+].join('\n');
+
+// HKDF context of wrapped keys, as in the backend
+const KEY_WRAPPING_INFO = new TextEncoder().encode('CertiProof X key wrapping');
+
+const fromHex = (hex) =>
+  new Uint8Array(hex.match(/../g).map((byte) => parseInt(byte, 16)));
+
+const toHex = (buffer) =>
+  Array.from(new Uint8Array(buffer))
+    .map((byte) => byte.toString(16).padStart(2, '0'))
+    .join('');
+
+export const isValidKey = (key) => /^[0-9a-fA-F]{64}$/.test(key.trim());
+
+/**
+ * SHA-256 of content, as minted on-chain
+ * @param {ArrayBuffer} content - Content to hash
+ * @returns {Promise<string>} - Hex encoded hash
+ */
+export const sha256 = async (content) =>
+  toHex(await crypto.subtle.digest('SHA-256', content));
+
+/**
+ * Generate a random document key
+ * @returns {string} - Hex encoded 256-bit key
+ */
+export const generateDocumentKey = () =>
+  toHex(crypto.getRandomValues(new Uint8Array(32)));
+
+/**
+ * Encrypt a document for upload
+ *
+ * The header is authenticated with the content, so what it lists cannot be
+ * changed without the key.
+ * @param {File} file - Document to encrypt
+ * @param {string} key - Hex encoded key from generateDocumentKey
+ * @param {Object} header - Public details stored with the document
+ * @returns {Promise<Object>} - { content: File, documentHash }, the hash of
+ *   the plaintext as minted on-chain
+ */
+export const encryptDocument = async (file, key, header = {}) => {
+  const plaintext = await file.arrayBuffer();
+  const headerBytes = new TextEncoder().encode(
+    JSON.stringify({ algorithm: ALGORITHM, ...header })
+  );
+  const headerLength = new Uint8Array(HEADER_LENGTH_SIZE);
+  new DataView(headerLength.buffer).setUint32(0, headerBytes.length);
+  const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+
+  const cryptoKey = await crypto.subtle.importKey(
+    'raw',
+    fromHex(key),
+    'AES-GCM',
+    false,
+    ['encrypt']
+  );
+  // WebCrypto appends the auth tag, where the backend expects it
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: headerBytes },
+    cryptoKey,
+    plaintext
+  );
+
+  return {
+    content: new File(
+      [
+        new TextEncoder().encode(MAGIC),
+        headerLength,
+        headerBytes,
+        iv,
+        ciphertext,
+      ],
+      file.name,
+      { type: file.type }
+    ),
+    documentHash: await sha256(plaintext),
+  };
+};
+
+/**
+ * Derive the encryption key pair of a wallet
+ *
+ * Wallets cannot decrypt, so the private key is the hash of a signature of
+ * ENCRYPTION_KEY_MESSAGE. The same wallet always gets the same key back.
+ * @param {Object} signer - Ethers signer of the connected wallet
+ * @returns {Promise<ethers.SigningKey>} - Encryption key pair
+ */
+export const deriveEncryptionKey = async (signer) =>
+  new ethers.SigningKey(
+    ethers.keccak256(await signer.signMessage(ENCRYPTION_KEY_MESSAGE))
+  );
+
+/**
+ * Publish the encryption public key of a wallet so documents can be wrapped
+ * to it (PUT /api/keys/:address)
+ * @param {Object} signer - Ethers signer of the connected wallet
+ * @param {ethers.SigningKey} encryptionKey - Key pair from deriveEncryptionKey
+ * @returns {Promise<Object>} - Registered key
+ */
+export const registerEncryptionKey = async (signer, encryptionKey) => {
+  const address = await signer.getAddress();
+  const publicKey = encryptionKey.compressedPublicKey;
+  // Dated and unique, so an older registration cannot be posted again
+  const issuedAt = new Date().toISOString();
+  const nonce = ethers.hexlify(ethers.randomBytes(16)).slice(2);
+
+  // Same message as encryptionKeyService.getRegistrationMessage
+  const signature = await signer.signMessage(
+    [
+      'CertiProof X encryption key',
+      `Address: ${ethers.getAddress(address)}`,
+      `Public key: ${publicKey.toLowerCase()}`,
+      `Issued at: ${issuedAt}`,
+      `Nonce: ${nonce}`,
+    ].join('\n')
+  );
+
+  const response = await fetch(`/api/keys/${address}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ publicKey, signature, issuedAt, nonce }),
+  });
+
+  const result = await response.json();
+  if (!response.ok) {
+    throw new Error(result.error || 'Key registration failed');
+  }
+
+  return result.data;
+};
+
+/**
+ * Look up the encryption public key of a wallet
+ * @param {string} address - Wallet address
+ * @returns {Promise<Object|null>} - Registered key, null when there is none
+ */
+export const getEncryptionKey = async (address) => {
+  const response = await fetch(`/api/keys/${address}`);
+  if (response.status === 404) {
+    return null;
+  }
+  if (!response.ok) {
+    throw new Error('Key lookup failed');
+  }
+
+  return (await response.json()).data;
+};
+
+/**
+ * AES key for a wrapped key, from the x coordinate of the ECDH shared point
+ */
+const deriveWrappingKey = async (sharedPoint, ephemeralPublicKey, usage) => {
+  const hkdfKey = await crypto.subtle.importKey(
+    'raw',
+    ethers.getBytes(sharedPoint).slice(1, 33),
+    'HKDF',
+    false,
+    ['deriveKey']
+  );
+
+  return crypto.subtle.deriveKey(
+    {
+      name: 'HKDF',
+      hash: 'SHA-256',
+      salt: ethers.getBytes(ephemeralPublicKey),
+      info: KEY_WRAPPING_INFO,
+    },
+    hkdfKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    [usage]
+  );
+};
+
+/**
+ * Encrypt a document key to the encryption public key of a wallet (ECIES)
+ *
+ * Same scheme as wrapKey in the backend: an ephemeral key pair agreed with
+ * the wallet key by ECDH, HKDF-SHA256, then AES-256-GCM.
+ * @param {string} key - Hex encoded document key
+ * @param {string} publicKey - Registered wallet public key (0x hex)
+ * @returns {Promise<Object>} - { ephemeralPublicKey, iv, wrappedKey }
+ */
+export const wrapDocumentKey = async (key, publicKey) => {
+  const ephemeral = new ethers.SigningKey(ethers.randomBytes(32));
+  const wrappingKey = await deriveWrappingKey(
+    ephemeral.computeSharedSecret(publicKey),
+    ephemeral.compressedPublicKey,
+    'encrypt'
+  );
+  const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+
+  return {
+    ephemeralPublicKey: ephemeral.compressedPublicKey,
+    iv: toHex(iv),
+    wrappedKey: toHex(
+      await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv },
+        wrappingKey,
+        fromHex(key)
+      )
+    ),
+  };
+};
+
+/**
+ * Decrypt a document key wrapped to a wallet (wrapDocumentKey)
+ * @param {Object} entry - { ephemeralPublicKey, iv, wrappedKey }
+ * @param {ethers.SigningKey} encryptionKey - Key pair from deriveEncryptionKey
+ * @returns {Promise<string>} - Hex encoded document key
+ */
+export const unwrapDocumentKey = async (entry, encryptionKey) => {
+  const wrappingKey = await deriveWrappingKey(
+    encryptionKey.computeSharedSecret(entry.ephemeralPublicKey),
+    entry.ephemeralPublicKey,
+    'decrypt'
+  );
+
+  try {
+    return toHex(
+      await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: fromHex(entry.iv) },
+        wrappingKey,
+        fromHex(entry.wrappedKey)
+      )
+    );
+  } catch (error) {
+    throw new Error('This document is not encrypted to your wallet');
+  }
+};
+
+/**
+ * Fetch an encrypted document from IPFS and split it into its parts
+ * @param {string} ipfsHash - CID of the encrypted copy
+ * @returns {Promise<Object>} - { header, headerBytes, iv, ciphertext }
+ */
+const fetchEncryptedDocument = async (ipfsHash) => {
+  const response = await fetch(`/api/upload/${ipfsHash}`);
+  if (!response.ok) {
+    throw new Error('Document not found on IPFS');
+  }
+
+  const bytes = new Uint8Array(await response.arrayBuffer());
+  const magic = new TextDecoder().decode(bytes.subarray(0, MAGIC.length));
+  if (magic !== MAGIC) {
+    throw new Error('Document is not encrypted');
+  }
+
+  const headerStart = MAGIC.length + HEADER_LENGTH_SIZE;
+  const headerLength = new DataView(
+    bytes.buffer,
+    bytes.byteOffset + MAGIC.length,
+    HEADER_LENGTH_SIZE
+  ).getUint32(0);
+  const headerBytes = bytes.subarray(headerStart, headerStart + headerLength);
+  const ivEnd = headerStart + headerLength + IV_LENGTH;
+
+  return {
+    header: JSON.parse(new TextDecoder().decode(headerBytes)),
+    headerBytes,
+    iv: bytes.subarray(ivEnd - IV_LENGTH, ivEnd),
+    ciphertext: bytes.subarray(ivEnd),
+  };
+};
+
+/**
+ * Fetch an encrypted document from IPFS and decrypt it
+ *
+ * Takes the document key shown after upload, or the wallet encryption key
+ * when the document key was wrapped to that wallet.
+ * @param {string} ipfsHash - CID of the encrypted copy
+ * @param {string|Object} key - Hex encoded key, or { address, encryptionKey }
+ * @returns {Promise<Object>} - { content: ArrayBuffer, documentHash }
+ */
+export const unlockDocument = async (ipfsHash, key) => {
+  const { header, headerBytes, iv, ciphertext } =
+    await fetchEncryptedDocument(ipfsHash);
+
+  let documentKey = key;
+  if (typeof key !== 'string') {
+    const entry = (header.keys || []).find(
+      (wrapped) => wrapped.address.toLowerCase() === key.address.toLowerCase()
+    );
+    if (!entry) {
+      throw new Error('This document is not encrypted to your wallet');
+    }
+    documentKey = await unwrapDocumentKey(entry, key.encryptionKey);
+  }
+
+  const cryptoKey = await crypto.subtle.importKey(
+    'raw',
+    fromHex(documentKey.trim()),
+    'AES-GCM',
+    false,
+    ['decrypt']
+  );
+
+  // WebCrypto expects the auth tag at the end of the ciphertext, as stored.
+  // The header is authenticated too, so its wrapped keys cannot be swapped.
+  let content;
+  try {
+    content = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv, additionalData: headerBytes },
+      cryptoKey,
+      ciphertext
+    );
+  } catch (error) {
+    throw new Error('Wrong key or damaged document');
+  }
+
+  return { content, documentHash: await sha256(content) };
+};
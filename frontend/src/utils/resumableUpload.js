@@ -0,0 +1,139 @@
+/**
+ * Resumable uploads for CertiProof X Frontend
+ * Author: Kai Zenjiro (0xGenesis) - certiproofx@protonmail.me
+ *
+ * Sends a file to /api/upload/sessions in chunks. The session is remembered
+ * per file so an interrupted upload, even after a page reload, continues
+ * from the offset the backend already has.
+ */
+
+const SESSIONS_URL = '/api/upload/sessions';
+const CHUNK_SIZE = 5 * 1024 * 1024;
+const MAX_RETRIES = 5;
+
+// Files above this size are uploaded in chunks
+export const RESUMABLE_THRESHOLD = 8 * 1024 * 1024;
+
+const storageKey = (file) =>
+  `certiproof:upload:${file.name}:${file.size}:${file.lastModified}`;
+
+const wait = (milliseconds) =>
+  new Promise((resolve) => setTimeout(resolve, milliseconds));
+
+const readError = async (response, fallback) => {
+  try {
+    const body = await response.json();
+    return new Error(body.error || fallback);
+  } catch (error) {
+    return new Error(fallback);
+  }
+};
+
+// Offset the backend has for a session, or null when it is gone
+const getOffset = async (uploadId) => {
+  const response = await fetch(`${SESSIONS_URL}/${uploadId}`);
+  if (!response.ok) {
+    return null;
+  }
+  const { data } = await response.json();
+  return data.offset;
+};
+
+const createSession = async (file) => {
+  const response = await fetch(SESSIONS_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      filename: file.name,
+      mimetype: file.type,
+      size: file.size,
+    }),
+  });
+
+  if (!response.ok) {
+    throw await readError(response, 'Upload failed');
+  }
+
+  const { data } = await response.json();
+  return data.uploadId;
+};
+
+/**
+ * Upload a file in chunks and publish it to IPFS
+ * @param {File} file - File to upload
+ * @param {Object} fields - title, description, documentType, metadata
+ * @param {Function} onProgress - Called with { uploaded, total, resumedFrom }
+ * @returns {Promise<Object>} - Same response as POST /api/upload
+ */
+export const uploadResumable = async (file, fields, onProgress = () => {}) => {
+  const key = storageKey(file);
+  let uploadId = localStorage.getItem(key);
+  let offset = uploadId ? await getOffset(uploadId) : null;
+
+  if (offset === null) {
+    uploadId = await createSession(file);
+    localStorage.setItem(key, uploadId);
+    offset = 0;
+  }
+
+  const resumedFrom = offset;
+  onProgress({ uploaded: offset, total: file.size, resumedFrom });
+
+  let retries = 0;
+  while (offset < file.size) {
+    let response = null;
+    try {
+      response = await fetch(`${SESSIONS_URL}/${uploadId}`, {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/offset+octet-stream',
+          'Upload-Offset': String(offset),
+        },
+        body: file.slice(offset, offset + CHUNK_SIZE),
+      });
+    } catch (error) {
+      // Connection dropped, retried below
+    }
+
+    if (response && response.ok) {
+      offset = (await response.json()).data.offset;
+      retries = 0;
+      onProgress({ uploaded: offset, total: file.size, resumedFrom });
+      continue;
+    }
+
+    // Other client errors will not get better by retrying
+    if (response && response.status !== 409 && response.status < 500) {
+      localStorage.removeItem(key);
+      throw await readError(response, 'Upload failed');
+    }
+
+    if (retries === MAX_RETRIES) {
+      throw new Error('Upload failed');
+    }
+
+    // Back off, then continue from what the backend actually received
+    retries += 1;
+    await wait(1000 * 2 ** (retries - 1));
+    const current = await getOffset(uploadId).catch(() => offset);
+    if (current === null) {
+      localStorage.removeItem(key);
+      throw new Error('Upload session expired');
+    }
+    offset = current;
+    onProgress({ uploaded: offset, total: file.size, resumedFrom });
+  }
+
+  const response = await fetch(`${SESSIONS_URL}/${uploadId}/complete`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(fields),
+  });
+
+  if (!response.ok) {
+    throw await readError(response, 'Upload failed');
+  }
+
+  localStorage.removeItem(key);
+  return response.json();
+};